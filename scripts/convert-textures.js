@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * 纹理转换脚本
+ *
+ * 把纹理目录中的 PNG/JPG 转换为同名的 KTX2（Basis Universal）文件，放在原图旁边。
+ * 地图资源清单（map/assets.js）发现同名 .ktx2 时优先加载它，加载失败再使用原图；
+ * 删除 .ktx2 文件即恢复为只加载原图。
+ *
+ * 依赖 KTX-Software 的 toktx 命令行工具（https://github.com/KhronosGroup/KTX-Software/releases），
+ * 不在 PATH 中时用 --toktx 或环境变量 TOKTX 指定路径。
+ *
+ * 编码方式：
+ * - 普通贴图使用 ETC1S（体积小），标记为 sRGB 传递函数，与材质中 colorSpace = SRGBColorSpace 的原图一致
+ * - 文件名包含 normal 的法线贴图使用 UASTC 并开启 normal_mode（保留方向精度），数据按线性保存
+ * 转换时垂直翻转图像（--lower_left_maps_to_s0t0），与 TextureLoader 加载的原图（flipY）朝向一致。
+ *
+ * 用法：
+ *   node scripts/convert-textures.js [--dir src/assets/texture] [--toktx toktx] [--uastc] [--force]
+ *
+ *   --dir     纹理目录
+ *   --toktx   toktx 可执行文件路径
+ *   --uastc   所有贴图都使用 UASTC（画质更好，体积更大）
+ *   --force   重新转换已是最新的文件（默认跳过比原图新的 .ktx2）
+ */
+
+import fs from "node:fs"
+import path from "node:path"
+import { spawnSync } from "node:child_process"
+
+function getArg(name, defaultValue) {
+  let index = process.argv.indexOf(`--${name}`)
+  return index > -1 ? process.argv[index + 1] : defaultValue
+}
+
+function hasFlag(name) {
+  return process.argv.includes(`--${name}`)
+}
+
+const DIR = path.resolve(getArg("dir", "src/assets/texture"))
+const TOKTX = getArg("toktx", process.env.TOKTX || "toktx")
+const UASTC = hasFlag("uastc")
+const FORCE = hasFlag("force")
+
+// 参与转换的原图格式
+const SOURCE_PATTERN = /\.(png|jpe?g)$/i
+
+/**
+ * 生成 toktx 参数
+ * @param {string} file - 原图文件名
+ * @returns {Array<string>}
+ */
+function getToktxArgs(file) {
+  let normal = /normal/i.test(file)
+  // 颜色贴图按 sRGB 解码，法线贴图是方向数据，保持线性
+  let args = ["--t2", "--genmipmap", "--lower_left_maps_to_s0t0", "--assign_oetf", normal ? "linear" : "srgb"]
+  if (normal) {
+    args.push("--encode", "uastc", "--uastc_quality", "2", "--normal_mode")
+  } else if (UASTC) {
+    args.push("--encode", "uastc", "--uastc_quality", "2", "--zcmp", "19")
+  } else {
+    args.push("--encode", "etc1s", "--clevel", "2", "--qlevel", "128")
+  }
+  return args
+}
+
+/**
+ * 格式化文件大小
+ * @param {number} bytes - 字节数
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(2)}MB` : `${(bytes / 1024).toFixed(1)}KB`
+}
+
+function main() {
+  if (!fs.existsSync(DIR)) {
+    console.error(`[convert-textures] 纹理目录不存在：${DIR}`)
+    process.exit(1)
+  }
+
+  let version = spawnSync(TOKTX, ["--version"], { encoding: "utf8" })
+  if (version.error) {
+    console.error(`[convert-textures] 找不到 toktx（${TOKTX}），请安装 KTX-Software 或用 --toktx 指定路径`)
+    process.exit(1)
+  }
+  console.log(`[convert-textures] ${version.stdout.trim()}`)
+
+  let files = fs.readdirSync(DIR).filter((file) => SOURCE_PATTERN.test(file))
+  let converted = 0
+  let skipped = 0
+  let failed = 0
+  let sourceTotal = 0
+  let targetTotal = 0
+
+  files.forEach((file) => {
+    let source = path.join(DIR, file)
+    let target = source.replace(SOURCE_PATTERN, ".ktx2")
+    let sourceStat = fs.statSync(source)
+
+    if (!FORCE && fs.existsSync(target) && fs.statSync(target).mtimeMs >= sourceStat.mtimeMs) {
+      skipped++
+      return
+    }
+
+    let result = spawnSync(TOKTX, [...getToktxArgs(file), target, source], { encoding: "utf8" })
+    if (result.status !== 0) {
+      failed++
+      console.error(`[convert-textures] ${file} 转换失败：${(result.stderr || result.error || "").toString().trim()}`)
+      return
+    }
+
+    let targetSize = fs.statSync(target).size
+    sourceTotal += sourceStat.size
+    targetTotal += targetSize
+    converted++
+    console.log(`[convert-textures] ${file} -> ${path.basename(target)}  ${formatSize(sourceStat.size)} -> ${formatSize(targetSize)}`)
+  })
+
+  console.log(`[convert-textures] 转换 ${converted} 个，跳过 ${skipped} 个，失败 ${failed} 个`)
+  if (converted) {
+    console.log(`[convert-textures] 原图 ${formatSize(sourceTotal)}，KTX2 ${formatSize(targetTotal)}`)
+  }
+  failed && process.exit(1)
+}
+
+main()
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * 实时数据模拟服务
+ *
+ * 回放 provincesData.js / scatter.js 中的数据并加入随机抖动，
+ * 同时提供WebSocket和SSE两种推送方式，离线开发和调试实时数据链路。
+ *
+ * 推送内容（与 realtimeSource.js 的默认解码器一致）：
+ * - bar：全部省份，数值在原值基础上随机浮动
+ * - scatter：随机保留部分散点，数值随机浮动（用于验证散点增删）
+ * - flyLine：随机选取若干省份作为飞线目标
+ *
+ * 用法：
+ *   node scripts/mock-realtime-server.js [--port 3001] [--interval 3000] [--jitter 0.2] [--drop 0]
+ *
+ *   --port      监听端口
+ *   --interval  推送间隔（毫秒）
+ *   --jitter    数值浮动比例，0.2 表示 ±20%
+ *   --drop      每隔多少毫秒主动断开所有连接，用于验证断线重连，0表示不断开
+ *
+ * 前端订阅（.env.local）：
+ *   VITE_REALTIME_URL=ws://localhost:3001/ws
+ *   VITE_REALTIME_URL=http://localhost:3001/sse
+ */
+
+import http from "node:http"
+import crypto from "node:crypto"
+import provincesData from "../src/views/map-animate/map/provincesData.js"
+import scatterData from "../src/views/map-animate/map/scatter.js"
+
+// ============ 命令行参数 ============
+function getArg(name, defaultValue) {
+  let index = process.argv.indexOf(`--${name}`)
+  return index > -1 ? Number(process.argv[index + 1]) : defaultValue
+}
+
+const PORT = getArg("port", 3001)
+const INTERVAL = getArg("interval", 3000)
+const JITTER = getArg("jitter", 0.2)
+const DROP = getArg("drop", 0)
+
+// WebSocket握手使用的固定GUID（RFC 6455）
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"
+
+// ============ 模拟数据 ============
+function jitter(value) {
+  return Math.max(0, Math.round(value * (1 + (Math.random() * 2 - 1) * JITTER)))
+}
+
+function createSnapshot() {
+  let bar = provincesData.map((item) => ({ adcode: item.adcode, value: jitter(item.value) }))
+  let scatter = scatterData
+    .filter(() => Math.random() < 0.85)
+    .map((item) => ({ adcode: item.adcode, lng: item.lng, lat: item.lat, value: jitter(item.value) }))
+  let flyLine = provincesData
+    .filter(() => Math.random() < 0.4)
+    .map((item) => ({ adcode: item.adcode }))
+  return JSON.stringify({ type: "update", timestamp: Date.now(), layers: { bar, scatter, flyLine } })
+}
+
+// ============ WebSocket ============
+const wsClients = new Set()
+
+/**
+ * 编码服务端文本帧（服务端发送的帧不需要掩码）
+ * @param {string} text - 文本内容
+ * @returns {Buffer}
+ */
+function encodeFrame(text, opcode = 0x1) {
+  let payload = Buffer.from(text)
+  let header
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length])
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4)
+    header[0] = 0x80 | opcode
+    header[1] = 126
+    header.writeUInt16BE(payload.length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[0] = 0x80 | opcode
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(payload.length), 2)
+  }
+  return Buffer.concat([header, payload])
+}
+
+function handleUpgrade(req, socket) {
+  if (req.url !== "/ws") {
+    socket.destroy()
+    return
+  }
+  let accept = crypto
+    .createHash("sha1")
+    .update(req.headers["sec-websocket-key"] + WS_GUID)
+    .digest("base64")
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  )
+  wsClients.add(socket)
+  socket.write(encodeFrame(createSnapshot()))
+  console.log(`[mock] WebSocket 已连接，当前 ${wsClients.size} 个`)
+
+  // 客户端只会发送关闭和心跳帧，只按操作码处理
+  socket.on("data", (buffer) => {
+    let opcode = buffer[0] & 0x0f
+    if (opcode === 0x8) {
+      socket.end(encodeFrame("", 0x8))
+    } else if (opcode === 0x9) {
+      socket.write(encodeFrame("", 0xa))
+    }
+  })
+  socket.on("close", () => wsClients.delete(socket))
+  socket.on("error", () => wsClients.delete(socket))
+}
+
+// ============ SSE ============
+const sseClients = new Set()
+
+function handleRequest(req, res) {
+  if (req.url !== "/sse") {
+    res.writeHead(404, { "Access-Control-Allow-Origin": "*" })
+    res.end("mock realtime server: /ws (WebSocket) or /sse (Server-Sent Events)")
+    return
+  }
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  })
+  sseClients.add(res)
+  res.write(`data: ${createSnapshot()}\n\n`)
+  console.log(`[mock] SSE 已连接，当前 ${sseClients.size} 个`)
+  req.on("close", () => sseClients.delete(res))
+}
+
+// ============ 启动服务 ============
+const server = http.createServer(handleRequest)
+server.on("upgrade", handleUpgrade)
+server.listen(PORT, () => {
+  console.log(`[mock] 实时数据模拟服务已启动`)
+  console.log(`[mock] WebSocket: ws://localhost:${PORT}/ws`)
+  console.log(`[mock] SSE:       http://localhost:${PORT}/sse`)
+})
+
+setInterval(() => {
+  if (!wsClients.size && !sseClients.size) return
+  let message = createSnapshot()
+  wsClients.forEach((socket) => socket.write(encodeFrame(message)))
+  sseClients.forEach((res) => res.write(`data: ${message}\n\n`))
+}, INTERVAL)
+
+if (DROP > 0) {
+  setInterval(() => {
+    console.log(`[mock] 模拟断线，断开 ${wsClients.size + sseClients.size} 个连接`)
+    wsClients.forEach((socket) => socket.destroy())
+    sseClients.forEach((res) => res.destroy())
+    wsClients.clear()
+    sseClients.clear()
+  }, DROP)
+}
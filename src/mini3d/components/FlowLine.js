@@ -0,0 +1,321 @@
+/**
+ * OD流向线组件
+ * 多对多的起讫点（Origin-Destination）连线，常用于物流、人口迁徙等流向数据
+ *
+ * 主要功能：
+ * - 每条记录独立的起点、终点和权重
+ * - 线宽、颜色随权重缩放，弧高随距离和权重缩放
+ * - 每条线独立的脉冲速度和初始相位，头部高亮、尾部渐隐
+ * - 不可见的加粗拾取管道，便于鼠标悬停拾取（userData.flow 为对应记录）
+ * - 按 id 增量更新数据，未变化的线保持原有相位
+ *
+ * 技术实现：
+ * - QuadraticBezierCurve3 + TubeGeometry 生成弧线，管道的 uv.x 沿曲线从起点0到终点1
+ * - 每条线一个 ShaderMaterial，共享时间uniform，脉冲在片元着色器中计算
+ * - 脉冲速度按世界坐标单位/秒给出，按曲线长度换算，长短线视觉速度一致
+ *
+ * @example
+ * const flowLine = new FlowLine(mini3d, {
+ *   data: [{ from: [116.4, 39.9], to: [121.47, 31.23], value: 320, name: "北京→上海" }],
+ * })
+ * flowLine.setParent(scene)
+ */
+
+import {
+  Group,
+  Vector3,
+  Color,
+  QuadraticBezierCurve3,
+  TubeGeometry,
+  Mesh,
+  MeshBasicMaterial,
+  ShaderMaterial,
+  AdditiveBlending,
+} from "three"
+
+const FLOW_VERTEX_SHADER = /* glsl */ `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`
+
+const FLOW_FRAGMENT_SHADER = /* glsl */ `
+  uniform float uTime;
+  uniform float uSpeed;
+  uniform float uOffset;
+  uniform float uLength;
+  uniform vec3 uColor;
+  uniform float uOpacity;
+  uniform float uBaseOpacity;
+  varying vec2 vUv;
+  void main() {
+    // 脉冲头部从起点前移动到终点之后，尾部完全离开终点后再从起点出现
+    float head = fract(uTime * uSpeed + uOffset) * (1.0 + uLength);
+    float behind = head - vUv.x;
+    float pulse = behind >= 0.0 && behind <= uLength ? 1.0 - behind / uLength : 0.0;
+    float alpha = max(uBaseOpacity, pulse) * uOpacity;
+    vec3 color = mix(uColor, vec3(1.0), pow(pulse, 6.0) * 0.6);
+    gl_FragColor = vec4(color, alpha);
+    #include <colorspace_fragment>
+  }
+`
+
+export class FlowLine {
+  /**
+   * 构造函数
+   * @param {Object} dependencies - 依赖对象
+   * @param {Time} dependencies.time - 时间管理器，驱动脉冲动画
+   * @param {Function} dependencies.geoProjection - 地理坐标投影函数
+   * @param {Object} options - 配置选项
+   * @param {Array<Object>} options.data - 流向数据 [{ id, from: [经度, 纬度], to: [经度, 纬度], value, speed, color }]，
+   *   id 默认由起讫点生成，speed、color 可选，覆盖按权重计算的值
+   * @param {Array<number>} options.radius - 管道半径范围 [最小权重, 最大权重]
+   * @param {Array<string|number>} options.colors - 颜色范围 [最小权重, 最大权重]
+   * @param {number} options.opacity - 整体不透明度
+   * @param {number} options.baseOpacity - 脉冲以外部分的不透明度
+   * @param {number} options.heightRatio - 弧高与起讫点距离之比
+   * @param {number} options.weightHeight - 权重对弧高的影响（0-1），0为弧高只与距离有关
+   * @param {number} options.minHeight - 最小弧高
+   * @param {number} options.maxHeight - 最大弧高
+   * @param {number} options.speed - 脉冲速度（世界坐标单位/秒）
+   * @param {number} options.pulseLength - 脉冲长度，占整条线的比例
+   * @param {number} options.pickRadius - 拾取管道的最小半径
+   * @param {number} options.segments - 曲线分段数
+   * @param {number} options.radialSegments - 径向分段数
+   */
+  constructor({ time, geoProjection }, options) {
+    this.time = time
+    this.geoProjection = geoProjection
+    this.instance = new Group()
+
+    let defaultOptions = {
+      data: [],
+      radius: [0.05, 0.3],
+      colors: ["#50bbfe", "#fbdf88"],
+      opacity: 1,
+      baseOpacity: 0.2,
+      heightRatio: 0.25,
+      weightHeight: 0.4,
+      minHeight: 2,
+      maxHeight: 30,
+      speed: 20,
+      pulseLength: 0.25,
+      pickRadius: 0.6,
+      segments: 48,
+      radialSegments: 8,
+    }
+    this.options = Object.assign({}, defaultOptions, options)
+
+    // 按id索引的流向线 { record, mesh, pick, uniforms, signature }
+    this.lines = new Map()
+    // 当前权重范围，变化时所有线重新计算线宽、颜色和弧高
+    this.range = null
+    // 拾取网格，交给交互管理器
+    this.pickObjects = []
+
+    // 所有线共享的时间uniform
+    this.timeUniform = { value: 0 }
+    this.pickMaterial = new MeshBasicMaterial({ visible: false })
+    this.run = true
+
+    this.onTick = (delta) => {
+      if (this.run) this.timeUniform.value += delta
+    }
+    this.time.on("tick", this.onTick)
+
+    this.setData(this.options.data)
+  }
+
+  /**
+   * 流向记录的id
+   * @param {Object} record - 流向记录
+   * @returns {string}
+   */
+  static getFlowId(record) {
+    return record.id !== undefined ? String(record.id) : `${record.from.join(",")}-${record.to.join(",")}`
+  }
+
+  /**
+   * 更新流向数据
+   * 按id比对：移除不再存在的线，新增的线随机相位，记录或权重范围变化的线重建几何体并保留相位
+   * @param {Array<Object>} data - 流向数据
+   */
+  setData(data = []) {
+    let records = data.filter((record) => Array.isArray(record.from) && Array.isArray(record.to))
+    let values = records.map((record) => Number(record.value) || 0)
+    let range = values.length ? [Math.min(...values), Math.max(...values)] : [0, 0]
+    let rangeChanged = !this.range || this.range[0] !== range[0] || this.range[1] !== range[1]
+    this.range = range
+
+    let ids = new Set(records.map((record) => FlowLine.getFlowId(record)))
+    this.lines.forEach((line, id) => ids.has(id) || this.removeLine(id))
+
+    records.forEach((record) => {
+      let id = FlowLine.getFlowId(record)
+      let line = this.lines.get(id)
+      let signature = JSON.stringify([record.from, record.to, record.value, record.speed, record.color])
+      if (line && !rangeChanged && line.signature === signature) {
+        line.record = record
+        line.pick.userData.flow = record
+        return
+      }
+      let offset = line ? line.uniforms.uOffset.value : Math.random()
+      line && this.removeLine(id)
+      this.createLine(id, record, signature, offset)
+    })
+    this.options.data = records
+  }
+
+  /**
+   * 创建一条流向线
+   * @param {string} id - 流向id
+   * @param {Object} record - 流向记录
+   * @param {string} signature - 影响几何体的字段，用于判断是否需要重建
+   * @param {number} offset - 脉冲初始相位（0-1）
+   */
+  createLine(id, record, signature, offset) {
+    let { radius, colors, segments, radialSegments, pickRadius, speed, pulseLength, opacity, baseOpacity } = this.options
+    let weight = this.getWeight(record)
+
+    let curve = this.createCurve(record, weight)
+    let length = curve.getLength()
+    let tubeRadius = radius[0] + (radius[1] - radius[0]) * weight
+    let color = record.color !== undefined
+      ? new Color(record.color)
+      : new Color(colors[0]).lerp(new Color(colors[1]), weight)
+
+    let uniforms = {
+      uTime: this.timeUniform,
+      // 每秒前进的比例：世界坐标速度按曲线长度和脉冲长度换算
+      uSpeed: { value: (record.speed !== undefined ? record.speed : speed) / (length * (1 + pulseLength) || 1) },
+      uOffset: { value: offset },
+      uLength: { value: pulseLength },
+      uColor: { value: color },
+      uOpacity: { value: opacity },
+      uBaseOpacity: { value: baseOpacity },
+    }
+    let material = new ShaderMaterial({
+      uniforms,
+      vertexShader: FLOW_VERTEX_SHADER,
+      fragmentShader: FLOW_FRAGMENT_SHADER,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false,
+      blending: AdditiveBlending,
+    })
+    let mesh = new Mesh(new TubeGeometry(curve, segments, tubeRadius, radialSegments, false), material)
+    mesh.renderOrder = 21
+    mesh.userData.flowId = id
+
+    // 拾取管道比显示的线更粗，细线也容易悬停
+    let pick = new Mesh(new TubeGeometry(curve, Math.ceil(segments / 2), Math.max(tubeRadius, pickRadius), 6, false), this.pickMaterial)
+    pick.userData.flowId = id
+    pick.userData.flow = record
+
+    this.instance.add(mesh, pick)
+    this.pickObjects.push(pick)
+    this.lines.set(id, { record, mesh, pick, uniforms, signature })
+    return mesh
+  }
+
+  /**
+   * 由起讫点生成弧线：弧顶在中点上方，高度随距离和权重变化
+   * @param {Object} record - 流向记录
+   * @param {number} weight - 归一化权重（0-1）
+   * @returns {QuadraticBezierCurve3}
+   */
+  createCurve(record, weight) {
+    let { heightRatio, weightHeight, minHeight, maxHeight } = this.options
+    let [fromX, fromY] = this.geoProjection(record.from)
+    let [toX, toY] = this.geoProjection(record.to)
+    let start = new Vector3(fromX, -fromY, 0)
+    let end = new Vector3(toX, -toY, 0)
+
+    let height = start.distanceTo(end) * heightRatio * (1 - weightHeight + weightHeight * weight)
+    let middle = new Vector3().addVectors(start, end).multiplyScalar(0.5)
+    middle.setZ(Math.min(Math.max(height, minHeight), maxHeight))
+    return new QuadraticBezierCurve3(start, middle, end)
+  }
+
+  /**
+   * 权重按当前数据范围归一化，所有权重相同时视为最大
+   * @param {Object} record - 流向记录
+   * @returns {number} 0-1
+   */
+  getWeight(record) {
+    let [min, max] = this.range
+    return max > min ? ((Number(record.value) || 0) - min) / (max - min) : 1
+  }
+
+  /**
+   * 移除一条流向线
+   * @param {string} id - 流向id
+   */
+  removeLine(id) {
+    let line = this.lines.get(id)
+    if (!line) return
+    line.mesh.removeFromParent()
+    line.mesh.geometry.dispose()
+    line.mesh.material.dispose()
+    line.pick.removeFromParent()
+    line.pick.geometry.dispose()
+    this.pickObjects = this.pickObjects.filter((pick) => pick !== line.pick)
+    this.lines.delete(id)
+  }
+
+  /**
+   * 按id查找流向记录
+   * @param {string} id - 流向id
+   * @returns {Object|null}
+   */
+  getFlow(id) {
+    let line = this.lines.get(String(id))
+    return line ? line.record : null
+  }
+
+  /**
+   * 设置整体不透明度
+   * @param {number} opacity - 不透明度
+   */
+  setOpacity(opacity) {
+    this.options.opacity = opacity
+    this.lines.forEach((line) => (line.uniforms.uOpacity.value = opacity))
+  }
+
+  /**
+   * 获取流向线组实例
+   * @returns {Group}
+   */
+  getInstance() {
+    return this.instance
+  }
+
+  /**
+   * 将流向线添加到父对象
+   * @param {Object3D} parent - 父级3D对象
+   */
+  setParent(parent) {
+    parent.add(this.instance)
+  }
+
+  /**
+   * 设置显示/隐藏状态，隐藏时暂停脉冲动画
+   * @param {boolean} bool - true显示，false隐藏
+   */
+  set visible(bool) {
+    this.instance.visible = bool
+    this.run = bool
+  }
+
+  /**
+   * 销毁流向线，释放几何体和材质
+   */
+  destroy() {
+    this.time.off("tick", this.onTick)
+    Array.from(this.lines.keys()).forEach((id) => this.removeLine(id))
+    this.pickMaterial.dispose()
+    this.instance.removeFromParent()
+  }
+}
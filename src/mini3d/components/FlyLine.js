@@ -79,37 +79,14 @@ export class FlyLine {
    * 根据数据创建从中心点到各目标点的飞线
    */
   init() {
-    const { centerPoint, material, texture, segments, radius, radialSegments, data, speed, middleHeight } = this.options
+    const { centerPoint, texture, data, speed } = this.options
 
     // 将中心点地理坐标转换为3D世界坐标
     let [centerX, centerY] = this.geoProjection(centerPoint)
-    let centerPointVec = new Vector3(centerX, -centerY, 0)
+    this.centerPointVec = new Vector3(centerX, -centerY, 0)
 
     // 为每个目标点创建飞线
-    data.map((city) => {
-      // 将目标点地理坐标转换为3D世界坐标
-      let [x, y] = this.geoProjection(city.centroid)
-      let point = new Vector3(x, -y, 0)
-      
-      // 计算弧形中点位置
-      const center = new Vector3()
-      center.addVectors(centerPointVec, point).multiplyScalar(0.5)  // 取两点中点
-      center.setZ(middleHeight)  // 设置弧形高度
-      
-      // 创建二次贝塞尔曲线（起点 -> 弧顶 -> 终点）
-      const curve = new QuadraticBezierCurve3(centerPointVec, center, point)
-      
-      // 沿曲线创建管道几何体
-      const tubeGeometry = new TubeGeometry(curve, segments, radius, radialSegments, false)
-      
-      // 创建飞线网格对象
-      const mesh = new Mesh(tubeGeometry, material)
-      mesh.position.set(0, 0, 0)     // 重置位置
-      mesh.renderOrder = 21           // 设置渲染顺序（较高值后渲染）
-      
-      // 添加到飞线组
-      this.instance.add(mesh)
-    })
+    data.map((city) => this.createLine(city))
 
     // 启动纹理动画
     this.time.on("tick", () => {
@@ -120,6 +97,59 @@ export class FlyLine {
     })
   }
 
+  /**
+   * 创建一条从中心点到目标点的飞线
+   * @param {Object} city - 目标点数据，包含centroid（经纬度）和adcode
+   * @returns {Mesh} 飞线网格对象
+   */
+  createLine(city) {
+    const { material, segments, radius, radialSegments, middleHeight } = this.options
+    let centerPointVec = this.centerPointVec
+
+    // 将目标点地理坐标转换为3D世界坐标
+    let [x, y] = this.geoProjection(city.centroid)
+    let point = new Vector3(x, -y, 0)
+    
+    // 计算弧形中点位置
+    const center = new Vector3()
+    center.addVectors(centerPointVec, point).multiplyScalar(0.5)  // 取两点中点
+    center.setZ(middleHeight)  // 设置弧形高度
+    
+    // 创建二次贝塞尔曲线（起点 -> 弧顶 -> 终点）
+    const curve = new QuadraticBezierCurve3(centerPointVec, center, point)
+    
+    // 沿曲线创建管道几何体
+    const tubeGeometry = new TubeGeometry(curve, segments, radius, radialSegments, false)
+    
+    // 创建飞线网格对象
+    const mesh = new Mesh(tubeGeometry, material)
+    mesh.position.set(0, 0, 0)     // 重置位置
+    mesh.renderOrder = 21           // 设置渲染顺序（较高值后渲染）
+    mesh.userData.adcode = city.adcode
+    
+    // 添加到飞线组
+    this.instance.add(mesh)
+    return mesh
+  }
+
+  /**
+   * 更新飞线数据
+   * 按adcode比对，只创建新增的飞线、移除不再存在的飞线，已有的飞线保持不变
+   * @param {Array} data - 目标点数据数组
+   */
+  setData(data) {
+    let adcodes = new Set(data.map((city) => city.adcode))
+    this.instance.children.slice().map((mesh) => {
+      if (!adcodes.has(mesh.userData.adcode)) {
+        mesh.removeFromParent()
+        mesh.geometry.dispose()
+      }
+    })
+    let existing = new Set(this.instance.children.map((mesh) => mesh.userData.adcode))
+    data.map((city) => existing.has(city.adcode) || this.createLine(city))
+    this.options.data = data
+  }
+
   /**
    * 获取飞线组实例
    * @returns {Group} 飞线组对象
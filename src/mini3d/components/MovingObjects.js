@@ -0,0 +1,491 @@
+/**
+ * 移动对象组件
+ * 在地图上显示车辆、船舶等按带时间戳的定位点（GPS fix）移动的对象
+ *
+ * 主要功能：
+ * - 按时刻在相邻定位点之间插值位置，第一个定位点之前和最后一个之后停在端点
+ * - 指定路径（route）的对象先把定位点投影到路径上，再沿路径插值，朝向为路径切线方向
+ * - 未指定路径或定位点离路径过远时按直线插值，朝向为前后定位点的连线方向
+ * - 平放在地图上的图标（默认箭头）或 glTF 模型，随朝向旋转
+ * - 跟随对象的渐隐尾迹
+ * - 不可见的拾取球体，便于鼠标拾取（userData.objectId 为对象id）
+ *
+ * 技术实现：
+ * - 路径曲线按等弧长采样为折线，定位点投影为沿路径的弧长，插值弧长后取折线上的点
+ * - 尾迹为顶点颜色渐变的 Line，加法混合，越旧的点越暗
+ * - 组件不订阅时间，由外部按任意时钟（实时、回放）调用 update(time)
+ *
+ * 坐标约定：对象位于组件组的 XY 平面（z = 0），与 PathLine 的曲线一致
+ *
+ * @example
+ * const objects = new MovingObjects(mini3d, {
+ *   data: [
+ *     { id: "truck-1", time: 0, lng: 116.41, lat: 39.9, route: 0, name: "京A-12345" },
+ *     { id: "truck-1", time: 60, lng: 117.15, lat: 35.29, route: 0 },
+ *   ],
+ *   routes: pathLine.curves,
+ * })
+ * objects.setParent(scene)
+ * objects.update(30)
+ */
+
+import {
+  Group,
+  Color,
+  Mesh,
+  PlaneGeometry,
+  SphereGeometry,
+  MeshBasicMaterial,
+  BufferGeometry,
+  BufferAttribute,
+  Line,
+  LineBasicMaterial,
+  CanvasTexture,
+  AdditiveBlending,
+} from "three"
+
+/**
+ * 把曲线按等弧长采样为折线
+ * @param {Curve} curve - 路径曲线
+ * @param {number} samples - 采样段数
+ * @returns {{points: Array<Vector3>, lengths: Array<number>}} 折线点和各点的累计弧长
+ */
+function sampleRoute(curve, samples) {
+  let points = curve.getSpacedPoints(samples)
+  let lengths = [0]
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + points[i].distanceTo(points[i - 1]))
+  }
+  return { points, lengths }
+}
+
+/**
+ * 点在折线上的投影
+ * @param {Object} route - sampleRoute 的结果
+ * @param {number} x - 点的x坐标
+ * @param {number} y - 点的y坐标
+ * @returns {{s: number, distance: number}} 投影点的弧长和点到折线的距离
+ */
+function projectOnRoute(route, x, y) {
+  let { points, lengths } = route
+  let result = { s: 0, distance: Infinity }
+  for (let i = 0; i < points.length - 1; i++) {
+    let a = points[i]
+    let b = points[i + 1]
+    let dx = b.x - a.x
+    let dy = b.y - a.y
+    let length2 = dx * dx + dy * dy
+    let t = length2 > 0 ? Math.min(Math.max(((x - a.x) * dx + (y - a.y) * dy) / length2, 0), 1) : 0
+    let distance = Math.hypot(x - (a.x + dx * t), y - (a.y + dy * t))
+    if (distance < result.distance) {
+      result = { s: lengths[i] + (lengths[i + 1] - lengths[i]) * t, distance }
+    }
+  }
+  return result
+}
+
+/**
+ * 折线上指定弧长处的点和切线角度
+ * @param {Object} route - sampleRoute 的结果
+ * @param {number} s - 弧长
+ * @returns {{x: number, y: number, angle: number}}
+ */
+function pointAtLength(route, s) {
+  let { points, lengths } = route
+  let low = 0
+  let high = lengths.length - 1
+  while (high - low > 1) {
+    let middle = (low + high) >> 1
+    lengths[middle] <= s ? (low = middle) : (high = middle)
+  }
+  let a = points[low]
+  let b = points[high]
+  let span = lengths[high] - lengths[low]
+  let t = span > 0 ? Math.min(Math.max((s - lengths[low]) / span, 0), 1) : 0
+  return {
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    angle: Math.atan2(b.y - a.y, b.x - a.x),
+  }
+}
+
+/**
+ * 默认图标：指向 +X 的箭头
+ * @returns {CanvasTexture}
+ */
+function createArrowTexture() {
+  let canvas = document.createElement("canvas")
+  canvas.width = canvas.height = 64
+  let ctx = canvas.getContext("2d")
+  ctx.fillStyle = "#ffffff"
+  ctx.beginPath()
+  ctx.moveTo(60, 32)
+  ctx.lineTo(8, 6)
+  ctx.lineTo(20, 32)
+  ctx.lineTo(8, 58)
+  ctx.closePath()
+  ctx.fill()
+  return new CanvasTexture(canvas)
+}
+
+export class MovingObjects {
+  /**
+   * 构造函数
+   * @param {Object} dependencies - 依赖对象
+   * @param {Function} dependencies.geoProjection - 地理坐标投影函数
+   * @param {Object} options - 配置选项
+   * @param {Array<Object>} options.data - 定位记录 [{ id, time, lng, lat, route, name, color }]，time 为数值，
+   *   同一 id 的记录组成一个对象的轨迹，route、name、color 取该对象最后一条带有该字段的记录
+   * @param {Array<Curve>} options.routes - 路径曲线，记录的 route 为其中的序号
+   * @param {number} options.snapDistance - 定位点离路径超过该距离时不吸附到路径
+   * @param {number} options.routeSamples - 路径曲线的采样段数
+   * @param {number} options.maxFixes - 每个对象最多保留的定位点数，超出时丢弃最早的
+   * @param {number} options.size - 图标边长，拾取球体半径为其0.6倍
+   * @param {string|number} options.color - 默认颜色（图标和尾迹）
+   * @param {Texture} options.texture - 图标纹理，默认为箭头；图标朝 +X 方向
+   * @param {Object3D} options.model - 模型模板，每个对象克隆一份，代替图标
+   * @param {number} options.modelScale - 模型缩放
+   * @param {Array<number>} options.modelRotation - 模型的初始旋转 [x, y, z]，默认把 Y 轴朝上的模型立在地图平面上
+   * @param {number} options.headingOffset - 朝向的附加旋转（弧度），模型以 +Z 为前方时设为 Math.PI / 2
+   * @param {boolean} options.trail - 是否显示尾迹
+   * @param {number} options.trailLength - 尾迹的最大点数
+   * @param {number} options.trailStep - 尾迹相邻点的最小间距
+   * @param {number} options.trailOpacity - 尾迹不透明度
+   * @param {number} options.renderOrder - 渲染顺序
+   */
+  constructor({ geoProjection }, options) {
+    this.geoProjection = geoProjection
+    this.instance = new Group()
+    this.instance.name = "movingObjects"
+
+    let defaultOptions = {
+      data: [],
+      routes: [],
+      snapDistance: 1.5,
+      routeSamples: 400,
+      maxFixes: 500,
+      size: 1.2,
+      color: "#ffd36b",
+      texture: null,
+      model: null,
+      modelScale: 1,
+      modelRotation: [Math.PI / 2, 0, 0],
+      headingOffset: 0,
+      trail: true,
+      trailLength: 60,
+      trailStep: 0.05,
+      trailOpacity: 0.8,
+      renderOrder: 30,
+    }
+    this.options = Object.assign({}, defaultOptions, options)
+
+    // id -> { id, record, records, route, fixes, group, body, pick, trail, material, heading, time }
+    this.objects = new Map()
+    this.pickObjects = []
+    // 已采样的路径，键为路径序号
+    this.routeCache = new Map()
+
+    let { size, texture, model } = this.options
+    this.iconGeometry = new PlaneGeometry(size, size)
+    this.texture = texture || (model ? null : createArrowTexture())
+    this.pickGeometry = new SphereGeometry(size * 0.6, 12, 8)
+    // 不可见但仍参与射线拾取
+    this.pickMaterial = new MeshBasicMaterial({ visible: false })
+
+    this.setData(this.options.data)
+  }
+
+  /**
+   * 替换全部定位记录，按 id 增量更新：已有对象保留尾迹和朝向
+   * @param {Array<Object>} records - 定位记录
+   */
+  setData(records = []) {
+    let grouped = new Map()
+    records.forEach((record) => {
+      if (record.id === undefined || !Number.isFinite(record.time)) return
+      let id = String(record.id)
+      grouped.has(id) || grouped.set(id, [])
+      grouped.get(id).push(record)
+    })
+
+    Array.from(this.objects.keys()).forEach((id) => grouped.has(id) || this.removeObject(id))
+    grouped.forEach((list, id) => {
+      let object = this.objects.get(id) || this.createObject(id)
+      this.setFixes(object, list)
+    })
+
+    this.options.data = records
+    this.pickObjects = [...this.objects.values()].map((object) => object.pick)
+  }
+
+  /**
+   * 创建对象的图标（或模型）、拾取球体和尾迹
+   * @param {string} id - 对象id
+   * @returns {Object}
+   */
+  createObject(id) {
+    let { model, modelScale, modelRotation, trail, trailLength, trailOpacity, renderOrder } = this.options
+
+    let group = new Group()
+    let body = new Group()
+    let material = null
+    if (model) {
+      let clone = model.clone(true)
+      clone.scale.setScalar(modelScale)
+      clone.rotation.set(...modelRotation)
+      body.add(clone)
+    } else {
+      material = new MeshBasicMaterial({ map: this.texture, transparent: true, depthTest: false, fog: false })
+      let icon = new Mesh(this.iconGeometry, material)
+      icon.renderOrder = renderOrder + 1
+      body.add(icon)
+    }
+    group.add(body)
+
+    let pick = new Mesh(this.pickGeometry, this.pickMaterial)
+    pick.userData.objectId = id
+    group.add(pick)
+    this.instance.add(group)
+
+    let object = { id, record: {}, records: [], route: null, fixes: [], group, body, pick, material, trail: null, heading: 0, time: null }
+    if (trail) {
+      let geometry = new BufferGeometry()
+      geometry.setAttribute("position", new BufferAttribute(new Float32Array((trailLength + 1) * 3), 3))
+      geometry.setAttribute("color", new BufferAttribute(new Float32Array((trailLength + 1) * 3), 3))
+      geometry.setDrawRange(0, 0)
+      let line = new Line(
+        geometry,
+        new LineBasicMaterial({
+          vertexColors: true,
+          transparent: true,
+          opacity: trailOpacity,
+          depthTest: false,
+          blending: AdditiveBlending,
+        })
+      )
+      line.renderOrder = renderOrder
+      line.frustumCulled = false
+      this.instance.add(line)
+      object.trail = { line, points: [], color: new Color() }
+    }
+
+    this.objects.set(id, object)
+    return object
+  }
+
+  /**
+   * 设置对象的定位点
+   * @param {Object} object - 对象
+   * @param {Array<Object>} records - 该对象的定位记录
+   */
+  setFixes(object, records) {
+    let { maxFixes, snapDistance, color } = this.options
+
+    // 同一时刻保留后出现的记录
+    let byTime = new Map()
+    records.forEach((record) => byTime.set(record.time, record))
+    let sorted = [...byTime.values()].sort((a, b) => a.time - b.time).slice(-maxFixes)
+
+    object.records = sorted
+    object.record = Object.assign({ id: object.id }, ...sorted)
+    let route = object.record.route !== undefined ? this.getRoute(Number(object.record.route)) : null
+    object.route = route
+    object.fixes = sorted.map((record) => {
+      let [x, y] = this.geoProjection([record.lng, record.lat])
+      let fix = { time: record.time, x, y: -y, s: null }
+      if (route) {
+        let projection = projectOnRoute(route, fix.x, fix.y)
+        projection.distance <= snapDistance && (fix.s = projection.s)
+      }
+      return fix
+    })
+
+    let objectColor = object.record.color || color
+    object.material && object.material.color.set(objectColor)
+    object.trail && object.trail.color.set(objectColor)
+  }
+
+  /**
+   * 获取采样后的路径
+   * @param {number} index - 路径序号
+   * @returns {Object|null}
+   */
+  getRoute(index) {
+    let curve = this.options.routes[index]
+    if (!curve) return null
+    this.routeCache.has(index) || this.routeCache.set(index, sampleRoute(curve, this.options.routeSamples))
+    return this.routeCache.get(index)
+  }
+
+  /**
+   * 对象在指定时刻的位置和朝向
+   * @param {Object} object - 对象
+   * @param {number} time - 时刻
+   * @returns {{x: number, y: number, angle: number|null}|null} 没有定位点时为null，静止时 angle 为null
+   */
+  sample(object, time) {
+    let fixes = object.fixes
+    if (!fixes.length) return null
+    if (fixes.length === 1) return this.interpolate(object, fixes[0], fixes[0], 0)
+    if (time <= fixes[0].time) return this.interpolate(object, fixes[0], fixes[1], 0)
+    let last = fixes.length - 1
+    if (time >= fixes[last].time) return this.interpolate(object, fixes[last - 1], fixes[last], 1)
+
+    let low = 0
+    let high = last
+    while (high - low > 1) {
+      let middle = (low + high) >> 1
+      fixes[middle].time <= time ? (low = middle) : (high = middle)
+    }
+    let from = fixes[low]
+    let to = fixes[high]
+    return this.interpolate(object, from, to, (time - from.time) / (to.time - from.time))
+  }
+
+  /**
+   * 两个定位点之间按比例插值
+   * @param {Object} object - 对象
+   * @param {Object} from - 前一个定位点
+   * @param {Object} to - 后一个定位点
+   * @param {number} t - 比例（0-1）
+   * @returns {{x: number, y: number, angle: number|null}}
+   */
+  interpolate(object, from, to, t) {
+    if (object.route && from.s !== null && to.s !== null) {
+      let point = pointAtLength(object.route, from.s + (to.s - from.s) * t)
+      let angle = to.s === from.s ? null : to.s > from.s ? point.angle : point.angle + Math.PI
+      return { x: point.x, y: point.y, angle }
+    }
+    let dx = to.x - from.x
+    let dy = to.y - from.y
+    return {
+      x: from.x + dx * t,
+      y: from.y + dy * t,
+      angle: dx || dy ? Math.atan2(dy, dx) : null,
+    }
+  }
+
+  /**
+   * 把所有对象更新到指定时刻，时刻倒退时清空尾迹
+   * @param {number} time - 时刻，与定位记录的 time 同一单位
+   */
+  update(time) {
+    let { headingOffset } = this.options
+    this.objects.forEach((object) => {
+      let state = this.sample(object, time)
+      if (!state) return
+      object.group.position.set(state.x, state.y, 0)
+      state.angle !== null && (object.heading = state.angle)
+      object.body.rotation.z = object.heading + headingOffset
+
+      if (object.trail) {
+        object.time !== null && time < object.time && (object.trail.points = [])
+        this.updateTrail(object)
+      }
+      object.time = time
+    })
+  }
+
+  /**
+   * 记录尾迹点并重写尾迹几何体，最新的点最亮
+   * @param {Object} object - 对象
+   */
+  updateTrail(object) {
+    let { trailLength, trailStep } = this.options
+    let { points, line, color } = object.trail
+    let { x, y } = object.group.position
+
+    let previous = points[points.length - 1]
+    if (!previous || Math.hypot(x - previous[0], y - previous[1]) >= trailStep) {
+      points.push([x, y])
+      points.length > trailLength && points.shift()
+    }
+
+    let position = line.geometry.attributes.position
+    let colors = line.geometry.attributes.color
+    // 最后一个顶点始终为当前位置，尾迹与对象不脱节
+    let vertices = points.concat([[x, y]])
+    vertices.forEach(([px, py], index) => {
+      let fade = vertices.length > 1 ? index / (vertices.length - 1) : 1
+      position.setXYZ(index, px, py, 0)
+      colors.setXYZ(index, color.r * fade, color.g * fade, color.b * fade)
+    })
+    position.needsUpdate = true
+    colors.needsUpdate = true
+    line.geometry.setDrawRange(0, vertices.length)
+  }
+
+  /**
+   * 清空所有尾迹
+   */
+  clearTrails() {
+    this.objects.forEach((object) => {
+      if (!object.trail) return
+      object.trail.points = []
+      object.trail.line.geometry.setDrawRange(0, 0)
+    })
+  }
+
+  /**
+   * 获取对象
+   * @param {string} id - 对象id
+   * @returns {Object|undefined} { id, record, group, heading, ... }，record 为合并后的对象信息
+   */
+  getObject(id) {
+    return this.objects.get(String(id))
+  }
+
+  /**
+   * 移除对象
+   * @param {string} id - 对象id
+   */
+  removeObject(id) {
+    let object = this.objects.get(id)
+    if (!object) return
+    this.instance.remove(object.group)
+    object.material && object.material.dispose()
+    if (object.trail) {
+      this.instance.remove(object.trail.line)
+      object.trail.line.geometry.dispose()
+      object.trail.line.material.dispose()
+    }
+    this.objects.delete(id)
+  }
+
+  /**
+   * 获取组实例
+   * @returns {Group}
+   */
+  getInstance() {
+    return this.instance
+  }
+
+  /**
+   * 将组件添加到父对象
+   * @param {Object3D} parent - 父级3D对象
+   */
+  setParent(parent) {
+    parent.add(this.instance)
+  }
+
+  /**
+   * 设置显示/隐藏
+   * @param {boolean} bool - true显示，false隐藏
+   */
+  set visible(bool) {
+    this.instance.visible = bool
+  }
+
+  /**
+   * 销毁组件，模型模板和外部传入的纹理由调用方管理
+   */
+  destroy() {
+    Array.from(this.objects.keys()).forEach((id) => this.removeObject(id))
+    this.pickObjects = []
+    this.iconGeometry.dispose()
+    this.pickGeometry.dispose()
+    this.pickMaterial.dispose()
+    this.texture && !this.options.texture && this.texture.dispose()
+    this.instance.removeFromParent()
+  }
+}
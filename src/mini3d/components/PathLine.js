@@ -45,6 +45,7 @@ export class PathLine {
     this.geoProjection = geoProjection  // 地理坐标投影函数
     this.instance = new Group()         // 路径线组容器
     this.run = true                     // 动画运行状态
+    this.curves = []                    // 各路径的曲线（与 data 的顺序一致），供沿路径运动的对象使用
     
     // 默认配置选项
     let defaultOptions = {
@@ -95,6 +96,7 @@ export class PathLine {
       // 使用Catmull-Rom曲线创建平滑路径
       // Catmull-Rom曲线会通过所有控制点，生成平滑的插值曲线
       const curve = new CatmullRomCurve3(pathPoint)
+      this.curves.push(curve)
       
       // 沿曲线创建管道几何体
       const tubeGeometry = new TubeGeometry(curve, segments, radius, radialSegments, false)
@@ -117,6 +119,20 @@ export class PathLine {
     })
   }
 
+  /**
+   * 设置单条路径的显示进度，从起点开始只绘制前一部分（用于轨迹回放）
+   * @param {number} index - 路径序号（与 data 的顺序一致）
+   * @param {number} progress - 进度（0-1），1为完整路径
+   */
+  setProgress(index, progress) {
+    let mesh = this.instance.children[index]
+    if (!mesh) return
+    // 管道的索引按曲线分段依次排列，每段包含 径向分段数 × 6 个索引
+    let { tubularSegments, radialSegments } = mesh.geometry.parameters
+    let segments = Math.round(Math.min(Math.max(progress, 0), 1) * tubularSegments)
+    mesh.geometry.setDrawRange(0, segments * radialSegments * 6)
+  }
+
   /**
    * 获取路径线组实例
    * @returns {Group} 路径线组对象
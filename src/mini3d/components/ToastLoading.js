@@ -6,6 +6,8 @@
  * - 全屏加载遮罩层
  * - 动态加载动画效果
  * - 显示/隐藏控制
+ * - 错误/提示消息展示（自动消失）
+ * - 加载进度百分比，可直接跟踪 Resource 的合并进度（track）
  * - DOM元素的生命周期管理
  * 
  * 技术实现：
@@ -26,6 +28,11 @@ export class ToastLoading {
    */
   constructor() {
     this.toastNode = null;  // 加载提示DOM节点
+    this.messageNode = null; // 提示消息DOM节点
+    this.messageTimer = null; // 提示消息自动隐藏定时器
+    this.progressNode = null; // 进度文字DOM节点
+    this.visible = false;     // 是否由 show/hide 显示
+    this.progressing = false; // 是否正在显示进度
     this.init();            // 初始化DOM结构
   }
   
@@ -49,7 +56,9 @@ export class ToastLoading {
     <div class="page-loading-container">
       <div class="page-loading"></div>
     </div>
+    <div class="page-loading-progress"></div>
   `;
+    this.progressNode = this.toastNode.querySelector(".page-loading-progress");
 
     // 初始状态为隐藏
     this.toastNode.style.visibility = "hidden";
@@ -63,7 +72,8 @@ export class ToastLoading {
    * 将加载动画设置为可见状态
    */
   show() {
-    this.toastNode.style.visibility = "visible";
+    this.visible = true;
+    this.updateVisibility();
   }
   
   /**
@@ -71,11 +81,82 @@ export class ToastLoading {
    * 将加载动画设置为隐藏状态
    */
   hide() {
+    this.visible = false;
+    this.updateVisibility();
+  }
+
+  /**
+   * 显示加载进度
+   * 进度显示期间遮罩保持可见，结束后恢复 show/hide 的状态
+   * @param {number|null} value - 进度（0~1），null 表示结束进度显示
+   * @param {string} text - 可选，显示在百分比前的说明文字
+   */
+  progress(value, text = "") {
+    this.progressing = value !== null && value !== undefined;
+    if (this.progressNode) {
+      this.progressNode.textContent = this.progressing
+        ? `${text}${Math.round(Math.min(Math.max(value, 0), 1) * 100)}%`
+        : "";
+    }
+    this.updateVisibility();
+  }
+
+  /**
+   * 跟踪资源管理器的合并加载进度
+   * @param {Resource} resource - mini3d 资源管理器
+   * @param {string} text - 可选，进度说明文字，如 "资源加载中 "
+   * @returns {Function} 取消跟踪
+   */
+  track(resource, text = "") {
+    let onStart = () => this.progress(0, text);
+    let onProgress = (path, itemsLoaded, itemsTotal, progress) => this.progress(progress, text);
+    let onComplete = () => this.progress(null);
+    resource.on("onStart", onStart);
+    resource.on("onProgress", onProgress);
+    resource.on("onComplete", onComplete);
+    return () => {
+      resource.off("onStart", onStart);
+      resource.off("onProgress", onProgress);
+      resource.off("onComplete", onComplete);
+      this.progress(null);
+    };
+  }
+
+  /**
+   * 根据 show/hide 和进度状态更新遮罩可见性
+   * @private
+   */
+  updateVisibility() {
     if (this.toastNode) {
-      this.toastNode.style.visibility = "hidden";
+      this.toastNode.style.visibility = this.visible || this.progressing ? "visible" : "hidden";
     }
   }
   
+  /**
+   * 显示提示消息
+   * 用于把加载失败等信息告知用户，到时自动隐藏
+   * @param {string} text - 消息内容
+   * @param {Object} options - 配置参数
+   * @param {string} options.type - 消息类型：error | info
+   * @param {number} options.duration - 显示时长（毫秒），0表示不自动隐藏
+   */
+  message(text, { type = "error", duration = 3000 } = {}) {
+    if (!this.messageNode) {
+      this.messageNode = document.createElement("div");
+      document.body.appendChild(this.messageNode);
+    }
+    this.messageNode.className = `fixed-loading-message ${type}`;
+    this.messageNode.textContent = text;
+    this.messageNode.style.visibility = "visible";
+
+    clearTimeout(this.messageTimer);
+    if (duration > 0) {
+      this.messageTimer = setTimeout(() => {
+        this.messageNode && (this.messageNode.style.visibility = "hidden");
+      }, duration);
+    }
+  }
+
   /**
    * 销毁加载提示组件
    * 从DOM中移除元素，防止内存泄漏
@@ -85,5 +166,10 @@ export class ToastLoading {
       // 从页面中移除DOM元素
       document.body.removeChild(this.toastNode);
     }
+    clearTimeout(this.messageTimer);
+    if (this.messageNode) {
+      document.body.removeChild(this.messageNode);
+      this.messageNode = null;
+    }
   }
 }
@@ -8,8 +8,10 @@
  * - Plane: 平面几何组件，基础平面形状创建
  * - Particles: 粒子系统组件，动态粒子效果
  * - FlyLine: 飞线组件，3D空间中的动态连线效果
+ * - FlowLine: OD流向线组件，多对多起讫点连线，按权重缩放
  * - ToastLoading: 加载提示组件，3D场景加载状态显示
  * - PathLine: 路径线组件，路径轨迹可视化
+ * - MovingObjects: 移动对象组件，按定位点插值移动的车辆、船舶等，带尾迹
  * 
  * 设计特点：
  * - 模块化组件设计，易于组合使用
@@ -24,5 +26,7 @@ export * from "./Label3d"       // 3D标签组件
 export * from "./Plane"         // 平面几何组件
 export * from "./Particles"     // 粒子系统组件
 export * from "./FlyLine"       // 飞线效果组件
+export * from "./FlowLine"      // OD流向线组件
 export * from "./ToastLoading"  // 加载提示组件
 export * from "./PathLine"      // 路径线组件
+export * from "./MovingObjects" // 移动对象组件
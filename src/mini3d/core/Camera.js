@@ -6,12 +6,31 @@
  * - 创建透视相机并设置基本参数
  * - 集成轨道控制器(OrbitControls)提供交互功能
  * - 响应窗口尺寸变化自动调整相机参数
+ * - 视角书签：按名称保存、恢复相机位置、目标点和视野角度
+ * - 飞行动画：由每帧 update(delta) 推进，用户拖动相机时中断
  * - 管理相机的更新和销毁
+ *
+ * 视角格式：{ position: [x, y, z], target: [x, y, z], fov }，缺少的项保持当前值
+ *
+ * @example
+ * camera.saveBookmark("home")
+ * camera.flyTo({ position: [20, 60, 40], target: [10, 0, 5] }, { duration: 2 }).then((arrived) => {
+ *   arrived || console.log("被用户打断")
+ * })
+ * camera.flyTo("home")
  */
 
-import { PerspectiveCamera } from "three"
+import { PerspectiveCamera, Vector3, MathUtils } from "three"
 import { OrbitControls } from "three/examples/jsm/controls/OrbitControls"
 
+// 飞行动画的缓动函数，也可以直接传入 (t) => number
+export const CAMERA_EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t * t,
+  easeOut: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+}
+
 export class Camera {
   /**
    * 构造函数 - 初始化相机系统
@@ -24,6 +43,8 @@ export class Camera {
     this.sizes = sizes       // 尺寸管理器，用于获取画布尺寸
     this.scene = scene       // 3D场景对象
     this.canvas = canvas     // 画布DOM元素
+    this.bookmarks = new Map() // 视角书签，键为名称
+    this.flight = null       // 进行中的飞行动画
     
     // 初始化相机和控制器
     this.setInstance()
@@ -76,11 +97,198 @@ export class Camera {
     this.instance.updateProjectionMatrix()
   }
   
+  // ============ 视角书签 ============
+
+  /**
+   * 当前视角
+   * @returns {{position: Array<number>, target: Array<number>, fov: number}}
+   */
+  getView() {
+    return {
+      position: this.instance.position.toArray(),
+      target: this.controls.target.toArray(),
+      fov: this.instance.fov,
+    }
+  }
+
+  /**
+   * 立即切换到指定视角，打断进行中的飞行
+   * @param {Object|string} view - 视角或书签名称
+   */
+  setView(view) {
+    let { position, target, fov } = this.resolveView(view)
+    this.stopFlight()
+    this.instance.position.fromArray(position)
+    this.controls.target.fromArray(target)
+    this.setFov(fov)
+    this.controls.update()
+  }
+
+  /**
+   * 保存书签，同名书签被覆盖
+   * @param {string} name - 书签名称
+   * @param {Object} view - 视角，默认为当前视角
+   * @returns {Object} 保存的书签 { name, position, target, fov }
+   */
+  saveBookmark(name, view = this.getView()) {
+    let bookmark = Object.assign({ name }, this.resolveView(view))
+    this.bookmarks.set(name, bookmark)
+    return this.getBookmark(name)
+  }
+
+  /**
+   * 批量保存书签，如场景配置中的书签
+   * @param {Array<Object>|Object} bookmarks - [{ name, position, target, fov }] 或 { 名称: 视角 }
+   */
+  setBookmarks(bookmarks) {
+    let list = Array.isArray(bookmarks)
+      ? bookmarks
+      : Object.keys(bookmarks).map((name) => Object.assign({ name }, bookmarks[name]))
+    list.forEach(({ name, position, target, fov }) => this.saveBookmark(name, { position, target, fov }))
+  }
+
+  /**
+   * 获取书签的副本
+   * @param {string} name - 书签名称
+   * @returns {Object|undefined}
+   */
+  getBookmark(name) {
+    let bookmark = this.bookmarks.get(name)
+    return bookmark && JSON.parse(JSON.stringify(bookmark))
+  }
+
+  /**
+   * 全部书签的副本，可直接序列化为JSON
+   * @returns {Array<Object>}
+   */
+  getBookmarks() {
+    return [...this.bookmarks.keys()].map((name) => this.getBookmark(name))
+  }
+
+  /**
+   * 删除书签
+   * @param {string} name - 书签名称
+   */
+  removeBookmark(name) {
+    this.bookmarks.delete(name)
+  }
+
+  /**
+   * 立即恢复到书签视角
+   * @param {string} name - 书签名称
+   */
+  restoreBookmark(name) {
+    this.setView(name)
+  }
+
+  /**
+   * 解析视角：书签名称换成书签，缺少的项取当前值
+   * @param {Object|string} view - 视角或书签名称
+   * @returns {{position: Array<number>, target: Array<number>, fov: number}}
+   */
+  resolveView(view) {
+    if (typeof view === "string") {
+      if (!this.bookmarks.has(view)) {
+        throw new Error(`相机书签${view}不存在`)
+      }
+      view = this.bookmarks.get(view)
+    }
+    let current = this.getView()
+    return {
+      position: (view.position || current.position).slice(),
+      target: (view.target || current.target).slice(),
+      fov: view.fov !== undefined ? view.fov : current.fov,
+    }
+  }
+
+  /**
+   * 设置视野角度
+   * @param {number} fov - 视野角度（度）
+   */
+  setFov(fov) {
+    if (this.instance.fov === fov) return
+    this.instance.fov = fov
+    this.instance.updateProjectionMatrix()
+  }
+
+  // ============ 飞行动画 ============
+
+  /**
+   * 飞行到指定视角，位置、目标点和视野角度同时插值
+   * @param {Object|string} view - 视角或书签名称
+   * @param {Object} options - 配置参数
+   * @param {number} options.duration - 时长（秒），默认2，0为立即切换
+   * @param {string|Function} options.ease - 缓动，CAMERA_EASINGS 中的名称或函数，默认easeInOut
+   * @param {boolean} options.interruptible - 用户开始拖动相机时是否中断，默认true
+   * @returns {Promise<boolean>} 到达时为true，被中断或被新的飞行替换时为false
+   */
+  flyTo(view, options = {}) {
+    let { duration = 2, ease = "easeInOut", interruptible = true } = options
+    let to = this.resolveView(view)
+    this.stopFlight()
+
+    return new Promise((resolve) => {
+      let from = this.getView()
+      let flight = {
+        from: { position: new Vector3().fromArray(from.position), target: new Vector3().fromArray(from.target), fov: from.fov },
+        to: { position: new Vector3().fromArray(to.position), target: new Vector3().fromArray(to.target), fov: to.fov },
+        elapsed: 0,
+        duration,
+        ease: typeof ease === "function" ? ease : CAMERA_EASINGS[ease] || CAMERA_EASINGS.easeInOut,
+        resolve,
+        onInterrupt: null,
+      }
+      if (interruptible) {
+        flight.onInterrupt = () => this.stopFlight()
+        this.controls.addEventListener("start", flight.onInterrupt)
+      }
+      this.flight = flight
+      duration > 0 ? this.updateFlight(0) : this.updateFlight(Infinity)
+    })
+  }
+
+  /**
+   * 停止进行中的飞行，相机停在当前位置
+   */
+  stopFlight() {
+    this.flight && this.finishFlight(false)
+  }
+
+  /**
+   * 推进飞行动画
+   * @param {number} delta - 帧间时间差（秒）
+   * @private
+   */
+  updateFlight(delta) {
+    let flight = this.flight
+    flight.elapsed += delta
+    let progress = flight.duration > 0 ? Math.min(flight.elapsed / flight.duration, 1) : 1
+    let t = flight.ease(progress)
+    this.instance.position.lerpVectors(flight.from.position, flight.to.position, t)
+    this.controls.target.lerpVectors(flight.from.target, flight.to.target, t)
+    this.setFov(MathUtils.lerp(flight.from.fov, flight.to.fov, t))
+    progress >= 1 && this.finishFlight(true)
+  }
+
+  /**
+   * 结束飞行
+   * @param {boolean} arrived - 是否到达终点
+   * @private
+   */
+  finishFlight(arrived) {
+    let flight = this.flight
+    this.flight = null
+    flight.onInterrupt && this.controls.removeEventListener("start", flight.onInterrupt)
+    flight.resolve(arrived)
+  }
+
   /**
    * 每帧更新函数
-   * 更新轨道控制器，处理用户交互
+   * 推进飞行动画，更新轨道控制器，处理用户交互
+   * @param {number} delta - 帧间时间差（秒）
    */
-  update() {
+  update(delta = 0) {
+    this.flight && this.updateFlight(delta)
     // 更新控制器状态，处理阻尼效果
     this.controls.update()
   }
@@ -90,6 +298,7 @@ export class Camera {
    * 释放控制器资源，防止内存泄漏
    */
   destroy() {
+    this.stopFlight()
     // 销毁轨道控制器，移除事件监听器
     this.controls.dispose()
   }
@@ -0,0 +1,295 @@
+/**
+ * 相机巡游
+ * 按顺序飞行到一组视角（书签），每一站停留一段时间并执行附带的动作，用于无人值守的展厅大屏
+ *
+ * 主要功能：
+ * - 每一站独立的飞行时长、缓动和停留时间，可循环播放
+ * - 到站后执行动作（高亮区域、显示标签等），动作由 registerAction 注册，返回的函数在离站时调用以撤销效果
+ * - 播放、暂停、停止、上一站、下一站、跳转
+ * - 用户拖动相机时自动暂停，配置 idleResume 后空闲一段时间自动从当前站继续
+ *
+ * 站点格式：{ view, duration, ease, dwell, actions, name }
+ * - view：视角或书签名称，见 Camera.flyTo
+ * - duration：飞行时长（秒），默认3；ease：缓动，默认easeInOut
+ * - dwell：到站后停留的秒数，默认3
+ * - actions：到站后执行的动作 [{ type, ...参数 }]
+ *
+ * 派发的事件：
+ * - 'step'：{ index, step } 开始前往某一站
+ * - 'action'：{ action, step } 执行了一个动作
+ * - 'play' / 'pause'：{ reason } 播放状态变化，reason 为 user 或 interrupt（用户操作相机）
+ * - 'stop' / 'end'：停止或播放完毕（不循环时）
+ * - 'change'：状态变化，参数同 getState()
+ *
+ * @example
+ * const tour = new CameraTour(mini3d, {
+ *   steps: [
+ *     { view: "east", duration: 3, dwell: 5, actions: [{ type: "highlight", adcode: 310000 }] },
+ *     { view: { position: [0, 120, 80], target: [0, 0, 0] }, dwell: 3 },
+ *   ],
+ *   idleResume: 30,
+ * })
+ * tour.registerAction("highlight", ({ adcode }) => {
+ *   highlight(adcode)
+ *   return () => highlight(null)
+ * })
+ * tour.play()
+ */
+
+import { EventEmitter } from "../utils/EventEmitter"
+
+export class CameraTour extends EventEmitter {
+  /**
+   * 构造函数
+   * @param {Object} dependencies - 依赖对象
+   * @param {Camera} dependencies.camera - 相机管理器
+   * @param {Time} dependencies.time - 时间管理器，驱动停留计时
+   * @param {Object} options - 配置选项
+   * @param {Array<Object>} options.steps - 站点列表
+   * @param {boolean} options.loop - 是否循环，默认true
+   * @param {number} options.idleResume - 用户操作中断后空闲多少秒自动继续，0为不自动继续
+   * @param {Object<string, Function>} options.actions - 动作处理函数 { 类型: (action, step) => 撤销函数 }
+   */
+  constructor({ camera, time }, options = {}) {
+    super()
+    this.camera = camera
+    this.time = time
+    this.options = Object.assign({ steps: [], loop: true, idleResume: 0, actions: {} }, options)
+
+    // 动作类型 -> 处理函数
+    this.actions = new Map(Object.entries(this.options.actions))
+    // 当前站序号，未开始时为-1
+    this.index = -1
+    // 当前阶段：flight 飞行中，dwell 停留中
+    this.phase = null
+    // 本站已停留的秒数
+    this.elapsed = 0
+    this.playing = false
+    // 是否因用户操作相机而暂停，及之后的空闲秒数
+    this.interrupted = false
+    this.idle = 0
+    // 当前站动作的撤销函数
+    this.cleanups = []
+    // 每次发起飞行递增，丢弃过期的飞行结果
+    this.flightId = 0
+
+    this.onTick = (delta) => this.update(delta)
+    this.onControlStart = () => {
+      this.playing && this.pause("interrupt")
+      this.idle = 0
+    }
+    // 中断后用户仍在操作（含阻尼）时重新计算空闲时间
+    this.onControlChange = () => {
+      this.interrupted && (this.idle = 0)
+    }
+    this.time.on("tick", this.onTick)
+    this.camera.controls.addEventListener("start", this.onControlStart)
+    this.camera.controls.addEventListener("change", this.onControlChange)
+  }
+
+  /**
+   * 注册动作
+   * @param {string} type - 动作类型
+   * @param {Function} handler - (action, step) => 撤销函数（可选）
+   */
+  registerAction(type, handler) {
+    this.actions.set(type, handler)
+  }
+
+  /**
+   * 开始或继续播放
+   * 手动暂停后在停留阶段继续计时；用户操作中断后重新飞回当前站
+   */
+  play() {
+    let { steps } = this.options
+    if (this.playing || !steps.length) return
+    let interrupted = this.interrupted
+    this.playing = true
+    this.interrupted = false
+    this.emit("play", { reason: interrupted ? "interrupt" : "user" })
+    if (this.index < 0 || !this.phase) {
+      // 未开始或已播放完毕，从第一站开始
+      this.goto(0)
+    } else if (this.phase === "flight" || interrupted) {
+      this.goto(this.index)
+    } else {
+      this._emitChange()
+    }
+  }
+
+  /**
+   * 暂停，当前站的动作保持
+   * @param {string} reason - 原因：user 或 interrupt
+   */
+  pause(reason = "user") {
+    if (!this.playing) return
+    this.playing = false
+    this.interrupted = reason === "interrupt"
+    this.idle = 0
+    if (this.phase === "flight") {
+      this.flightId++
+      this.camera.stopFlight()
+    }
+    this.emit("pause", { reason })
+    this._emitChange()
+  }
+
+  /**
+   * 停止并撤销当前站的动作，再次播放时从第一站开始
+   */
+  stop() {
+    let active = this.playing || this.index >= 0
+    this.playing && this.pause()
+    this._cleanup()
+    this.index = -1
+    this.phase = null
+    this.interrupted = false
+    if (active) {
+      this.emit("stop")
+      this._emitChange()
+    }
+  }
+
+  /**
+   * 前往下一站
+   */
+  next() {
+    let total = this.options.steps.length
+    total && this.goto((this.index + 1) % total)
+  }
+
+  /**
+   * 前往上一站
+   */
+  previous() {
+    let total = this.options.steps.length
+    total && this.goto((Math.max(this.index, 0) - 1 + total) % total)
+  }
+
+  /**
+   * 前往指定站：播放中飞行过去，暂停时立即切换并执行动作
+   * @param {number} index - 站序号
+   */
+  goto(index) {
+    let step = this.options.steps[index]
+    if (!step) return
+    this._cleanup()
+    this.index = index
+    this.phase = "flight"
+    this.elapsed = 0
+    this.emit("step", { index, step })
+
+    if (!this.playing) {
+      this.camera.setView(step.view)
+      this._arrive()
+      return
+    }
+
+    let flightId = ++this.flightId
+    let { duration = 3, ease } = step
+    this.camera.flyTo(step.view, { duration, ease }).then((arrived) => {
+      if (flightId !== this.flightId) return
+      // 被其他飞行替换时也视为中断
+      arrived ? this._arrive() : this.pause("interrupt")
+    })
+    this._emitChange()
+  }
+
+  /**
+   * 当前状态
+   * @returns {{playing: boolean, index: number, total: number, phase: string|null, name: string|undefined, interrupted: boolean}}
+   */
+  getState() {
+    let step = this.options.steps[this.index]
+    return {
+      playing: this.playing,
+      index: this.index,
+      total: this.options.steps.length,
+      phase: this.phase,
+      name: step && step.name,
+      interrupted: this.interrupted,
+    }
+  }
+
+  /**
+   * 每帧更新：停留计时和空闲自动继续
+   * @param {number} delta - 帧间时间差（秒）
+   */
+  update(delta) {
+    let { idleResume, steps, loop } = this.options
+    if (this.interrupted && idleResume > 0) {
+      this.idle += delta
+      this.idle >= idleResume && this.play()
+    }
+    if (!this.playing || this.phase !== "dwell") return
+
+    this.elapsed += delta
+    let { dwell = 3 } = steps[this.index]
+    if (this.elapsed < dwell) return
+    if (this.index + 1 < steps.length || loop) {
+      this.next()
+    } else {
+      this.playing = false
+      this._cleanup()
+      this.phase = null
+      this.emit("end")
+      this._emitChange()
+    }
+  }
+
+  /**
+   * 到站：进入停留阶段并执行动作
+   * @private
+   */
+  _arrive() {
+    let step = this.options.steps[this.index]
+    this.phase = "dwell"
+    this.elapsed = 0
+    let actions = step.actions || []
+    actions.forEach((action) => {
+      let handler = this.actions.get(action.type)
+      if (!handler) {
+        console.warn(`[CameraTour] 未注册的动作类型: ${action.type}`)
+        return
+      }
+      let cleanup = handler(action, step)
+      typeof cleanup === "function" && this.cleanups.push(cleanup)
+      this.emit("action", { action, step })
+    })
+    this._emitChange()
+  }
+
+  /**
+   * 撤销当前站的动作
+   * @private
+   */
+  _cleanup() {
+    let cleanups = this.cleanups
+    this.cleanups = []
+    cleanups.forEach((cleanup) => cleanup())
+  }
+
+  /**
+   * @private
+   */
+  _emitChange() {
+    this.emit("change", this.getState())
+  }
+
+  /**
+   * 销毁巡游，撤销动作并移除监听
+   */
+  destroy() {
+    this.stop()
+    this.time.off("tick", this.onTick)
+    this.camera.controls.removeEventListener("start", this.onControlStart)
+    this.camera.controls.removeEventListener("change", this.onControlChange)
+    this.off("step")
+    this.off("action")
+    this.off("play")
+    this.off("pause")
+    this.off("stop")
+    this.off("end")
+    this.off("change")
+  }
+}
@@ -0,0 +1,302 @@
+/**
+ * 后期处理管线
+ * 基于EffectComposer的内置后期处理栈，由 Mini3d.setPostProcessing 创建
+ *
+ * 主要功能：
+ * - 选择性辉光：只有开启了 BLOOM_LAYER 层的对象发光（addBloom），其余对象在辉光渲染时遮黑或隐藏
+ * - 描边：给指定对象（如悬停、选中的区域）绘制外轮廓（setOutline）
+ * - 抗锯齿：FXAA 或 SMAA，替代后期处理下失效的 WebGL 原生抗锯齿
+ * - 暗角：画面四周压暗
+ * - 各效果可在运行时单独开关（setEnabled）和调整参数（setOptions）
+ *
+ * 渲染顺序：场景 → 描边 → 叠加辉光 → 暗角 → 输出（色彩空间转换） → 抗锯齿
+ */
+
+import { Layers, MeshBasicMaterial, ShaderMaterial, Vector2 } from "three"
+import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer"
+import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass"
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass"
+import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass"
+import { OutlinePass } from "three/examples/jsm/postprocessing/OutlinePass"
+import { SMAAPass } from "three/examples/jsm/postprocessing/SMAAPass"
+import { OutputPass } from "three/examples/jsm/postprocessing/OutputPass"
+import { FXAAShader } from "three/examples/jsm/shaders/FXAAShader"
+import { VignetteShader } from "three/examples/jsm/shaders/VignetteShader"
+
+/** 辉光层，对象开启该层后参与辉光 */
+export const BLOOM_LAYER = 1
+
+// 把单独渲染的辉光结果叠加到场景画面上
+const BLOOM_MIX_SHADER = {
+  vertexShader: /* glsl */ `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */ `
+    uniform sampler2D baseTexture;
+    uniform sampler2D bloomTexture;
+    varying vec2 vUv;
+    void main() {
+      gl_FragColor = texture2D(baseTexture, vUv) + texture2D(bloomTexture, vUv);
+    }
+  `,
+}
+
+export class PostProcessing {
+  /**
+   * 构造函数
+   * @param {Object} dependencies - 依赖对象（Mini3d实例）
+   * @param {Renderer} dependencies.renderer - 渲染器管理器
+   * @param {Scene} dependencies.scene - 3D场景
+   * @param {Camera} dependencies.camera - 相机管理器
+   * @param {Sizes} dependencies.sizes - 尺寸管理器
+   * @param {Object} options - 效果参数，见 setOptions
+   */
+  constructor({ renderer, scene, camera, sizes }, options = {}) {
+    this.renderer = renderer.instance
+    this.scene = scene
+    this.camera = camera.instance
+    this.sizes = sizes
+
+    let defaultOptions = {
+      bloom: { enabled: true, strength: 1.2, radius: 0.4, threshold: 0 },
+      outline: {
+        enabled: true,
+        visibleEdgeColor: "#2bc4dc",  // 可见部分的描边颜色
+        hiddenEdgeColor: "#0b3d4a",   // 被遮挡部分的描边颜色
+        edgeStrength: 3,
+        edgeGlow: 0.5,
+        edgeThickness: 1,
+        pulsePeriod: 0,               // 闪烁周期（秒），0为不闪烁
+      },
+      antialias: "fxaa",              // fxaa | smaa | false
+      vignette: { enabled: true, offset: 1, darkness: 1.1 },
+    }
+    this.options = defaultOptions
+
+    // 辉光渲染时被替换材质或隐藏的对象，渲染完立即恢复
+    this.bloomLayer = new Layers()
+    this.bloomLayer.set(BLOOM_LAYER)
+    this.darkMaterial = new MeshBasicMaterial({ color: 0x000000 })
+    this.darkened = new Map()
+    this.hidden = []
+
+    this.setComposer()
+    this.setOptions(options)
+    this.resize()
+  }
+
+  /**
+   * 创建辉光合成器和主合成器
+   */
+  setComposer() {
+    let { width, height } = this.sizes
+
+    // ============ 辉光合成器：只渲染到离屏缓冲 ============
+    this.bloomComposer = new EffectComposer(this.renderer)
+    this.bloomComposer.renderToScreen = false
+    this.bloomPass = new UnrealBloomPass(new Vector2(width, height), 1.2, 0.4, 0)
+    this.bloomComposer.addPass(new RenderPass(this.scene, this.camera))
+    this.bloomComposer.addPass(this.bloomPass)
+
+    // ============ 主合成器 ============
+    this.composer = new EffectComposer(this.renderer)
+    this.renderPass = new RenderPass(this.scene, this.camera)
+    this.outlinePass = new OutlinePass(new Vector2(width, height), this.scene, this.camera)
+    this.bloomMixPass = new ShaderPass(
+      new ShaderMaterial({
+        uniforms: {
+          baseTexture: { value: null },
+          bloomTexture: { value: this.bloomComposer.renderTarget2.texture },
+        },
+        vertexShader: BLOOM_MIX_SHADER.vertexShader,
+        fragmentShader: BLOOM_MIX_SHADER.fragmentShader,
+      }),
+      "baseTexture"
+    )
+    this.vignettePass = new ShaderPass(VignetteShader)
+    this.outputPass = new OutputPass()
+    this.fxaaPass = new ShaderPass(FXAAShader)
+    this.smaaPass = new SMAAPass(width * this.sizes.pixelRatio, height * this.sizes.pixelRatio)
+
+    this.passes = {
+      bloom: this.bloomMixPass,
+      outline: this.outlinePass,
+      vignette: this.vignettePass,
+      fxaa: this.fxaaPass,
+      smaa: this.smaaPass,
+    }
+    let order = [
+      this.renderPass,
+      this.outlinePass,
+      this.bloomMixPass,
+      this.vignettePass,
+      this.outputPass,
+      this.fxaaPass,
+      this.smaaPass,
+    ]
+    order.forEach((pass) => this.composer.addPass(pass))
+  }
+
+  /**
+   * 更新效果参数，只需传入要修改的部分
+   * @param {Object} options - 效果参数
+   * @param {Object|boolean} options.bloom - 辉光 { enabled, strength, radius, threshold }
+   * @param {Object|boolean} options.outline - 描边 { enabled, visibleEdgeColor, hiddenEdgeColor, edgeStrength, edgeGlow, edgeThickness, pulsePeriod }
+   * @param {string|boolean} options.antialias - 抗锯齿：fxaa | smaa | false
+   * @param {Object|boolean} options.vignette - 暗角 { enabled, offset, darkness }
+   */
+  setOptions(options = {}) {
+    let effects = ["bloom", "outline", "vignette"]
+    effects.forEach((name) => {
+      let value = options[name]
+      if (value === undefined) return
+      let next = typeof value === "boolean" ? { enabled: value } : value
+      this.options[name] = Object.assign({}, this.options[name], next)
+    })
+    options.antialias !== undefined && (this.options.antialias = options.antialias)
+
+    let { bloom, outline, antialias, vignette } = this.options
+    this.bloomPass.strength = bloom.strength
+    this.bloomPass.radius = bloom.radius
+    this.bloomPass.threshold = bloom.threshold
+    this.bloomMixPass.enabled = bloom.enabled
+
+    this.outlinePass.visibleEdgeColor.set(outline.visibleEdgeColor)
+    this.outlinePass.hiddenEdgeColor.set(outline.hiddenEdgeColor)
+    this.outlinePass.edgeStrength = outline.edgeStrength
+    this.outlinePass.edgeGlow = outline.edgeGlow
+    this.outlinePass.edgeThickness = outline.edgeThickness
+    this.outlinePass.pulsePeriod = outline.pulsePeriod
+    this.outlinePass.enabled = outline.enabled
+
+    this.vignettePass.uniforms.offset.value = vignette.offset
+    this.vignettePass.uniforms.darkness.value = vignette.darkness
+    this.vignettePass.enabled = vignette.enabled
+
+    this.fxaaPass.enabled = antialias === "fxaa"
+    this.smaaPass.enabled = antialias === "smaa"
+  }
+
+  /**
+   * 开关单个效果
+   * @param {string} name - bloom | outline | vignette | fxaa | smaa
+   * @param {boolean} enabled - 是否开启
+   */
+  setEnabled(name, enabled) {
+    if (!this.passes[name]) {
+      console.warn(`[PostProcessing] 未知的效果 "${name}"，可选：${Object.keys(this.passes).join("、")}`)
+      return
+    }
+    if (name === "fxaa" || name === "smaa") {
+      this.setOptions({ antialias: enabled ? name : false })
+    } else {
+      this.setOptions({ [name]: enabled })
+    }
+  }
+
+  /**
+   * 效果是否开启
+   * @param {string} name - bloom | outline | vignette | fxaa | smaa
+   * @returns {boolean}
+   */
+  isEnabled(name) {
+    return !!(this.passes[name] && this.passes[name].enabled)
+  }
+
+  /**
+   * 对象及其子对象参与辉光
+   * @param {Object3D} object - 3D对象
+   */
+  addBloom(object) {
+    object && object.traverse((obj) => obj.layers.enable(BLOOM_LAYER))
+  }
+
+  /**
+   * 对象及其子对象不再参与辉光
+   * @param {Object3D} object - 3D对象
+   */
+  removeBloom(object) {
+    object && object.traverse((obj) => obj.layers.disable(BLOOM_LAYER))
+  }
+
+  /**
+   * 设置描边对象，传空数组清除描边
+   * @param {Array<Object3D>} objects - 3D对象
+   */
+  setOutline(objects = []) {
+    this.outlinePass.selectedObjects = objects.filter(Boolean)
+  }
+
+  /**
+   * 响应窗口尺寸变化，由 Mini3d.resize 调用
+   */
+  resize() {
+    let { width, height, pixelRatio } = this.sizes
+    this.bloomComposer.setPixelRatio(pixelRatio)
+    this.bloomComposer.setSize(width, height)
+    this.composer.setPixelRatio(pixelRatio)
+    this.composer.setSize(width, height)
+    this.fxaaPass.material.uniforms.resolution.value.set(1 / (width * pixelRatio), 1 / (height * pixelRatio))
+  }
+
+  /**
+   * 渲染一帧：先离屏渲染辉光，再由主合成器叠加输出
+   * @param {number} delta - 帧间时间差（秒）
+   */
+  render(delta) {
+    if (this.bloomMixPass.enabled) {
+      this.renderBloom(delta)
+    }
+    this.composer.render(delta)
+  }
+
+  /**
+   * 只渲染辉光层对象：不透明网格遮黑（保留遮挡关系），其余不发光的对象暂时隐藏，背景置空
+   * @param {number} delta - 帧间时间差（秒）
+   */
+  renderBloom(delta) {
+    let background = this.scene.background
+    this.scene.background = null
+    this.scene.traverse(this.darkenNonBloomed)
+    this.bloomComposer.render(delta)
+    this.darkened.forEach((material, obj) => (obj.material = material))
+    this.darkened.clear()
+    this.hidden.forEach((obj) => (obj.visible = true))
+    this.hidden.length = 0
+    this.scene.background = background
+  }
+
+  /**
+   * 辉光渲染前处理单个对象，作为 scene.traverse 的回调
+   * @param {Object3D} obj - 场景中的对象
+   */
+  darkenNonBloomed = (obj) => {
+    if (!(obj.isMesh || obj.isSprite || obj.isPoints || obj.isLine) || !obj.visible) return
+    if (this.bloomLayer.test(obj.layers)) return
+    let material = Array.isArray(obj.material) ? obj.material[0] : obj.material
+    if (obj.isMesh && material && !material.transparent) {
+      this.darkened.set(obj, obj.material)
+      obj.material = this.darkMaterial
+    } else {
+      obj.visible = false
+      this.hidden.push(obj)
+    }
+  }
+
+  /**
+   * 释放合成器、渲染目标和材质
+   */
+  destroy() {
+    Object.values(this.passes).forEach((pass) => pass.dispose && pass.dispose())
+    this.bloomPass.dispose()
+    this.outputPass.dispose()
+    this.bloomComposer.dispose()
+    this.composer.dispose()
+    this.darkMaterial.dispose()
+    this.outlinePass.selectedObjects = []
+  }
+}
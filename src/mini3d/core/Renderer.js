@@ -20,7 +20,7 @@ export class Renderer {
    * @param {Scene} dependencies.scene - 3D场景
    * @param {Camera} dependencies.camera - 相机对象
    * @param {boolean} dependencies.postprocessing - 是否启用后处理
-   * @param {EffectComposer} dependencies.composer - 后处理合成器
+   * @param {EffectComposer|PostProcessing} dependencies.composer - 后处理合成器，提供 render(delta) 即可
    */
   constructor({ canvas, sizes, scene, camera, postprocessing, composer }) {
     this.canvas = canvas                    // 画布DOM元素
@@ -69,11 +69,11 @@ export class Renderer {
    * 执行渲染
    * 根据是否启用后处理选择不同的渲染路径
    */
-  update() {
+  update(delta) {
     if (this.postprocessing && this.composer) {
       // 使用后处理管线渲染
-      // 通过EffectComposer执行多Pass渲染流程
-      this.composer.render()
+      // 通过EffectComposer执行多Pass渲染流程（Mini3d.setPostProcessing 创建的 PostProcessing 同样适用）
+      this.composer.render(delta)
     } else {
       // 标准渲染流程
       // 直接渲染场景到画布
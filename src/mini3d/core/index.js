@@ -8,14 +8,21 @@
  * - 提供地理投影功能支持地图可视化
  * - 管理框架完整生命周期
  * - 统一的渲染循环和资源管理
+ * - 可选的后期处理管线（辉光、描边、抗锯齿、暗角），见 PostProcessing
+ * - 相机视角书签和飞行动画（见 Camera），按书签巡游的 CameraTour
  */
 
 import { AxesHelper, Scene, Mesh } from "three"
 import { EventEmitter, Sizes, Time } from "../utils"
 import { Renderer } from "./Renderer"
 import { Camera } from "./Camera"
+import { PostProcessing } from "./PostProcessing"
 import { geoMercator } from "d3-geo"      // 地理投影库
 
+export { PostProcessing, BLOOM_LAYER } from "./PostProcessing"
+export { CameraTour } from "./CameraTour"
+export { CAMERA_EASINGS } from "./Camera"
+
 export class Mini3d extends EventEmitter {
   /**
    * 构造函数 - 初始化3D框架
@@ -24,6 +31,7 @@ export class Mini3d extends EventEmitter {
    * @param {Array} config.geoProjectionCenter - 地理投影中心坐标 [经度, 纬度]
    * @param {number} config.geoProjectionScale - 地理投影缩放系数
    * @param {Array} config.geoProjectionTranslate - 地理投影平移偏移 [x, y]
+   * @param {Object} config.postProcessing - 后期处理参数，传入时启用后期处理，见 setPostProcessing
    */
   constructor(canvas, config = {}) {
     super()
@@ -46,6 +54,10 @@ export class Mini3d extends EventEmitter {
     }
     this.config = Object.assign({}, defaultConfig, config)
     
+    // 后期处理管线，调用 setPostProcessing 后创建
+    this.postProcessing = null
+    this.config.postProcessing && this.setPostProcessing(this.config.postProcessing)
+    
     // 监听尺寸变化事件
     this.sizes.on("resize", () => {
       this.resize()
@@ -87,13 +99,43 @@ export class Mini3d extends EventEmitter {
       (args)
   }
   
+  /**
+   * 启用、更新或关闭后期处理
+   * 首次调用时创建 PostProcessing 并接管渲染器的渲染流程，之后的调用只更新参数
+   * @param {Object|boolean} options - 效果参数（见 PostProcessing.setOptions），false 关闭并释放后期处理
+   * @returns {PostProcessing|null}
+   *
+   * @example
+   * mini3d.setPostProcessing({ bloom: { strength: 1.5 }, antialias: "smaa", vignette: false })
+   * mini3d.postProcessing.addBloom(flyLine.instance)
+   * mini3d.postProcessing.setEnabled("outline", false)
+   */
+  setPostProcessing(options = {}) {
+    if (options === false) {
+      this.postProcessing && this.postProcessing.destroy()
+      this.postProcessing = null
+      this.renderer.postprocessing = false
+      this.renderer.composer = null
+      return null
+    }
+    if (this.postProcessing) {
+      this.postProcessing.setOptions(options === true ? {} : options)
+    } else {
+      this.postProcessing = new PostProcessing(this, options === true ? {} : options)
+      this.renderer.composer = this.postProcessing
+    }
+    this.renderer.postprocessing = true
+    return this.postProcessing
+  }
+  
   /**
    * 响应窗口大小变化
-   * 更新相机和渲染器的尺寸参数
+   * 更新相机、渲染器和后期处理的尺寸参数
    */
   resize() {
     this.camera.resize()
     this.renderer.resize()
+    this.postProcessing && this.postProcessing.resize()
   }
   
   /**
@@ -118,6 +160,7 @@ export class Mini3d extends EventEmitter {
     this.sizes.destroy()
     this.time.destroy()
     this.camera.destroy()
+    this.postProcessing && this.postProcessing.destroy()
     this.renderer.destroy()
     
     // 遍历场景中的所有对象，释放资源
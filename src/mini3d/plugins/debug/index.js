@@ -1,22 +1,30 @@
 /**
  * 调试工具插件
  * 提供GUI调试界面，用于实时调试和参数调节
- * 
+ *
  * 主要功能：
  * - 基于lil-gui的可视化调试界面
  * - 条件激活（URL hash或手动激活）
  * - 运行时参数调节
  * - 开发环境调试支持
- * 
+ * - 场景树检查器：逐级展开的对象树，显示开关和材质编辑
+ * - 数值面板：实时显示并编辑对象上的数值、开关和文本（如共享状态）
+ * - 运行列表：活动的GSAP时间线、Time 的帧监听器，定时刷新
+ * - 参数面板：按参数对象自动生成控件，修改后回调（如图层参数）
+ *
  * 技术实现：
  * - 集成lil-gui库
  * - 支持开发/生产环境切换
  * - 轻量级插件设计
- * 
+ * - 场景树的子节点在第一次展开时创建，大场景也不会卡顿
+ *
  * 激活方式：
  * - URL中添加 #debug 自动启用
+ * - hash路由的地址参数中带 debug，如 #/three-3d-map?debug
  * - 构造函数传入 active: true
- * 
+ *
+ * 未激活时各 add 方法不创建界面，返回null。
+ *
  * 应用场景：
  * - 开发阶段的参数调试
  * - 实时效果预览
@@ -26,6 +34,11 @@
 
 import GUI from "three/examples/jsm/libs/lil-gui.module.min"
 
+// 场景树每一级最多列出的子对象
+const MAX_CHILDREN = 50
+// 运行列表的刷新间隔（毫秒）
+const REFRESH_INTERVAL = 500
+
 export class Debug {
   /**
    * 构造函数 - 初始化调试工具
@@ -33,32 +46,255 @@ export class Debug {
    */
   constructor(active = false) {
     this.active = active  // 调试模式开关
-    
-    // 检查URL hash，如果包含 #debug 则自动启用调试模式
-    if (window.location.hash === "#debug") {
+
+    // 检查URL hash，包含 #debug 或 debug 参数则自动启用调试模式
+    if (isDebugHash(window.location.hash)) {
       this.active = true
     }
-    
+
+    // 定时刷新的运行列表 [{ folder, title, getItems, addItem, items }]
+    this.lists = []
+    this.lastRefresh = 0
+
     // 如果启用调试模式，创建GUI界面
     if (this.active) {
       this.instance = new GUI()    // 创建lil-gui实例
       this.instance.close()        // 默认折叠状态
     }
   }
-  
+
+  // ============ 场景树 ============
+
+  /**
+   * 添加场景树检查器
+   * 每个对象一个文件夹，包含显示开关、材质和子对象，展开时才创建
+   * @param {Object3D|Object} roots - 根对象，或 { 名称: Object3D | () => Object3D }，函数在创建时求值
+   * @param {string} title - 文件夹标题
+   * @returns {GUI|null}
+   *
+   * @example
+   * debug.addSceneGraph({ 场景: scene, 主地图: () => scene.getObjectByName("chinaMapGroup") })
+   */
+  addSceneGraph(roots, title = "场景树") {
+    if (!this.active) return null
+    let folder = this.instance.addFolder(escapeHTML(title)).close()
+    let build = () => {
+      let entries = roots.isObject3D ? [[null, roots]] : Object.entries(roots)
+      entries.forEach(([name, root]) => {
+        let object = typeof root === "function" ? root() : root
+        object && this._addObject(folder, object, name)
+      })
+    }
+    // 场景结构变化（如加载子地图）后重新创建
+    folder
+      .add({
+        refresh: () => {
+          folder.folders.slice().forEach((child) => child.destroy())
+          build()
+        },
+      }, "refresh")
+      .name("刷新")
+    build()
+    return folder
+  }
+
+  /**
+   * 添加单个对象的文件夹
+   * @param {GUI} parent - 父文件夹
+   * @param {Object3D} object - 对象
+   * @param {string} name - 标题，默认使用对象名称和类型
+   * @private
+   */
+  _addObject(parent, object, name) {
+    let title = name || object.name || object.type
+    let suffix = name || object.name ? `（${object.type}）` : ""
+    let count = object.children.length ? ` [${object.children.length}]` : ""
+    lazyFolder(parent, escapeHTML(title + suffix + count), (folder) => {
+      folder.add(object, "visible").name("显示").listen()
+      object.material && [].concat(object.material).forEach((material, index, materials) => {
+        this.addMaterial(material, folder, materials.length > 1 ? `材质 ${index}` : "材质")
+      })
+      object.children.slice(0, MAX_CHILDREN).forEach((child) => this._addObject(folder, child))
+      if (object.children.length > MAX_CHILDREN) {
+        folder.add({ more: `还有 ${object.children.length - MAX_CHILDREN} 个` }, "more").name("…").disable()
+      }
+    })
+  }
+
+  /**
+   * 添加材质编辑：颜色、不透明度、渲染开关和着色器的数值、颜色uniform
+   * @param {Material} material - 材质
+   * @param {GUI} parent - 父文件夹，默认根界面
+   * @param {string} title - 文件夹标题
+   * @returns {GUI|null}
+   */
+  addMaterial(material, parent = this.instance, title = "材质") {
+    if (!this.active) return null
+    return lazyFolder(parent, escapeHTML(`${title}（${material.type}）`), (folder) => {
+      let colors = ["color", "emissive", "specular"]
+      colors.forEach((key) => {
+        material[key] && material[key].isColor && folder.addColor(colorProxy(material[key]), "value").name(key)
+      })
+      folder.add(material, "opacity", 0, 1, 0.01)
+      let ranges = { emissiveIntensity: 10, metalness: 1, roughness: 1 }
+      Object.keys(ranges).forEach((key) => {
+        typeof material[key] === "number" && folder.add(material, key, 0, ranges[key], 0.01)
+      })
+      // 影响着色器编译的开关需要重新编译材质
+      let switches = ["visible", "transparent", "wireframe", "depthTest", "depthWrite"]
+      switches.forEach((key) => {
+        typeof material[key] === "boolean" && folder.add(material, key).onChange(() => (material.needsUpdate = true))
+      })
+      Object.keys(material.uniforms || {}).forEach((key) => {
+        let uniform = material.uniforms[key]
+        if (typeof uniform.value === "number") {
+          folder.add(uniform, "value").name(key)
+        } else if (uniform.value && uniform.value.isColor) {
+          folder.addColor(colorProxy(uniform.value), "value").name(key)
+        }
+      })
+    })
+  }
+
+  // ============ 数值面板 ============
+
+  /**
+   * 添加数值面板，实时显示并编辑对象上的数值、开关和文本
+   * 属性在展开时读取，值为null的属性不显示
+   * @param {string} title - 文件夹标题
+   * @param {Object} object - 对象
+   * @param {Array<string>} keys - 属性列表，默认所有数值、布尔值和字符串属性
+   * @returns {GUI|null}
+   */
+  addValues(title, object, keys) {
+    if (!this.active) return null
+    return lazyFolder(this.instance, escapeHTML(title), (folder) => {
+      let names = keys || Object.keys(object)
+      names.forEach((key) => {
+        let type = typeof object[key]
+        if (type === "number" || type === "boolean" || type === "string") {
+          folder.add(object, key).listen()
+        }
+      })
+    })
+  }
+
+  // ============ 运行列表 ============
+
+  /**
+   * 添加GSAP时间线列表：每条时间线的进度、播放速度和暂停开关
+   * @param {Timeline} root - 根时间线，通常为 gsap.globalTimeline
+   * @param {string} title - 文件夹标题
+   * @returns {GUI|null}
+   */
+  addTimelines(root, title = "GSAP 时间线") {
+    return this._addList(title, () => root.getChildren(false, false, true), (folder, timeline, index) => {
+      let name = timeline.vars.id || `时间线 ${index + 1}`
+      let item = folder.addFolder(escapeHTML(`${name}（${timeline.duration().toFixed(2)}s）`)).close()
+      let proxy = {}
+      Object.defineProperty(proxy, "progress", { get: () => timeline.progress(), set: (value) => timeline.progress(value) })
+      Object.defineProperty(proxy, "timeScale", { get: () => timeline.timeScale(), set: (value) => timeline.timeScale(value) })
+      Object.defineProperty(proxy, "paused", { get: () => timeline.paused(), set: (value) => timeline.paused(value) })
+      item.add(proxy, "progress", 0, 1, 0.001).name("进度").listen()
+      item.add(proxy, "timeScale", 0, 4, 0.1).name("速度")
+      item.add(proxy, "paused").name("暂停").listen()
+    })
+  }
+
+  /**
+   * 添加帧监听器列表，显示 Time 上 tick 事件的监听函数
+   * @param {Time} time - 时间管理器
+   * @param {string} event - 事件名称，默认tick
+   * @param {string} title - 文件夹标题
+   * @returns {GUI|null}
+   */
+  addTickListeners(time, event = "tick", title = "Time 帧监听") {
+    return this._addList(title, () => time.listeners(event), (folder, listener, index) => {
+      folder.add({ name: listener.name || "匿名函数" }, "name").name(`#${index + 1}`).disable()
+    })
+  }
+
+  /**
+   * 添加定时刷新的列表，项目变化时重新创建控件
+   * @param {string} title - 文件夹标题
+   * @param {Function} getItems - 返回当前项目
+   * @param {Function} addItem - 创建单个项目的控件 (folder, item, index)
+   * @returns {GUI|null}
+   * @private
+   */
+  _addList(title, getItems, addItem) {
+    if (!this.active) return null
+    let folder = this.instance.addFolder(escapeHTML(title)).close()
+    let list = { folder, title, getItems, addItem, items: null }
+    this.lists.push(list)
+    this._refreshList(list)
+    return folder
+  }
+
+  /**
+   * @private
+   */
+  _refreshList(list) {
+    let items = list.getItems()
+    let unchanged = list.items && list.items.length === items.length && items.every((item, index) => item === list.items[index])
+    if (unchanged) return
+    list.items = items
+    list.folder.title(escapeHTML(`${list.title}（${items.length}）`))
+    list.folder.children.slice().forEach((child) => child.destroy())
+    items.forEach((item, index) => list.addItem(list.folder, item, index))
+  }
+
+  // ============ 参数面板 ============
+
+  /**
+   * 按参数对象自动生成控件：数值、开关、文本、颜色（#rrggbb）、颜色和数值数组、嵌套对象，
+   * 其他值（数据数组、函数）不显示。控件编辑的是参数的副本，修改结束后回调
+   * @param {string} title - 文件夹标题
+   * @param {Object} options - 参数
+   * @param {Function} onChange - 修改结束后的回调 (options)
+   * @param {GUI} parent - 父文件夹，默认根界面
+   * @returns {GUI|null}
+   *
+   * @example
+   * debug.addOptions("热力图", { radius: 4, opacity: 0.85 }, (options) => world.setHeatmapOptions(options))
+   */
+  addOptions(title, options, onChange, parent = this.instance) {
+    if (!this.active) return null
+    let values = cloneOptions(options)
+    let folder = parent.addFolder(escapeHTML(title))
+    addOptionControls(folder, values)
+    folder.onFinishChange(() => onChange(values))
+    return folder
+  }
+
+  /**
+   * 移除 add 方法创建的文件夹
+   * @param {GUI} folder - 文件夹
+   */
+  remove(folder) {
+    if (!folder) return
+    this.lists = this.lists.filter((list) => list.folder !== folder)
+    folder.destroy()
+  }
+
   /**
    * 更新函数
-   * 预留接口，用于需要每帧更新的调试功能
+   * 定时刷新运行列表（时间线、帧监听器）
    */
   update() {
-    // 预留更新逻辑
+    if (!this.active || !this.lists.length) return
+    let now = performance.now()
+    if (now - this.lastRefresh < REFRESH_INTERVAL) return
+    this.lastRefresh = now
+    this.lists.forEach((list) => this._refreshList(list))
   }
-  
+
   /**
    * 销毁调试工具
    * 清理GUI资源，防止内存泄漏
    */
   destroy() {
+    this.lists = []
     if (this.active) {
       // 销毁GUI实例
       this.instance.destroy()
@@ -66,3 +302,102 @@ export class Debug {
   }
 }
 
+/**
+ * 地址hash是否开启调试：#debug，或hash路由的参数中带 debug
+ * @param {string} hash - location.hash
+ * @returns {boolean}
+ */
+function isDebugHash(hash) {
+  return hash === "#debug" || /[?&]debug(=|&|$)/.test(hash)
+}
+
+/**
+ * 创建折叠的文件夹，第一次展开时才创建内容
+ * @param {GUI} parent - 父文件夹
+ * @param {string} title - 标题（HTML）
+ * @param {Function} build - 创建内容 (folder)
+ * @returns {GUI}
+ */
+function lazyFolder(parent, title, build) {
+  let folder = parent.addFolder(title).close()
+  let built = false
+  // lil-gui 的标题点击先切换展开状态，这里再判断
+  folder.$title.addEventListener("click", () => {
+    if (built || folder._closed) return
+    built = true
+    build(folder)
+  })
+  return folder
+}
+
+/**
+ * three.js 颜色的十六进制代理，lil-gui 按sRGB显示和编辑
+ * @param {Color} color
+ * @returns {{value: string}}
+ */
+function colorProxy(color) {
+  let proxy = {}
+  Object.defineProperty(proxy, "value", {
+    get: () => `#${color.getHexString()}`,
+    set: (value) => color.set(value),
+  })
+  return proxy
+}
+
+/**
+ * 复制参数：普通对象和基本类型数组逐层复制，其他值（数据数组、函数、three.js对象）保留引用
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneOptions(value) {
+  if (Array.isArray(value)) {
+    return value.every(isPrimitive) ? value.slice() : value
+  }
+  if (isPlainObject(value)) {
+    let result = {}
+    Object.keys(value).forEach((key) => (result[key] = cloneOptions(value[key])))
+    return result
+  }
+  return value
+}
+
+/**
+ * 按值的类型添加参数控件
+ * @param {GUI} folder - 文件夹
+ * @param {Object|Array} object - 参数对象或数组
+ */
+function addOptionControls(folder, object) {
+  Object.keys(object).forEach((key) => {
+    let value = object[key]
+    if (typeof value === "number" || typeof value === "boolean") {
+      folder.add(object, key)
+    } else if (typeof value === "string") {
+      isHexColor(value) ? folder.addColor(object, key) : folder.add(object, key)
+    } else if (Array.isArray(value) && value.length && value.every((item) => isHexColor(item) || typeof item === "number")) {
+      addOptionControls(folder.addFolder(escapeHTML(key)).close(), value)
+    } else if (isPlainObject(value)) {
+      addOptionControls(folder.addFolder(escapeHTML(key)).close(), value)
+    }
+  })
+}
+
+function isPrimitive(value) {
+  return value === null || (typeof value !== "object" && typeof value !== "function")
+}
+
+function isPlainObject(value) {
+  return !!value && Object.getPrototypeOf(value) === Object.prototype
+}
+
+function isHexColor(value) {
+  return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value)
+}
+
+/**
+ * lil-gui 的标题按HTML设置，对象名称等需要转义
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+}
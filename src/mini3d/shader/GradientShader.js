@@ -57,7 +57,7 @@ export class GradientShader {
    * @param {Material} material - 目标材质
    */
   init(material) {
-    let { uColor1, uColor2, dir, size } = this.config
+    let { dir, size } = this.config
     
     // 方向映射：将字符串方向转换为数值
     let dirMap = { x: 1.0, y: 2.0, z: 3.0 }
@@ -70,8 +70,8 @@ export class GradientShader {
       // 添加自定义uniform变量
       shader.uniforms = {
         ...shader.uniforms,
-        uColor1: { value: new Color(uColor1) },    // 起始颜色
-        uColor2: { value: new Color(uColor2) },    // 结束颜色
+        uColor1: { value: new Color(this.config.uColor1) },    // 起始颜色（编译时读取，支持编译前修改）
+        uColor2: { value: new Color(this.config.uColor2) },    // 结束颜色
         uDir: { value: dirMap[dir] },              // 渐变方向
         uSize: { value: size },                    // 渐变范围
       }
@@ -141,4 +141,19 @@ export class GradientShader {
       )
     }
   }
+
+  /**
+   * 修改渐变颜色
+   * 着色器未编译时只更新配置，编译时自动生效
+   * @param {number} uColor1 - 渐变起始颜色（十六进制）
+   * @param {number} uColor2 - 渐变结束颜色（十六进制），默认与起始颜色相同
+   */
+  setColor(uColor1, uColor2 = uColor1) {
+    this.config.uColor1 = uColor1
+    this.config.uColor2 = uColor2
+    if (this.shader) {
+      this.shader.uniforms.uColor1.value.setHex(uColor1)
+      this.shader.uniforms.uColor2.value.setHex(uColor2)
+    }
+  }
 }
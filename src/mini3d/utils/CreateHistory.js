@@ -1,94 +1,291 @@
 /**
  * 历史记录管理类
  * 实现撤销/重做功能，管理应用状态的时间轴
- * 
+ *
  * 主要功能：
  * - 状态快照管理：保存、恢复应用状态
  * - 撤销操作：回退到之前的状态
  * - 重做操作：前进到后续的状态
- * - 时间轴导航：跳转到任意历史状态
+ * - 时间轴导航：跳转到任意历史状态或带标签的状态
  * - 状态索引管理：跟踪当前状态位置
- * 
+ * - 分支截断：在中间位置保存新状态时丢弃原来的后续状态
+ * - 数量上限：超过 maxSize 时丢弃最早的状态
+ * - 序列化：toJSON / createHistory.fromJSON，状态本身需要可以JSON序列化
+ *
+ * 派发的事件：
+ * - 'change'：{ type, index, length, present, canUndo, canRedo }，
+ *   type 为 push | undo | redo | goto | clear | load
+ *
  * 设计模式：备忘录模式（Memento Pattern）
  * 应用场景：编辑器、配置界面、交互式应用等
+ *
+ * @example
+ * const history = new createHistory({ maxSize: 50 })
+ * history.on("change", ({ canUndo, canRedo }) => updateButtons(canUndo, canRedo))
+ * history.push({ name: "中国" }, "china")
+ * history.push({ name: "四川省", adcode: 510000 }, "510000")
+ * history.undo()
+ * history.gotoLabel("510000")
+ * localStorage.setItem("history", JSON.stringify(history))
+ * const restored = createHistory.fromJSON(localStorage.getItem("history"))
  */
 
-export class createHistory {
+// 扩展名不能省略，Node 直接运行单元测试（test-history.js）时需要
+import { EventEmitter } from "./EventEmitter.js"
+
+/**
+ * 校验状态数上限
+ * @param {number} maxSize - 最多保存的状态数
+ * @throws {RangeError} 小于1或不是数字
+ */
+function assertMaxSize(maxSize) {
+  if (!(maxSize >= 1)) {
+    throw new RangeError(`maxSize 至少为1，实际为 ${maxSize}`)
+  }
+}
+
+export class createHistory extends EventEmitter {
   /**
    * 构造函数 - 初始化历史记录管理器
+   * @param {Object} options - 配置选项
+   * @param {number} options.maxSize - 最多保存的状态数，默认100，Infinity 为不限制
    */
-  constructor() {
-    this.past = [];         // 过去的状态数组（已执行的状态）
-    this.future = [];       // 未来的状态数组（可重做的状态）
-    this.present = undefined; // 当前状态
+  constructor(options = {}) {
+    super()
+    this.options = Object.assign({ maxSize: 100 }, options)
+    assertMaxSize(this.options.maxSize)
+
+    // 全部状态 [{ state, label }]，按时间顺序排列
+    this.entries = []
+    // 当前状态的索引，没有状态时为-1
+    this.index = -1
   }
-  
+
+  /**
+   * 过去的状态数组（已执行的状态），只读
+   * @returns {Array<any>}
+   */
+  get past() {
+    return this.entries.slice(0, Math.max(this.index, 0)).map((entry) => entry.state)
+  }
+
+  /**
+   * 当前状态，没有状态时为 undefined
+   * @returns {any}
+   */
+  get present() {
+    let entry = this.entries[this.index]
+    return entry ? entry.state : undefined
+  }
+
+  /**
+   * 未来的状态数组（可重做的状态），只读
+   * @returns {Array<any>}
+   */
+  get future() {
+    return this.entries.slice(this.index + 1).map((entry) => entry.state)
+  }
+
   /**
    * 跳转到指定索引的状态
-   * 重新组织过去、当前、未来的状态分布
-   * 
+   *
    * @param {number} index - 目标状态在完整历史中的索引位置
+   * @returns {boolean} 索引是否有效
    */
   gotoState(index) {
-    // 构建完整的状态历史数组
-    const allState = [...this.past, this.present, ...this.future];
-    
-    // 设置新的当前状态
-    this.present = allState[index];
-    
-    // 重新分配过去和未来的状态
-    this.past = allState.slice(0, index);              // 目标索引之前的所有状态
-    this.future = allState.slice(index + 1, allState.length); // 目标索引之后的所有状态
-  }
-  
+    return this._goto(index, "goto")
+  }
+
   /**
    * 获取当前状态在历史中的索引位置
    * @returns {number} 当前状态的索引（等于past数组的长度）
    */
   getIndex() {
-    return this.past.length;
+    return Math.max(this.index, 0)
+  }
+
+  /**
+   * 获取历史记录中的状态总数
+   * @returns {number}
+   */
+  getLength() {
+    return this.entries.length
   }
-  
+
+  /**
+   * 获取指定位置的标签
+   * @param {number} index - 索引，默认为当前位置
+   * @returns {string|undefined}
+   */
+  getLabel(index = this.index) {
+    let entry = this.entries[index]
+    return entry ? entry.label : undefined
+  }
+
   /**
    * 保存新的状态到历史记录
-   * 当执行新操作时调用，会清空future数组（因为产生了新的分支）
-   * 
+   * 当前位置之后的状态（可重做的分支）被丢弃，超过 maxSize 时丢弃最早的状态
+   *
    * @param {any} currentState - 要保存的当前状态
+   * @param {string} label - 可选的标签，用于 gotoLabel 跳转
    */
-  push(currentState) {
-    // 如果存在当前状态，将其移动到过去的状态中
-    if (this.present) {
-      this.past.push(this.present);
-    }
-    
-    // 设置新的当前状态
-    this.present = currentState;
-    
-    // 注意：执行新操作时会隐式清空future，因为产生了新的历史分支
-    // 在实际使用中，可能需要在这里添加 this.future = [];
+  push(currentState, label) {
+    this.entries.splice(this.index + 1)
+    this.entries.push({ state: currentState, label })
+    let overflow = this.entries.length - this.options.maxSize
+    overflow > 0 && this.entries.splice(0, overflow)
+    this.index = this.entries.length - 1
+    this._emitChange("push")
   }
-  
+
   /**
    * 撤销操作 - 回退到上一个状态
-   * 如果存在可撤销的历史状态，则回退一步
+   * @returns {boolean} 是否回退
    */
   undo() {
-    // 检查是否有可撤销的历史状态
-    if (this.past.length !== 0) {
-      // 回退到上一个状态（当前索引减1）
-      this.gotoState(this.getIndex() - 1);
-    }
+    return this.canUndo() && this._goto(this.index - 1, "undo")
   }
-  
+
   /**
    * 重做操作 - 前进到下一个状态
-   * 如果存在可重做的未来状态，则前进一步
+   * @returns {boolean} 是否前进
    */
   redo() {
-    // 检查是否有可重做的未来状态
-    if (this.future.length !== 0) {
-      // 前进到下一个状态（当前索引加1）
-      this.gotoState(this.getIndex() + 1);
+    return this.canRedo() && this._goto(this.index + 1, "redo")
+  }
+
+  /**
+   * 是否可以撤销
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.index > 0
+  }
+
+  /**
+   * 是否可以重做
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.index < this.entries.length - 1
+  }
+
+  /**
+   * 查找带指定标签的状态，有多个时取离当前位置最近的，位置相同时取较早的
+   * @param {string} label - 标签
+   * @returns {number} 索引，找不到时为-1
+   */
+  indexOfLabel(label) {
+    let found = -1
+    this.entries.forEach((entry, index) => {
+      if (entry.label !== label) return
+      if (found < 0 || Math.abs(index - this.index) < Math.abs(found - this.index)) found = index
+    })
+    return found
+  }
+
+  /**
+   * 跳转到带指定标签的状态
+   * @param {string} label - 标签
+   * @returns {boolean} 是否找到
+   */
+  gotoLabel(label) {
+    return this._goto(this.indexOfLabel(label), "goto")
+  }
+
+  /**
+   * 丢弃当前位置之后的状态
+   */
+  clearFuture() {
+    if (!this.canRedo()) return
+    this.entries.splice(this.index + 1)
+    this._emitChange("clear")
+  }
+
+  /**
+   * 清空历史记录
+   */
+  clear() {
+    this.entries = []
+    this.index = -1
+    this._emitChange("clear")
+  }
+
+  /**
+   * 序列化为普通对象，JSON.stringify 会自动调用
+   * @returns {{maxSize: number|null, index: number, entries: Array<{state: any, label: string|undefined}>}}
+   *   maxSize 为 Infinity 时为null
+   */
+  toJSON() {
+    return {
+      maxSize: Number.isFinite(this.options.maxSize) ? this.options.maxSize : null,
+      index: this.index,
+      entries: this.entries.map(({ state, label }) => ({ state, label })),
+    }
+  }
+
+  /**
+   * 从序列化的数据恢复，替换当前的全部状态
+   * 状态数超过 maxSize 时与 push 一样丢弃最早的状态，当前状态被丢弃时定位到保留的第一个状态
+   * @param {Object|string} data - toJSON 的结果或其JSON文本
+   * @throws {TypeError} 缺少 entries 数组
+   * @throws {RangeError} maxSize 小于1
+   */
+  load(data) {
+    let { index, entries, maxSize } = typeof data === "string" ? JSON.parse(data) : data
+    if (!Array.isArray(entries)) {
+      throw new TypeError("历史记录数据缺少 entries 数组")
+    }
+    if (maxSize !== undefined) {
+      maxSize = maxSize === null ? Infinity : maxSize
+      assertMaxSize(maxSize)
+      this.options.maxSize = maxSize
+    }
+    if (!(Number.isInteger(index) && index >= 0 && index < entries.length)) {
+      index = entries.length - 1
     }
+    let overflow = Math.max(entries.length - this.options.maxSize, 0)
+    this.entries = entries.slice(overflow).map(({ state, label }) => ({ state, label }))
+    this.index = this.entries.length ? Math.max(index - overflow, 0) : -1
+    this._emitChange("load")
+  }
+
+  /**
+   * 从序列化的数据创建历史记录
+   * @param {Object|string} data - toJSON 的结果或其JSON文本
+   * @returns {createHistory}
+   */
+  static fromJSON(data) {
+    let history = new createHistory()
+    history.load(data)
+    return history
+  }
+
+  /**
+   * @param {number} index - 目标索引
+   * @param {string} type - change 事件的类型
+   * @returns {boolean} 索引是否有效
+   * @private
+   */
+  _goto(index, type) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.entries.length) return false
+    this.index = index
+    this._emitChange(type)
+    return true
+  }
+
+  /**
+   * @param {string} type - 变化类型
+   * @private
+   */
+  _emitChange(type) {
+    this.emit("change", {
+      type,
+      index: this.index,
+      length: this.entries.length,
+      present: this.present,
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+    })
   }
 }
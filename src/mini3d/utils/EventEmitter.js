@@ -98,4 +98,13 @@ export class EventEmitter {
     // 注册包装后的监听器
     this.on(event, onceWrapper)
   }
+
+  /**
+   * 获取事件当前的监听器，用于调试
+   * @param {string} event - 事件名称
+   * @returns {Array<Function>} 监听器列表（副本）
+   */
+  listeners(event) {
+    return Array.from(this.events.get(event) || [])
+  }
 }
@@ -1,71 +1,267 @@
 /**
  * 资源管理类
- * 统一管理3D场景中的各种资源加载
- * 
+ * 统一管理3D场景中的各种资源加载，地图、村镇地图和各模块共用同一套缓存
+ *
  * 主要功能：
- * - 支持多种资源类型的异步加载
- * - 统一的加载器管理和配置
- * - 加载进度监控和错误处理
- * - 资源缓存和复用机制
- * - 支持Draco压缩的GLTF模型
- * 
- * 支持的资源类型：
- * - 3D模型：GLTF、FBX、OBJ等
- * - 纹理：各种图像格式、立方体贴图、HDRI等
- * - 数据：JSON、字体文件等
- * 
+ * - 资源清单（manifest）批量加载，路径相对清单的 baseUrl
+ * - 按类型注册的加载器，常用类型内置，不常用的在第一次使用时按需导入
+ * - 引用计数缓存：同一路径只加载一次，retain / release 管理引用，引用归零时释放GPU资源
+ * - 统一的加载进度：所有进行中的加载合并计算（含单个文件的下载进度），可交给 ToastLoading 显示
+ * - 支持Draco压缩的GLTF模型和KTX2压缩纹理，KTX2加载失败（文件缺失、没有渲染器、转码器不可用）时自动改用 fallback
+ *
+ * 支持的资源类型（清单中的 type）：
+ * - GLTF：GLTF/GLB 3D模型（Draco解码器目录见 dracoPath）
+ * - Texture：纹理贴图；KTX2：KTX2/Basis压缩纹理（需要 renderer，转码器目录见 basisPath）
+ * - HDR：HDRI环境贴图；CubeTexture：立方体贴图；Image：图像
+ * - File：文本文件；JSON：解析后的JSON；GeoJSON：解析并校验过的GeoJSON
+ * - Font：typeface字体
+ *
+ * 事件：
+ * - onStart：空闲后开始新的加载
+ * - onProgress(path, itemsLoaded, itemsTotal, progress)：progress 为 0~1 的总进度
+ * - onComplete({ loaded, total, errors })：所有进行中的加载结束
+ * - onLoad：loadAll / loadManifest 全部加载成功
+ * - onError(error, path)：单个资源加载失败
+ *
+ * @example
+ * const resource = new Resource({ renderer })
+ * await resource.loadManifest({
+ *   baseUrl: "/assets/",
+ *   items: [
+ *     { type: "Texture", name: "grid", path: "texture/grid.png", options: { wrapS: RepeatWrapping } },
+ *     { type: "GeoJSON", name: "china", path: "json/china.json" },
+ *     // KTX2纹理，失败时改用PNG（fallback 为地址时按 Texture 加载）
+ *     { type: "KTX2", name: "side", path: "texture/side.ktx2", fallback: "texture/side.png" },
+ *   ],
+ * })
+ * resource.getResource("grid")
+ *
+ * // 模块自己加载的资源用完后释放
+ * const model = await resource.load({ type: "GLTF", path: "models/car.glb" })
+ * resource.release("models/car.glb")
+ *
  * 继承：EventEmitter - 支持加载进度和完成事件
  */
 
-import { Loader, LoadingManager, TextureLoader } from "three"
-import { EventEmitter } from "./EventEmitter"
-import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader"
+import {
+  Loader,
+  TextureLoader,
+  FileLoader,
+  ImageLoader,
+  CubeTextureLoader,
+  ObjectLoader,
+  MaterialLoader,
+} from "three"
+// 扩展名不能省略，Node 直接运行单元测试（test-resource.js）时需要
+import { EventEmitter } from "./EventEmitter.js"
+import { deallocate } from "./GC.js"
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js"
 import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js"
 
+/**
+ * JSON加载器，返回解析后的对象
+ */
+class JSONLoader extends FileLoader {
+  load(url, onLoad, onProgress, onError) {
+    return super.load(
+      url,
+      (text) => {
+        let data
+        try {
+          data = this.parse(text, url)
+        } catch (error) {
+          onError ? onError(error) : console.error(error)
+          return
+        }
+        onLoad && onLoad(data)
+      },
+      onProgress,
+      onError
+    )
+  }
+
+  /**
+   * @param {string} text - 文件内容
+   * @param {string} url - 文件地址，用于错误提示
+   * @returns {Object}
+   */
+  parse(text, url) {
+    try {
+      return JSON.parse(text)
+    } catch (error) {
+      // 开发服务器对不存在的文件可能返回 index.html
+      throw new Error(`不是有效的JSON: ${url}`)
+    }
+  }
+}
+
+/**
+ * GeoJSON加载器，额外校验 features 数组
+ */
+class GeoJSONLoader extends JSONLoader {
+  parse(text, url) {
+    let data = super.parse(text, url)
+    if (!data || !Array.isArray(data.features)) {
+      throw new Error(`不是有效的GeoJSON: ${url}`)
+    }
+    return data
+  }
+}
+
 // 资源类型枚举
 // 定义所有支持的加载器类型和对应的资源类型
-let ResourceType = {
+export const ResourceType = {
   GLTFLoader: "GLTF",               // GLTF/GLB 3D模型
   TextureLoader: "Texture",         // 纹理贴图
+  KTX2Loader: "KTX2",               // KTX2/Basis压缩纹理
   FontLoader: "Font",               // 字体文件
   MMDLoader: "MMD",                 // MMD动画模型
   MTLLoader: "MTL",                 // 材质文件
   OBJLoader: "OBJ",                 // OBJ 3D模型
   PCDLoader: "PCD",                 // 点云数据
-  FileLoader: "File",               // 通用文件（JSON等）
+  FileLoader: "File",               // 通用文件（文本）
+  JSONLoader: "JSON",               // JSON数据
+  GeoJSONLoader: "GeoJSON",         // GeoJSON地理数据
   ImageLoader: "Image",             // 图像文件
   ObjectLoader: "Object",           // Three.js对象
   MaterialLoader: "Material",       // Three.js材质
   CubeTextureLoader: "CubeTexture", // 立方体贴图
-  RGBELoader: "RGBELoader",         // HDRI环境贴图
+  RGBELoader: "HDR",                // HDRI环境贴图
   FBXLoader: "FBX",                 // FBX 3D模型
 }
 
-// 提取所有支持的资源类型值
-const types = Object.values(ResourceType)
+// 内置加载器：资源类型 -> (resource) => 加载器实例或Promise
+// 体积较大或不常用的加载器在第一次使用时才导入
+const BUILTIN_LOADERS = {
+  GLTF: (resource) => resource.initDraco(new GLTFLoader(resource.manager)),
+  Texture: (resource) => new TextureLoader(resource.manager),
+  File: (resource) => new FileLoader(resource.manager),
+  JSON: (resource) => new JSONLoader(resource.manager),
+  GeoJSON: (resource) => new GeoJSONLoader(resource.manager),
+  Image: (resource) => new ImageLoader(resource.manager),
+  CubeTexture: (resource) => new CubeTextureLoader(resource.manager),
+  Object: (resource) => new ObjectLoader(resource.manager),
+  Material: (resource) => new MaterialLoader(resource.manager),
+  KTX2: (resource) =>
+    import("three/examples/jsm/loaders/KTX2Loader.js").then(({ KTX2Loader }) => resource.initKTX2(new KTX2Loader(resource.manager))),
+  HDR: (resource) =>
+    import("three/examples/jsm/loaders/RGBELoader.js").then(({ RGBELoader }) => new RGBELoader(resource.manager)),
+  Font: (resource) =>
+    import("three/examples/jsm/loaders/FontLoader.js").then(({ FontLoader }) => new FontLoader(resource.manager)),
+}
+
+/**
+ * 等待加载完成，信号中止时立即以取消错误结束（共用的加载本身不受影响）
+ * @param {Promise} promise - 加载Promise
+ * @param {AbortSignal} signal - 中止信号
+ * @returns {Promise}
+ */
+function raceAbort(promise, signal) {
+  if (!signal) return promise
+  return new Promise((resolve, reject) => {
+    let onAbort = () => {
+      let error = new Error("加载已取消")
+      error.name = "AbortError"
+      reject(error)
+    }
+    if (signal.aborted) return onAbort()
+    signal.addEventListener("abort", onAbort)
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort))
+  })
+}
+
+/**
+ * 两次加载的 options 是否相同（逐项比较，Vector2 等带 equals 的值按内容比较）
+ * @param {Object} a - 缓存项创建时的 options
+ * @param {Object} b - 本次加载的 options
+ * @returns {boolean}
+ */
+function isSameOptions(a = {}, b = {}) {
+  let keys = Object.keys(a)
+  if (keys.length !== Object.keys(b).length) return false
+  return keys.every((key) => a[key] === b[key] || !!(a[key] && typeof a[key].equals === "function" && a[key].equals(b[key])))
+}
+
+/**
+ * 释放资源占用的GPU内存
+ * @param {any} data - 加载结果
+ */
+function disposeData(data) {
+  if (!data) return
+  if (typeof data.dispose === "function") {
+    // 纹理、立方体贴图、HDR贴图、材质
+    data.dispose()
+  } else if (data.scene) {
+    // GLTF：释放所有场景的几何体、材质和贴图
+    let scenes = data.scenes || [data.scene]
+    scenes.forEach(deallocate)
+  }
+}
+
+/**
+ * 估算资源占用的内存（字节）
+ * @param {any} data - 加载结果
+ * @param {number} bytes - 下载的字节数，无法估算时使用
+ * @returns {number}
+ */
+function estimateSize(data, bytes = 0) {
+  // 压缩纹理按各级mipmap的实际数据计算
+  if (data && data.isCompressedTexture && data.mipmaps && data.mipmaps.length) {
+    return data.mipmaps.reduce((size, mipmap) => size + (mipmap.data ? mipmap.data.byteLength : 0), 0)
+  }
+  let image = data && data.isTexture ? data.image : null
+  if (image && image.width && image.height) {
+    return image.width * image.height * 4
+  }
+  if (typeof data === "string") {
+    return data.length * 2
+  }
+  return bytes
+}
+
+/**
+ * 是否为无需拼接 baseUrl 的地址（绝对地址、根路径、data/blob地址）
+ * @param {string} path - 资源路径
+ * @returns {boolean}
+ */
+function isAbsolutePath(path) {
+  return /^([a-z][a-z\d+.-]*:|\/)/i.test(path)
+}
 
 export class Resource extends EventEmitter {
   /**
    * 构造函数 - 初始化资源管理器
    * @param {Object} options - 配置选项
    * @param {string} options.dracoPath - Draco解码器路径
+   * @param {string} options.basisPath - KTX2（Basis）转码器路径
+   * @param {WebGLRenderer} options.renderer - 渲染器，加载KTX2纹理时用于检测支持的压缩格式
+   * @param {LoadingManager} options.manager - 加载器共用的 LoadingManager，默认使用 three 的默认实例
    */
-  constructor({ dracoPath } = {}) {
+  constructor({ dracoPath, basisPath, renderer, manager } = {}) {
     // 继承EventEmitter的事件功能
     super()
-    
+
     // Draco压缩解码器路径配置
     this.dracoPath = dracoPath || "./draco/gltf/"
+    // Basis转码器路径配置
+    this.basisPath = basisPath || "./basis/"
+    this.renderer = renderer || null
+    this.manager = manager
 
-    // 加载统计
+    // 加载统计（从空闲开始的一轮加载）
     this.itemsLoaded = 0    // 已加载的资源数量
     this.itemsTotal = 0     // 总资源数量
+    this.errors = 0         // 加载失败的数量
+    this.loading = new Set() // 加载中的缓存项
 
-    // 资源存储
-    this.assets = []        // 加载完成的资源数组
+    // 资源缓存：key（类型:路径） -> { key, type, path, options, data, promise, refs, waiting, size, bytes, progress }
+    this.cache = new Map()
+    // 资源名称（或路径） -> 缓存 key
+    this.names = new Map()
 
     // 加载器注册表
-    this.loaders = {}       // 存储各种类型的加载器实例
+    this.loaders = {}       // 资源类型 -> 加载器实例（或创建中的Promise）
+    this.loaderFactories = Object.assign({}, BUILTIN_LOADERS)
 
     // 初始化默认加载器
     this.initDefaultLoader()
@@ -77,16 +273,18 @@ export class Resource extends EventEmitter {
    */
   initDefaultLoader() {
     // 注册默认的加载器
-    ;[
+    let defaults = [
       { loader: GLTFLoader, name: "GLTFLoader" },
       { loader: TextureLoader, name: "TextureLoader" },
-    ].map((item) => this.addLoader(item.loader, item.name))
+    ]
+    defaults.map((item) => this.addLoader(item.loader, item.name))
   }
 
   /**
    * 初始化Draco压缩支持
    * 为GLTF加载器配置Draco解码功能
    * @param {GLTFLoader} loader - GLTF加载器实例
+   * @returns {GLTFLoader}
    */
   initDraco(loader) {
     // 创建Draco解码器
@@ -97,118 +295,313 @@ export class Resource extends EventEmitter {
 
     // 预加载解码器
     dracoLoader.preload()
-    
+
     // 将Draco解码器设置到GLTF加载器
     loader.setDRACOLoader(dracoLoader)
+    this.dracoLoader = dracoLoader
+    return loader
+  }
+
+  /**
+   * 初始化KTX2压缩纹理支持
+   * @param {KTX2Loader} loader - KTX2加载器实例
+   * @returns {KTX2Loader}
+   */
+  initKTX2(loader) {
+    if (!this.renderer) {
+      throw new Error("加载KTX2纹理需要渲染器，请在创建 Resource 时传入 renderer")
+    }
+    loader.setTranscoderPath(this.basisPath)
+    loader.detectSupport(this.renderer)
+    this.ktx2Loader = loader
+    return loader
   }
 
   /**
    * 添加新的加载器
    * @param {Function} loader - 加载器构造函数
-   * @param {string} loaderName - 加载器名称
+   * @param {string} loaderName - 加载器名称，见 ResourceType
    */
   addLoader(loader, loaderName = "") {
+    let type = ResourceType[loaderName]
     // 验证加载器是否有效且类型已定义
-    if (loader.name && ResourceType[loaderName]) {
-      let hasLoader = this.loaders[loaderName]
-      
-      if (!hasLoader) {
-        // 创建加载器实例
-        let instance = new loader(this.manager)
-        let name = loaderName
-        
-        // 确保实例继承自Three.js的Loader基类
-        if (instance instanceof Loader) {
-          // 如果是GLTF加载器，初始化Draco支持
-          if (name === "GLTFLoader") {
-            this.initDraco(instance)
-          }
-          
-          // 注册加载器到加载器注册表
-          this.loaders[ResourceType[name]] = instance
-        }
-      }
-    } else {
+    if (!loader.name || !type) {
       throw new Error("请配置正确的加载器")
     }
+    // 已注册的类型不重复创建
+    if (this.loaders[type]) return
+
+    // 创建加载器实例
+    let instance = new loader(this.manager)
+
+    // 确保实例继承自Three.js的Loader基类
+    if (instance instanceof Loader) {
+      // GLTF需要Draco解码器，KTX2需要转码器
+      if (type === "GLTF") {
+        this.initDraco(instance)
+      } else if (type === "KTX2") {
+        this.initKTX2(instance)
+      }
+
+      // 注册加载器到加载器注册表
+      this.loaders[type] = instance
+    }
+  }
+
+  /**
+   * 注册自定义类型的加载器
+   * @param {string} type - 资源类型，清单中的 type
+   * @param {Function} factory - (resource) => 加载器实例或Promise，加载器需实现 load(url, onLoad, onProgress, onError)
+   */
+  registerLoader(type, factory) {
+    this.loaderFactories[type] = factory
+    delete this.loaders[type]
+  }
+
+  /**
+   * 获取资源类型对应的加载器，内置类型按需创建
+   * @param {string} type - 资源类型
+   * @returns {Promise<Loader>}
+   */
+  getLoader(type) {
+    if (!this.loaders[type]) {
+      let factory = this.loaderFactories[type]
+      if (!factory) {
+        return Promise.reject(new Error(`资源类型 ${type} 没有配置加载器`))
+      }
+      let loader = Promise.resolve().then(() => factory(this))
+      this.loaders[type] = loader
+      loader.then(
+        (instance) => this.loaders[type] === loader && (this.loaders[type] = instance),
+        () => this.loaders[type] === loader && delete this.loaders[type]
+      )
+    }
+    return Promise.resolve(this.loaders[type])
   }
 
   /**
-   * 加载单个资源项
+   * 是否支持该资源类型
+   * @param {string} type - 资源类型
+   * @returns {boolean}
+   */
+  hasType(type) {
+    return !!(this.loaders[type] || this.loaderFactories[type])
+  }
+
+  /**
+   * 加载单个资源（带缓存）
+   * 同一类型和路径的资源只加载一次；默认为调用方增加一次引用，不再使用时调用 release
+   *
    * @param {Object} item - 资源项配置
    * @param {string} item.type - 资源类型
    * @param {string} item.path - 资源路径
-   * @param {string} item.name - 资源名称
-   * @returns {Promise} 加载结果Promise
+   * @param {string} item.name - 可选，资源名称，之后可用名称获取和释放
+   * @param {Object} item.options - 可选，加载完成后赋给纹理的属性（如 colorSpace、wrapS）；
+   *   同一资源只按第一次加载时的 options 设置，之后以不同 options 加载会警告并返回缓存中的资源
+   * @param {Object|string} item.fallback - 可选，加载失败时改用的资源项 { type, path }，为字符串时按 Texture 加载
+   * @param {Object} options - 加载参数
+   * @param {boolean} options.retain - 是否增加引用，默认true
+   * @param {AbortSignal} options.signal - 中止信号，中止时只放弃等待，其他调用方仍可得到结果；
+   *   所有调用方都中止时，加载完成后没有引用的资源会被释放
+   * @returns {Promise<any>} 资源数据
    */
-  loadItem(item) {
-    return new Promise((resolve, reject) => {
-      // 检查是否有对应类型的加载器
-      if (!this.loaders[item.type]) {
-        throw new Error(`资源${item.path}没有配置加载器`)
-      }
-      
-      // 使用对应的加载器加载资源
-      this.loaders[item.type].load(
-        item.path,
-        (data) => {
-          // 加载成功
-          this.itemsLoaded++
-          
-          // 发射加载进度事件
-          this.emit("onProgress", item.path, this.itemsLoaded, this.itemsTotal)
-          
-          // 返回加载结果
-          resolve({ ...item, data })
-        },
-        null, // 进度回调（这里使用null）
-        (err) => {
-          // 加载失败
-          this.emit("onError", err)
-          reject(err)
+  load(item, { retain = true, signal } = {}) {
+    if (item.fallback) {
+      return this.loadWithFallback(item, { retain, signal })
+    }
+    let { type, path, name } = item
+    if (!this.hasType(type)) {
+      return Promise.reject(new Error(`资源${path},type不正确`))
+    }
+    let key = `${type}:${path}`
+    this.names.set(path, key)
+    name && this.names.set(name, key)
+
+    let entry = this.cache.get(key)
+    if (!entry) {
+      entry = { key, type, path, options: item.options, data: null, promise: null, refs: 0, waiting: 0, size: 0, bytes: 0, progress: 0 }
+      this.cache.set(key, entry)
+      entry.promise = this.loadEntry(entry, item.options)
+    } else if (!isSameOptions(entry.options, item.options)) {
+      console.warn(`[Resource] ${path} 已按其他 options 加载，沿用缓存中的设置`)
+    }
+
+    // waiting：还在等待结果的调用方，它们拿到结果后自行决定是否持有引用
+    entry.waiting++
+    return raceAbort(entry.promise, signal).then(
+      (data) => {
+        entry.waiting--
+        retain && entry.refs++
+        return data
+      },
+      (error) => {
+        entry.waiting--
+        // 加载途中中止：加载完成时如果没有调用方在等待、也没有引用，释放该资源
+        if (error.name === "AbortError" && this.loading.has(entry)) {
+          entry.promise.then(() => this.disposeUnused(entry), () => {})
         }
-      )
+        throw error
+      }
+    )
+  }
+
+  /**
+   * 释放加载完成后无人持有的缓存项（调用方都已中止）
+   * @private
+   */
+  disposeUnused(entry) {
+    if (entry.waiting || entry.refs || this.cache.get(entry.key) !== entry) return
+    this.disposeEntry(entry)
+  }
+
+  /**
+   * 先加载资源项本身，失败（取消除外）时改用 fallback，名称指向实际加载成功的资源
+   * @private
+   */
+  loadWithFallback(item, options) {
+    let { fallback, ...primary } = item
+    if (typeof fallback === "string") {
+      fallback = { type: "Texture", path: fallback }
+    }
+    return this.load(primary, options).catch((error) => {
+      if (error.name === "AbortError") throw error
+      console.warn(`[Resource] ${item.path} 加载失败，改用 ${fallback.path}：${error.message}`)
+      return this.load(Object.assign({ name: item.name, options: item.options }, fallback), options)
     })
   }
-  
+
+  /**
+   * 把程序生成的资源（如 DataTexture）加入缓存，引用数为1，release 后释放
+   * @param {string} name - 资源名称
+   * @param {any} data - 资源数据
+   * @returns {any} 资源数据
+   */
+  add(name, data) {
+    let key = `added:${name}`
+    this.dispose(name)
+    this.cache.set(key, { key, type: "added", path: name, data, promise: Promise.resolve(data), refs: 1, waiting: 0, size: estimateSize(data), bytes: 0, progress: 1 })
+    this.names.set(name, key)
+    return data
+  }
+
+  /**
+   * 执行缓存项的加载并统计进度
+   * @private
+   */
+  loadEntry(entry, options) {
+    if (!this.loading.size) {
+      this.itemsLoaded = 0
+      this.itemsTotal = 0
+      this.errors = 0
+      this.emit("onStart")
+    }
+    this.itemsTotal++
+    this.loading.add(entry)
+
+    return this.getLoader(entry.type)
+      .then((loader) => new Promise((resolve, reject) => {
+        loader.load(
+          entry.path,
+          resolve,
+          (event) => {
+            // 单个文件的下载进度
+            if (event && event.lengthComputable) {
+              entry.bytes = event.total
+              entry.progress = event.loaded / event.total
+              this.emitProgress(entry.path)
+            }
+          },
+          reject
+        )
+      }))
+      .then((data) => {
+        if (options && data && data.isTexture) {
+          Object.assign(data, options)
+          data.needsUpdate = true
+        }
+        entry.data = data
+        entry.size = estimateSize(data, entry.bytes)
+        this.finishEntry(entry)
+        return data
+      })
+      .catch((error) => {
+        // 失败的结果不缓存，允许下次重试
+        this.cache.get(entry.key) === entry && this.cache.delete(entry.key)
+        this.errors++
+        this.emit("onError", error, entry.path)
+        this.finishEntry(entry)
+        throw error
+      })
+  }
+
+  /**
+   * 缓存项加载结束（成功或失败）
+   * @private
+   */
+  finishEntry(entry) {
+    this.loading.delete(entry)
+    this.itemsLoaded++
+    this.emitProgress(entry.path)
+    if (!this.loading.size) {
+      this.emit("onComplete", { loaded: this.itemsLoaded, total: this.itemsTotal, errors: this.errors })
+    }
+  }
+
+  /**
+   * 发射合并后的加载进度
+   * @private
+   */
+  emitProgress(path) {
+    let partial = 0
+    this.loading.forEach((entry) => (partial += entry.progress))
+    let progress = this.itemsTotal ? Math.min((this.itemsLoaded + partial) / this.itemsTotal, 1) : 1
+    this.emit("onProgress", path, this.itemsLoaded, this.itemsTotal, progress)
+  }
+
   /**
    * 批量加载所有资源
+   * 每个资源增加一次引用
    * @param {Array} assets - 资源配置数组
-   * @returns {Promise} 所有资源加载完成的Promise
+   * @returns {Promise} 所有资源加载完成的Promise，结果为带 data 的资源项数组
    */
   loadAll(assets) {
-    // 重置加载计数器
-    this.itemsLoaded = 0
-    this.itemsTotal = 0
-
-    return new Promise((resolve, reject) => {
+    let currentAssets
+    try {
       // 验证和格式化资源配置
-      let currentAssets = this.matchType(assets)
-      let promise = []
-      
-      // 设置总资源数量
-      this.itemsTotal = currentAssets.length
-      
-      // 为每个资源创建加载Promise
-      currentAssets.map((item) => {
-        let currentItem = this.loadItem(item)
-        promise.push(currentItem)
+      currentAssets = this.matchType(assets)
+    } catch (error) {
+      return Promise.reject(error)
+    }
+
+    return Promise.all(currentAssets.map((item) => this.load(item).then((data) => ({ ...item, data }))))
+      .then((res) => {
+        // 所有资源加载成功
+        this.emit("onLoad")  // 发射加载完成事件
+        return res
       })
-      
-      // 等待所有资源加载完成
-      Promise.all(promise)
-        .then((res) => {
-          // 所有资源加载成功
-          this.assets = res
-          this.emit("onLoad")  // 发射加载完成事件
-          resolve(res)
-        })
-        .catch((err) => {
-          // 有资源加载失败
-          this.emit("onError", err)
-          reject(err)
-        })
-    })
+  }
+
+  /**
+   * 加载资源清单
+   * @param {Object|Array} manifest - 清单 { baseUrl, items } 或资源项数组
+   * @param {string} manifest.baseUrl - 相对路径的前缀
+   * @param {Array<Object>} manifest.items - 资源项 { type, name, path, options }
+   * @returns {Promise} 同 loadAll
+   */
+  loadManifest(manifest) {
+    let { baseUrl = "", items = [] } = Array.isArray(manifest) ? { items: manifest } : manifest
+    let resolvePath = (path) => (baseUrl && !isAbsolutePath(path) ? baseUrl + path : path)
+    return this.loadAll(
+      items.map((item) => {
+        let resolved = Object.assign({}, item, { path: resolvePath(item.path) })
+        if (typeof item.fallback === "string") {
+          resolved.fallback = resolvePath(item.fallback)
+        } else if (item.fallback) {
+          resolved.fallback = Object.assign({}, item.fallback, { path: resolvePath(item.fallback.path) })
+        }
+        return resolved
+      })
+    )
   }
 
   /**
@@ -217,56 +610,135 @@ export class Resource extends EventEmitter {
    * @returns {Array} 格式化后的资源配置数组
    */
   matchType(assets) {
-    this.assets = assets
-      .map((item) => {
-        // 验证资源类型是否支持
-        let type = types.includes(item.type) ? item.type : ""
-        return {
-          type: type,
-          path: item.path,
-          name: item.name,
-          data: null,
-        }
-      })
-      .filter((item) => {
-        // 过滤掉不支持的资源类型
-        if (!item.type) {
-          throw new Error(`资源${item.path},type不正确`)
-        }
-        return item.type
-      })
+    return assets.map((item) => {
+      // 验证资源类型是否支持
+      if (!this.hasType(item.type)) {
+        throw new Error(`资源${item.path},type不正确`)
+      }
+      return {
+        type: item.type,
+        path: item.path,
+        name: item.name,
+        options: item.options,
+        fallback: item.fallback,
+        data: null,
+      }
+    })
+  }
 
-    return this.assets
+  /**
+   * 查找资源名称（或路径）对应的缓存项
+   * @private
+   */
+  getEntry(name) {
+    let key = this.names.get(name)
+    return key ? this.cache.get(key) : undefined
   }
 
   /**
-   * 根据名称获取已加载的资源
-   * @param {string} name - 资源名称
+   * 资源是否已加载
+   * @param {string} name - 资源名称或路径
+   * @returns {boolean}
+   */
+  has(name) {
+    let entry = this.getEntry(name)
+    return !!(entry && entry.data)
+  }
+
+  /**
+   * 根据名称获取已加载的资源（不增加引用）
+   * @param {string} name - 资源名称或路径
    * @returns {any} 资源数据
    */
   getResource(name) {
-    let current = this.assets.find((item) => {
-      return item.name === name
-    })
-    
-    if (!current) {
+    let entry = this.getEntry(name)
+
+    if (!entry || !entry.data) {
       throw new Error(`资源${name}不存在`)
     }
-    
-    return current.data
+
+    return entry.data
+  }
+
+  /**
+   * 增加资源引用
+   * @param {string} name - 资源名称或路径
+   * @returns {any} 资源数据
+   */
+  retain(name) {
+    let data = this.getResource(name)
+    this.getEntry(name).refs++
+    return data
+  }
+
+  /**
+   * 减少资源引用，归零时释放资源
+   * @param {string} name - 资源名称或路径
+   */
+  release(name) {
+    let entry = this.getEntry(name)
+    if (!entry || entry.refs <= 0) return
+    entry.refs--
+    if (!entry.refs) {
+      this.dispose(name)
+    }
   }
-  
+
+  /**
+   * 立即释放资源（不论引用数），从缓存中移除
+   * @param {string} name - 资源名称或路径
+   */
+  dispose(name) {
+    let entry = this.getEntry(name)
+    entry && this.disposeEntry(entry)
+  }
+
+  /**
+   * 从缓存中移除缓存项并释放资源
+   * @private
+   */
+  disposeEntry(entry) {
+    this.cache.delete(entry.key)
+    this.names.forEach((key, alias) => key === entry.key && this.names.delete(alias))
+    disposeData(entry.data)
+    entry.data = null
+  }
+
+  /**
+   * 获取缓存统计
+   * @returns {Object} { count, size, loading, items: [{ key, type, path, refs, size }] }
+   */
+  getStats() {
+    let items = []
+    let size = 0
+    this.cache.forEach(({ key, type, path, refs, data, size: itemSize }) => {
+      if (!data) return
+      size += itemSize
+      items.push({ key, type, path, refs, size: itemSize })
+    })
+    return { count: items.length, size, loading: this.loading.size, items }
+  }
+
   /**
    * 销毁资源管理器
-   * 清理所有事件监听器和资源引用
+   * 清理所有事件监听器，释放所有资源和解码器
    */
   destroy() {
     // 移除所有事件监听器
+    this.off("onStart")
     this.off("onProgress")
+    this.off("onComplete")
     this.off("onLoad")
     this.off("onError")
-    
-    // 清空资源数组
-    this.assets = []
+
+    // 释放所有资源
+    this.cache.forEach((entry) => disposeData(entry.data))
+    this.cache.clear()
+    this.names.clear()
+
+    // 释放解码器和转码器的Worker
+    this.dracoLoader && this.dracoLoader.dispose()
+    this.ktx2Loader && this.ktx2Loader.dispose()
+    this.loaders = {}
   }
 }
@@ -8,7 +8,7 @@
  * - Time: 时间管理，渲染循环和动画时间控制
  * - Resource: 资源管理，统一的资源加载系统
  * - utils: 通用工具函数，包含UUID、数据转换等
- * - CreateHistory: 历史记录管理，撤销/重做功能
+ * - CreateHistory: 历史记录管理，撤销/重做、标签跳转、序列化和变化事件
  * - GC: 垃圾回收工具，内存管理和资源清理
  * 
  * 设计理念：
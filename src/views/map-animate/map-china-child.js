@@ -1,8 +1,13 @@
 /**
  * 子地图类（ChildMap）
  *
- * 用于省/市级地图的3D可视化、交互、标签、点标记等功能。
- * 支持地图区域的点击下钻、悬停高亮、标签自适应缩放、点信息弹窗等。
+ * 用于省/市/区县/村镇级地图的3D可视化、交互、标签、点标记等功能。
+ * 支持地图区域的逐级点击下钻、悬停高亮、标签自适应缩放、点信息弹窗等。
+ *
+ * 下钻层级：国家 → 省 → 地级市 → 区县 → 村镇
+ * - 区域有子级（childrenNum > 0）时下钻到子级地图
+ * - 区县没有子级但配置了村镇数据时，下钻到村镇级地图（ChildTownMap）
+ * - 每下钻一级都会向父级的历史记录压入一条记录，返回时逐级回退
  *
  * 主要功能：
  * - 3D地图区域挤出与材质渲染
@@ -23,6 +28,7 @@ import { ExtrudeMap } from "./map/extrudeMap"       // 地图挤出工具
 import { getBoundBox, emptyObject } from "@/mini3d" // 工具函数
 import { geoMercator } from "d3-geo"                // 地理投影
 import { gsap } from "gsap"                         // 动画库
+import { DataLoader } from "@/utils/DataLoader"     // 内置村镇测试数据
 
 export class ChildMap {
   /**
@@ -69,6 +75,7 @@ export class ChildMap {
     // 事件相关元素
     this.eventElement = []      // 可交互的地图区域Mesh
     this.pointEventElement = [] // 可交互的点元素
+    this.highlighted = null     // highlightRegion 高亮的区域组
     
     // 初始化子地图
     this.init()
@@ -81,10 +88,8 @@ export class ChildMap {
     this.createModel()  // 创建地图模型
     this.addLabel()     // 添加区域标签和点
     
-    // 如果有子区域，添加地图区域事件（如省下钻到市）
-    if (this.options.childrenNum) {
-      this.addEvent()
-    }
+    // 添加地图区域事件（悬停高亮、可下钻区域的点击下钻）
+    this.addEvent()
     // 添加点标记事件（如弹窗）
     this.addPointEvent()
   }
@@ -93,6 +98,7 @@ export class ChildMap {
    */
   createModel() {
     let { map } = this.createMap()
+    this.map = map               // 保存地图实例，供分级设色等模块使用
     this.setScale(map)           // 缩放到合适大小
     map.setParent(this.instance) // 添加到场景
   }
@@ -109,7 +115,7 @@ export class ChildMap {
 
     // 地图边界线材质
     this.mapLineMaterial = new LineBasicMaterial({
-      color: 0x2bc4dc,
+      color: this.parent.theme.map.line,
       opacity: 0,
       transparent: true,
       fog: false,
@@ -128,7 +134,7 @@ export class ChildMap {
       depth: this.parent.depth,
       topFaceMaterial: topMaterial,
       sideMaterial: sideMaterial,
-      lineMaterial: this.parent.mapLineMaterial,
+      lineMaterial: this.mapLineMaterial,
       renderOrder: 9,
     })
     this.areaData = map.coordinates // 区域数据
@@ -150,74 +156,116 @@ export class ChildMap {
     }
   }
 
+  /**
+   * 通过地图引擎的事件总线派发区域悬停/恢复，与主地图省份的 component:activate / component:reset 一致
+   * @param {string} action - activate | reset
+   * @param {Group} mesh - 区域组
+   */
+  emitRegionAction(action, mesh) {
+    let { eventBus } = this.parent
+    eventBus && eventBus.emitComponentAction(action, "region", {
+      adcode: mesh.userData.adcode,
+      name: mesh.userData.name,
+    })
+  }
+
+  /**
+   * 派发区域悬停/点击，与主地图省份的 map:hover / map:click 对应，携带GeoJSON属性供提示框使用
+   * @param {string} type - regionHover | regionClick
+   * @param {Group} mesh - 区域组
+   * @param {Object} data - 附加数据，如 { action: "enter" }
+   */
+  emitRegionInteraction(type, mesh, data = {}) {
+    let { eventBus } = this.parent
+    let region = this.areaData[mesh.userData.index]
+    eventBus && eventBus.emitMapInteraction(type, Object.assign({
+      region: Object.assign({}, region && region.properties, { name: mesh.userData.name, adcode: mesh.userData.adcode }),
+      target: mesh,
+      town: this instanceof ChildTownMap,
+    }, data))
+  }
+
+  /**
+   * 区域恢复默认状态
+   * 按数值挤出时网格自带Z轴缩放，悬停在此基础上放大
+   * @param {Group} mesh - 区域组
+   */
+  resetRegion(mesh) {
+    gsap.to(mesh.scale, {
+      duration: 0.3,
+      z: mesh.userData.heightScale,
+      onComplete: () => {
+        mesh.traverse((obj) => {
+          // 只处理区域网格（顶面/侧面材质数组），跳过热力图等贴在顶面上的叠加层
+          if (obj.isMesh && Array.isArray(obj.material)) {
+            obj.material[0].emissive.setHex(mesh.userData.materialEmissiveHex)
+            obj.material[0].emissiveIntensity = 1
+            obj.renderOrder = 9
+          }
+        })
+      },
+    })
+    this.setLabelMove(mesh.userData.adcode, "down")
+    this.setPointMove(mesh.userData.adcode, "down")
+    this.emitRegionAction("reset", mesh)
+  }
+  /**
+   * 区域高亮（升起、发光），悬停和 highlightRegion 共用
+   * @param {Group} mesh - 区域组
+   */
+  activateRegion(mesh) {
+    gsap.to(mesh.scale, {
+      duration: 0.3,
+      z: 1.5 * mesh.userData.heightScale,
+    })
+    this.setLabelMove(mesh.userData.adcode)
+    this.setPointMove(mesh.userData.adcode)
+    mesh.traverse((obj) => {
+      if (obj.isMesh && Array.isArray(obj.material)) {
+        obj.material[0].emissive.set(this.parent.theme.map.hover)
+        obj.material[0].emissiveIntensity = 1.5
+        obj.renderOrder = 21
+      }
+    })
+    this.emitRegionAction("activate", mesh)
+  }
+  /**
+   * 高亮指定区域（如搜索定位），保持到下一次调用，传入null取消
+   * @param {string|number|null} adcode - 区划代码
+   * @returns {boolean} 是否找到区域
+   */
+  highlightRegion(adcode) {
+    this.highlighted && this.resetRegion(this.highlighted)
+    this.highlighted = null
+    if (adcode === null || adcode === undefined) return false
+    let mesh = this.map.regionGroups.get(String(adcode))
+    if (!mesh) return false
+    this.highlighted = mesh
+    this.activateRegion(mesh)
+    return true
+  }
   /**
    * 添加地图区域交互事件（点击下钻、悬停高亮）
    */
   async addEvent() {
     let objectsHover = []
 
-    // 悬停恢复
-    const reset = (mesh) => {
-      gsap.to(mesh.scale, {
-        duration: 0.3,
-        z: 1,
-        onComplete: () => {
-          mesh.traverse((obj) => {
-            if (obj.isMesh) {
-              obj.material[0].emissive.setHex(mesh.userData.materialEmissiveHex)
-              obj.material[0].emissiveIntensity = 1
-              obj.renderOrder = 9
-            }
-          })
-        },
-      })
-      this.setLabelMove(mesh.userData.adcode, "down")
-      this.setPointMove(mesh.userData.adcode, "down")
-    }
-    // 悬停高亮
-    const move = (mesh) => {
-      gsap.to(mesh.scale, {
-        duration: 0.3,
-        z: 1.5,
-      })
-      this.setLabelMove(mesh.userData.adcode)
-      this.setPointMove(mesh.userData.adcode)
-      mesh.traverse((obj) => {
-        if (obj.isMesh) {
-          obj.material[0].emissive.setHex(0x0b112d)
-          obj.material[0].emissiveIntensity = 1.5
-          obj.renderOrder = 21
-        }
-      })
-    }
     // 循环为每个Mesh添加事件
     this.eventElement.map((mesh) => {
       this.parent.interactionManager.add(mesh)
       mesh.addEventListener("mousedown", async (event) => {
         if (this.clicked) return false
-        this.clicked = true
         let userData = event.target.parent.userData
-        // 沙坡头区adcode=640502，进入村镇级下钻
-        if (userData.adcode === 640502) {
-          const centroid = userData.centroid || userData.center || [105.19, 37.51]
-          if (typeof this.drillToTown === 'function') {
-            await this.drillToTown(userData.adcode, centroid)
-          } else if (typeof ChildTownMap === 'function') {
-            const townDrill = new ChildTownMap(this.parent, {
-              adcode: userData.adcode,
-              center: centroid,
-              mapData: {},
-              parentBoxSize: this.boundBox.boxSize ? [this.boundBox.boxSize.x, this.boundBox.boxSize.y] : [100, 100],
-              geoProjectionCenter: centroid,
-              geoProjectionScale: 80000,
-              geoProjectionTranslate: [500, 400],
-            })
-            await townDrill.drillToTown(userData.adcode, centroid)
-          }
+        this.emitRegionInteraction("regionClick", event.target.parent)
+        // 末级区域不再下钻
+        if (!this.canDrill(userData)) return false
+        this.clicked = true
+        // 区县没有子级，下钻到村镇级地图
+        if (!userData.childrenNum) {
+          await ChildTownMap.drillToTown(this.parent, userData)
           return
         }
-        this.parent.history.push(userData)
-        this.parent.loadChildMap(userData)
+        this.parent.drillDown(userData)
       })
       mesh.addEventListener("mouseup", (ev) => {
         this.clicked = false
@@ -227,7 +275,8 @@ export class ChildMap {
           objectsHover.push(event.target.parent)
         }
         document.body.style.cursor = "pointer"
-        move(event.target.parent)
+        this.activateRegion(event.target.parent)
+        this.emitRegionInteraction("regionHover", event.target.parent, { action: "enter" })
       })
       mesh.addEventListener("mouseout", (event) => {
         objectsHover = objectsHover.filter((n) => n.userData.name !== event.target.parent.userData.name)
@@ -235,10 +284,33 @@ export class ChildMap {
           const mesh = objectsHover[objectsHover.length - 1]
         }
         document.body.style.cursor = "default"
-        reset(event.target.parent)
+        this.resetRegion(event.target.parent)
+        this.emitRegionInteraction("regionHover", event.target.parent, { action: "leave" })
       })
     })
   }
+  /**
+   * 判断区域能否继续下钻
+   * 有子级区域，或者数据提供者配置了该区域的村镇级数据
+   * @param {Object} userData - 区域数据
+   * @returns {boolean}
+   */
+  canDrill(userData) {
+    if (userData.childrenNum > 0) return true
+    let provider = this.parent.boundaryProvider
+    return !!(provider && provider.has(userData.adcode))
+  }
+  /**
+   * 入场过渡：地图从平面升起，边界线和区域标签淡入
+   * 每一级子地图使用相同的过渡效果
+   */
+  show() {
+    gsap.fromTo(this.instance.scale, { z: 0.01 }, { duration: 0.8, z: 1, ease: "circ.out" })
+    gsap.fromTo(this.mapLineMaterial, { opacity: 0 }, { duration: 0.8, delay: 0.4, opacity: 1 })
+    this.allAreaLabel.map((label) => {
+      gsap.fromTo(label.element, { opacity: 0 }, { duration: 0.6, delay: 0.4, opacity: 1 })
+    })
+  }
   /**
    * 添加点标记交互事件（弹窗、悬停高亮）
    */
@@ -313,13 +385,13 @@ export class ChildMap {
     const texture = this.parent.assets.instance.getResource("point")
     const material = new SpriteMaterial({
       map: texture,
-      color: 0xffffff,
+      color: this.parent.theme.map.point,
       transparent: true,
       depthTest: false,
     })
     this.pointDefaultMaterial = material
     this.pointHoverMaterial = material.clone()
-    this.pointHoverMaterial.color = new Color(0x00ffff)
+    this.pointHoverMaterial.color = new Color(this.parent.theme.map.pointHover)
     const sprite = new Sprite(material)
     sprite.renderOrder = 23
     // 为每个区域生成标签、点、弹窗
@@ -497,113 +569,45 @@ export class ChildMap {
   }
 }
 
-//todo: LJK_村镇级地图
 /**
- * 村镇级地图
- * 1. 弹窗选择数据（文件选择或默认）
- * 2. 跳转到/town-map路由，并传递adcode参数
- * 3. 目标页面加载geojson数据，并渲染地图
- * 4. 可选：隐藏当前地图  
+ * 村镇级地图（ChildTownMap）
+ *
+ * 下钻层级的末级，区县没有子级（childrenNum为0）但配置了村镇数据时使用。
+ * 数据来源：
+ * - 默认：父级的边界数据提供者（boundaryProvider）中配置的村镇数据文件
+ * - 内置：DataLoader 内置的测试数据，带人口、面积、GDP属性，可用于分级设色
+ * - 自选：弹窗中选择本地GeoJSON文件
  */
 export class ChildTownMap extends ChildMap {
-  constructor(parent, options) {
-    super(parent, options)
-    this.adcode = options.adcode
-    this.centroid = options.centroid
-    this.mapData = options.mapData
-    this.parentBoxSize = options.parentBoxSize
-    this.geoProjectionCenter = options.geoProjectionCenter
-    this.geoProjectionScale = options.geoProjectionScale
-    this.geoProjectionTranslate = options.geoProjectionTranslate
-    // 其它初始化
-    this.drillToTown = this.drillToTown.bind(this)
-    this.askForTownData = this.askForTownData.bind(this)
-    this.setScale = this.setScale.bind(this)
-    this.setNameScale = this.setNameScale.bind(this)
-    this.setInfoScale = this.setInfoScale.bind(this)
-    this.setPointScale = this.setPointScale.bind(this)
-    this.geoProjection = this.geoProjection.bind(this)
-    this.setParent = this.setParent.bind(this)
-    this.destroy = this.destroy.bind(this)
-    this.removeElement = this.removeElement.bind(this)
-    this.calculateScale = this.calculateScale.bind(this)
-    this.createModel = this.createModel.bind(this)
-    this.createMap = this.createMap.bind(this)
-    this.addEvent = this.addEvent.bind(this)
-    this.addLabel = this.addLabel.bind(this)
-    this.addPointEvent = this.addPointEvent.bind(this)
-    this.setLabelMove = this.setLabelMove.bind(this)
-    this.setPointMove = this.setPointMove.bind(this)
-    this.infoLabel = this.infoLabel.bind(this)
-    this.labelNameStyle = this.labelNameStyle.bind(this)
-    this.init = this.init.bind(this)
+  /**
+   * 村镇级为末级，不再下钻
+   * @returns {boolean}
+   */
+  canDrill() {
+    return false
   }
 
-  // 重写下钻方法
-  async drillToTown(adcode, centroid) {
-    const geoData = await this.askForTownData()
-    if (!geoData) return
-    // ...路由跳转逻辑
-    // 1. 弹窗选择数据（文件选择或默认）
-    const result = await this.askForTownData()
-    if (!result) return null
-    // 2. 跳转到/town-map路由，并传递adcode参数
-    let router = null
-    if (typeof this.parent?.$router === 'object') {
-      router = this.parent.$router
-    } else if (window?.app?.config?.globalProperties?.$router) {
-      router = window.app.config.globalProperties.$router
-    } else if (window.$vueRouter) {
-      router = window.$vueRouter
-    }
-    if (router) {
-      router.push({
-        path: '/town-map',
-        query: { adcode: adcode }
-      })  
-      // 可选：如需传递geojson，可用全局store或sessionStorage
-      sessionStorage.setItem('townMapGeoJSON', JSON.stringify(geoData))
-      return
-    }
-    // 兼容：如果没有router，仍然可以直接渲染（降级方案）
-    const townMap = new ChildTownMap(this.parent, {
-      adcode,
-      center: centroid,
-      mapData: geoData,
-      parentBoxSize: this.boundBox.boxSize ? [this.boundBox.boxSize.x, this.boundBox.boxSize.y] : [100, 100],
-      geoProjectionCenter: centroid,
-      geoProjectionScale: 80000,
-      geoProjectionTranslate: [500, 400],
-    })
-    this.parent.scene.add(townMap.instance)
-    // 可选：隐藏当前地图 
-    this.parent.hide()
-    // 村镇级地图加载完成后，调用村镇级地图的show方法，显示村镇级地图
-    townMap.show()
-    // 村镇级地图加载完成后，调用村镇级地图的addEvent方法，添加事件
-    townMap.addEvent()
-    // 村镇级地图加载完成后，调用村镇级地图的addLabel方法，添加标签
-    townMap.addLabel()
-    // 村镇级地图加载完成后，调用村镇级地图的addPointEvent方法，添加点标记事件
-    townMap.addPointEvent()
-    // 村镇级地图加载完成后，调用村镇级地图的setScale方法，设置缩放
-    townMap.setScale()
-    // 村镇级地图加载完成后，调用村镇级地图的setNameScale方法，设置名称标签缩放
-    townMap.setNameScale()
-    // 村镇级地图加载完成后，调用村镇级地图的setInfoScale方法，设置信息弹窗缩放
-    townMap.setInfoScale()
-    // 村镇级地图加载完成后，调用村镇级地图的setPointScale方法，设置点标记缩放
-    townMap.setPointScale()
-    // 村镇级地图加载完成后，调用村镇级地图的geoProjection方法，设置经纬度投影
-    townMap.geoProjection()
-    // 村镇级地图加载完成后，调用村镇级地图的setParent方法，添加到父级Group
-    townMap.setParent(this.parent)
-    // 村镇级地图加载完成后，调用村镇级地图的destroy方法，销毁子地图，解绑事件，清理资源
-    townMap.destroy() 
+  /**
+   * 下钻到村镇级地图
+   * 弹窗选择数据源，确认后由父级压入历史记录并加载村镇级地图
+   * @param {Object} parent - 父级地图实例（主地图）
+   * @param {Object} userData - 被点击的区县数据
+   * @returns {Promise<boolean>} 是否完成下钻（取消时为false）
+   */
+  static async drillToTown(parent, userData) {
+    const geoData = await ChildTownMap.askForTownData(parent, userData)
+    if (!geoData) return false
+    parent.drillDown(userData, geoData)
+    return true
   }
 
-  // 弹窗选择数据
-  async askForTownData() {
+  /**
+   * 弹窗选择村镇数据（默认数据或本地文件）
+   * @param {Object} parent - 父级地图实例（主地图）
+   * @param {Object} userData - 被点击的区县数据
+   * @returns {Promise<Object|string|null>} GeoJSON数据，取消时为null
+   */
+  static askForTownData(parent, userData) {
     function isValidGeoJSON(data) {
       if (!(data && data.type === 'FeatureCollection' && Array.isArray(data.features))) return false;
       // 检查每个feature的geometry和coordinates
@@ -619,21 +623,24 @@ export class ChildTownMap extends ChildMap {
       modal.innerHTML = `
         <div style="font-size:18px;margin-bottom:12px;">请选择村镇级数据源</div>
         <button id="town-default-btn" style="margin-right:16px;">使用默认测试数据</button>
+        <button id="town-builtin-btn" style="margin-right:16px;">内置测试数据（含人口/GDP）</button>
         <input type="file" id="town-file-input" accept=".json,.geojson" style="display:inline-block;">
         <button id="town-cancel-btn" style="margin-left:16px;">取消</button>
       `
       document.body.appendChild(modal)
 
-      // 默认按钮
-      modal.querySelector('#town-default-btn').onclick = async () => {
-        const res = await fetch('/assets/testTownData/shapotou.json')
-        const data = await res.json()
-        if (!isValidGeoJSON(data)) {
-          alert('默认数据格式错误或GeoJSON内部结构不完整，无法加载！')
-          return
-        }
+      // 默认按钮：通过父级的数据提供者加载
+      modal.querySelector('#town-default-btn').onclick = () => {
+        document.body.removeChild(modal)
+        parent.boundaryProvider.getBoundary(userData).then(resolve, () => {
+          parent.toastLoading && parent.toastLoading.message(`${userData.name} 村镇数据加载失败`)
+          resolve(null)
+        })
+      }
+      // 内置按钮：带统计属性的示例数据
+      modal.querySelector('#town-builtin-btn').onclick = () => {
         document.body.removeChild(modal)
-        resolve(data)
+        resolve(DataLoader.getBuiltinTownData())
       }
       // 文件选择
       modal.querySelector('#town-file-input').onchange = (e) => {
@@ -68,6 +68,8 @@ export class DiffuseShader {
     } = this.options;
     // 扩散执行的最大时间
     let maxTime = size / diffuseSpeed;
+    // 扩散颜色，修改 this.color 即可实时换色
+    this.color = new Color(diffuseColor);
 
     material.onBeforeCompile = (shader) => {
       pointShader = shader;
@@ -83,7 +85,7 @@ export class DiffuseShader {
           value: diffuseWidth,
         },
         uColor: {
-          value: new Color(diffuseColor),
+          value: this.color,
         },
         uDir: {
           value: diffuseDir, // 1.0-xy,2.0-xz
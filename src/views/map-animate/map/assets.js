@@ -2,10 +2,15 @@
  * 资源管理类
  * 负责加载和管理3D地图需要的所有资源
  * 包括纹理贴图、JSON数据文件等
+ *
+ * 资源以清单（MAP_MANIFEST）的形式交给 mini3d 的 Resource 加载，
+ * 模块之后加载的纹理、数据（见 MapResource）共用同一个 Resource 的缓存和加载进度。
+ *
+ * 纹理目录中有同名 .ktx2 文件（npm run textures 生成）时优先加载KTX2压缩纹理，
+ * 加载失败（浏览器不支持、转码器缺失等）自动改用原图。
  */
 
 import { Resource } from "@/mini3d"
-import { FileLoader } from "three"
 
 // 纹理贴图资源导入
 import side from "@/assets/texture/side2.png"                          // 地图侧面贴图
@@ -25,82 +30,99 @@ import pathLine from "@/assets/texture/pathLine2.png"                  // 路径
 import pathLine2 from "@/assets/texture/pathLine4.png"                 // 路径线贴图2
 import point from "@/assets/texture/point1.png"                        // 点标记贴图
 
+// 已转换的KTX2纹理：文件名 -> 打包后的地址
+const KTX2_TEXTURES = Object.fromEntries(
+  Object.entries(import.meta.glob("../../../assets/texture/*.ktx2", { eager: true, import: "default" })).map(
+    ([file, url]) => [file.split("/").pop(), url]
+  )
+)
+
+/**
+ * 生成纹理资源项，有同名KTX2文件时加载KTX2，失败再加载原图
+ * @param {string} name - 资源名称
+ * @param {string} file - 原图文件名
+ * @param {string} url - 原图打包后的地址
+ * @returns {Object} 资源项
+ */
+function texture(name, file, url) {
+  let ktx2 = KTX2_TEXTURES[file.replace(/\.\w+$/, ".ktx2")]
+  return ktx2 ? { type: "KTX2", name, path: ktx2, fallback: url } : { type: "Texture", name, path: url }
+}
+
+// 地图资源清单，JSON路径相对 BASE_URL，纹理为打包后的地址
+export const MAP_MANIFEST = {
+  baseUrl: import.meta.env.BASE_URL,
+  items: [
+    // 纹理贴图资源
+    texture("grid", "grid.png", grid),                                // 网格贴图
+    texture("pathLine", "pathLine4.png", pathLine2),                  // 路径线贴图
+    texture("pathLine2", "pathLine2.png", pathLine),                  // 路径线贴图2
+    texture("flyLine", "flyLine2.png", flyLine),                      // 飞线贴图
+    texture("arrow", "arrow.png", arrow),                             // 箭头贴图
+    texture("gridBlack", "gridBlack.png", gridBlack),                 // 黑色网格贴图
+    texture("quan", "quan.png", quan),                                // 光圈贴图
+    texture("gaoguang1", "gaoguang1.png", gaoguang1),                 // 高光贴图
+    texture("huiguang", "huiguang.png", huiguang),                    // 辉光贴图
+    texture("rotationBorder1", "rotationBorder1.png", rotationBorder1),// 旋转边框1
+    texture("rotationBorder2", "rotationBorder3.png", rotationBorder2),// 旋转边框2
+    texture("guangquan1", "guangquan01.png", guangquan1),             // 光圈1
+    texture("guangquan2", "guangquan02.png", guangquan2),             // 光圈2
+    texture("side", "side2.png", side),                               // 侧面贴图
+    texture("topNormal", "top_surface_normal_map2.jpg", topNormal),   // 顶面法线贴图
+    texture("point", "point1.png", point),                            // 点标记贴图
+
+    // JSON数据文件（地图模块读取文本）
+    { type: "File", name: "chinaStorke", path: "assets/json/中华人民共和国-轮廓.json" },
+    { type: "File", name: "china", path: "assets/json/中华人民共和国.json" },
+    { type: "File", name: "transportPath", path: "assets/json/运输路径.json" },
+  ],
+}
+
 export class Assets {
   /**
    * 构造函数
    * @param {Function} onLoadCallback - 资源加载完成回调函数
+   * @param {Object} options - 配置参数
+   * @param {WebGLRenderer} options.renderer - 渲染器，加载KTX2纹理时需要
+   * @param {ToastLoading} options.toastLoading - 加载提示组件，传入后显示加载进度
+   * @param {Object} options.manifest - 资源清单，默认 MAP_MANIFEST
    */
-  constructor(onLoadCallback = null) {
+  constructor(onLoadCallback = null, options = {}) {
     this.onLoadCallback = onLoadCallback
+    this.options = Object.assign({ renderer: null, toastLoading: null, manifest: MAP_MANIFEST }, options)
     this.init()
   }
   
   /**
    * 初始化资源管理器
-   * 配置加载器、设置事件监听、开始加载资源
+   * 创建资源实例、绑定加载进度、开始加载清单
    */
   init() {
+    let { renderer, toastLoading, manifest } = this.options
+
     // 创建资源管理实例
-    this.instance = new Resource()
-    
-    // 添加文件加载器，用于加载JSON等文件
-    this.instance.addLoader(FileLoader, "FileLoader")
-    
-    // 监听资源加载进度
-    this.instance.on("onProgress", (path, itemsLoaded, itemsTotal) => {
-      let progress = (itemsLoaded / itemsTotal) * 100
-      let bfb = progress.toFixed(2) + "%!"
-      // console.log(bfb, path, itemsLoaded, itemsTotal)
-    })
-    
-    // 监听资源加载完成事件
-    this.instance.on("onLoad", () => {
-      // console.log("资源加载完成")
-      this.onLoadCallback && this.onLoadCallback()
-    })
+    this.instance = new Resource({ renderer })
     
-    // 获取基础URL
-    let base_url = import.meta.env.BASE_URL
+    // 加载提示组件显示合并后的加载进度
+    this.untrack = toastLoading ? toastLoading.track(this.instance) : null
     
-    // 定义需要加载的资源列表
-    let assets = [
-      // 纹理贴图资源
-      { type: "Texture", name: "grid", path: grid },                      // 网格贴图
-      { type: "Texture", name: "pathLine", path: pathLine2 },             // 路径线贴图
-      { type: "Texture", name: "pathLine2", path: pathLine },             // 路径线贴图2
-      { type: "Texture", name: "flyLine", path: flyLine },                // 飞线贴图
-      { type: "Texture", name: "arrow", path: arrow },                    // 箭头贴图
-      { type: "Texture", name: "gridBlack", path: gridBlack },            // 黑色网格贴图
-      { type: "Texture", name: "quan", path: quan },                      // 光圈贴图
-      { type: "Texture", name: "gaoguang1", path: gaoguang1 },            // 高光贴图
-      { type: "Texture", name: "huiguang", path: huiguang },              // 辉光贴图
-      { type: "Texture", name: "rotationBorder1", path: rotationBorder1 }, // 旋转边框1
-      { type: "Texture", name: "rotationBorder2", path: rotationBorder2 }, // 旋转边框2
-      { type: "Texture", name: "guangquan1", path: guangquan1 },          // 光圈1
-      { type: "Texture", name: "guangquan2", path: guangquan2 },          // 光圈2
-      { type: "Texture", name: "side", path: side },                      // 侧面贴图
-      { type: "Texture", name: "topNormal", path: topNormal },            // 顶面法线贴图
-      { type: "Texture", name: "point", path: point },                    // 点标记贴图
+    // 开始加载清单，全部完成后回调
+    this.instance
+      .loadManifest(manifest)
+      .then(() => {
+        this.onLoadCallback && this.onLoadCallback()
+      })
+      .catch((error) => {
+        console.error("[Assets] 资源加载失败:", error)
+        toastLoading && toastLoading.message("地图资源加载失败，请刷新重试", { duration: 0 })
+      })
+  }
 
-      // JSON数据文件
-      {
-        type: "File",
-        name: "chinaStorke",
-        path: base_url + "assets/json/中华人民共和国-轮廓.json",
-      },
-      {
-        type: "File",
-        name: "china",
-        path: base_url + "assets/json/中华人民共和国.json",
-      },
-      {
-        type: "File",
-        name: "transportPath",
-        path: base_url + "assets/json/运输路径.json",
-      },
-    ]
-    
-    // 开始加载所有资源
-    this.instance.loadAll(assets)
+  /**
+   * 销毁资源管理器，释放所有资源
+   */
+  destroy() {
+    this.untrack && this.untrack()
+    this.instance.destroy()
   }
 }
@@ -0,0 +1,394 @@
+/**
+ * 行政区划边界数据提供者
+ *
+ * 为地图下钻提供GeoJSON边界数据，替代写死的 geo.datav.aliyun.com 地址，
+ * 使内网（无外网）部署也能正常下钻。
+ *
+ * 主要功能：
+ * - LocalBoundaryProvider：读取本地目录 public/assets/json/<adcode>.json / <adcode>_full.json
+ * - HttpBoundaryProvider：从可配置的HTTP服务地址获取边界数据
+ * - MappedBoundaryProvider：按区划代码指定数据文件（如DataV没有的村镇级数据）
+ * - ChainBoundaryProvider：按顺序尝试多个提供者，前一个失败时自动回退到下一个
+ * - 结果缓存：同一区划只请求一次，并发请求复用同一个Promise
+ * - 统一错误：失败时抛出 BoundaryLoadError，由调用方展示给用户
+ * - 可取消：getBoundary 接受 AbortSignal；loadBoundary 经由加载队列请求（优先级、去重、重试）
+ *
+ * 数据文件说明：
+ * - <adcode>_full.json：包含该区域所有子级区域的完整数据（有子级时使用）
+ * - <adcode>.json：仅包含该区域自身边界的数据（无子级时使用）
+ *
+ * @example
+ * // 先读本地目录，本地没有再请求内网数据服务
+ * const provider = createBoundaryProvider({ remoteUrl: "http://10.0.0.8/geo/bound/" })
+ * provider.getBoundary({ adcode: 510000, childrenNum: 21 }).then((geoJson) => {})
+ */
+
+/** 默认的远程数据服务地址（阿里云DataV） */
+export const DATAV_BOUNDARY_URL = "https://geo.datav.aliyun.com/areas_v3/bound/"
+
+/** 默认的村镇级数据文件（DataV只提供到区县级） */
+export const DEFAULT_TOWN_FILES = {
+  640502: import.meta.env.BASE_URL + "assets/testTownData/shapotou.json", // 宁夏中卫市沙坡头区
+}
+
+/**
+ * 边界数据加载错误
+ * 携带区划代码和每个数据源的失败原因，便于界面提示和排查
+ */
+export class BoundaryLoadError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {Object} detail - 错误详情
+   * @param {string|number} detail.adcode - 行政区划代码
+   * @param {Array<{source: string, error: string}>} detail.attempts - 各数据源的失败记录
+   */
+  constructor(message, { adcode, attempts = [] } = {}) {
+    super(message)
+    this.name = "BoundaryLoadError"
+    this.adcode = adcode
+    this.attempts = attempts
+  }
+}
+
+/**
+ * 边界数据提供者基类
+ * 子类只需实现 fetchBoundary(adcode, full)，缓存和参数处理由基类统一完成
+ */
+export class BoundaryProvider {
+  /**
+   * @param {Object} options - 配置参数
+   * @param {boolean} options.cache - 是否缓存结果，默认true
+   * @param {string} options.name - 提供者名称，用于错误提示
+   */
+  constructor(options = {}) {
+    let defaultOptions = {
+      cache: true,
+      name: "boundary",
+    }
+    this.options = Object.assign({}, defaultOptions, options)
+    this.name = this.options.name
+    // 缓存：key -> Promise<string>
+    this.cache = new Map()
+  }
+
+  /**
+   * 获取区域边界数据
+   * @param {Object} userData - 区域数据（与地图模块的userData一致）
+   * @param {string|number} userData.adcode - 行政区划代码
+   * @param {number} userData.childrenNum - 子级区域数量，为0时只取自身边界
+   * @param {Object} options - 请求参数
+   * @param {AbortSignal} options.signal - 中止信号，传给 fetch
+   * @returns {Promise<string>} GeoJSON字符串
+   */
+  getBoundary(userData, options = {}) {
+    let full = userData.childrenNum !== 0
+    return this.load(userData.adcode, full, options)
+  }
+
+  /**
+   * 按区划代码加载边界数据（带缓存）
+   * @param {string|number} adcode - 行政区划代码
+   * @param {boolean} full - 是否获取包含子级区域的完整数据
+   * @param {Object} options - 请求参数，同 getBoundary
+   * @returns {Promise<string>} GeoJSON字符串
+   */
+  load(adcode, full = true, options = {}) {
+    let key = this.getFileName(adcode, full)
+    if (this.options.cache && this.cache.has(key)) {
+      return this.cache.get(key)
+    }
+    let promise = Promise.resolve()
+      .then(() => this.fetchBoundary(adcode, full, options))
+      .catch((error) => {
+        // 失败（包括被中止）的结果不缓存，允许下次重试
+        this.cache.delete(key)
+        throw error
+      })
+    if (this.options.cache) {
+      this.cache.set(key, promise)
+    }
+    return promise
+  }
+
+  /**
+   * 是否明确持有该区划的数据
+   * 用于判断没有子级（childrenNum为0）的区域能否继续下钻，例如村镇级数据
+   * @param {string|number} adcode - 行政区划代码
+   * @returns {boolean}
+   */
+  has(adcode) {
+    return false
+  }
+
+  /**
+   * 获取边界数据，由子类实现
+   * @param {string|number} adcode - 行政区划代码
+   * @param {boolean} full - 是否获取完整数据
+   * @param {Object} options - 请求参数，同 getBoundary
+   * @returns {Promise<string>} GeoJSON字符串
+   */
+  fetchBoundary(adcode, full, options) {
+    return Promise.reject(new BoundaryLoadError(`${this.name} 未实现 fetchBoundary`, { adcode }))
+  }
+
+  /**
+   * 生成数据文件名
+   * @param {string|number} adcode - 行政区划代码
+   * @param {boolean} full - 是否为完整数据
+   * @returns {string} 文件名，如 510000_full.json
+   */
+  getFileName(adcode, full) {
+    return `${adcode}${full ? "_full" : ""}.json`
+  }
+
+  /**
+   * 清空缓存
+   * @param {string|number} adcode - 只清除该区划的缓存，不传则全部清除
+   */
+  clearCache(adcode) {
+    if (adcode === undefined) {
+      this.cache.clear()
+      return
+    }
+    this.cache.delete(this.getFileName(adcode, true))
+    this.cache.delete(this.getFileName(adcode, false))
+  }
+}
+
+/**
+ * HTTP边界数据提供者
+ * 从 baseUrl + <adcode>[_full].json 获取数据，地址可指向公网或内网数据服务
+ */
+export class HttpBoundaryProvider extends BoundaryProvider {
+  /**
+   * @param {Object} options - 配置参数
+   * @param {string} options.baseUrl - 数据服务地址，默认DataV地址
+   * @param {Object} options.fetchOptions - 透传给fetch的参数（如请求头）
+   */
+  constructor(options = {}) {
+    super(Object.assign({ name: "http", baseUrl: DATAV_BOUNDARY_URL, fetchOptions: {} }, options))
+    this.baseUrl = this.normalizeBaseUrl(this.options.baseUrl)
+  }
+
+  /**
+   * 保证地址以 / 结尾
+   * @param {string} url - 地址
+   * @returns {string}
+   */
+  normalizeBaseUrl(url) {
+    return url.endsWith("/") ? url : url + "/"
+  }
+
+  /**
+   * 获取边界数据
+   * @param {string|number} adcode - 行政区划代码
+   * @param {boolean} full - 是否获取完整数据
+   * @param {Object} options - 请求参数，同 getBoundary
+   * @returns {Promise<string>} GeoJSON字符串
+   */
+  fetchBoundary(adcode, full, options) {
+    return this.request(this.baseUrl + this.getFileName(adcode, full), options)
+  }
+
+  /**
+   * 请求并校验GeoJSON文本
+   * @param {string} url - 请求地址
+   * @param {Object} options - 请求参数
+   * @param {AbortSignal} options.signal - 中止信号
+   * @returns {Promise<string>} GeoJSON字符串
+   */
+  request(url, { signal } = {}) {
+    return fetch(url, Object.assign({}, this.options.fetchOptions, { signal }))
+      .then((res) => {
+        if (!res.ok) {
+          throw new Error(`HTTP ${res.status}: ${url}`)
+        }
+        return res.text()
+      })
+      .then((text) => {
+        this.validate(text, url)
+        return text
+      })
+  }
+
+  /**
+   * 校验返回内容是否为GeoJSON
+   * 开发服务器对不存在的文件可能返回 index.html，需要在这里识别出来
+   * @param {string} text - 返回内容
+   * @param {string} url - 请求地址
+   */
+  validate(text, url) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (error) {
+      throw new Error(`不是有效的JSON: ${url}`)
+    }
+    if (!data || !Array.isArray(data.features)) {
+      throw new Error(`不是有效的GeoJSON: ${url}`)
+    }
+  }
+}
+
+/**
+ * 本地目录边界数据提供者
+ * 读取随项目部署的 public/assets/json 目录，无需访问外网
+ */
+export class LocalBoundaryProvider extends HttpBoundaryProvider {
+  /**
+   * @param {Object} options - 配置参数
+   * @param {string} options.baseUrl - 本地数据目录，默认 BASE_URL + assets/json/
+   */
+  constructor(options = {}) {
+    super(Object.assign({ name: "local", baseUrl: import.meta.env.BASE_URL + "assets/json/" }, options))
+  }
+}
+
+/**
+ * 指定文件的边界数据提供者
+ * 按区划代码映射到具体文件地址，用于DataV未提供的数据（如村镇级边界）
+ */
+export class MappedBoundaryProvider extends HttpBoundaryProvider {
+  /**
+   * @param {Object} options - 配置参数
+   * @param {Object<string, string>} options.files - 区划代码到文件地址的映射
+   */
+  constructor(options = {}) {
+    super(Object.assign({ name: "mapped", baseUrl: "", files: {} }, options))
+    this.files = this.options.files
+  }
+
+  /**
+   * @param {string|number} adcode - 行政区划代码
+   * @returns {boolean}
+   */
+  has(adcode) {
+    return Object.prototype.hasOwnProperty.call(this.files, adcode)
+  }
+
+  /**
+   * 获取映射文件中的边界数据（映射文件即完整数据，忽略full参数）
+   * @param {string|number} adcode - 行政区划代码
+   * @param {boolean} full - 忽略
+   * @param {Object} options - 请求参数，同 getBoundary
+   * @returns {Promise<string>} GeoJSON字符串
+   */
+  fetchBoundary(adcode, full, options) {
+    if (!this.has(adcode)) {
+      return Promise.reject(new Error(`未配置区划 ${adcode} 的数据文件`))
+    }
+    return this.request(this.files[adcode], options)
+  }
+}
+
+/**
+ * 链式边界数据提供者
+ * 按顺序尝试各个提供者，全部失败时抛出包含所有失败原因的 BoundaryLoadError
+ */
+export class ChainBoundaryProvider extends BoundaryProvider {
+  /**
+   * @param {Array<BoundaryProvider>} providers - 按优先级排列的提供者列表
+   * @param {Object} options - 配置参数
+   */
+  constructor(providers = [], options = {}) {
+    super(Object.assign({ name: "chain" }, options))
+    this.providers = providers
+  }
+
+  /**
+   * 任一子提供者持有即可
+   * @param {string|number} adcode - 行政区划代码
+   * @returns {boolean}
+   */
+  has(adcode) {
+    return this.providers.some((provider) => provider.has(adcode))
+  }
+
+  /**
+   * 依次尝试各个提供者，被中止时不再尝试后面的提供者
+   * @param {string|number} adcode - 行政区划代码
+   * @param {boolean} full - 是否获取完整数据
+   * @param {Object} options - 请求参数，同 getBoundary
+   * @returns {Promise<string>} GeoJSON字符串
+   */
+  async fetchBoundary(adcode, full, options = {}) {
+    let attempts = []
+    for (let provider of this.providers) {
+      // 指定文件的提供者只处理已配置的区划
+      if (provider instanceof MappedBoundaryProvider && !provider.has(adcode)) continue
+      try {
+        return await provider.load(adcode, full, options)
+      } catch (error) {
+        if (options.signal && options.signal.aborted) throw error
+        attempts.push({ source: provider.name, error: error.message })
+      }
+    }
+    throw new BoundaryLoadError(`区划 ${adcode} 的边界数据加载失败`, { adcode, attempts })
+  }
+
+  /**
+   * 清空自身及所有子提供者的缓存
+   * @param {string|number} adcode - 行政区划代码
+   */
+  clearCache(adcode) {
+    super.clearCache(adcode)
+    this.providers.forEach((provider) => provider.clearCache(adcode))
+  }
+}
+
+/**
+ * 创建默认的边界数据提供者：指定文件优先，其次本地目录，远程服务兜底
+ *
+ * @param {Object} options - 配置参数
+ * @param {Object<string, string>} options.files - 区划代码到数据文件的映射，默认 DEFAULT_TOWN_FILES
+ * @param {boolean|string} options.localUrl - 本地数据目录，false表示不读本地
+ * @param {boolean|string} options.remoteUrl - 远程服务地址，false表示不访问远程（纯内网部署）
+ * @returns {ChainBoundaryProvider}
+ */
+export function createBoundaryProvider(options = {}) {
+  let { files = DEFAULT_TOWN_FILES, localUrl = true, remoteUrl = DATAV_BOUNDARY_URL } = options
+  let providers = []
+  if (files) {
+    providers.push(new MappedBoundaryProvider({ files, cache: false }))
+  }
+  if (localUrl) {
+    // 子提供者不缓存，由外层链统一缓存
+    providers.push(new LocalBoundaryProvider(typeof localUrl === "string" ? { baseUrl: localUrl, cache: false } : { cache: false }))
+  }
+  if (remoteUrl) {
+    providers.push(new HttpBoundaryProvider({ baseUrl: remoteUrl, cache: false }))
+  }
+  return new ChainBoundaryProvider(providers)
+}
+
+/**
+ * 边界数据的区域要素转换为区域用户数据，字段与地图挤出模型的 userData 一致
+ * @param {Object} feature - GeoJSON要素
+ * @returns {Object} { name, center, centroid, adcode, level, childrenNum }
+ */
+export function regionFromFeature(feature) {
+  let { name, center, centroid, level, childrenNum } = feature.properties
+  return {
+    name,
+    center,
+    centroid: centroid || center,
+    adcode: feature.properties.adcode ?? feature.properties.code,
+    level,
+    childrenNum,
+  }
+}
+
+/**
+ * 经由加载队列获取区域边界数据
+ * 以数据文件名去重，下钻和预加载请求同一区域时共用一次请求
+ *
+ * @param {LoaderQueue} queue - 加载队列，见 loaderQueue.js
+ * @param {BoundaryProvider} provider - 边界数据提供者
+ * @param {Object} userData - 区域数据，同 getBoundary
+ * @param {Object} options - 队列请求参数 { priority, group, signal }
+ * @returns {Promise<string>} GeoJSON字符串
+ */
+export function loadBoundary(queue, provider, userData, options = {}) {
+  let key = "boundary:" + provider.getFileName(userData.adcode, userData.childrenNum !== 0)
+  return queue.add(key, (signal) => provider.getBoundary(userData, { signal }), options)
+}
@@ -0,0 +1,319 @@
+/**
+ * 分级设色（Choropleth）工具
+ *
+ * 把区域的数值属性映射为填充颜色，并生成对应的图例。
+ * 不依赖场景对象，地图模块（MapChoropleth）负责把颜色应用到省份/村镇网格上。
+ *
+ * 主要功能：
+ * - 分级方法：quantile（分位数）、equal（等间距）、jenks（自然断点）
+ * - 色带类型：sequential（顺序）、diverging（发散，围绕中点）、categorical（分类）
+ * - ChoroplethLegend：与色带一致的图例浮层
+ *
+ * 分级约定：breaks 为升序的分级边界，第 i 级包含 (breaks[i], breaks[i+1]]，第一级包含最小值。
+ *
+ * @example
+ * const scale = createChoroplethScale([12, 30, 58, 91], { method: "jenks", classes: 3 })
+ * scale.getColor(58) // "#2bc4dc"
+ */
+
+import { Color } from "three"
+import { escapeHTML } from "./tooltip"
+
+/** 默认色带，配合深蓝色地图底色 */
+export const CHOROPLETH_PALETTES = {
+  sequential: ["#0b2f5e", "#1f6fb2", "#2bc4dc", "#a6f4ff"],
+  diverging: ["#2b83ba", "#f3f0c4", "#e0483d"],
+  categorical: ["#2bc4dc", "#fbdf88", "#50bbfe", "#ff8a65", "#9ccc65", "#ba68c8", "#4db6ac", "#f06292"],
+}
+
+/** 支持的分级方法 */
+export const CLASSIFY_METHODS = ["quantile", "equal", "jenks"]
+
+/**
+ * 分位数分级：每一级包含数量大致相同的区域
+ * @param {Array<number>} sorted - 升序数值
+ * @param {number} classes - 分级数
+ * @returns {Array<number>} 分级边界
+ */
+export function quantileBreaks(sorted, classes) {
+  let breaks = [sorted[0]]
+  for (let i = 1; i < classes; i++) {
+    // 线性插值的分位数
+    let position = (sorted.length - 1) * (i / classes)
+    let lower = Math.floor(position)
+    let fraction = position - lower
+    let value = sorted[lower] + (sorted[Math.min(lower + 1, sorted.length - 1)] - sorted[lower]) * fraction
+    breaks.push(value)
+  }
+  breaks.push(sorted[sorted.length - 1])
+  return breaks
+}
+
+/**
+ * 等间距分级：每一级的数值跨度相同
+ * @param {Array<number>} sorted - 升序数值
+ * @param {number} classes - 分级数
+ * @returns {Array<number>} 分级边界
+ */
+export function equalIntervalBreaks(sorted, classes) {
+  let min = sorted[0]
+  let max = sorted[sorted.length - 1]
+  let step = (max - min) / classes
+  let breaks = [min]
+  for (let i = 1; i < classes; i++) {
+    breaks.push(min + step * i)
+  }
+  breaks.push(max)
+  return breaks
+}
+
+/**
+ * Jenks自然断点分级（Fisher-Jenks动态规划），使级内方差最小
+ * @param {Array<number>} sorted - 升序数值
+ * @param {number} classes - 分级数
+ * @returns {Array<number>} 分级边界
+ */
+export function jenksBreaks(sorted, classes) {
+  let n = sorted.length
+  // lower[l][j]：前l个数分成j级时，最后一级的起始序号（从1开始）
+  let lower = []
+  let variance = []
+  for (let l = 0; l <= n; l++) {
+    lower.push(new Array(classes + 1).fill(0))
+    variance.push(new Array(classes + 1).fill(l < 2 ? 0 : Infinity))
+  }
+  for (let j = 1; j <= classes; j++) {
+    lower[1][j] = 1
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0
+    let sumSquares = 0
+    let v = 0
+    for (let m = 1; m <= l; m++) {
+      let lowerIndex = l - m + 1
+      let value = sorted[lowerIndex - 1]
+      sum += value
+      sumSquares += value * value
+      v = sumSquares - (sum * sum) / m
+      let previous = lowerIndex - 1
+      if (previous !== 0) {
+        for (let j = 2; j <= classes; j++) {
+          if (variance[l][j] >= v + variance[previous][j - 1]) {
+            lower[l][j] = lowerIndex
+            variance[l][j] = v + variance[previous][j - 1]
+          }
+        }
+      }
+    }
+    lower[l][1] = 1
+    variance[l][1] = v
+  }
+
+  let breaks = new Array(classes + 1)
+  breaks[0] = sorted[0]
+  breaks[classes] = sorted[n - 1]
+  let k = n
+  for (let j = classes; j >= 2; j--) {
+    let index = lower[k][j] - 2
+    breaks[j - 1] = sorted[index]
+    k = lower[k][j] - 1
+  }
+  return breaks
+}
+
+/**
+ * 计算分级边界
+ * 不同数值的个数不超过分级数时，每个数值单独一级
+ * @param {Array<number>} values - 数值（无需排序）
+ * @param {string} method - 分级方法：quantile | equal | jenks
+ * @param {number} classes - 分级数
+ * @returns {Array<number>} 去重后的升序分级边界，至少包含 [最小值, 最大值]
+ */
+export function classify(values, method = "quantile", classes = 5) {
+  let sorted = values.slice().sort((a, b) => a - b)
+  let unique = [...new Set(sorted)]
+  let breaks
+  if (unique.length <= classes) {
+    breaks = [unique[0], ...unique]
+  } else if (method === "equal") {
+    breaks = equalIntervalBreaks(sorted, classes)
+  } else if (method === "jenks") {
+    breaks = jenksBreaks(sorted, classes)
+  } else {
+    breaks = quantileBreaks(sorted, classes)
+  }
+  // 去掉重复边界（分位数在数值集中时会重合），保留第一级的下界
+  return breaks.filter((value, index) => index < 2 || value > breaks[index - 1])
+}
+
+/**
+ * 获取数值所在的级别
+ * @param {number} value - 数值
+ * @param {Array<number>} breaks - 分级边界
+ * @returns {number} 级别序号
+ */
+export function getClassIndex(value, breaks) {
+  for (let i = 1; i < breaks.length - 1; i++) {
+    if (value <= breaks[i]) return i - 1
+  }
+  return breaks.length - 2
+}
+
+/**
+ * 在色带上插值
+ * @param {Array<string|number>} colors - 色带颜色（至少一个）
+ * @param {number} t - 位置 0~1
+ * @returns {string} CSS颜色，如 "#2bc4dc"
+ */
+export function interpolateColors(colors, t) {
+  if (colors.length === 1) return "#" + new Color(colors[0]).getHexString()
+  let position = Math.min(Math.max(t, 0), 1) * (colors.length - 1)
+  let index = Math.min(Math.floor(position), colors.length - 2)
+  let color = new Color().lerpColors(new Color(colors[index]), new Color(colors[index + 1]), position - index)
+  return "#" + color.getHexString()
+}
+
+/**
+ * 创建分级色带
+ *
+ * @param {Array<number|string>} values - 所有区域的数值（分类色带可为字符串）
+ * @param {Object} options - 配置参数
+ * @param {string} options.scale - 色带类型：sequential | diverging | categorical，默认sequential
+ * @param {string} options.method - 分级方法：quantile | equal | jenks，默认quantile
+ * @param {number} options.classes - 分级数，默认5
+ * @param {Array<string|number>} options.colors - 色带颜色，默认使用 CHOROPLETH_PALETTES
+ * @param {number} options.midpoint - 发散色带的中点，默认中位数
+ * @returns {{ type: string, classes: Array<{from, to, value, color}>, getColor: Function }}
+ */
+export function createChoroplethScale(values, options = {}) {
+  let { scale = "sequential", method = "quantile", classes = 5, colors, midpoint } = options
+  let palette = colors || CHOROPLETH_PALETTES[scale] || CHOROPLETH_PALETTES.sequential
+
+  // ============ 分类色带 ============
+  if (scale === "categorical") {
+    let categories = [...new Set(values.filter((value) => value !== undefined && value !== null && value !== ""))]
+    let items = categories.map((value, index) => ({
+      value,
+      color: interpolateColors([palette[index % palette.length]], 0),
+    }))
+    return {
+      type: scale,
+      classes: items,
+      getColor: (value) => {
+        let item = items.find((n) => n.value === value)
+        return item ? item.color : null
+      },
+    }
+  }
+
+  // ============ 顺序/发散色带 ============
+  let numbers = values.map(Number).filter(Number.isFinite)
+  if (!numbers.length) {
+    return { type: scale, classes: [], getColor: () => null }
+  }
+  let breaks = classify(numbers, method, classes)
+  let count = breaks.length - 1
+  let min = breaks[0]
+  let max = breaks[count]
+  if (scale === "diverging" && midpoint === undefined) {
+    let sorted = numbers.slice().sort((a, b) => a - b)
+    midpoint = sorted[Math.floor(sorted.length / 2)]
+  }
+
+  let items = []
+  for (let i = 0; i < count; i++) {
+    let from = breaks[i]
+    let to = breaks[i + 1]
+    let t = count === 1 ? 1 : i / (count - 1)
+    if (scale === "diverging") {
+      // 以中点为色带中心，低于中点偏向第一个颜色，高于中点偏向最后一个颜色
+      let center = (from + to) / 2
+      t = center < midpoint
+        ? 0.5 - (0.5 * (midpoint - center)) / (midpoint - min || 1)
+        : 0.5 + (0.5 * (center - midpoint)) / (max - midpoint || 1)
+    }
+    items.push({ from, to, color: interpolateColors(palette, t) })
+  }
+
+  return {
+    type: scale,
+    classes: items,
+    getColor: (value) => {
+      value = Number(value)
+      return Number.isFinite(value) ? items[getClassIndex(value, breaks)].color : null
+    },
+  }
+}
+
+/**
+ * 格式化图例中的数值
+ * @param {number} value - 数值
+ * @returns {string}
+ */
+function formatValue(value) {
+  return Number(value).toLocaleString("zh-CN", { maximumFractionDigits: 2 })
+}
+
+/**
+ * 分级设色图例
+ * 样式见页面中的 .choropleth-legend
+ */
+export class ChoroplethLegend {
+  /**
+   * @param {Object} options - 配置参数
+   * @param {HTMLElement} options.container - 图例的父元素，默认document.body
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({ container: document.body }, options)
+    this.element = document.createElement("div")
+    this.element.className = "choropleth-legend"
+    this.element.style.display = "none"
+    this.options.container.appendChild(this.element)
+  }
+
+  /**
+   * 按色带重新渲染图例
+   * @param {Object} scale - createChoroplethScale 的返回值
+   * @param {Object} options - 显示参数
+   * @param {string} options.title - 标题
+   * @param {string} options.unit - 数值单位
+   * @param {string} options.noDataColor - 无数据区域颜色，不传则不显示该项
+   */
+  update(scale, { title = "", unit = "", noDataColor } = {}) {
+    let items = scale.classes.map((item) => {
+      let label = scale.type === "categorical"
+        ? String(item.value)
+        : `${formatValue(item.from)} - ${formatValue(item.to)}${unit}`
+      return this.createItem(item.color, label)
+    })
+    noDataColor && items.push(this.createItem(noDataColor, "无数据"))
+    this.element.innerHTML = `
+      ${title ? `<div class="choropleth-legend-title">${escapeHTML(title)}</div>` : ""}
+      ${items.join("")}
+    `
+  }
+
+  /**
+   * 生成单个图例项
+   * @param {string} color - CSS颜色
+   * @param {string} label - 文本，转义后插入
+   * @returns {string} HTML
+   */
+  createItem(color, label) {
+    return `<div class="choropleth-legend-item"><span class="swatch" style="background:${escapeHTML(color)}"></span><span class="label">${escapeHTML(label)}</span></div>`
+  }
+
+  show() {
+    this.element.style.display = "block"
+  }
+
+  hide() {
+    this.element.style.display = "none"
+  }
+
+  destroy() {
+    this.element.parentNode && this.element.parentNode.removeChild(this.element)
+    this.element = null
+  }
+}
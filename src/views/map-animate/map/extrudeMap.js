@@ -7,6 +7,8 @@
  * - 支持自定义材质和挤出深度
  * - 生成地图轮廓线
  * - 处理地理坐标投影
+ * - 按数值挤出（3D棱柱图）：各区域高度与绑定字段成正比，切换数据时GSAP过渡，
+ *   侧面渐变随网格拉伸，边界线跟随顶面
  */
 
 import {
@@ -22,6 +24,7 @@ import {
   BufferGeometry,      // 缓冲几何体
 } from "three"
 import { geoMercator } from "d3-geo"              // 地理投影
+import { gsap } from "gsap"                       // 动画库
 import { transfromMapGeoJSON } from "@/mini3d"    // 地图数据转换工具
 
 export class ExtrudeMap {
@@ -35,6 +38,7 @@ export class ExtrudeMap {
     this.assets = assets         // 资源管理器
     this.time = time            // 时间管理器
     this.coordinates = []       // 坐标数据数组
+    this.regionGroups = new Map() // 区域组，按adcode索引，用于查询高度
     
     // 默认配置参数
     this.config = Object.assign(
@@ -55,6 +59,9 @@ export class ExtrudeMap {
         }),
         lineMaterial: new LineBasicMaterial({ color: 0x2bc4dc }), // 线条材质
         depth: 0.1,                            // 挤出深度
+        heightField: "",                       // 按该属性字段挤出高度，为空时统一使用depth
+        minHeight: null,                       // 按数值挤出的最小高度，默认depth的0.2倍
+        maxHeight: null,                       // 按数值挤出的最大高度，默认depth的3倍
       },
       config
     )
@@ -65,20 +72,27 @@ export class ExtrudeMap {
     // 转换地图数据并创建3D地图
     let mapData = transfromMapGeoJSON(this.config.data)
     this.create(mapData)
+    // 绑定了高度字段时直接以目标高度创建，不播放过渡
+    this.config.heightField && this.setHeightByValue(this.config.heightField, { duration: 0 })
   }
 
   create(mapData) {
     let linesGroup = new Group()
     mapData.features.forEach((feature, groupIndex) => {
       // 获取属性中的名称，中心点，质心
-      let { name, center = [], centroid = [], adcode } = feature.properties
+      let { name, center = [], centroid = [], level } = feature.properties
+      // 村镇级数据使用code字段作为区划代码
+      let adcode = feature.properties.adcode ?? feature.properties.code
       this.coordinates.push({
         name,
         center,
         centroid: feature.properties.centroid || feature.properties.center,
         adcode,
+        level,
         enName: "",
         value: 0,
+        // 原始属性，供分级设色读取人口、GDP等字段
+        properties: feature.properties,
       })
       // 组
       const group = new Group()
@@ -92,8 +106,11 @@ export class ExtrudeMap {
         center,
         centroid: feature.properties.centroid || feature.properties.center,
         adcode,
+        level,
         childrenNum: feature.properties.childrenNum,
+        height: this.config.depth, // 当前挤出高度
       }
+      this.regionGroups.set(String(adcode), group)
       // 存材质的默认发光颜色
       group.userData.materialEmissiveHex = this.config.topFaceMaterial.emissive.getHex()
       // 线组
@@ -127,6 +144,7 @@ export class ExtrudeMap {
           const geometry = new ExtrudeGeometry(shape, extrudeSettings)
           const mesh = new Mesh(geometry, materials)
           mesh.userData.depth = this.config.depth
+          mesh.userData.heightScale = 1 // 挤出高度相对depth的缩放，悬停动画以此为基准
           mesh.userData.name = name
           mesh.userData.adcode = adcode
           mesh.userData.materialEmissiveHex = this.config.topFaceMaterial.emissive.getHex()
@@ -164,6 +182,116 @@ export class ExtrudeMap {
   getCoordinates() {
     return this.coordinates
   }
+
+  // ============ 按数值挤出 ============
+
+  /**
+   * 按数值设置各区域高度，高度与数值成正比（数值为0时为最小高度）
+   * 没有数值的区域恢复为统一的depth
+   *
+   * @param {string|Function} value - GeoJSON属性字段名，或取值函数 (userData) => 数值
+   * @param {Object} options - 配置参数，另支持 setHeights 的 duration、ease、onUpdate
+   * @param {number} options.minHeight - 最小高度，默认 config.minHeight
+   * @param {number} options.maxHeight - 最大高度，默认 config.maxHeight
+   * @returns {Map} adcode → 目标高度
+   *
+   * @example
+   * map.setHeightByValue("population", { maxHeight: 12 })
+   */
+  setHeightByValue(value, options = {}) {
+    let { depth } = this.config
+    let minHeight = options.minHeight ?? this.config.minHeight ?? depth * 0.2
+    let maxHeight = options.maxHeight ?? this.config.maxHeight ?? depth * 3
+    let read = typeof value === "function"
+      ? value
+      : (userData) => {
+          let region = this.coordinates[userData.index]
+          return region.properties ? region.properties[value] : undefined
+        }
+
+    let groups = this.mapGroup.children
+    let values = groups.map((group) => {
+      let n = read(group.userData)
+      return n === undefined || n === null || n === "" ? NaN : Number(n)
+    })
+    let max = Math.max(0, ...values.filter(Number.isFinite))
+    let heights = new Map()
+    groups.forEach((group, index) => {
+      let n = values[index]
+      if (!Number.isFinite(n)) return
+      let ratio = max > 0 ? Math.max(n, 0) / max : 0
+      heights.set(group.userData.adcode, minHeight + (maxHeight - minHeight) * ratio)
+    })
+    return this.setHeights(heights, options)
+  }
+
+  /**
+   * 设置各区域高度，未指定的区域恢复为depth
+   *
+   * @param {Map} heights - adcode → 高度
+   * @param {Object} options - 配置参数
+   * @param {number} options.duration - 过渡时长（秒），0表示立即生效，默认1
+   * @param {string} options.ease - 缓动函数，默认 power2.out
+   * @param {Function} options.onUpdate - 高度变化回调 (adcode, height, delta)，用于让标签等对象跟随顶面
+   * @returns {Map} adcode → 目标高度
+   */
+  setHeights(heights, { duration = 1, ease = "power2.out", onUpdate } = {}) {
+    this.mapGroup.children.forEach((group) => {
+      let { userData } = group
+      let target = heights.has(userData.adcode) ? heights.get(userData.adcode) : this.config.depth
+      let last = userData.height
+      const update = () => {
+        let delta = userData.height - last
+        last = userData.height
+        this.applyHeight(group)
+        onUpdate && delta !== 0 && onUpdate(userData.adcode, userData.height, delta)
+      }
+      if (duration <= 0) {
+        gsap.killTweensOf(userData)
+        userData.height = target
+        update()
+      } else {
+        gsap.to(userData, { duration, height: target, ease, overwrite: "auto", onUpdate: update })
+      }
+    })
+    return heights
+  }
+
+  /**
+   * 所有区域恢复为统一的depth
+   * @param {Object} options - 同 setHeights
+   */
+  resetHeights(options) {
+    return this.setHeights(new Map(), options)
+  }
+
+  /**
+   * 获取区域当前的顶面高度
+   * @param {number|string} adcode - 行政区划代码
+   * @returns {number} 高度，找不到区域时为depth
+   */
+  getHeight(adcode) {
+    let group = this.regionGroups.get(String(adcode))
+    return group ? group.userData.height : this.config.depth
+  }
+
+  /**
+   * 把区域组的当前高度应用到网格和边界线
+   * 网格沿Z轴缩放，侧面贴图的UV随之拉伸，渐变始终铺满侧面
+   * @param {Group} group - 区域组
+   */
+  applyHeight(group) {
+    let scale = group.userData.height / this.config.depth
+    group.children.forEach((child) => {
+      if (child.isMesh) {
+        child.scale.z = scale
+        child.userData.heightScale = scale
+      } else {
+        // 边界线组：顶面（含0.1的倒角）随网格缩放，线条始终高出顶面0.01
+        child.position.z = (this.config.depth + 0.1) * scale + 0.01
+      }
+    })
+  }
   setParent(parent) {
     parent.add(this.mapGroup)
   }
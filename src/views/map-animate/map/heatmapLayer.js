@@ -0,0 +1,524 @@
+/**
+ * 热力图图层
+ *
+ * 在GPU上把带权重的经纬度点累加为密度纹理，再按色带着色后铺在地图顶面上。
+ *
+ * 主要功能：
+ * - 密度累加：每个点绘制为一个核函数圆斑，加法混合写入半精度浮点渲染目标
+ * - 着色：密度按最大值归一化后查色带纹理，低密度区域渐隐
+ * - 裁剪：着色网格直接由地图各区域的形状生成，天然裁剪到国家/省份轮廓
+ * - 贴合顶面：着色网格挂在每个区域的边界线组下，跟随按数值挤出的高度和悬停动画
+ * - 时间切片：两张密度纹理交替，切换切片时在着色器中混合过渡，支持自动播放
+ *
+ * 派发的事件：
+ * - slice：{ index, label } 切片切换完成
+ *
+ * @example
+ * const heatmap = new HeatmapLayer({ renderer }, {
+ *   map: provinceMesh,
+ *   slices: groupByTime(points, "hour"),
+ *   radius: 4,
+ * })
+ * heatmap.play({ interval: 2000 })
+ */
+
+import {
+  Scene,
+  Mesh,
+  Color,
+  Box2,
+  Vector2,
+  DoubleSide,
+  OneFactor,
+  AddEquation,
+  CustomBlending,
+  HalfFloatType,
+  LinearFilter,
+  DataTexture,
+  ShapeGeometry,
+  PlaneGeometry,
+  ShaderMaterial,
+  SRGBColorSpace,
+  WebGLRenderTarget,
+  OrthographicCamera,
+  InstancedBufferGeometry,
+  InstancedBufferAttribute,
+} from "three"
+import { gsap } from "gsap"
+import { EventEmitter } from "@/mini3d"
+
+/** 默认色带，键为归一化密度（0~1） */
+export const HEATMAP_GRADIENT = {
+  0: "#0b2f5e",
+  0.35: "#2bc4dc",
+  0.6: "#17e5c3",
+  0.8: "#fbdf88",
+  1: "#ff5a36",
+}
+
+/**
+ * 按时间字段把点数据分成切片，切片按时间升序
+ * @param {Array<Object>} points - 点数据，如 [{ lng, lat, value, hour }]
+ * @param {string} field - 时间字段
+ * @returns {Array<{label, points}>}
+ */
+export function groupByTime(points, field) {
+  let groups = new Map()
+  points.forEach((point) => {
+    let key = point[field]
+    groups.has(key) || groups.set(key, [])
+    groups.get(key).push(point)
+  })
+  return [...groups.keys()]
+    .sort((a, b) => (a > b ? 1 : a < b ? -1 : 0))
+    .map((label) => ({ label, points: groups.get(label) }))
+}
+
+export class HeatmapLayer extends EventEmitter {
+  /**
+   * @param {Object} dependencies - 依赖对象
+   * @param {Renderer} dependencies.renderer - 渲染器，用于离屏绘制密度纹理
+   * @param {Object} options - 配置参数
+   * @param {ExtrudeMap} options.map - 承载热力图的地图，决定投影、范围和裁剪轮廓
+   * @param {Array<Object>} options.points - 单个切片的点数据 [{ lng, lat, value }] 或 [[lng, lat, value]]
+   * @param {Array<{label, points}>} options.slices - 时间切片，传入后忽略points
+   * @param {string} options.weightField - 权重字段，默认value，缺失时权重为1
+   * @param {number} options.radius - 核半径（地图坐标单位），默认4
+   * @param {number} options.intensity - 强度系数，默认1
+   * @param {number} options.maxDensity - 归一化使用的最大密度，默认按所有切片估算
+   * @param {Object} options.gradient - 色带 { 位置: 颜色 }，默认 HEATMAP_GRADIENT
+   * @param {number} options.opacity - 不透明度，默认0.85
+   * @param {number} options.resolution - 密度纹理长边的像素数，默认512
+   * @param {number} options.duration - 切片过渡时长（秒），默认0.8
+   */
+  constructor({ renderer }, options = {}) {
+    super()
+    this.renderer = renderer
+    let defaultOptions = {
+      map: null,
+      points: [],
+      slices: null,
+      weightField: "value",
+      radius: 4,
+      intensity: 1,
+      maxDensity: 0,
+      gradient: HEATMAP_GRADIENT,
+      opacity: 0.85,
+      resolution: 512,
+      duration: 0.8,
+    }
+    this.options = Object.assign({}, defaultOptions, options)
+    this.slices = []
+    this.sliceIndex = 0
+    this.meshes = []
+    this.mixTween = null
+    this.playTimer = null
+    this.init()
+  }
+
+  init() {
+    let { map } = this.options
+    this.bounds = this.getMapBounds(map)
+    this.createDensityPass()
+    this.createMaterial()
+    this.createMeshes(map)
+    this.setSlices(this.options.slices || [{ label: "", points: this.options.points }])
+  }
+
+  // ============ 密度累加 ============
+
+  /**
+   * 地图的平面范围（地图组内坐标），四周留出一个核半径
+   * @param {ExtrudeMap} map - 地图
+   * @returns {Box2}
+   */
+  getMapBounds(map) {
+    let bounds = new Box2()
+    map.mapGroup.children.forEach((group) => {
+      group.children.forEach((mesh) => {
+        if (!mesh.isMesh) return
+        mesh.geometry.boundingBox || mesh.geometry.computeBoundingBox()
+        let { min, max } = mesh.geometry.boundingBox
+        bounds.expandByPoint(new Vector2(min.x, min.y))
+        bounds.expandByPoint(new Vector2(max.x, max.y))
+      })
+    })
+    return bounds.expandByScalar(this.options.radius)
+  }
+
+  /**
+   * 创建离屏密度场景：正交相机覆盖地图范围，点为实例化的方形面片
+   */
+  createDensityPass() {
+    let { resolution } = this.options
+    let size = this.bounds.getSize(new Vector2())
+    let width = size.x >= size.y ? resolution : Math.ceil((resolution * size.x) / size.y)
+    let height = size.y > size.x ? resolution : Math.ceil((resolution * size.y) / size.x)
+    // 两张密度纹理交替使用，切片过渡时混合
+    this.targets = [0, 1].map(
+      () => new WebGLRenderTarget(width, height, { type: HalfFloatType, depthBuffer: false })
+    )
+
+    let { min, max } = this.bounds
+    this.densityCamera = new OrthographicCamera(min.x, max.x, max.y, min.y, -1, 1)
+    this.densityScene = new Scene()
+    this.densityMaterial = new ShaderMaterial({
+      uniforms: {
+        uRadius: { value: this.options.radius },
+        uIntensity: { value: this.options.intensity },
+      },
+      vertexShader: /* glsl */ `
+        attribute vec2 aOffset;
+        attribute float aWeight;
+        uniform float uRadius;
+        varying vec2 vCoord;
+        varying float vWeight;
+        void main() {
+          vCoord = position.xy;
+          vWeight = aWeight;
+          vec3 transformed = vec3(aOffset + position.xy * uRadius, 0.0);
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(transformed, 1.0);
+        }
+      `,
+      fragmentShader: /* glsl */ `
+        uniform float uIntensity;
+        varying vec2 vCoord;
+        varying float vWeight;
+        void main() {
+          float d = dot(vCoord, vCoord);
+          if (d > 1.0) discard;
+          // 双平方核，中心为1，边缘平滑衰减到0
+          float k = (1.0 - d) * (1.0 - d);
+          gl_FragColor = vec4(k * vWeight * uIntensity, 0.0, 0.0, 1.0);
+        }
+      `,
+      blending: CustomBlending,
+      blendEquation: AddEquation,
+      blendSrc: OneFactor,
+      blendDst: OneFactor,
+      depthTest: false,
+      depthWrite: false,
+    })
+    // 所有点共用的单位面片，坐标范围[-1, 1]
+    this.quad = new PlaneGeometry(2, 2)
+    this.pointMesh = new Mesh(new InstancedBufferGeometry(), this.densityMaterial)
+    this.pointMesh.frustumCulled = false
+    this.densityScene.add(this.pointMesh)
+  }
+
+  /**
+   * 把点投影到地图坐标
+   * @param {Array} points - 点数据
+   * @returns {Array<{x, y, weight}>}
+   */
+  projectPoints(points) {
+    let { map, weightField } = this.options
+    return points.map((point) => {
+      let [lng, lat, value] = Array.isArray(point) ? point : [point.lng, point.lat, point[weightField]]
+      let [x, y] = map.geoProjection([lng, lat])
+      let weight = Number(value)
+      return { x, y: -y, weight: Number.isFinite(weight) ? weight : 1 }
+    })
+  }
+
+  /**
+   * 把一组点的密度绘制到渲染目标
+   * @param {WebGLRenderTarget} target - 渲染目标
+   * @param {Array<{x, y, weight}>} projected - 投影后的点
+   */
+  renderDensity(target, projected) {
+    let geometry = new InstancedBufferGeometry()
+    geometry.index = this.quad.index
+    geometry.setAttribute("position", this.quad.getAttribute("position"))
+    geometry.setAttribute("aOffset", new InstancedBufferAttribute(new Float32Array(projected.flatMap((p) => [p.x, p.y])), 2))
+    geometry.setAttribute("aWeight", new InstancedBufferAttribute(new Float32Array(projected.map((p) => p.weight)), 1))
+    geometry.instanceCount = projected.length
+    this.pointMesh.geometry.dispose()
+    this.pointMesh.geometry = geometry
+
+    let renderer = this.renderer.instance
+    let currentTarget = renderer.getRenderTarget()
+    let currentClearColor = renderer.getClearColor(new Color())
+    let currentClearAlpha = renderer.getClearAlpha()
+    renderer.setRenderTarget(target)
+    renderer.setClearColor(0x000000, 0)
+    renderer.clear()
+    projected.length && renderer.render(this.densityScene, this.densityCamera)
+    renderer.setRenderTarget(currentTarget)
+    renderer.setClearColor(currentClearColor, currentClearAlpha)
+  }
+
+  /**
+   * 在CPU上估算一组点的最大密度（在每个点的位置取核函数之和），用于归一化
+   * 按核半径划分网格，只比较相邻格子中的点
+   * @param {Array<{x, y, weight}>} projected - 投影后的点
+   * @returns {number}
+   */
+  estimateMaxDensity(projected) {
+    let { radius, intensity } = this.options
+    let cells = new Map()
+    let cellKey = (i, j) => i + "," + j
+    projected.forEach((p) => {
+      let key = cellKey(Math.floor(p.x / radius), Math.floor(p.y / radius))
+      cells.has(key) || cells.set(key, [])
+      cells.get(key).push(p)
+    })
+    let max = 0
+    projected.forEach((p) => {
+      let i = Math.floor(p.x / radius)
+      let j = Math.floor(p.y / radius)
+      let sum = 0
+      for (let di = -1; di <= 1; di++) {
+        for (let dj = -1; dj <= 1; dj++) {
+          ;(cells.get(cellKey(i + di, j + dj)) || []).forEach((q) => {
+            let d = ((p.x - q.x) ** 2 + (p.y - q.y) ** 2) / (radius * radius)
+            if (d < 1) sum += (1 - d) * (1 - d) * q.weight
+          })
+        }
+      }
+      max = Math.max(max, sum * intensity)
+    })
+    return max
+  }
+
+  // ============ 着色 ============
+
+  /**
+   * 生成色带纹理（256x1）
+   * @param {Object} gradient - 色带 { 位置: 颜色 }
+   * @returns {DataTexture}
+   */
+  createRampTexture(gradient) {
+    let stops = Object.keys(gradient)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map((position) => ({ position, color: new Color(gradient[position]) }))
+    let data = new Uint8Array(256 * 4)
+    let color = new Color()
+    for (let i = 0; i < 256; i++) {
+      let t = i / 255
+      let next = stops.findIndex((stop) => stop.position >= t)
+      if (next <= 0) {
+        color.copy(stops[next === 0 ? 0 : stops.length - 1].color)
+      } else {
+        let from = stops[next - 1]
+        let to = stops[next]
+        color.lerpColors(from.color, to.color, (t - from.position) / (to.position - from.position))
+      }
+      let hex = color.getHex()
+      data.set([(hex >> 16) & 255, (hex >> 8) & 255, hex & 255, 255], i * 4)
+    }
+    let texture = new DataTexture(data, 256, 1)
+    texture.colorSpace = SRGBColorSpace
+    texture.minFilter = texture.magFilter = LinearFilter
+    texture.needsUpdate = true
+    return texture
+  }
+
+  createMaterial() {
+    let { min } = this.bounds
+    let size = this.bounds.getSize(new Vector2())
+    this.material = new ShaderMaterial({
+      uniforms: {
+        uDensityA: { value: this.targets[0].texture },
+        uDensityB: { value: this.targets[1].texture },
+        uMix: { value: 0 },
+        uMax: { value: 1 },
+        uRamp: { value: this.createRampTexture(this.options.gradient) },
+        uOpacity: { value: this.options.opacity },
+        uBoundsMin: { value: min.clone() },
+        uBoundsSize: { value: size },
+      },
+      vertexShader: /* glsl */ `
+        uniform vec2 uBoundsMin;
+        uniform vec2 uBoundsSize;
+        varying vec2 vUv;
+        void main() {
+          // 区域形状的坐标与地图组一致，换算为密度纹理的UV
+          vUv = (position.xy - uBoundsMin) / uBoundsSize;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: /* glsl */ `
+        uniform sampler2D uDensityA;
+        uniform sampler2D uDensityB;
+        uniform sampler2D uRamp;
+        uniform float uMix;
+        uniform float uMax;
+        uniform float uOpacity;
+        varying vec2 vUv;
+        void main() {
+          float a = texture2D(uDensityA, vUv).r;
+          float b = texture2D(uDensityB, vUv).r;
+          float density = clamp(mix(a, b, uMix) / uMax, 0.0, 1.0);
+          if (density < 0.01) discard;
+          vec3 color = texture2D(uRamp, vec2(density, 0.5)).rgb;
+          gl_FragColor = vec4(color, uOpacity * smoothstep(0.0, 0.2, density));
+          #include <colorspace_fragment>
+        }
+      `,
+      transparent: true,
+      depthWrite: false,
+      side: DoubleSide,
+      fog: false,
+    })
+  }
+
+  /**
+   * 按地图各区域的形状生成着色网格，挂到区域的边界线组下
+   * 边界线组位于顶面上方0.01，网格再下移一半，夹在顶面和边界线之间
+   * @param {ExtrudeMap} map - 地图
+   */
+  createMeshes(map) {
+    map.mapGroup.children.forEach((group) => {
+      let shapes = []
+      let lineGroup = null
+      group.children.forEach((child) => {
+        if (child.isMesh) {
+          shapes.push(...[].concat(child.geometry.parameters.shapes))
+        } else {
+          lineGroup = child
+        }
+      })
+      if (!shapes.length || !lineGroup) return
+      let mesh = new Mesh(new ShapeGeometry(shapes), this.material)
+      mesh.name = "heatmap"
+      mesh.position.z = -0.005
+      // 高于悬停区域的渲染顺序（21），避免被高亮的顶面覆盖
+      mesh.renderOrder = 22
+      lineGroup.add(mesh)
+      this.meshes.push(mesh)
+    })
+  }
+
+  // ============ 切片 ============
+
+  /**
+   * 设置时间切片并显示第一个切片
+   * @param {Array<{label, points}>} slices - 时间切片
+   */
+  setSlices(slices) {
+    this.slices = slices.map((slice) => ({ label: slice.label, points: this.projectPoints(slice.points || []) }))
+    this.updateMaxDensity()
+    this.sliceIndex = Math.min(this.sliceIndex, this.slices.length - 1)
+    this.setSlice(this.sliceIndex, { duration: 0 })
+  }
+
+  /**
+   * 替换当前切片的点数据（如实时数据更新），平滑过渡
+   * @param {Array} points - 点数据
+   */
+  setPoints(points) {
+    this.slices[this.sliceIndex].points = this.projectPoints(points)
+    this.updateMaxDensity()
+    this.setSlice(this.sliceIndex)
+  }
+
+  /**
+   * 所有切片统一归一化，切片之间的强弱可比
+   */
+  updateMaxDensity() {
+    let max = this.options.maxDensity || Math.max(0, ...this.slices.map((slice) => this.estimateMaxDensity(slice.points)))
+    this.material.uniforms.uMax.value = max || 1
+  }
+
+  /**
+   * 切换到指定切片
+   * @param {number} index - 切片序号，超出范围时循环
+   * @param {Object} options - { duration } 过渡时长（秒），0表示立即切换
+   */
+  setSlice(index, { duration = this.options.duration } = {}) {
+    if (!this.slices.length) return
+    index = ((index % this.slices.length) + this.slices.length) % this.slices.length
+    // 上一次过渡未完成时直接结束，保证纹理A为当前显示的切片
+    this.mixTween && this.mixTween.progress(1)
+    this.sliceIndex = index
+    let slice = this.slices[index]
+    let { uniforms } = this.material
+
+    if (duration <= 0) {
+      this.renderDensity(this.targets[0], slice.points)
+      uniforms.uMix.value = 0
+      this.emit("slice", { index, label: slice.label })
+      return
+    }
+    this.renderDensity(this.targets[1], slice.points)
+    this.mixTween = gsap.to(uniforms.uMix, {
+      duration,
+      value: 1,
+      ease: "none",
+      onComplete: () => {
+        this.targets.reverse()
+        uniforms.uDensityA.value = this.targets[0].texture
+        uniforms.uDensityB.value = this.targets[1].texture
+        uniforms.uMix.value = 0
+        this.mixTween = null
+        this.emit("slice", { index, label: slice.label })
+      },
+    })
+  }
+
+  /**
+   * 自动播放切片
+   * @param {Object} options - 配置参数
+   * @param {number} options.interval - 每个切片停留的时间（毫秒），默认2000
+   * @param {boolean} options.loop - 播放到最后是否从头开始，默认true
+   */
+  play({ interval = 2000, loop = true } = {}) {
+    this.pause()
+    this.playTimer = setInterval(() => {
+      if (!loop && this.sliceIndex >= this.slices.length - 1) {
+        this.pause()
+        return
+      }
+      this.setSlice(this.sliceIndex + 1)
+    }, interval)
+  }
+
+  pause() {
+    clearInterval(this.playTimer)
+    this.playTimer = null
+  }
+
+  /**
+   * 更新显示参数，半径和强度变化时重新绘制密度
+   * @param {Object} options - radius、intensity、maxDensity、gradient、opacity
+   */
+  setOptions(options = {}) {
+    Object.assign(this.options, options)
+    let { uniforms } = this.material
+    if (options.gradient) {
+      uniforms.uRamp.value.dispose()
+      uniforms.uRamp.value = this.createRampTexture(options.gradient)
+    }
+    if (options.opacity !== undefined) {
+      uniforms.uOpacity.value = options.opacity
+    }
+    if (options.radius !== undefined || options.intensity !== undefined || options.maxDensity !== undefined) {
+      this.densityMaterial.uniforms.uRadius.value = this.options.radius
+      this.densityMaterial.uniforms.uIntensity.value = this.options.intensity
+      this.updateMaxDensity()
+      this.setSlice(this.sliceIndex, { duration: 0 })
+    }
+  }
+
+  setVisible(visible) {
+    this.meshes.forEach((mesh) => (mesh.visible = visible))
+  }
+
+  destroy() {
+    this.pause()
+    this.mixTween && this.mixTween.kill()
+    this.meshes.forEach((mesh) => {
+      mesh.parent && mesh.parent.remove(mesh)
+      mesh.geometry.dispose()
+    })
+    this.meshes = []
+    this.material.uniforms.uRamp.value.dispose()
+    this.material.dispose()
+    this.pointMesh.geometry.dispose()
+    this.quad.dispose()
+    this.densityMaterial.dispose()
+    this.targets.forEach((target) => target.dispose())
+  }
+}
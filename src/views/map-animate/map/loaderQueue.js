@@ -0,0 +1,343 @@
+/**
+ * 资源加载队列
+ *
+ * 限制并发数的优先级队列，地图下钻的边界数据、预加载和纹理请求都经由它发出。
+ *
+ * 主要功能：
+ * - 优先级：high > normal > low > prefetch，也可以直接传数字（越大越先）；同优先级先进先出
+ * - 去重：同一 key 的请求在完成前共用一次加载，后加入的请求可以提升排队中的优先级
+ * - 取消：请求可以带 AbortSignal 或分组名，cancel(group) 取消整组；
+ *   共用的加载在所有请求方都取消后才真正中止（AbortController），排队中的直接移出
+ * - 重试：失败后按指数退避重新排队（retryDelay * 2^n，不超过 maxRetryDelay），取消不重试
+ * - 超时：单次尝试超时视为失败，中止该次尝试后按重试处理
+ *
+ * 加载函数会收到 AbortSignal，应传给 fetch 等支持取消的接口；
+ * 不支持取消的加载在中止后结果会被丢弃。
+ *
+ * @example
+ * const queue = new LoaderQueue({ concurrency: 6 })
+ * queue.add("boundary:510000_full.json", (signal) => fetch(url, { signal }).then((res) => res.text()), {
+ *   priority: "high",
+ *   group: "navigation",
+ * })
+ * queue.cancel("navigation")
+ */
+
+/** 优先级名称，数值越大越先加载 */
+export const LOAD_PRIORITY = {
+  prefetch: 0,
+  low: 1,
+  normal: 2,
+  high: 3,
+}
+
+/**
+ * 创建取消错误（与 fetch 被中止时的错误同名）
+ * @param {string} message - 错误信息
+ * @returns {Error}
+ */
+export function createAbortError(message = "加载已取消") {
+  let error = new Error(message)
+  error.name = "AbortError"
+  return error
+}
+
+/**
+ * 是否为取消导致的错误
+ * @param {any} error - 错误
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return !!error && error.name === "AbortError"
+}
+
+/**
+ * 优先级名称转数值
+ * @param {string|number} priority - 优先级
+ * @returns {number}
+ */
+function resolvePriority(priority) {
+  if (typeof priority === "number") return priority
+  if (priority in LOAD_PRIORITY) return LOAD_PRIORITY[priority]
+  throw new Error(`未知的加载优先级：${priority}`)
+}
+
+/**
+ * 等待加载完成，信号中止时立即以取消错误结束
+ * @param {Promise} promise - 加载Promise
+ * @param {AbortSignal} signal - 中止信号
+ * @returns {Promise}
+ */
+function raceAbort(promise, signal) {
+  return new Promise((resolve, reject) => {
+    let onAbort = () => reject(createAbortError())
+    signal.addEventListener("abort", onAbort)
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort))
+  })
+}
+
+export class LoaderQueue {
+  /**
+   * @param {Object} options - 配置参数
+   * @param {number} options.concurrency - 最大并发加载数，默认6
+   * @param {number} options.retries - 失败后的重试次数，默认2
+   * @param {number} options.retryDelay - 第一次重试的等待时间（毫秒），之后每次翻倍，默认500
+   * @param {number} options.maxRetryDelay - 重试等待时间上限（毫秒），默认8000
+   * @param {number} options.timeout - 单次尝试的超时时间（毫秒），0表示不限制，默认0
+   */
+  constructor(options = {}) {
+    let defaultOptions = {
+      concurrency: 6,
+      retries: 2,
+      retryDelay: 500,
+      maxRetryDelay: 8000,
+      timeout: 0,
+    }
+    this.options = Object.assign({}, defaultOptions, options)
+    // key -> 加载项（排队、加载中或等待重试）
+    this.entries = new Map()
+    // 排队中的加载项
+    this.pending = []
+    this.active = 0
+    this.sequence = 0
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      aborted: 0,
+      retried: 0,
+      deduplicated: 0,
+    }
+  }
+
+  /**
+   * 添加加载请求
+   * @param {string} key - 资源标识，相同 key 的请求共用一次加载
+   * @param {Function} loader - 加载函数 (signal) => Promise
+   * @param {Object} options - 请求参数
+   * @param {string|number} options.priority - 优先级，默认 "normal"
+   * @param {string} options.group - 分组名，用于 cancel(group)
+   * @param {AbortSignal} options.signal - 中止信号，中止时只取消本次请求
+   * @param {number} options.retries - 重试次数，默认取队列配置（仅对新建的加载生效）
+   * @param {number} options.timeout - 单次尝试超时（仅对新建的加载生效）
+   * @returns {Promise} 加载结果
+   */
+  add(key, loader, options = {}) {
+    let { priority = "normal", group = null, signal = null } = options
+    let level = resolvePriority(priority)
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError())
+    }
+
+    let entry = this.entries.get(key)
+    if (entry) {
+      this.stats.deduplicated++
+      entry.priority = Math.max(entry.priority, level)
+    } else {
+      entry = {
+        key,
+        loader,
+        priority: level,
+        order: this.sequence++,
+        state: "pending",
+        attempts: 0,
+        retries: options.retries ?? this.options.retries,
+        timeout: options.timeout ?? this.options.timeout,
+        consumers: new Set(),
+        attempt: null,
+        retryTimer: null,
+      }
+      this.entries.set(key, entry)
+      this.pending.push(entry)
+    }
+
+    let promise = new Promise((resolve, reject) => {
+      let consumer = { group, signal, resolve, reject, onAbort: null }
+      if (signal) {
+        consumer.onAbort = () => this._removeConsumer(entry, consumer)
+        signal.addEventListener("abort", consumer.onAbort)
+      }
+      entry.consumers.add(consumer)
+    })
+    this._next()
+    return promise
+  }
+
+  /**
+   * 取消请求
+   * 只取消属于该分组的请求方，其他请求方仍在等待的加载继续进行
+   * @param {string} group - 分组名，不传则取消全部
+   * @returns {number} 取消的请求数
+   */
+  cancel(group) {
+    let count = 0
+    Array.from(this.entries.values()).forEach((entry) => {
+      Array.from(entry.consumers).forEach((consumer) => {
+        if (group !== undefined && consumer.group !== group) return
+        this._removeConsumer(entry, consumer)
+        count++
+      })
+    })
+    return count
+  }
+
+  /**
+   * 是否有该资源的加载在进行（排队、加载中或等待重试）
+   * @param {string} key - 资源标识
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.entries.has(key)
+  }
+
+  /**
+   * 修改最大并发数，调大后立即开始排队中的加载
+   * @param {number} concurrency - 最大并发数
+   */
+  setConcurrency(concurrency) {
+    this.options.concurrency = Math.max(1, concurrency)
+    this._next()
+  }
+
+  /**
+   * 获取队列统计
+   * @returns {Object} 排队数、加载中数、等待重试数及累计的完成、失败、取消、重试、去重次数
+   */
+  getStats() {
+    let waiting = 0
+    this.entries.forEach((entry) => entry.state === "waiting" && waiting++)
+    return Object.assign({ pending: this.pending.length, active: this.active, waiting }, this.stats)
+  }
+
+  /**
+   * 开始排队中优先级最高的加载，直到达到并发上限
+   * @private
+   */
+  _next() {
+    while (this.active < this.options.concurrency && this.pending.length) {
+      let index = 0
+      this.pending.forEach((entry, i) => {
+        let best = this.pending[index]
+        if (entry.priority > best.priority || (entry.priority === best.priority && entry.order < best.order)) {
+          index = i
+        }
+      })
+      let [entry] = this.pending.splice(index, 1)
+      this._start(entry)
+    }
+  }
+
+  /**
+   * 执行一次加载尝试
+   * @private
+   */
+  _start(entry) {
+    this.active++
+    entry.state = "loading"
+    let attempt = new AbortController()
+    entry.attempt = attempt
+    let timer = entry.timeout ? setTimeout(() => attempt.abort(), entry.timeout) : null
+
+    let promise
+    try {
+      promise = Promise.resolve(entry.loader(attempt.signal))
+    } catch (error) {
+      promise = Promise.reject(error)
+    }
+    raceAbort(promise, attempt.signal).then(
+      (result) => this._finish(entry, attempt, timer, null, result),
+      (error) => this._finish(entry, attempt, timer, error)
+    )
+  }
+
+  /**
+   * 一次尝试结束：完成、失败重试或放弃
+   * @private
+   */
+  _finish(entry, attempt, timer, error, result) {
+    clearTimeout(timer)
+    this.active--
+    entry.attempt = null
+
+    // 已被取消，结果丢弃
+    if (entry.state === "aborted") {
+      this._next()
+      return
+    }
+
+    if (!error) {
+      this.stats.completed++
+      this._settle(entry, (consumer) => consumer.resolve(result))
+    } else {
+      // 尝试被中止而加载项没有被取消，只能是超时
+      let failure = attempt.signal.aborted ? new Error(`加载超时（${entry.timeout}ms）：${entry.key}`) : error
+      if (entry.attempts < entry.retries && !isAbortError(failure)) {
+        this._retry(entry, failure)
+      } else {
+        this.stats.failed++
+        this._settle(entry, (consumer) => consumer.reject(failure))
+      }
+    }
+    this._next()
+  }
+
+  /**
+   * 退避等待后重新排队，等待期间不占用并发数
+   * @private
+   */
+  _retry(entry, error) {
+    entry.attempts++
+    entry.state = "waiting"
+    this.stats.retried++
+    let delay = Math.min(this.options.retryDelay * 2 ** (entry.attempts - 1), this.options.maxRetryDelay)
+    console.warn(`[LoaderQueue] ${entry.key} 加载失败，${delay}ms 后第 ${entry.attempts} 次重试：${error.message}`)
+    entry.retryTimer = setTimeout(() => {
+      entry.retryTimer = null
+      entry.state = "pending"
+      this.pending.push(entry)
+      this._next()
+    }, delay)
+  }
+
+  /**
+   * 移除一个请求方，没有请求方时中止加载
+   * @private
+   */
+  _removeConsumer(entry, consumer) {
+    if (!entry.consumers.delete(consumer)) return
+    consumer.signal && consumer.signal.removeEventListener("abort", consumer.onAbort)
+    consumer.reject(createAbortError())
+    if (!entry.consumers.size) {
+      this._abort(entry)
+    }
+  }
+
+  /**
+   * 中止加载项
+   * @private
+   */
+  _abort(entry) {
+    if (entry.state === "done" || entry.state === "aborted") return
+    let index = this.pending.indexOf(entry)
+    index > -1 && this.pending.splice(index, 1)
+    clearTimeout(entry.retryTimer)
+    entry.state = "aborted"
+    this.stats.aborted++
+    this.entries.delete(entry.key)
+    // 加载中的尝试结束后在 _finish 中释放并发数
+    entry.attempt && entry.attempt.abort()
+  }
+
+  /**
+   * 以同一结果通知所有请求方
+   * @private
+   */
+  _settle(entry, notify) {
+    entry.state = "done"
+    this.entries.delete(entry.key)
+    entry.consumers.forEach((consumer) => {
+      consumer.signal && consumer.signal.removeEventListener("abort", consumer.onAbort)
+      notify(consumer)
+    })
+    entry.consumers.clear()
+  }
+}
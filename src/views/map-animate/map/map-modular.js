@@ -1,138 +1,198 @@
 /**
- * 模块化地图系统 - 使用示例
- * 
- * 这个文件展示了如何使用新的模块化架构来重构原有的map.js文件。
+ * 模块化地图系统 - 地图引擎
+ *
+ * 基于模块化架构的3D中国地图引擎，/three-3d-map 页面通过 World 外观类使用它。
  * 通过依赖注入和事件驱动的方式，实现了高度解耦的模块化设计。
- * 
+ *
  * 主要改进：
  * - 代码组织：从2000+行的巨型文件拆分为多个专职模块
  * - 可维护性：每个模块职责单一，便于理解和修改
  * - 可测试性：模块独立，易于单元测试
  * - 可扩展性：新功能可以作为独立模块添加
  * - 团队协作：不同开发者可以并行开发不同模块
- * 
+ *
+ * 模块分工：
+ * - MapCore：中国地图挤出模型和材质
+ * - MapMaterials：底图、旋转边框、网格波纹、镜面反射、水印
+ * - MapVisualization：柱状图、散点图、飞线、粒子、标牌
+ * - MapAnimations：路径流动、轮廓流动、飞线焦点、入场动画
+ * - MapInteraction：省份悬停高亮和组件联动
+ * - MapNavigation：多层级下钻、返回和层级过渡
+ * - MapChoropleth：分级设色和图例
+ * - MapExtrusion：按数值挤出（3D棱柱图）
+ * - MapHeatmap：GPU热力图和时间切片
+ * - MapTheme：主题切换（配色、雾效、背景、标签样式）
+ * - MapPostProcessing：后期处理的辉光对象和区域描边（管线由 Mini3d 提供）
+ * - MapFlow：OD流向线和悬停高亮
+ * - MapPlayback：时间序列回放（播放、跳转、倍速、帧间插值）
+ * - MapTracking：移动对象跟踪（定位点插值、尾迹、标签、相机跟随）
+ * - MapTour：相机书签和巡游（地理坐标视角、到站动作）
+ * - MapSearch：区划搜索索引（名称、拼音首字母、区划代码）和飞到区划
+ * - MapTooltip：各图层按模板显示的悬停提示框和点击固定的信息面板
+ * - MapInspector：调试面板中的场景树、共享状态、时间线和图层参数（地址带 #debug 或 ?debug）
+ *
+ * 第三方模块通过 registerModule 或 config.modules 注册（见 modules/ModuleRegistry.js），
+ * 提供的方法绑定在模块管理器上（getModuleManager()）。
+ *
  * @author LJK
- * @version 2.0.0
+ * @version 2.1.0
  */
 
-import {
-  Fog,
-  Group,
-  Color,
-  Vector3,
-  AmbientLight,
-  DirectionalLight,
-} from "three"
+import { Group } from "three"
 
 import {
   Mini3d,
   Debug,
-  Particles,
-  FlyLine,
-  PathLine,
   Label3d,
   ToastLoading,
-  Plane,
   createHistory,
 } from "@/mini3d"
 
 import { Assets } from "./assets"
 import { InteractionManager } from "three.interactive"
-import gsap from "gsap"
+import { resolveSceneConfig } from "./sceneConfig"
+import { createRealtimeSource } from "./realtimeSource"
+import { applyQueryLayers } from "./mapQuery"
 
 // ============ 导入模块化组件 ============
-import { 
+import {
   MapModuleManager,
   SharedState,
-  ModuleEventBus 
+  ModuleEventBus
 } from "./modules"
 
 /**
  * 模块化的3D地图世界类
- * 
+ *
  * 重构后的地图类，采用模块化架构设计，
  * 将原本的巨型类拆分为多个专业模块。
- * 
+ *
  * 架构优势：
  * - 职责分离：每个模块专注于特定功能领域
  * - 松耦合：模块间通过事件总线通信
  * - 高内聚：模块内部功能紧密相关
  * - 易扩展：新功能作为新模块添加
  * - 易测试：模块可独立测试
- * 
+ *
+ * 派发的事件：
+ * - boundaryError：下钻边界数据加载失败，参数 { userData, error }
+ * - dataChange：setData 更新图层数据后，参数 { layer, added, updated, removed, records }
+ * - dataStale：实时数据过期状态变化，参数 { stale, lastUpdate }
+ * - dataSourceStatus：实时数据源连接状态变化，参数 { status }
+ * - flowHover：悬停进入或离开流向线，参数 { flow, action }
+ * - flowClick：点击流向线，参数 { flow }
+ * - playbackChange：回放时刻或播放状态变化，参数为 getPlaybackState() 的返回值，移除回放时为null
+ * - trackingSelect：点击选中移动对象，参数 { object }
+ * - trackingFollow：相机开始或停止跟随移动对象，参数 { id }，停止时 id 为null
+ * - tourStep：巡游开始前往某一站，参数 { index, step }
+ * - tourChange：巡游状态变化，参数为 getTourState() 的返回值，移除巡游时为null
+ * - navigationChange：所在区划变化（子地图加载完成或回到全国），参数为 getMapState() 的返回值
+ * - cameraChange：用户拖动相机结束，参数为 getMapState() 的返回值
+ * - searchIndexUpdate：区划搜索索引加入了村镇数据，参数 { size }，搜索框可以刷新结果
+ * - tooltipPin：点击要素固定了信息面板，参数 { layer, properties }
+ *
  * @extends Mini3d
  */
 export class ModularWorld extends Mini3d {
   /**
    * 构造函数 - 初始化模块化3D地图世界
-   * 
+   *
    * 相比原始的构造函数，这里的重点是：
    * 1. 初始化模块管理器，将复杂逻辑委托给专业模块
-   * 2. 配置基础的场景环境（雾效、灯光等）
+   * 2. 按场景配置设置基础环境（雾效、灯光等）
    * 3. 建立事件监听，响应模块间的通信
    * 4. 启动资源加载和场景构建流程
-   * 
+   *
    * @param {HTMLCanvasElement} canvas - WebGL渲染的画布元素
    * @param {Object} config - 配置参数对象
+   * @param {Array} config.geoProjectionCenter - 地理投影中心坐标
+   * @param {Function} config.setEnable - 进入/退出子地图时的UI状态回调
+   * @param {BoundaryProvider} config.boundaryProvider - 下钻边界数据提供者
+   * @param {Texture} config.watermark - 水印贴图，不传则不显示水印
+   * @param {RealtimeDataSource} config.dataSource - 实时数据源，传入后自动连接
+   * @param {Object|string} config.scene - 场景配置（对象或JSON文本），见 sceneConfig.js
+   * @param {Object} config.initialState - 初始地图状态 { adcode, cam, layers }，通常来自地址参数，见 mapQuery.js
+   * @param {boolean} config.debug - 是否开启调试面板，地址带 #debug 或 ?debug 时自动开启
+   * @param {Array<Object>} config.modules - 第三方模块 [{ name, Class, dependsOn, provides, lazy }]，见 registerModule
+   * @throws {SceneConfigError} 场景配置校验失败
    */
-  constructor(canvas, config) {
+  constructor(canvas, config = {}) {
+    // 场景配置先于父类解析，投影参数由 Mini3d 使用；旧版的 geoProjectionCenter 作为默认投影中心
+    let scene = resolveSceneConfig(config.scene, { projection: { center: config.geoProjectionCenter } })
+    // 地址中的图层列表覆盖场景配置的图层开关
+    let initialState = config.initialState || {}
+    scene = applyQueryLayers(scene, initialState.layers)
+
     // 调用父类构造函数，初始化基础3D引擎
-    super(canvas, config)
+    super(canvas, Object.assign({}, config, {
+      geoProjectionCenter: scene.projection.center,
+      geoProjectionScale: scene.projection.scale,
+    }))
+    this.sceneConfig = scene
+    this.initialState = initialState
+    // focusRegion 高亮的区划 { adcode, childMap }
+    this.focusedRegion = null
+
+    // ============ 调试面板 ============
+    // 共享状态引用它，检查器模块在其中添加场景树等面板，必须在模块管理器之前创建
+    this.debug = new Debug(this.config.debug)
 
-    // ============ 基础场景配置 ============
-    this.setupSceneEnvironment()
-    
     // ============ 初始化模块管理器 ============
-    this.moduleManager = new MapModuleManager(this, config)
-    
+    // 共享状态依赖场景、相机等基础对象，必须在场景配置之前创建
+    this.moduleManager = new MapModuleManager(this, this.config)
+
     // ============ 获取模块引用 ============
     this.state = this.moduleManager.getState()
     this.eventBus = this.moduleManager.getEventBus()
-    
+
+    // ============ 基础场景配置 ============
+    this.setupSceneEnvironment()
+
     // ============ 设置事件监听 ============
     this.setupEventListeners()
-    
+
+    // ============ 注册巡游动作 ============
+    this.setupTourActions()
+
     // ============ 初始化UI组件 ============
     this.initializeUIComponents()
-    
+
     // ============ 初始化历史记录系统 ============
     this.initializeHistorySystem()
-    
+
     // ============ 启动资源加载 ============
     this.startResourceLoading()
+
+    // ============ 连接实时数据源 ============
+    // 图层创建前收到的数据会由可视化模块缓存，创建后再应用；页面传入的数据源优先于场景配置
+    this.dataSource = null
+    let dataSource = this.config.dataSource || (scene.dataSource && createRealtimeSource(scene.dataSource))
+    dataSource && this.connectDataSource(dataSource)
   }
 
   /**
    * 设置场景环境
-   * 配置雾效、背景色、相机等基础场景参数
+   * 雾效、背景色、相机和灯光由模块管理器按场景配置设置
    */
   setupSceneEnvironment() {
-    // 设置场景雾效果，创建远景虚化效果
-    this.scene.fog = new Fog(0x011024, 1, 500)
-    
-    // 设置场景背景色为深蓝色，营造科技感
-    this.scene.background = new Color(0x011024)
-    
-    // 配置相机初始位置
-    this.camera.instance.position.set(
-      0.00002366776247217723,
-      225.1025284992283,
-      0.0002238648924037432
-    )
-    this.camera.instance.near = 1
-    this.camera.instance.far = 10000
-    this.camera.instance.updateProjectionMatrix()
-    
+    this.moduleManager.applyEnvironment(this.sceneConfig)
+
+    // 场景配置开启了后期处理时创建管线，图层创建后由 MapPostProcessing 加入辉光
+    let postProcessing = Object.assign({}, this.sceneConfig.postProcessing)
+    if (postProcessing.enabled) {
+      delete postProcessing.enabled
+      this.setPostProcessing(postProcessing)
+    }
+
     // 初始化交互管理器
     this.state.interactionManager = new InteractionManager(
       this.renderer.instance,
       this.camera.instance,
       this.canvas
     )
-    
-    // 初始化基础设置和环境光照
+
+    // 初始化基础设置
     this.initSetting()
-    this.initEnvironment()
   }
 
   /**
@@ -143,7 +203,6 @@ export class ModularWorld extends Mini3d {
     // ============ 监听地图核心事件 ============
     this.eventBus.on('map:modelCreated', (data) => {
       console.log('[ModularWorld] 地图模型创建完成')
-      // 可以在这里添加后续处理逻辑
     })
 
     this.eventBus.on('map:provinceCreated', (data) => {
@@ -152,17 +211,6 @@ export class ModularWorld extends Mini3d {
       this.moduleManager.getModule('interaction').addEvent()
     })
 
-    // ============ 监听交互事件 ============
-    this.eventBus.on('map:hover', (data) => {
-      // 处理悬停事件，可以添加自定义逻辑
-      console.log('[ModularWorld] 省份悬停:', data.province.name)
-    })
-
-    this.eventBus.on('map:click', (data) => {
-      // 处理点击事件
-      console.log('[ModularWorld] 省份点击:', data.province.name)
-    })
-
     // ============ 监听导航事件 ============
     this.eventBus.on('navigation:loadComplete', (data) => {
       console.log('[ModularWorld] 子地图加载完成:', data.userData.name)
@@ -170,29 +218,105 @@ export class ModularWorld extends Mini3d {
 
     this.eventBus.on('navigation:loadError', (data) => {
       console.error('[ModularWorld] 子地图加载失败:', data.error)
-      // 这里可以显示用户友好的错误提示
     })
 
-    // ============ 监听组件动画事件 ============
-    this.eventBus.on('component:move', (data) => {
-      // 组件移动动画完成
-      // console.log(`[ModularWorld] ${data.componentType} 组件移动:`, data.direction)
+    // 边界数据加载失败时对外派发，便于页面上报或自定义提示
+    this.eventBus.on('data:loadError', (data) => {
+      this.emit("boundaryError", { userData: data.userData, error: data.error })
+    })
+
+    // ============ 监听数据事件 ============
+    // 图层数据更新后对外派发，参数 { layer, added, updated, removed, records }
+    this.eventBus.on(this.eventBus.EVENTS.DATA_UPDATE, (change) => {
+      this.emit("dataChange", change)
+    })
+
+    // 主题切换后对外派发，参数 { theme, duration }
+    this.eventBus.on('theme:change', (data) => {
+      this.emit("themeChange", data)
+    })
+
+    // 流向线悬停和点击对外派发，参数为流向记录
+    this.eventBus.on('flow:hover', (data) => {
+      this.emit("flowHover", data)
+    })
+    this.eventBus.on('flow:click', (data) => {
+      this.emit("flowClick", data)
+    })
+
+    // ============ 监听回放事件 ============
+    // 回放插值出的数据分发到各图层
+    this.eventBus.on('playback:frame', ({ layers, duration }) => {
+      Object.keys(layers).forEach((layer) => this.applyPlaybackLayer(layer, layers[layer], duration))
+    })
+    this.eventBus.on('playback:change', (data) => {
+      this.emit("playbackChange", data)
+    })
+
+    // ============ 监听移动对象事件 ============
+    this.eventBus.on('tracking:select', (data) => {
+      this.emit("trackingSelect", data)
+    })
+    this.eventBus.on('tracking:follow', (data) => {
+      this.emit("trackingFollow", data)
+    })
+
+    // ============ 监听导航事件 ============
+    // 所在区划和相机视角变化后对外派发完整的地图状态，便于页面写入地址
+    this.eventBus.on(this.eventBus.EVENTS.NAVIGATION_CHANGE, () => {
+      this.clearRegionHighlight()
+      this.emit("navigationChange", this.getMapState())
+    })
+    this.camera.controls.addEventListener("end", () => {
+      this.emit("cameraChange", this.getMapState())
+    })
+
+    // ============ 监听区划搜索事件 ============
+    this.eventBus.on('search:indexUpdate', (data) => {
+      this.emit("searchIndexUpdate", data)
+    })
+
+    // ============ 监听提示框事件 ============
+    this.eventBus.on('tooltip:pin', (data) => {
+      this.emit("tooltipPin", data)
+    })
+
+    // ============ 监听巡游事件 ============
+    this.eventBus.on('tour:step', (data) => {
+      this.emit("tourStep", data)
+    })
+    this.eventBus.on('tour:change', (data) => {
+      this.emit("tourChange", data)
+    })
+  }
+
+  /**
+   * 注册涉及其他模块的巡游动作，label 动作由 MapTour 自己处理
+   * - highlight：{ adcode } 高亮省份，离站时取消
+   * - outline：{ adcodes } 区域描边（需开启后期处理），离站时清除
+   * - theme：{ theme, duration } 切换主题，保持到下一次切换
+   */
+  setupTourActions() {
+    this.moduleManager.registerTourAction("highlight", ({ adcode }) => {
+      this.moduleManager.highlightProvince(adcode)
+      return () => this.moduleManager.highlightProvince(null)
+    })
+    this.moduleManager.registerTourAction("outline", ({ adcodes = [] }) => {
+      this.setOutlineRegions(adcodes)
+      return () => this.setOutlineRegions([])
+    })
+    this.moduleManager.registerTourAction("theme", ({ theme, duration }) => {
+      this.setTheme(theme, { duration })
     })
   }
 
   /**
    * 初始化UI组件
+   * 返回按钮的点击由页面绑定并调用 goBack，这里只负责显示和隐藏
    */
   initializeUIComponents() {
     this.state.toastLoading = new ToastLoading()
     this.state.returnBtn = document.querySelector(".return-btn")
-    
-    // 为返回按钮添加点击事件
-    if (this.state.returnBtn) {
-      this.state.returnBtn.addEventListener('click', () => {
-        this.moduleManager.getModule('navigation').goBack()
-      })
-    }
   }
 
   /**
@@ -200,45 +324,48 @@ export class ModularWorld extends Mini3d {
    */
   initializeHistorySystem() {
     this.state.history = new createHistory()
-    this.state.history.push({ name: "中国" })
+    this.state.history.push({ name: "中国" }, "china")
   }
 
   /**
    * 启动资源加载
-   * 当资源加载完成后，开始构建场景
+   * 加载提示显示资源清单的加载进度，完成后开始构建场景
    */
   startResourceLoading() {
     this.state.assets = new Assets(() => {
       console.log('[ModularWorld] 资源加载完成，开始构建场景')
       this.buildScene()
+    }, {
+      renderer: this.renderer.instance,
+      toastLoading: this.state.toastLoading,
     })
   }
 
   /**
    * 构建场景
-   * 创建场景组织结构和各种3D组件
+   * 创建场景组织结构，再由模块管理器按场景配置创建图层并播放入场动画
    */
   buildScene() {
     // ============ 创建场景层级结构 ============
     this.createSceneGroups()
-    
-    // ============ 使用模块创建核心地图 ============
-    this.moduleManager.createModel()
-    
-    // ============ 创建其他组件 ============
-    // 注意：这些组件还需要进一步模块化
-    this.createFloor()
-    this.createRotateBorder()
-    // this.createBar()          // 将来迁移到MapVisualization模块
-    // this.createParticles()    // 将来迁移到MapResource模块
-    // this.createFlyLine()      // 将来迁移到MapVisualization模块
-    // this.createScatter()      // 将来迁移到MapVisualization模块
-    // this.createBadgeLabel()   // 将来迁移到MapVisualization模块
-    // this.createPathAnimate()  // 将来迁移到MapAnimations模块
-    // this.createStorke()       // 将来迁移到MapAnimations模块
-    
-    // ============ 启动入场动画 ============
-    this.playEntranceAnimation()
+
+    // ============ 图层和入场动画 ============
+    let timeline = this.moduleManager.buildScene(this.sceneConfig)
+
+    // ============ 恢复初始地图状态 ============
+    // 带区划时跳过入场动画直接跳转，只带视角时在入场动画结束后飞过去
+    let { adcode, cam } = this.initialState
+    if (adcode) {
+      timeline.progress(1)
+      this.navigateTo(adcode, { view: cam })
+    } else if (cam) {
+      timeline.call(() => this.flyToView(cam, { duration: 1.5 }))
+    }
+
+    // ============ 水印 ============
+    if (this.config.watermark) {
+      this.moduleManager.createWatermark(this.config.watermark)
+    }
   }
 
   /**
@@ -259,9 +386,9 @@ export class ModularWorld extends Mini3d {
     // 建立场景层级关系
     this.state.mainSceneGroup.rotateX(-Math.PI / 2)
     this.state.mainSceneGroup.add(
-      this.state.labelGroup, 
-      this.state.gqGroup, 
-      this.state.provinceNameGroup, 
+      this.state.labelGroup,
+      this.state.gqGroup,
+      this.state.provinceNameGroup,
       this.state.badgeGroup
     )
     this.state.sceneGroup.add(this.state.mainSceneGroup, this.state.childSceneGroup)
@@ -269,116 +396,682 @@ export class ModularWorld extends Mini3d {
   }
 
   /**
-   * 播放入场动画
-   * 使用GSAP创建复杂的入场动画序列
-   */
-  playEntranceAnimation() {
-    console.log('[ModularWorld] 开始播放入场动画')
-    
-    let tl = gsap.timeline()
-
-    // 添加动画时间标签
-    tl.addLabel("focusMap", 3.5)
-    tl.addLabel("focusMapOpacity", 4.0)
-    tl.addLabel("bar", 5.0)
-
-    // 主相机动画
-    tl.add(
-      gsap.to(this.camera.instance.position, {
-        duration: 2.5,
-        delay: 2,
-        x: 3.134497983573052,
-        y: 126.8312346165316,
-        z: 78.77649752477839,
-        ease: "circ.out",
-        onComplete: () => {
-          this.camera.controls.saveState()
-        },
-      })
-    )
+   * 初始化渲染器设置
+   */
+  initSetting() {
+    this.renderer.resize()
+  }
 
-    // 背景光圈旋转动画
-    if (this.state.quan) {
-      tl.add(
-        gsap.to(this.state.quan.rotation, {
-          duration: 5,
-          z: -2 * Math.PI,
-        }),
-        "-=2"
-      )
-    }
+  // ============ 对外接口（委托给模块） ============
+
+  /**
+   * 下钻一级，子地图（ChildMap）点击区域时也会回调该方法
+   * @param {Object} userData - 被点击区域的用户数据对象
+   * @param {Object|string} mapData - 可选，直接使用的GeoJSON数据
+   */
+  drillDown(userData, mapData) {
+    this.moduleManager.drillDown(userData, mapData)
+  }
+
+  /**
+   * 返回上一级地图
+   */
+  goBack() {
+    this.moduleManager.goBack()
+  }
+
+  /**
+   * 按区划代码跳转，已在历史记录中时直接跳转到那一级，否则逐级查找并重建历史记录
+   * @param {string|number|null} adcode - 区划代码，为空时回到全国
+   * @param {Object} options - { view } 到达后的相机视角
+   * @returns {Promise<boolean>} 是否找到区划
+   */
+  navigateTo(adcode, options) {
+    return this.moduleManager.navigateTo(adcode, options)
+  }
+
+  /**
+   * 跳转到历史记录中的某一级，用于面包屑导航
+   * @param {number} index - 历史记录索引，0为全国，见 getBreadcrumbs
+   * @returns {boolean} 索引是否有效
+   */
+  goToHistory(index) {
+    return this.moduleManager.goToHistory(index)
+  }
+
+  /**
+   * 面包屑导航：从全国到当前所在一级的各级区划，在 navigationChange 时更新
+   * @returns {Array<{index: number, name: string, adcode: string|null, level: string, current: boolean}>}
+   */
+  getBreadcrumbs() {
+    return this.moduleManager.getBreadcrumbs()
+  }
+
+  /**
+   * 搜索区划，支持名称、拼音首字母和区划代码
+   * @param {string} query - 搜索内容
+   * @param {Object} options - { limit } 最多返回的数量，默认10
+   * @returns {Array<Object>} [{ id, adcode, name, level, parent, context }]，可传给 focusRegion
+   */
+  searchRegions(query, options) {
+    return this.moduleManager.searchRegions(query, options)
+  }
+
+  /**
+   * 定位区划：不在其上级地图时先逐级进入，再飞到该区划并高亮，高亮保持到下一次定位或层级变化
+   * 村没有自己的边界，定位到所属的乡镇
+   * @param {Object|string|number} region - searchRegions 的结果或其 id；不在索引中的区划代码直接进入该区划的地图
+   * @returns {Promise<boolean>} 是否完成定位（区划不存在、数据加载失败或被其他导航打断时为false）
+   */
+  async focusRegion(region) {
+    let entry = typeof region === "object" ? region : this.moduleManager.getSearchRegion(region)
+    this.clearRegionHighlight()
+    if (!entry) return this.navigateTo(region)
 
-    // 地图聚焦动画
-    if (this.state.focusMapGroup) {
-      tl.add(
-        gsap.to(this.state.focusMapGroup.position, {
-          duration: 1,
-          x: 0, y: 0, z: 0,
-        }),
-        "focusMap"
-      )
-
-      tl.add(
-        gsap.to(this.state.focusMapGroup.scale, {
-          duration: 1,
-          x: 1, y: 1, z: 1,
-          ease: "circ.out",
-        }),
-        "focusMap"
-      )
+    if (entry.parent !== this.getMapState().adcode) {
+      let arrived = this.waitForNavigation(entry.parent)
+      if (!(await this.navigateTo(entry.parent))) return false
+      if (!(await arrived)) return false
     }
 
-    // 发射动画开始事件
-    this.eventBus.emitAnimation('start', {
-      type: 'entrance',
-      duration: tl.duration()
-    })
+    let childMap = this.state.childMap
+    childMap ? childMap.highlightRegion(entry.adcode) : this.moduleManager.highlightProvince(entry.adcode)
+    this.focusedRegion = { adcode: entry.adcode, childMap }
+    return this.moduleManager.flyToRegion(entry.adcode)
+  }
 
-    // 动画完成回调
-    tl.call(() => {
-      this.eventBus.emitAnimation('complete', {
-        type: 'entrance'
-      })
-      console.log('[ModularWorld] 入场动画播放完成')
+  /**
+   * 取消 focusRegion 的高亮
+   */
+  clearRegionHighlight() {
+    if (!this.focusedRegion) return
+    let { childMap } = this.focusedRegion
+    childMap ? childMap.highlightRegion(null) : this.moduleManager.highlightProvince(null)
+    this.focusedRegion = null
+  }
+
+  /**
+   * 等待下一次层级变化
+   * @param {string|null} adcode - 期望到达的区划代码，全国为null
+   * @returns {Promise<boolean>} 是否到达该区划（到达其他层级或边界数据加载失败时为false）
+   */
+  waitForNavigation(adcode) {
+    return new Promise((resolve) => {
+      let { NAVIGATION_CHANGE } = this.eventBus.EVENTS
+      const finish = (arrived) => {
+        this.eventBus.off(NAVIGATION_CHANGE, onChange)
+        this.eventBus.off('data:loadError', onError)
+        resolve(arrived)
+      }
+      const onChange = (data) => finish((data.adcode === null ? null : String(data.adcode)) === adcode)
+      const onError = () => finish(false)
+      this.eventBus.on(NAVIGATION_CHANGE, onChange)
+      this.eventBus.on('data:loadError', onError)
     })
   }
 
   /**
-   * 初始化环境灯光系统
+   * 注册图层的提示框模板，悬停显示、点击固定为信息面板
+   * @param {string} layer - province | region | town | bar | scatter | flow
+   * @param {string|Function|Object} template - HTML字符串（{{字段}}）、(properties, layer) => HTML 或 Vue组件，省略时显示名称和常见数值
+   * @param {Object} options - { follow: "cursor" | "anchor", pin, offset }
    */
-  initEnvironment() {
-    // 环境光
-    let sun = new AmbientLight(0xffffff, 2)
-    this.scene.add(sun)
-    
-    // 方向光
-    let directionalLight = new DirectionalLight(0xffffff, 0.5)
-    directionalLight.position.set(10, 10, 5)
-    this.scene.add(directionalLight)
+  registerTooltip(layer, template, options) {
+    this.moduleManager.registerTooltip(layer, template, options)
   }
 
   /**
-   * 初始化渲染器设置
+   * 取消注册图层的提示框
+   * @param {string} layer - 图层名
    */
-  initSetting() {
-    this.renderer.instance.shadowMap.enabled = true
-    this.renderer.instance.shadowMap.type = 2 // PCFSoftShadowMap
+  unregisterTooltip(layer) {
+    this.moduleManager.unregisterTooltip(layer)
+  }
+
+  /**
+   * 按已注册图层的模板固定一个信息面板
+   * @param {string} layer - 图层名
+   * @param {Object} properties - 要素属性
+   * @param {Object} position - { x, y } 屏幕坐标，或 { anchor } 3D对象、世界坐标
+   * @returns {boolean} 是否已显示
+   */
+  pinTooltip(layer, properties, position) {
+    return this.moduleManager.pinTooltip(layer, properties, position)
+  }
+
+  /**
+   * 关闭全部提示框和信息面板
+   */
+  closeTooltips() {
+    this.moduleManager.closeTooltips()
   }
 
   /**
-   * 创建地面装饰
-   * 这些方法将来会迁移到MapResource模块
+   * 注册第三方模块，按依赖顺序加载，provides 中的方法绑定到模块管理器上
+   * @param {string} name - 模块名称
+   * @param {Function} Class - 模块类，构造参数 (state, eventBus, context)
+   * @param {Object} options - { dependsOn, provides, lazy }，见 MapModuleManager.registerModule
+   * @returns {Promise<Object|null>} 模块实例，延迟加载的为null
+   *
+   * @example
+   * await world.registerModule("weather", WeatherOverlay, { dependsOn: ["core"], provides: ["setWeather"] })
+   * world.getModuleManager().setWeather({ type: "rain" })
    */
-  createFloor() {
-    // 临时保留原有实现
-    // 将来迁移到MapResource模块
-    console.log('[ModularWorld] 创建地面装饰')
+  registerModule(name, Class, options) {
+    return this.moduleManager.registerModule(name, Class, options)
   }
 
-  createRotateBorder() {
-    // 临时保留原有实现
-    // 将来迁移到MapResource模块
-    console.log('[ModularWorld] 创建旋转边框')
+  /**
+   * 卸载第三方模块
+   * @param {string} name - 模块名称
+   * @param {Object} options - { cascade } 是否一并卸载依赖它的模块
+   * @returns {Array<string>} 卸载的模块
+   */
+  unloadModule(name, options) {
+    return this.moduleManager.unloadModule(name, options)
+  }
+
+  /**
+   * 重新加载第三方模块（热更新），依赖它的模块一并重新加载
+   * @param {string} name - 模块名称
+   * @param {Function} Class - 新的模块类，默认使用原来的类
+   * @returns {Promise<Object>} 新的模块实例
+   */
+  reloadModule(name, Class) {
+    return this.moduleManager.reloadModule(name, Class)
+  }
+
+  /**
+   * 当前地图状态，可用 mapQuery.stringifyMapQuery 写入地址
+   * @returns {{adcode: string|null, level: string, cam: Object, layers: Array<string>}}
+   *   adcode 为所在区划（全国为null），cam 为相机视角 { position, target, fov }，layers 为启用的图层
+   */
+  getMapState() {
+    let { history, currentLevel } = this.state
+    let layers = this.sceneConfig.layers
+    return {
+      adcode: history.getIndex() ? String(history.present.adcode) : null,
+      level: currentLevel,
+      cam: this.camera.getView(),
+      layers: Object.keys(layers).filter((name) => layers[name].enabled),
+    }
+  }
+
+  /**
+   * 推送图层数据，已有对象过渡到新数值，不重建场景
+   * @param {string} layer - 图层名称：bar | scatter | flyLine | badge
+   * @param {Array<Object>} records - 按adcode索引的数据记录
+   * @param {Object} options - { merge, duration }
+   * @returns {Object|null} 变化详情，图层未创建时返回null（数据会在创建后应用）
+   */
+  setData(layer, records, options) {
+    return this.moduleManager.setData(layer, records, options)
+  }
+
+  /**
+   * 获取图层当前的数据
+   * @param {string} layer - 图层名称：bar | scatter | flyLine | badge
+   * @returns {Array<Object>} 数据记录
+   */
+  getData(layer) {
+    return this.moduleManager.getData(layer)
+  }
+
+  /**
+   * 开启或更新分级设色，下钻和返回后自动对当前地图重新着色
+   * @param {Object} options - 数据来源、色带和分级方法，见 MapChoropleth.setChoropleth
+   * @returns {Object|null} 当前地图使用的色带
+   */
+  setChoropleth(options) {
+    return this.moduleManager.setChoropleth(options)
+  }
+
+  /**
+   * 关闭分级设色，恢复原始材质
+   */
+  clearChoropleth() {
+    this.moduleManager.clearChoropleth()
+  }
+
+  /**
+   * 开启或更新按数值挤出（3D棱柱图），高度与数值成正比并过渡到新高度
+   * @param {Object} options - 数据来源和高度范围，见 MapExtrusion.setExtrusion
+   * @returns {Map|null} adcode → 目标高度
+   */
+  setExtrusion(options) {
+    return this.moduleManager.setExtrusion(options)
+  }
+
+  /**
+   * 关闭按数值挤出，区域过渡回统一高度
+   * @param {Object} options - { duration }
+   */
+  clearExtrusion(options) {
+    this.moduleManager.clearExtrusion(options)
+  }
+
+  /**
+   * 在当前地图上创建热力图，裁剪到地图轮廓，下钻和返回后自动重建
+   * @param {Object} options - 点数据或时间切片、半径、强度、色带，见 MapHeatmap.createHeatmap
+   * @returns {HeatmapLayer|null}
+   */
+  createHeatmap(options) {
+    return this.moduleManager.createHeatmap(options)
+  }
+
+  /**
+   * 切换热力图的时间切片
+   * @param {number} index - 切片序号
+   * @param {Object} options - { duration }
+   */
+  setHeatmapSlice(index, options) {
+    this.moduleManager.setHeatmapSlice(index, options)
+  }
+
+  /**
+   * 自动播放热力图的时间切片
+   * @param {Object} options - { interval, loop }
+   */
+  playHeatmap(options) {
+    this.moduleManager.playHeatmap(options)
+  }
+
+  /**
+   * 暂停热力图播放
+   */
+  pauseHeatmap() {
+    this.moduleManager.pauseHeatmap()
+  }
+
+  /**
+   * 更新热力图的半径、强度、色带或不透明度
+   * @param {Object} options - 显示参数
+   */
+  setHeatmapOptions(options) {
+    this.moduleManager.setHeatmapOptions(options)
+  }
+
+  /**
+   * 移除热力图
+   */
+  removeHeatmap() {
+    this.moduleManager.removeHeatmap()
+  }
+
+  /**
+   * 切换主题，颜色和标签样式在 duration 内过渡
+   * @param {string|Object} theme - 主题名称（dark-tech | light | high-contrast | 自定义）或主题对象
+   * @param {Object} options - { duration }，默认1秒
+   * @returns {Object} 完整主题
+   */
+  setTheme(theme, options) {
+    return this.moduleManager.setTheme(theme, options)
+  }
+
+  /**
+   * 当前主题
+   * @returns {Object}
+   */
+  getTheme() {
+    return this.moduleManager.getTheme()
+  }
+
+  /**
+   * 注册自定义主题，未写出的颜色继承 extends 指定的主题
+   * @param {string} name - 主题名称
+   * @param {Object} theme - 主题，见 themes.js
+   * @returns {Object} 完整主题
+   */
+  registerTheme(name, theme) {
+    return this.moduleManager.registerTheme(name, theme)
+  }
+
+  /**
+   * 已注册的主题名称
+   * @returns {Array<string>}
+   */
+  getThemeNames() {
+    return this.moduleManager.getThemeNames()
+  }
+
+  /**
+   * 启用、更新或关闭后期处理（辉光、描边、抗锯齿、暗角），见 Mini3d.setPostProcessing
+   * 启用后柱状图、飞线、旋转边框和轮廓流动线自动加入辉光，悬停的区域自动描边
+   * @param {Object|boolean} options - 效果参数，false 关闭
+   * @returns {PostProcessing|null}
+   */
+  setPostProcessing(options) {
+    let postProcessing = super.setPostProcessing(options)
+    // Mini3d 构造期间模块管理器尚未创建
+    this.moduleManager && this.moduleManager.refreshPostProcessing()
+    return postProcessing
+  }
+
+  /**
+   * 给指定区域描边（选中效果），需要先开启后期处理
+   * @param {Array<string|number>} adcodes - 区域adcode，传空数组清除
+   */
+  setOutlineRegions(adcodes) {
+    this.moduleManager.setOutlineRegions(adcodes)
+  }
+
+  /**
+   * 创建OD流向线
+   * @param {Object} options - 流向数据、线宽/颜色范围、弧高、脉冲速度、提示等，见 MapFlow.createFlowLine
+   * @returns {FlowLine}
+   */
+  createFlowLine(options) {
+    return this.moduleManager.createFlowLine(options)
+  }
+
+  /**
+   * 更新流向数据
+   * @param {Array<Object>} records - 流向记录 [{ id, from, to, value, speed }]
+   * @param {Object} options - { merge }
+   */
+  setFlowData(records, options) {
+    this.moduleManager.setFlowData(records, options)
+  }
+
+  /**
+   * 移除流向线
+   */
+  removeFlowLine() {
+    this.moduleManager.removeFlowLine()
+  }
+
+  /**
+   * 加载时间序列回放数据
+   * @param {Object<string, Array<Object>>} data - 各图层带时间字段的记录
+   * @param {Object} options - 时间字段、时长、倍速、循环、自动播放等，见 MapPlayback.loadPlayback
+   * @returns {Object} 回放状态
+   */
+  loadPlayback(data, options) {
+    return this.moduleManager.loadPlayback(data, options)
+  }
+
+  /**
+   * 开始回放
+   */
+  playPlayback() {
+    this.moduleManager.playPlayback()
+  }
+
+  /**
+   * 暂停回放
+   */
+  pausePlayback() {
+    this.moduleManager.pausePlayback()
+  }
+
+  /**
+   * 跳转到指定时刻
+   * @param {number|string|Date} time - 时刻
+   */
+  seekPlayback(time) {
+    this.moduleManager.seekPlayback(time)
+  }
+
+  /**
+   * 设置回放倍速
+   * @param {number} rate - 倍速
+   */
+  setPlaybackRate(rate) {
+    this.moduleManager.setPlaybackRate(rate)
+  }
+
+  /**
+   * 当前回放状态
+   * @returns {Object|null}
+   */
+  getPlaybackState() {
+    return this.moduleManager.getPlaybackState()
+  }
+
+  /**
+   * 移除回放
+   */
+  clearPlayback() {
+    this.moduleManager.clearPlayback()
+  }
+
+  /**
+   * 把回放的一帧数据应用到图层
+   * @param {string} layer - 图层名称：bar | scatter | flyLine | badge | flow | pathLine
+   * @param {Array<Object>} records - 当前时刻的记录
+   * @param {number} duration - 过渡时长（秒）
+   */
+  applyPlaybackLayer(layer, records, duration) {
+    if (layer === "flow") {
+      this.state.flowLine && this.setFlowData(records)
+    } else if (layer === "pathLine") {
+      this.moduleManager.setPathLineProgress(records)
+    } else {
+      this.setData(layer, records, { duration })
+    }
+  }
+
+  /**
+   * 创建移动对象（车辆、船舶等）
+   * @param {Object} options - 定位记录、时钟、模型或图标、尾迹、标签、跟随等，见 MapTracking.createTracking
+   * @returns {Promise<MovingObjects|null>}
+   */
+  createTracking(options) {
+    return this.moduleManager.createTracking(options)
+  }
+
+  /**
+   * 更新定位记录
+   * @param {Array<Object>} records - 定位记录 [{ id, time, lng, lat, route, name }]
+   * @param {Object} options - { merge } 是否追加到现有记录
+   */
+  setTrackingData(records, options) {
+    this.moduleManager.setTrackingData(records, options)
+  }
+
+  /**
+   * 选中移动对象，配置了 follow 时相机开始跟随
+   * @param {string} id - 对象id
+   */
+  selectTrackingObject(id) {
+    this.moduleManager.selectTrackingObject(id)
+  }
+
+  /**
+   * 相机跟随移动对象
+   * @param {string} id - 对象id
+   */
+  followTrackingObject(id) {
+    this.moduleManager.followTrackingObject(id)
+  }
+
+  /**
+   * 停止相机跟随
+   */
+  unfollowTrackingObject() {
+    this.moduleManager.unfollowTrackingObject()
+  }
+
+  /**
+   * 移除移动对象
+   */
+  removeTracking() {
+    this.moduleManager.removeTracking()
+  }
+
+  /**
+   * 保存相机书签
+   * @param {string} name - 书签名称
+   * @param {Object} view - 世界坐标 { position, target, fov } 或地理坐标 { lng, lat, distance, polar, azimuth, fov }，默认为当前视角
+   * @returns {Object} 保存的书签
+   */
+  saveCameraBookmark(name, view) {
+    return this.moduleManager.saveCameraBookmark(name, view)
+  }
+
+  /**
+   * 全部相机书签
+   * @returns {Array<Object>}
+   */
+  getCameraBookmarks() {
+    return this.moduleManager.getCameraBookmarks()
+  }
+
+  /**
+   * 删除相机书签
+   * @param {string} name - 书签名称
+   */
+  removeCameraBookmark(name) {
+    this.moduleManager.removeCameraBookmark(name)
+  }
+
+  /**
+   * 相机飞行到视角或书签，用户拖动相机时中断
+   * @param {Object|string} view - 视角、地理视角或书签名称
+   * @param {Object} options - { duration, ease, interruptible }
+   * @returns {Promise<boolean>} 是否到达
+   */
+  flyToView(view, options) {
+    return this.moduleManager.flyToView(view, options)
+  }
+
+  /**
+   * 加载相机巡游
+   * @param {Object} options - 站点、循环、自动播放、空闲自动继续等，见 MapTour.loadTour
+   * @returns {Object} 巡游状态
+   */
+  loadTour(options) {
+    return this.moduleManager.loadTour(options)
+  }
+
+  /**
+   * 注册巡游动作
+   * @param {string} type - 动作类型
+   * @param {Function} handler - (action, step) => 撤销函数（可选）
+   */
+  registerTourAction(type, handler) {
+    this.moduleManager.registerTourAction(type, handler)
+  }
+
+  /**
+   * 播放巡游
+   */
+  playTour() {
+    this.moduleManager.playTour()
+  }
+
+  /**
+   * 暂停巡游
+   */
+  pauseTour() {
+    this.moduleManager.pauseTour()
+  }
+
+  /**
+   * 停止巡游，再次播放时从第一站开始
+   */
+  stopTour() {
+    this.moduleManager.stopTour()
+  }
+
+  /**
+   * 前往巡游的下一站
+   */
+  nextTourStep() {
+    this.moduleManager.nextTourStep()
+  }
+
+  /**
+   * 前往巡游的上一站
+   */
+  previousTourStep() {
+    this.moduleManager.previousTourStep()
+  }
+
+  /**
+   * 前往巡游的指定站
+   * @param {number} index - 站序号
+   */
+  gotoTourStep(index) {
+    this.moduleManager.gotoTourStep(index)
+  }
+
+  /**
+   * 当前巡游状态
+   * @returns {Object|null} { playing, index, total, phase, name, interrupted }
+   */
+  getTourState() {
+    return this.moduleManager.getTourState()
+  }
+
+  /**
+   * 移除巡游
+   */
+  clearTour() {
+    this.moduleManager.clearTour()
+  }
+
+  /**
+   * 连接实时数据源，推送的图层数据通过 setData 应用，tracking 图层的定位记录追加到移动对象
+   * @param {RealtimeDataSource} source - 实时数据源（见 realtimeSource.js）
+   */
+  connectDataSource(source) {
+    this.disconnectDataSource()
+    this.dataSource = source
+    this.dataSourceHandlers = {
+      update: ({ layer, records, options }) => {
+        layer === "tracking"
+          ? this.setTrackingData(records, Object.assign({ merge: true }, options))
+          : this.setData(layer, records, options)
+      },
+      stale: (data) => this.emit("dataStale", data),
+      status: (data) => this.emit("dataSourceStatus", data),
+      error: ({ error }) => console.warn('[ModularWorld] 实时数据源出错:', error),
+    }
+    Object.keys(this.dataSourceHandlers).forEach((name) => source.on(name, this.dataSourceHandlers[name]))
+    source.status === "open" || source.connect()
+  }
+
+  /**
+   * 断开实时数据源
+   */
+  disconnectDataSource() {
+    if (!this.dataSource) return
+    Object.keys(this.dataSourceHandlers).forEach((name) => this.dataSource.off(name, this.dataSourceHandlers[name]))
+    this.dataSource.close()
+    this.dataSource = null
+  }
+
+  /**
+   * 设置CSS3D标签组的显示隐藏
+   * @param {string} labelGroup - 标签组名称
+   * @param {boolean} bool - 是否可见
+   */
+  setLabelVisible(labelGroup = "labelGroup", bool) {
+    this.moduleManager.setLabelVisible(labelGroup, bool)
+  }
+
+  /**
+   * 设置主地图可见性
+   * @param {boolean} bool - 是否可见
+   */
+  setMainMapVisible(bool) {
+    this.moduleManager.setMainMapVisible(bool)
+  }
+
+  /**
+   * 创建省份顶面和侧面材质，子地图复用
+   * @returns {Array} [顶面材质, 侧面材质]
+   */
+  createProvinceMaterial() {
+    return this.moduleManager.createProvinceMaterial()
+  }
+
+  /**
+   * 计算几何体的UV2坐标，子地图复用
+   */
+  calcUv2(geometry, width, height, minX, minY) {
+    this.moduleManager.calcUv2(geometry, width, height, minX, minY)
   }
 
   /**
@@ -387,12 +1080,15 @@ export class ModularWorld extends Mini3d {
   update() {
     // 调用父类更新逻辑
     super.update()
-    
-    // 更新模块管理器
-    this.moduleManager.update(this.time.delta)
-    
+
+    // 更新模块管理器（包括交互管理器）
+    this.moduleManager && this.moduleManager.update(this.time.delta)
+
     // 更新性能监控
     this.stats && this.stats.update()
+
+    // 刷新调试面板的运行列表
+    this.debug && this.debug.update()
   }
 
   /**
@@ -400,18 +1096,26 @@ export class ModularWorld extends Mini3d {
    */
   destroy() {
     console.log('[ModularWorld] 开始销毁模块化地图世界')
-    
+
+    // 停止接收实时数据
+    this.disconnectDataSource()
+
+    // 先取出UI组件引用，模块销毁时会重置共享状态
+    let { toastLoading, label3d, assets } = this.state
+
     // 销毁模块管理器（会自动销毁所有模块）
     this.moduleManager.destroy()
-    
-    // 清理UI组件
-    if (this.state.toastLoading) {
-      this.state.toastLoading.destroy()
-    }
-    
+
     // 调用父类销毁逻辑
     super.destroy()
-    
+
+    // 清理UI组件
+    label3d && label3d.destroy()
+    toastLoading && toastLoading.destroy()
+    assets && assets.destroy && assets.destroy()
+    this.stats && this.stats.dom && document.body.removeChild(this.stats.dom)
+    this.debug.destroy()
+
     console.log('[ModularWorld] 模块化地图世界已销毁')
   }
 
@@ -440,4 +1144,55 @@ export class ModularWorld extends Mini3d {
       }
     }
   }
-} 
\ No newline at end of file
+}
+
+// ============ 共享状态代理属性 ============
+// 子地图（ChildMap）以地图实例为父级读取这些属性，页面也直接访问其中的组件，
+// 统一代理到共享状态，避免同一份数据存在两处
+const STATE_PROPERTIES = {
+  assets: "assets",
+  depth: "depth",
+  pointCenter: "pointCenter",
+  flyLineCenter: "flyLineCenter",
+  label3d: "label3d",
+  interactionManager: "interactionManager",
+  boundaryProvider: "boundaryProvider",
+  toastLoading: "toastLoading",
+  returnBtn: "returnBtn",
+  history: "history",
+  childMap: "childMap",
+  currentScene: "currentScene",
+  clicked: "clicked",
+  sceneGroup: "sceneGroup",
+  mainSceneGroup: "mainSceneGroup",
+  childSceneGroup: "childSceneGroup",
+  labelGroup: "labelGroup",
+  gqGroup: "gqGroup",
+  provinceNameGroup: "provinceNameGroup",
+  badgeGroup: "badgeGroup",
+  barGroup: "barGroup",
+  scatterGroup: "scatterGroup",
+  flyLineGroup: "flyLineGroup",
+  flyLineFocusGroup: "flyLineFocusGroup",
+  pathLineGroup: "pathLineGroup",
+  particles: "particles",
+  quan: "quan",
+  rotateBorder1: "rotateBorder1",
+  rotateBorder2: "rotateBorder2",
+  groundMirror: "mirror",
+  theme: "theme",
+}
+
+Object.keys(STATE_PROPERTIES).forEach((key) => {
+  let stateKey = STATE_PROPERTIES[key]
+  Object.defineProperty(ModularWorld.prototype, key, {
+    get() {
+      // 模块管理器创建前（共享状态初始化期间）返回undefined
+      return this.state && this.state[stateKey]
+    },
+    set(value) {
+      this.state[stateKey] = value
+    },
+    configurable: true,
+  })
+})
@@ -0,0 +1,105 @@
+/**
+ * 地图状态与页面地址参数的互相转换
+ *
+ * 把当前所在区划、相机视角和启用的图层写进地址，刷新或分享链接后恢复到同样的画面：
+ * #/three-3d-map?adcode=510100&level=city&cam=12.5,60,48.2,10.1,5,20.3&layers=bar,flyLine
+ *
+ * 参数：
+ * - adcode：当前区划代码（6位），根级（全国）不带
+ * - level：当前区划的级别 province | city | district，仅供阅读，恢复时以 adcode 为准
+ * - cam：相机视角 "px,py,pz,tx,ty,tz[,fov]"，即位置、目标点和可选的视野角度，保留两位小数
+ * - layers：启用的图层，逗号分隔，未列出的图层关闭；名称同场景配置的 layers
+ *
+ * 解析时忽略格式不对的参数，地址里的其他参数（如 scene）原样保留。
+ */
+
+/** 地图状态使用的地址参数 */
+export const MAP_QUERY_KEYS = ["adcode", "level", "cam", "layers"]
+
+const ADCODE_PATTERN = /^\d{6}$/
+
+/**
+ * 取地址参数的值，重复的参数取第一个
+ * @param {string|Array<string>} value
+ * @returns {string|undefined}
+ */
+function first(value) {
+  value = Array.isArray(value) ? value[0] : value
+  return typeof value === "string" && value !== "" ? value : undefined
+}
+
+/**
+ * 数值保留两位小数，去掉多余的0
+ * @param {number} value
+ * @returns {string}
+ */
+function round(value) {
+  return String(Math.round(value * 100) / 100)
+}
+
+/**
+ * 解析地址参数
+ * @param {Object} query - 路由的 query 对象
+ * @returns {{adcode: string|undefined, level: string|undefined, cam: Object|undefined, layers: Array<string>|undefined}}
+ *   cam 为 { position, target, fov }（fov 可能没有）
+ */
+export function parseMapQuery(query = {}) {
+  let result = {}
+
+  let adcode = first(query.adcode)
+  adcode && ADCODE_PATTERN.test(adcode) && (result.adcode = adcode)
+
+  let level = first(query.level)
+  level && (result.level = level)
+
+  let cam = first(query.cam)
+  if (cam) {
+    let values = cam.split(",").map(Number)
+    if ((values.length === 6 || values.length === 7) && values.every(Number.isFinite)) {
+      result.cam = { position: values.slice(0, 3), target: values.slice(3, 6) }
+      values.length === 7 && (result.cam.fov = values[6])
+    }
+  }
+
+  let layers = first(query.layers)
+  layers !== undefined && (result.layers = layers.split(",").filter(Boolean))
+
+  return result
+}
+
+/**
+ * 生成地址参数，没有值的参数为 undefined，由调用方从地址中去掉
+ * @param {Object} mapState - 地图状态，见 ModularWorld.getMapState
+ * @param {string|null} mapState.adcode - 当前区划代码，根级为null
+ * @param {string} mapState.level - 当前区划级别，根级为 china
+ * @param {Object} mapState.cam - 相机视角 { position, target, fov }
+ * @param {Array<string>} mapState.layers - 启用的图层
+ * @returns {Object} { adcode, level, cam, layers }
+ */
+export function stringifyMapQuery({ adcode, level, cam, layers } = {}) {
+  let root = !adcode
+  return {
+    adcode: root ? undefined : String(adcode),
+    level: root || !level ? undefined : level,
+    cam: cam ? [...cam.position, ...cam.target].concat(cam.fov !== undefined ? [cam.fov] : []).map(round).join(",") : undefined,
+    layers: layers ? layers.join(",") : undefined,
+  }
+}
+
+/**
+ * 按地址中的图层列表开关场景配置的图层，列出的开启，其余关闭
+ * @param {Object} scene - 已解析的完整场景配置，见 resolveSceneConfig
+ * @param {Array<string>} layers - 启用的图层
+ * @returns {Object} 新的场景配置，原配置不变
+ */
+export function applyQueryLayers(scene, layers) {
+  if (!layers) return scene
+  let unknown = layers.filter((name) => !scene.layers[name])
+  unknown.length && console.warn(`[mapQuery] 忽略未知的图层: ${unknown.join(", ")}`)
+
+  let sceneLayers = {}
+  Object.keys(scene.layers).forEach((name) => {
+    sceneLayers[name] = Object.assign({}, scene.layers[name], { enabled: layers.includes(name) })
+  })
+  return Object.assign({}, scene, { layers: sceneLayers })
+}
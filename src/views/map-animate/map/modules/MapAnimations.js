@@ -149,6 +149,21 @@ export class MapAnimations {
     return pathLine
   }
 
+  /**
+   * 设置运输路径的绘制进度，用于轨迹回放
+   * 未列出的路径保持当前进度
+   *
+   * @param {Array<{route: number, progress: number}>} records - 路径序号（与路径数据顺序一致）和进度（0-1）
+   *
+   * @example
+   * world.setPathLineProgress([{ route: 0, progress: 0.5 }, { route: 1, progress: 1 }])
+   */
+  setPathLineProgress(records = []) {
+    let pathLine = this.state.pathLineGroup
+    if (!pathLine) return
+    records.forEach(({ route, progress }) => pathLine.setProgress(Number(route), progress))
+  }
+
   /**
    * 创建轮廓流动动画
    * 
@@ -367,16 +382,18 @@ export class MapAnimations {
    * 1. 相机移动动画（2.5秒，延迟2秒）
    * 2. 背景光圈旋转（5秒，与相机动画重叠）
    * 3. 地图聚焦显示（1秒，3.5秒后开始）
-   * 4. 地图材质透明度变化（4秒后开始）
-   * 5. 其他组件入场（5秒后开始）
+   * 4. 地图材质透明度、轮廓线和旋转边框（4秒后开始）
+   * 5. 柱状图、标签和光圈依次入场（5秒后开始）
    * 
-   * 技术特点：
-   * - 时间线标签管理，精确控制时序
-   * - 缓动函数，自然的动画效果
-   * - 事件回调，动画状态通知
-   * - 相机状态保存，支持后续交互
+   * 地图侧面显示完成后发射 animations:mapRevealed 事件，
+   * 由外部创建镜面反射和网格波纹。
+   *
+   * @param {Object} options - 配置参数
+   * @param {Object|string} options.view - 相机终点视角或书签名称，默认为 applyEnvironment 保存的 home 书签
+   * @returns {gsap.core.Timeline} 入场时间线
    */
-  playEntranceAnimation() {
+  playEntranceAnimation(options = {}) {
+    let { position, target } = this.state.camera.resolveView(options.view || "home")
     console.log('[MapAnimations] 开始播放入场动画')
     
     // ============ 创建主时间线 ============
@@ -394,9 +411,9 @@ export class MapAnimations {
         duration: 2.5,               // 动画持续时间
         delay: 2,                    // 延迟2秒开始
         // 目标相机位置（俯视角度，适合观察整个地图）
-        x: 3.134497983573052,
-        y: 126.8312346165316,
-        z: 78.77649752477839,
+        x: position[0],
+        y: position[1],
+        z: position[2],
         ease: "circ.out",           // 圆形缓出，自然的减速效果
         onComplete: () => {
           // 动画完成后保存相机状态，为后续交互做准备
@@ -404,6 +421,18 @@ export class MapAnimations {
         },
       })
     )
+    // 相机目标点与位置同时过渡
+    tl.add(
+      gsap.to(this.state.camera.controls.target, {
+        duration: 2.5,
+        delay: 2,
+        x: target[0],
+        y: target[1],
+        z: target[2],
+        ease: "circ.out",
+      }),
+      "<"
+    )
 
     // ============ 背景光圈旋转动画 ============
     // 在相机动画进行的同时，背景光圈开始旋转
@@ -439,58 +468,82 @@ export class MapAnimations {
       )
     }
 
-    // ============ 地图材质透明度动画 ============
-    // 在地图位置动画完成后，逐渐显示地图材质
-    if (this.state.focusMapTopMaterial && this.state.focusMapSideMaterial) {
+    // ============ 省份顶面渐现动画 ============
+    if (this.state.provinceMesh) {
+      this.state.provinceMesh.mapGroup.traverse((obj) => {
+        if (obj.isMesh && Array.isArray(obj.material)) {
+          tl.add(
+            gsap.to(obj.material[0], {
+              duration: 1,
+              opacity: 1,           // 从透明到不透明
+              ease: "circ.out",
+            }),
+            "focusMapOpacity"
+          )
+          tl.add(
+            gsap.to(obj.position, {
+              duration: 1,
+              x: 0, y: 0, z: 0,
+              ease: "circ.out",
+            }),
+            "focusMapOpacity"
+          )
+        }
+      })
+    }
+
+    // ============ 地图侧面和轮廓线渐现 ============
+    if (this.state.focusMapSideMaterial) {
       tl.add(
-        gsap.to(this.state.focusMapTopMaterial, {
+        gsap.to(this.state.focusMapSideMaterial, {
           duration: 1,
-          opacity: 1,               // 顶面材质从透明变为不透明
+          opacity: 1,               // 侧面材质渐现
+          ease: "circ.out",
+          onComplete: () => {
+            // 地图完全显示后再创建镜面反射和网格波纹
+            this.eventBus.emit('animations:mapRevealed')
+          },
         }),
         "focusMapOpacity"
       )
-      
+    }
+
+    if (this.state.provinceLineMaterial) {
       tl.add(
-        gsap.to(this.state.focusMapSideMaterial, {
-          duration: 1,
-          opacity: 1,               // 侧面材质从透明变为不透明
+        gsap.to(this.state.provinceLineMaterial, {
+          duration: 0.5,
+          delay: 0.3,               // 稍微延迟显示
+          opacity: 1,               // 轮廓线渐现
         }),
         "focusMapOpacity"
       )
-      
-      // 省份轮廓线也逐渐显示
-      if (this.state.provinceLineMaterial) {
-        tl.add(
-          gsap.to(this.state.provinceLineMaterial, {
-            duration: 1,
-            opacity: 1,             // 轮廓线从透明变为不透明
-          }),
-          "focusMapOpacity"
-        )
-      }
     }
 
     // ============ 旋转边框入场动画 ============
     if (this.state.rotateBorder1 && this.state.rotateBorder2) {
       tl.add(
         gsap.to(this.state.rotateBorder1.scale, {
+          delay: 0.3,
           duration: 1,
-          x: 1, y: 1, z: 1,        // 恢复到正常比例
-          ease: "back.out(1.7)",    // 回弹效果
+          x: 1, y: 1, z: 1,        // 从0缩放到正常大小
+          ease: "circ.out",
         }),
-        "bar"
+        "focusMapOpacity"
       )
-      
       tl.add(
         gsap.to(this.state.rotateBorder2.scale, {
           duration: 1,
-          x: 1, y: 1, z: 1,        // 恢复到正常比例
-          ease: "back.out(1.7)",    // 回弹效果
+          delay: 0.5,               // 第二个边框稍晚出现
+          x: 1, y: 1, z: 1,
+          ease: "circ.out",
         }),
-        "bar"
+        "focusMapOpacity"
       )
     }
 
+    // ============ 数据组件依次入场 ============
+    this.addBarEntrance(tl, "bar")
+
     // ============ 保存时间线引用 ============
     this.activeTimelines.push(tl)
     this.animationInstances.set('entranceAnimation', tl)
@@ -517,6 +570,102 @@ export class MapAnimations {
     return tl
   }
 
+  /**
+   * 添加柱状图、标签和光圈的入场动画
+   * 
+   * 每个组件按排名依次延迟0.05秒出现，数据标签的数值从0递增到目标值。
+   * 
+   * @param {gsap.core.Timeline} tl - 入场时间线
+   * @param {string} label - 时间线标签
+   */
+  addBarEntrance(tl, label) {
+    this.state.allBar.map((item, index) => {
+      tl.add(
+        gsap.to(item.scale, {
+          duration: 1,
+          delay: 0.05 * index,      // 每个柱子依次延迟出现
+          x: 1, y: 1,
+          z: item.userData.height,  // Z轴缩放即柱子高度
+          ease: "circ.out",
+        }),
+        label
+      )
+    })
+
+    this.state.allBarMaterial.map((item, index) => {
+      tl.add(
+        gsap.to(item, {
+          duration: 0.5,
+          delay: 0.05 * index,      // 与缩放动画同步
+          opacity: 1,               // 材质渐现
+          ease: "circ.out",
+        }),
+        label
+      )
+    })
+
+    this.state.allProvinceLabel.map((item, index) => {
+      let element = item.element.querySelector(".provinces-label-style02-wrap")
+      let number = item.element.querySelector(".number .value")
+      let numberVal = Number(number.innerText)
+      let numberAnimate = { score: 0 } // 数字动画对象
+
+      tl.add(
+        gsap.to(element, {
+          duration: 0.5,
+          delay: 0.05 * index,
+          translateY: 0,            // 从下方移动到原位置
+          opacity: 1,               // 渐现
+          ease: "circ.out",
+        }),
+        label
+      )
+
+      // 数值从0递增到目标数值
+      tl.add(
+        gsap.to(numberAnimate, {
+          duration: 0.5,
+          delay: 0.05 * index,
+          score: numberVal,
+          onUpdate: () => {
+            number.innerText = numberAnimate.score.toFixed(0)
+          },
+        }),
+        label
+      )
+    })
+
+    this.state.allProvinceNameLabel.map((item, index) => {
+      let element = item.element.querySelector(".provinces-name-label-wrap")
+
+      tl.add(
+        gsap.to(element, {
+          duration: 0.5,
+          delay: 0.05 * index,      // 依次出现
+          translateY: 0,            // 位移动画
+          opacity: 1,               // 透明度动画
+          ease: "circ.out",
+        }),
+        label
+      )
+    })
+
+    this.state.allGuangquan.map((item, index) => {
+      // 双层光圈分别缩放
+      item.children.map((mesh) => {
+        tl.add(
+          gsap.to(mesh.scale, {
+            duration: 0.5,
+            delay: 0.05 * index,
+            x: 1, y: 1, z: 1,
+            ease: "circ.out",
+          }),
+          label
+        )
+      })
+    })
+  }
+
   /**
    * 创建组件联动动画
    * 
@@ -0,0 +1,215 @@
+import { createChoroplethScale, ChoroplethLegend } from "../choropleth.js"
+import { createValueReader } from "../regionValues.js"
+
+/**
+ * 分级设色模块
+ *
+ * 按区域的数值属性给地图顶面着色，替代统一的深蓝色材质：
+ * - 数据来源：直接传入的数据、setData 维护的图层数据、或GeoJSON要素属性（如村镇的 population / gdp）
+ * - 色带与分级方法见 choropleth.js
+ * - 图例浮层随色带更新
+ *
+ * 只修改顶面材质的颜色和贴图，原始值保存在模块内，清除或切换地图时恢复。
+ * 主地图和下钻后的子地图（含村镇级）都会自动重新着色：
+ * - 'navigation:loadComplete'：子地图加载完成
+ * - 'scene:change'：返回主地图
+ * - 'data:update'：着色使用的图层数据变化
+ *
+ * 被着色的材质标记 userData.choropleth，主题切换时跳过；记录的原始颜色同步为新主题的顶面颜色。
+ *
+ * 村镇地图页面（town-map-animate）没有模块管理器，TownWorld 直接创建本模块，
+ * 把村镇地图（TownMap）作为 state.provinceMesh 传入。
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class MapChoropleth {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
+  constructor(state, eventBus) {
+    this.state = state
+    this.eventBus = eventBus
+
+    // 当前着色配置，null表示未开启
+    this.options = null
+    // 区域取值函数，见 regionValues.js
+    this.getValue = null
+    // 当前色带
+    this.scale = null
+    // 图例，首次开启时创建
+    this.legend = null
+    // 被修改过的材质及其原始颜色和贴图
+    this.originals = new Map()
+
+    this.listeners = {
+      "navigation:loadComplete": ({ childMap }) => this.options && this.apply(childMap.map),
+      [eventBus.EVENTS.SCENE_CHANGE]: ({ toScene }) => {
+        this.options && toScene === "mainScene" && this.apply(this.state.provinceMesh)
+      },
+      [eventBus.EVENTS.DATA_UPDATE]: ({ layer }) => {
+        this.options && this.options.layer === layer && this.apply()
+      },
+      "theme:change": ({ theme }) => {
+        this.originals.forEach(({ color }) => color.set(theme.map.top))
+      },
+    }
+    eventBus.registerListeners(this.listeners)
+  }
+
+  /**
+   * 开启或更新分级设色
+   *
+   * @param {Object} options - 配置参数
+   * @param {Array<Object>|Object} options.data - 数据，[{ adcode, value }] 或 { adcode: value }
+   * @param {string} options.layer - 使用 setData 维护的图层数据，如 "bar"
+   * @param {string} options.property - 取值字段，默认 "value"；未传 data/layer 时读取GeoJSON要素属性
+   * @param {string} options.scale - 色带类型：sequential | diverging | categorical
+   * @param {string} options.method - 分级方法：quantile | equal | jenks
+   * @param {number} options.classes - 分级数
+   * @param {Array<string|number>} options.colors - 色带颜色
+   * @param {number} options.midpoint - 发散色带的中点
+   * @param {string} options.noDataColor - 无数据区域的颜色，不传则保持原材质
+   * @param {string} options.title - 图例标题
+   * @param {string} options.unit - 图例数值单位
+   * @param {boolean} options.legend - 是否显示图例，默认true
+   * @returns {Object|null} 当前地图使用的色带
+   *
+   * @example
+   * // 村镇级地图按人口着色
+   * world.setChoropleth({ property: "population", method: "jenks", classes: 4, title: "人口", unit: "人" })
+   * // 主地图使用柱状图数据，围绕中位数发散
+   * world.setChoropleth({ layer: "bar", scale: "diverging", title: "数值" })
+   */
+  setChoropleth(options = {}) {
+    let defaultOptions = {
+      property: "value",
+      scale: "sequential",
+      method: "quantile",
+      classes: 5,
+      title: "",
+      unit: "",
+      legend: true,
+    }
+    this.options = Object.assign({}, defaultOptions, options)
+    this.getValue = createValueReader(this.state, this.options)
+
+    if (this.options.legend && !this.legend) {
+      this.legend = new ChoroplethLegend()
+    }
+
+    // 调试面板按参数生成控件（见 MapInspector），数据不显示
+    let layerOptions = Object.assign({}, this.options)
+    delete layerOptions.data
+    this.eventBus.emit("layer:register", {
+      layer: "choropleth",
+      title: "分级设色",
+      options: layerOptions,
+      update: (options) => this.setChoropleth(Object.assign({}, this.options, options)),
+    })
+    return this.apply()
+  }
+
+  /**
+   * 关闭分级设色，恢复原始材质并隐藏图例
+   */
+  clearChoropleth() {
+    this.options = null
+    this.getValue = null
+    this.scale = null
+    this._restore()
+    this.legend && this.legend.hide()
+    this.eventBus.emit("layer:unregister", { layer: "choropleth" })
+    this.eventBus.emit("choropleth:cleared")
+  }
+
+  /**
+   * 按当前配置给地图着色
+   * @param {ExtrudeMap} map - 要着色的地图，默认当前显示的地图
+   * @returns {Object|null} 色带
+   */
+  apply(map = this._getActiveMap()) {
+    this._restore()
+    if (!this.options || !map) return null
+
+    let { noDataColor } = this.options
+    let regions = map.mapGroup.children
+      .filter((group) => group.userData.adcode !== undefined)
+      .map((group) => ({ group, value: this.getValue(map, group.userData) }))
+    let values = regions.map((n) => n.value).filter((value) => value !== undefined && value !== null)
+    this.scale = createChoroplethScale(values, this.options)
+
+    regions.forEach(({ group, value }) => {
+      let color = value === undefined || value === null ? noDataColor : this.scale.getColor(value)
+      color && this._paint(group, color)
+    })
+
+    if (this.legend) {
+      if (this.options.legend) {
+        this.legend.update(this.scale, this.options)
+        this.legend.show()
+      } else {
+        this.legend.hide()
+      }
+    }
+    this.eventBus.emit("choropleth:applied", { scale: this.scale, count: values.length })
+    return this.scale
+  }
+
+  /**
+   * 当前显示的地图：子场景为子地图，否则为主地图省份
+   * @returns {ExtrudeMap|null}
+   */
+  _getActiveMap() {
+    if (this.state.currentScene === "childScene") {
+      return this.state.childMap ? this.state.childMap.map : null
+    }
+    return this.state.provinceMesh
+  }
+
+  /**
+   * 修改区域顶面颜色，首次修改时记录原始值
+   * 顶面贴图会与颜色相乘，着色时去掉贴图以保证颜色准确
+   * @param {Group} group - 区域组
+   * @param {string} color - CSS颜色
+   */
+  _paint(group, color) {
+    group.children.forEach((mesh) => {
+      if (!mesh.isMesh) return
+      let material = mesh.material[0]
+      if (!this.originals.has(material)) {
+        this.originals.set(material, { color: material.color.clone(), map: material.map })
+      }
+      material.color.set(color)
+      material.map = null
+      material.userData.choropleth = true
+      material.needsUpdate = true
+    })
+  }
+
+  /**
+   * 恢复所有被修改过的材质
+   */
+  _restore() {
+    this.originals.forEach(({ color, map }, material) => {
+      material.color.copy(color)
+      material.map = map
+      delete material.userData.choropleth
+      material.needsUpdate = true
+    })
+    this.originals.clear()
+  }
+
+  /**
+   * 销毁模块
+   */
+  destroy() {
+    this.eventBus.unregisterListeners(this.listeners)
+    this._restore()
+    this.legend && this.legend.destroy()
+    this.legend = null
+    this.options = null
+  }
+}
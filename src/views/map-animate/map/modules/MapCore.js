@@ -164,7 +164,7 @@ export class MapCore {
     // ============ 创建省份轮廓线材质 ============
     // 省份边界线的材质，初始透明度为0，后续通过动画显示
     this.state.provinceLineMaterial = new LineBasicMaterial({
-      color: 0x2bc4dc,    // 青蓝色轮廓线
+      color: this.state.theme.map.line, // 主题轮廓线颜色
       opacity: 0,         // 初始透明（入场动画需要）
       transparent: true,  // 启用透明度
       fog: false,         // 不受雾效果影响
@@ -332,7 +332,7 @@ export class MapCore {
     
     // 创建顶面的标准PBR材质
     let topMaterial = new MeshStandardMaterial({
-      color: 0x061e47,       // 深蓝色基础颜色
+      color: this.state.theme.map.top, // 主题顶面颜色
       emissive: 0x000000,    // 自发光颜色（初始为黑色，无自发光）
       map: topNormal,        // 漫反射贴图
       transparent: true,     // 启用透明度
@@ -370,14 +370,24 @@ export class MapCore {
     })
 
     // ============ 自定义着色器编程 ============
+    // 渐变颜色uniform在所有侧面材质（含子地图）间共享，切换主题时统一修改
+    if (!this.state.mapSideUniforms) {
+      let [sideColor1, sideColor2] = this.state.theme.map.side
+      this.state.mapSideUniforms = {
+        uColor1: { value: new Color(sideColor1) }, // 渐变起始颜色
+        uColor2: { value: new Color(sideColor2) }, // 渐变结束颜色
+      }
+    }
+    let sideUniforms = this.state.mapSideUniforms
+
     // 通过onBeforeCompile钩子注入自定义GLSL代码
     sideMaterial.onBeforeCompile = (shader) => {
       // ============ 添加自定义uniform变量 ============
       shader.uniforms = {
         ...shader.uniforms,  // 保留原有uniform
         // 添加渐变色彩控制uniform
-        uColor1: { value: new Color(0x30b3ff) }, // 渐变起始颜色（浅蓝色）
-        uColor2: { value: new Color(0x30b3ff) }, // 渐变结束颜色（浅蓝色）
+        uColor1: sideUniforms.uColor1,
+        uColor2: sideUniforms.uColor2,
       }
       
       // ============ 修改顶点着色器 ============
@@ -0,0 +1,182 @@
+import { createValueReader, normalizeAdcode } from "../regionValues.js"
+
+/**
+ * 按数值挤出模块（3D棱柱图）
+ *
+ * 把各区域挤出到与数值成正比的高度，用于人口、GDP等对比：
+ * - 数据来源与分级设色一致：直接传入的数据、setData 图层数据或GeoJSON要素属性
+ * - 切换数据时高度通过GSAP过渡，侧面渐变和边界线由 ExtrudeMap 跟随顶面
+ * - 顶面上的对象随高度移动：主地图的柱状图、光圈、标签、散点、标牌，子地图的名称标签和点标记
+ *
+ * 主地图和下钻后的子地图都会自动应用：
+ * - 'navigation:loadComplete'：子地图加载完成后从统一高度升起
+ * - 'scene:change'：返回主地图（在子地图中修改了配置时过渡到新高度）
+ * - 'data:update'：挤出使用的图层数据变化
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class MapExtrusion {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
+  constructor(state, eventBus) {
+    this.state = state
+    this.eventBus = eventBus
+
+    // 当前挤出配置，null表示未开启
+    this.options = null
+    // 区域取值函数，见 regionValues.js
+    this.getValue = null
+
+    this.listeners = {
+      "navigation:loadComplete": ({ childMap }) => this.options && this.apply(childMap.map),
+      [eventBus.EVENTS.SCENE_CHANGE]: ({ toScene }) => {
+        this.options && toScene === "mainScene" && this.apply(this.state.provinceMesh)
+      },
+      [eventBus.EVENTS.DATA_UPDATE]: ({ layer }) => {
+        this.options && this.options.layer === layer && this.apply()
+      },
+    }
+    eventBus.registerListeners(this.listeners)
+  }
+
+  /**
+   * 开启或更新按数值挤出
+   *
+   * @param {Object} options - 配置参数
+   * @param {Array<Object>|Object} options.data - 数据，[{ adcode, value }] 或 { adcode: value }
+   * @param {string} options.layer - 使用 setData 维护的图层数据，如 "bar"
+   * @param {string} options.property - 取值字段，默认 "value"；未传 data/layer 时读取GeoJSON要素属性
+   * @param {number} options.minHeight - 最小高度，默认地图深度的0.2倍
+   * @param {number} options.maxHeight - 最大高度，默认地图深度的3倍
+   * @param {number} options.duration - 高度过渡时长（秒），默认1
+   * @returns {Map|null} adcode → 目标高度
+   *
+   * @example
+   * // 村镇级地图按GDP挤出
+   * world.setExtrusion({ property: "gdp", maxHeight: 12 })
+   * // 主地图按柱状图数据挤出，实时数据更新时高度随之过渡
+   * world.setExtrusion({ layer: "bar" })
+   */
+  setExtrusion(options = {}) {
+    this.options = Object.assign({ property: "value", duration: 1 }, options)
+    this.getValue = createValueReader(this.state, this.options)
+
+    // 调试面板按参数生成控件（见 MapInspector），数据不显示
+    let layerOptions = Object.assign({}, this.options)
+    delete layerOptions.data
+    this.eventBus.emit("layer:register", {
+      layer: "extrusion",
+      title: "按数值挤出",
+      options: layerOptions,
+      update: (options) => this.setExtrusion(Object.assign({}, this.options, options)),
+    })
+    return this.apply()
+  }
+
+  /**
+   * 关闭按数值挤出，当前地图过渡回统一高度
+   * @param {Object} options - { duration }
+   */
+  clearExtrusion({ duration = 1 } = {}) {
+    this.options = null
+    this.getValue = null
+    let map = this._getActiveMap()
+    map && map.resetHeights({ duration, onUpdate: this._createFollower(map) })
+    // 隐藏的主地图直接恢复
+    map !== this.state.provinceMesh && this._resetMainMap()
+    this.eventBus.emit("layer:unregister", { layer: "extrusion" })
+    this.eventBus.emit("extrusion:cleared")
+  }
+
+  /**
+   * 按当前配置设置地图高度
+   * @param {ExtrudeMap} map - 目标地图，默认当前显示的地图
+   * @returns {Map|null} adcode → 目标高度
+   */
+  apply(map = this._getActiveMap()) {
+    if (!this.options || !map) return null
+    let { minHeight, maxHeight, duration } = this.options
+    let heights = map.setHeightByValue((userData) => this.getValue(map, userData), {
+      minHeight,
+      maxHeight,
+      duration,
+      onUpdate: this._createFollower(map),
+    })
+    this.eventBus.emit("extrusion:applied", { heights })
+    return heights
+  }
+
+  /**
+   * 当前显示的地图：子场景为子地图，否则为主地图省份
+   * @returns {ExtrudeMap|null}
+   */
+  _getActiveMap() {
+    if (this.state.currentScene === "childScene") {
+      return this.state.childMap ? this.state.childMap.map : null
+    }
+    return this.state.provinceMesh
+  }
+
+  /**
+   * 主地图隐藏时关闭挤出，直接恢复高度和顶面对象
+   */
+  _resetMainMap() {
+    let map = this.state.provinceMesh
+    map && map.resetHeights({ duration: 0, onUpdate: this._createFollower(map) })
+  }
+
+  /**
+   * 生成高度变化回调，让顶面上的对象随区域升降
+   * @param {ExtrudeMap} map - 地图
+   * @returns {Function} (adcode, height, delta) => void
+   */
+  _createFollower(map) {
+    if (map === this.state.provinceMesh) {
+      let state = this.state
+      return (adcode, height, delta) => {
+        let objects = [
+          ...state.allBar,
+          ...state.allGuangquan,
+          ...state.allProvinceLabel,
+          ...state.allProvinceNameLabel,
+          ...state.allScatter,
+          ...state.allBadgeLabel,
+        ]
+        this._moveObjects(objects, adcode, delta)
+      }
+    }
+    let childMap = this.state.childMap
+    if (!childMap || childMap.map !== map) return null
+    // 子地图的标签组按地图比例缩放，位移需要换算到组内坐标
+    return (adcode, height, delta) => {
+      this._moveObjects([...childMap.allAreaLabel, ...childMap.areaPointGroup.children], adcode, delta / childMap.scale)
+    }
+  }
+
+  /**
+   * 移动指定区域的对象，同时更新悬停动画使用的基准位置
+   * @param {Array<Object3D>} objects - 候选对象
+   * @param {number|string} adcode - 行政区划代码
+   * @param {number} delta - Z轴位移
+   */
+  _moveObjects(objects, adcode, delta) {
+    adcode = normalizeAdcode(adcode)
+    objects.forEach((object) => {
+      if (normalizeAdcode(object.userData.adcode) !== adcode) return
+      object.position.z += delta
+      if (object.userData.position) object.userData.position[2] += delta
+    })
+  }
+
+  /**
+   * 销毁模块
+   */
+  destroy() {
+    this.eventBus.unregisterListeners(this.listeners)
+    this.options = null
+  }
+}
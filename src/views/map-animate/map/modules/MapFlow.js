@@ -0,0 +1,241 @@
+import { FlowLine } from '@/mini3d'
+import { flowTemplate } from '../tooltip.js'
+
+/**
+ * OD流向模块
+ *
+ * 在主地图上创建多对多的起讫点流向线（见 mini3d FlowLine），用于物流、迁徙等数据：
+ * - 每条记录独立的起点、终点、权重和脉冲速度
+ * - 线宽、颜色、弧高随权重和距离缩放
+ * - 鼠标悬停高亮对应的线，点击派发事件；提示框由提示框模块显示（tooltip:register 注册 flow 图层）
+ * - setFlowData 增量更新，未变化的线保持脉冲相位
+ *
+ * 流向线跟随主场景显示，下钻到子地图后不响应悬停。
+ *
+ * 派发的事件：
+ * - 'flow:created'：{ flowLine } 流向线已创建
+ * - 'flow:hover'：{ flow, action } 悬停进入（enter）或离开（leave）
+ * - 'flow:click'：{ flow } 点击流向线
+ * - 'layer:register'、'layer:unregister'：调试面板的图层参数（见 MapInspector）
+ * - DATA_UPDATE：{ layer: "flow", added, updated, removed, records }
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class MapFlow {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
+  constructor(state, eventBus) {
+    this.state = state
+    this.eventBus = eventBus
+
+    // 当前配置，null表示未创建
+    this.options = null
+    // 当前悬停的流向id
+    this.hoverId = null
+    // 已加入交互管理器的拾取网格
+    this.pickObjects = []
+    // 已绑定过事件的拾取网格
+    this.boundPicks = new WeakSet()
+
+    let onMapChange = () => this._leave()
+    this.listeners = {
+      "navigation:loadComplete": onMapChange,
+      [eventBus.EVENTS.SCENE_CHANGE]: onMapChange,
+    }
+    eventBus.registerListeners(this.listeners)
+  }
+
+  /**
+   * 创建或替换流向线
+   *
+   * @param {Object} options - 配置参数，另支持 FlowLine 的 radius、colors、heightRatio、speed、pulseLength 等
+   * @param {Array<Object>} options.data - 流向数据 [{ id, from: [经度, 纬度], to: [经度, 纬度], value, speed, color, name, fromName, toName }]
+   * @param {boolean} options.tooltip - 是否显示悬停提示，默认true
+   * @param {string} options.unit - 提示中的权重单位
+   * @param {Function} options.formatter - 自定义提示内容 (flow, unit) => HTML
+   * @returns {FlowLine}
+   *
+   * @example
+   * world.createFlowLine({
+   *   data: [{ from: [116.4, 39.9], to: [113.26, 23.13], value: 860, fromName: "北京", toName: "广州" }],
+   *   unit: "吨",
+   *   colors: ["#2bc4dc", "#ff8a65"],
+   * })
+   */
+  createFlowLine(options = {}) {
+    this.removeFlowLine()
+    this.options = Object.assign({ data: [], tooltip: true, unit: "" }, options)
+
+    let layerOptions = Object.assign({}, this.options)
+    delete layerOptions.tooltip
+    delete layerOptions.unit
+    delete layerOptions.formatter
+
+    let flowLine = new FlowLine(this.state, layerOptions)
+    flowLine.setParent(this.state.mainSceneGroup)
+    flowLine.instance.position.z = this.state.depth + 0.4
+    this.state.flowLine = flowLine
+
+    if (this.options.tooltip) {
+      let { unit, formatter = flowTemplate } = this.options
+      this.eventBus.emit("tooltip:register", { layer: "flow", template: (flow) => formatter(flow, unit) })
+    }
+    this._syncPickObjects()
+
+    // 调试面板按参数生成控件（见 MapInspector），修改后重新创建流向线
+    let inspectorOptions = Object.assign({}, this.options)
+    delete inspectorOptions.data
+    delete inspectorOptions.formatter
+    this.eventBus.emit("layer:register", {
+      layer: "flow",
+      title: "流向线",
+      options: inspectorOptions,
+      update: (options) => this.createFlowLine(Object.assign({}, this.options, options)),
+    })
+
+    this.eventBus.emit("flow:created", { flowLine })
+    console.log(`[MapFlow] 流向线已创建，共 ${flowLine.lines.size} 条`)
+    return flowLine
+  }
+
+  /**
+   * 更新流向数据
+   * @param {Array<Object>} records - 流向记录
+   * @param {Object} options - 配置参数
+   * @param {boolean} options.merge - 是否按id合并到现有数据（默认整体替换）
+   *
+   * @example
+   * world.setFlowData([{ id: "bj-sh", from: [116.4, 39.9], to: [121.47, 31.23], value: 420 }], { merge: true })
+   */
+  setFlowData(records = [], options = {}) {
+    let flowLine = this.state.flowLine
+    if (!flowLine) {
+      console.warn('[MapFlow] 流向线未创建，请先调用 createFlowLine')
+      return
+    }
+
+    let previous = new Map(flowLine.options.data.map((record) => [FlowLine.getFlowId(record), record]))
+    let next = options.merge ? new Map(previous) : new Map()
+    // 没有id的记录需要起讫点才能生成id
+    let valid = records.filter((record) => record.id !== undefined || (Array.isArray(record.from) && Array.isArray(record.to)))
+    valid.forEach((record) => {
+      let id = FlowLine.getFlowId(record)
+      next.set(id, Object.assign({}, options.merge ? previous.get(id) : null, record))
+    })
+
+    let data = [...next.values()]
+    flowLine.setData(data)
+    this._syncPickObjects()
+
+    // 悬停中的流向被移除时收起提示
+    this.hoverId !== null && !flowLine.getFlow(this.hoverId) && this._leave()
+
+    let ids = [...next.keys()]
+    this.eventBus.emit(this.eventBus.EVENTS.DATA_UPDATE, {
+      layer: "flow",
+      added: ids.filter((id) => !previous.has(id)),
+      updated: ids.filter((id) => previous.has(id)),
+      removed: [...previous.keys()].filter((id) => !next.has(id)),
+      records: data,
+    })
+  }
+
+  /**
+   * 移除流向线
+   */
+  removeFlowLine() {
+    this._leave()
+    this._unregisterPickObjects()
+    this.options && this.options.tooltip && this.eventBus.emit("tooltip:unregister", { layer: "flow" })
+    this.options && this.eventBus.emit("layer:unregister", { layer: "flow" })
+    this.state.flowLine && this.state.flowLine.destroy()
+    this.state.flowLine = null
+    this.options = null
+  }
+
+  /**
+   * 把当前的拾取网格同步到交互管理器，新网格绑定悬停和点击事件
+   * @private
+   */
+  _syncPickObjects() {
+    let { interactionManager, flowLine } = this.state
+    if (!interactionManager || !flowLine) return
+
+    this._unregisterPickObjects()
+    this.pickObjects = flowLine.pickObjects.slice()
+    this.pickObjects.forEach((pick) => {
+      interactionManager.add(pick)
+      if (this.boundPicks.has(pick)) return
+      this.boundPicks.add(pick)
+      pick.addEventListener("mouseover", () => this._enter(pick.userData.flowId))
+      pick.addEventListener("mouseout", () => this.hoverId === pick.userData.flowId && this._leave())
+      pick.addEventListener("mousedown", () => {
+        this._isActive() && this.eventBus.emit("flow:click", { flow: pick.userData.flow })
+      })
+    })
+  }
+
+  /**
+   * 从交互管理器中移除拾取网格
+   * @private
+   */
+  _unregisterPickObjects() {
+    let { interactionManager } = this.state
+    interactionManager && this.pickObjects.forEach((pick) => interactionManager.remove(pick))
+    this.pickObjects = []
+  }
+
+  /**
+   * 流向线当前是否可交互：主场景显示中且流向线可见
+   * @returns {boolean}
+   * @private
+   */
+  _isActive() {
+    let { flowLine, mainSceneGroup } = this.state
+    return !!(flowLine && flowLine.instance.visible && mainSceneGroup && mainSceneGroup.visible)
+  }
+
+  /**
+   * 悬停进入：加亮整条线
+   * @param {string} id - 流向id
+   * @private
+   */
+  _enter(id) {
+    if (!this._isActive()) return
+    this.hoverId !== null && this._leave()
+    let line = this.state.flowLine.lines.get(id)
+    if (!line) return
+
+    this.hoverId = id
+    line.uniforms.uBaseOpacity.value = Math.min(1, this.state.flowLine.options.baseOpacity * 3)
+    document.body.style.cursor = "pointer"
+    this.eventBus.emit("flow:hover", { flow: line.record, action: "enter" })
+  }
+
+  /**
+   * 悬停离开：恢复线的亮度
+   * @private
+   */
+  _leave() {
+    if (this.hoverId === null) return
+    let flowLine = this.state.flowLine
+    let line = flowLine && flowLine.lines.get(this.hoverId)
+    line && (line.uniforms.uBaseOpacity.value = flowLine.options.baseOpacity)
+    this.hoverId = null
+    document.body.style.cursor = "default"
+    line && this.eventBus.emit("flow:hover", { flow: line.record, action: "leave" })
+  }
+
+  /**
+   * 销毁模块
+   */
+  destroy() {
+    this.eventBus.unregisterListeners(this.listeners)
+    this.removeFlowLine()
+    console.log('[MapFlow] 模块已销毁')
+  }
+}
@@ -0,0 +1,203 @@
+import { HeatmapLayer } from "../heatmapLayer.js"
+
+/**
+ * 热力图模块
+ *
+ * 在当前显示的地图上创建GPU热力图（见 heatmapLayer.js），并随层级切换重建：
+ * - 主地图裁剪到全国轮廓，下钻后裁剪到当前省/市的轮廓
+ * - 核半径按地图坐标给出，子地图按其缩放比例换算，视觉大小保持一致
+ * - 默认使用散点图层（setData('scatter', ...)）的数据，散点数据更新时热力图随之过渡
+ * - 时间切片的当前序号和播放状态在层级切换后保留
+ *
+ * 派发的事件：
+ * - 'heatmap:slice'：{ index, label } 切片切换完成
+ * - 'layer:register'、'layer:unregister'：调试面板的图层参数（见 MapInspector）
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class MapHeatmap {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
+  constructor(state, eventBus) {
+    this.state = state
+    this.eventBus = eventBus
+
+    // 当前热力图配置，null表示未开启
+    this.options = null
+    this.layer = null
+    this.sliceIndex = 0
+    // 自动播放参数，暂停时为null
+    this.playOptions = null
+
+    this.listeners = {
+      "navigation:loadComplete": ({ childMap }) => this.options && this._rebuild(childMap.map),
+      [eventBus.EVENTS.SCENE_CHANGE]: ({ toScene }) => {
+        this.options && toScene === "mainScene" && this._rebuild(this.state.provinceMesh)
+      },
+      [eventBus.EVENTS.DATA_UPDATE]: ({ layer }) => {
+        if (!this.layer || this.options.points || this.options.slices || this.options.layer !== layer) return
+        this.layer.setPoints(this._getLayerPoints())
+      },
+    }
+    eventBus.registerListeners(this.listeners)
+  }
+
+  /**
+   * 创建或替换热力图
+   *
+   * @param {Object} options - 配置参数，另支持 HeatmapLayer 的 radius、intensity、gradient、opacity 等
+   * @param {Array<Object>} options.points - 点数据 [{ lng, lat, value }]
+   * @param {Array<{label, points}>} options.slices - 时间切片，可用 groupByTime 生成
+   * @param {string} options.layer - 未传points/slices时使用的图层数据，默认 "scatter"
+   * @returns {HeatmapLayer|null}
+   *
+   * @example
+   * world.createHeatmap({ radius: 5, intensity: 1.2 })
+   * world.createHeatmap({ slices: groupByTime(records, "hour") })
+   * world.playHeatmap({ interval: 1500 })
+   */
+  createHeatmap(options = {}) {
+    this.removeHeatmap()
+    this.options = Object.assign({ layer: "scatter", radius: 4 }, options)
+    this.sliceIndex = 0
+    let layer = this._rebuild(this._getActiveMap())
+
+    // 调试面板按显示参数生成控件（见 MapInspector），未传的参数使用热力图层的默认值
+    let current = Object.assign({}, layer && layer.options, this.options)
+    let layerOptions = {}
+    let keys = ["radius", "intensity", "maxDensity", "opacity", "gradient"]
+    keys.forEach((key) => current[key] !== undefined && (layerOptions[key] = current[key]))
+    this.eventBus.emit("layer:register", {
+      layer: "heatmap",
+      title: "热力图",
+      options: layerOptions,
+      update: (options) => this.setHeatmapOptions(options),
+    })
+    return layer
+  }
+
+  /**
+   * 切换到指定时间切片
+   * @param {number} index - 切片序号
+   * @param {Object} options - { duration }
+   */
+  setHeatmapSlice(index, options) {
+    this.layer && this.layer.setSlice(index, options)
+  }
+
+  /**
+   * 自动播放时间切片
+   * @param {Object} options - { interval, loop }
+   */
+  playHeatmap(options = {}) {
+    this.playOptions = options
+    this.layer && this.layer.play(options)
+  }
+
+  /**
+   * 暂停自动播放
+   */
+  pauseHeatmap() {
+    this.playOptions = null
+    this.layer && this.layer.pause()
+  }
+
+  /**
+   * 更新热力图显示参数（半径、强度、色带、不透明度）
+   * @param {Object} options - 显示参数
+   */
+  setHeatmapOptions(options = {}) {
+    if (!this.options) return
+    Object.assign(this.options, options)
+    this.layer && this.layer.setOptions(this._getLayerOptions(this.layer.options.map, options))
+  }
+
+  /**
+   * 移除热力图
+   */
+  removeHeatmap() {
+    this._destroyLayer()
+    this.options && this.eventBus.emit("layer:unregister", { layer: "heatmap" })
+    this.options = null
+    this.playOptions = null
+  }
+
+  /**
+   * 在指定地图上重建热力图
+   * @param {ExtrudeMap} map - 地图
+   * @returns {HeatmapLayer|null}
+   */
+  _rebuild(map) {
+    this._destroyLayer()
+    if (!map) return null
+    let { points, slices } = this.options
+    this.layer = new HeatmapLayer(
+      { renderer: this.state.renderer },
+      Object.assign(this._getLayerOptions(map, this.options), {
+        map,
+        points: points || this._getLayerPoints(),
+        slices,
+      })
+    )
+    this.layer.on("slice", (data) => {
+      this.sliceIndex = data.index
+      this.eventBus.emit("heatmap:slice", data)
+    })
+    this.sliceIndex && this.layer.setSlice(this.sliceIndex, { duration: 0 })
+    this.playOptions && this.layer.play(this.playOptions)
+    return this.layer
+  }
+
+  /**
+   * 换算为图层参数：核半径按地图组的缩放比例换算
+   * @param {ExtrudeMap} map - 地图
+   * @param {Object} options - 配置参数
+   * @returns {Object}
+   */
+  _getLayerOptions(map, options) {
+    let layerOptions = Object.assign({}, options)
+    delete layerOptions.layer
+    if (options.radius !== undefined) {
+      layerOptions.radius = options.radius / map.mapGroup.scale.x
+    }
+    return layerOptions
+  }
+
+  /**
+   * 图层数据中的点（散点图层的记录带有经纬度）
+   * @returns {Array<Object>}
+   */
+  _getLayerPoints() {
+    let records = this.state.layerData[this.options.layer]
+    return records ? [...records.values()].filter((record) => record.lng !== undefined) : []
+  }
+
+  /**
+   * 当前显示的地图：子场景为子地图，否则为主地图省份
+   * @returns {ExtrudeMap|null}
+   */
+  _getActiveMap() {
+    if (this.state.currentScene === "childScene") {
+      return this.state.childMap ? this.state.childMap.map : null
+    }
+    return this.state.provinceMesh
+  }
+
+  _destroyLayer() {
+    if (!this.layer) return
+    this.layer.destroy()
+    this.layer = null
+  }
+
+  /**
+   * 销毁模块
+   */
+  destroy() {
+    this.eventBus.unregisterListeners(this.listeners)
+    this.removeHeatmap()
+  }
+}
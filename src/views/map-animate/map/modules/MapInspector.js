@@ -0,0 +1,100 @@
+import gsap from 'gsap'
+
+/**
+ * 调试检查器模块
+ *
+ * 调试模式下（Debug 插件激活：地址带 #debug 或 ?debug，或 config.debug）在调试面板中添加：
+ * - 场景树：整个场景和主地图、主场景、子场景、标签组的快捷入口，显示开关和材质编辑
+ * - 共享状态：SharedState 上的数值、开关和文本，实时显示并可修改
+ * - GSAP 时间线和 Time 帧监听器列表
+ * - 图层：模块注册的图层参数自动生成控件，修改后由模块重新应用
+ *
+ * 图层通过事件总线注册（分级设色、按数值挤出、热力图、流向线已接入）：
+ * - 'layer:register'：{ layer, title, options, update } update(options) 应用修改后的参数
+ * - 'layer:unregister'：{ layer }
+ *
+ * 未开启调试模式时不做任何事。
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class MapInspector {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
+  constructor(state, eventBus) {
+    this.state = state
+    this.eventBus = eventBus
+    this.debug = state.debug && state.debug.active ? state.debug : null
+    // 图层名 -> 参数文件夹
+    this.layerFolders = new Map()
+    // 正在由检查器应用参数的图层，忽略应用过程中模块重新派发的注册事件
+    this.applying = null
+    this.folders = []
+    this.listeners = {}
+    if (!this.debug) return
+
+    let { scene, time } = state
+    this.layersFolder = this.debug.instance.addFolder('图层')
+    this.folders.push(
+      this.debug.addSceneGraph({
+        场景: scene,
+        主地图: () => scene.getObjectByName('chinaMapGroup'),
+        主场景: () => state.mainSceneGroup,
+        子场景: () => state.childSceneGroup,
+        标签: () => state.labelGroup,
+        省份名称: () => state.provinceNameGroup,
+        标牌: () => state.badgeGroup,
+      }),
+      this.debug.addValues('共享状态', state),
+      this.debug.addTimelines(gsap.globalTimeline),
+      this.debug.addTickListeners(time),
+      this.layersFolder
+    )
+
+    this.listeners = {
+      'layer:register': (layer) => layer.layer !== this.applying && this._register(layer),
+      'layer:unregister': ({ layer }) => layer !== this.applying && this._unregister(layer),
+    }
+    eventBus.registerListeners(this.listeners)
+  }
+
+  /**
+   * 为图层参数生成控件，已有的替换
+   * @private
+   */
+  _register({ layer, title, options, update }) {
+    this._unregister(layer)
+    let folder = this.debug.addOptions(title || layer, options, (values) => {
+      this.applying = layer
+      try {
+        update(values)
+      } finally {
+        this.applying = null
+      }
+    }, this.layersFolder)
+    this.layerFolders.set(layer, folder)
+  }
+
+  /**
+   * @private
+   */
+  _unregister(layer) {
+    let folder = this.layerFolders.get(layer)
+    folder && folder.destroy()
+    this.layerFolders.delete(layer)
+  }
+
+  /**
+   * 销毁模块
+   */
+  destroy() {
+    this.eventBus.unregisterListeners(this.listeners)
+    this.folders.forEach((folder) => this.debug.remove(folder))
+    this.folders = []
+    this.layerFolders.clear()
+    console.log('[MapInspector] 调试检查器模块已销毁')
+  }
+}
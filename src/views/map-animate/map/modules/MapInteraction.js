@@ -30,6 +30,8 @@ export class MapInteraction {
     
     // 存储当前悬停的对象数组，支持多对象同时悬停
     this.objectsHover = []
+    // highlightProvince 高亮的省份网格组
+    this.highlighted = null
   }
 
   /**
@@ -75,10 +77,13 @@ export class MapInteraction {
           target: event.target
         })
         
-        // 将当前省份信息推入历史记录，支持返回功能
-        this.state.history.push(userData)
+        // 没有下级区域（如港澳台）时不下钻
+        if (!userData.childrenNum) {
+          this.state.clicked = false
+          return false
+        }
 
-        // 触发加载子地图的事件
+        // 触发下钻事件，由导航模块记录历史并加载子地图
         this.eventBus.emit('map:loadChildMap', userData)
       })
       
@@ -155,7 +160,8 @@ export class MapInteraction {
       onComplete: () => {
         // 动画完成后重置材质属性
         mesh.traverse((obj) => {
-          if (obj.isMesh) {
+          // 只处理区域网格（顶面/侧面材质数组），跳过热力图等贴在顶面上的叠加层
+          if (obj.isMesh && Array.isArray(obj.material)) {
             // 恢复材质的发光颜色到原始状态
             obj.material[0].emissive.setHex(mesh.userData.materialEmissiveHex)
             obj.material[0].emissiveIntensity = 1  // 恢复发光强度
@@ -201,9 +207,9 @@ export class MapInteraction {
 
     // ============ 材质高亮效果 ============
     mesh.traverse((obj) => {
-      if (obj.isMesh) {
+      if (obj.isMesh && Array.isArray(obj.material)) {
         // 设置高亮的发光颜色（深蓝色）
-        obj.material[0].emissive.setHex(0x0b112d)
+        obj.material[0].emissive.set(this.state.theme.map.hover)
         obj.material[0].emissiveIntensity = 1.5  // 增强发光强度
         obj.renderOrder = 21                     // 提升渲染顺序，确保在最前面显示
       }
@@ -216,6 +222,30 @@ export class MapInteraction {
     })
   }
 
+  /**
+   * 以代码高亮省份（效果同悬停），用于巡游等非鼠标触发的场景
+   * 同一时间只高亮一个省份，传入null取消高亮
+   *
+   * @param {string|number|null} adcode - 省份的行政区划代码
+   */
+  highlightProvince(adcode) {
+    if (this.highlighted) {
+      this.resetProvinceState(this.highlighted)
+      this.highlighted = null
+    }
+    if (adcode === null || adcode === undefined) return
+
+    const mesh = this.state.eventElement
+      .map((element) => element.parent)
+      .find((group) => group && group.userData.adcode == adcode)
+    if (!mesh) {
+      console.warn(`[MapInteraction] 未找到省份: ${adcode}`)
+      return
+    }
+    this.highlighted = mesh
+    this.activateHoverEffect(mesh)
+  }
+
   /**
    * 设置柱状图联动移动效果
    * 
@@ -400,6 +430,7 @@ export class MapInteraction {
   destroy() {
     // 清理悬停对象数组
     this.objectsHover = []
+    this.highlighted = null
     
     // 恢复默认鼠标样式
     document.body.style.cursor = "default"
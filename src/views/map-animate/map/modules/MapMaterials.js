@@ -1,13 +1,291 @@
+import {
+  Mesh,
+  Vector3,
+  PlaneGeometry,
+  MeshBasicMaterial,
+  RepeatWrapping,
+  AdditiveBlending,
+  SRGBColorSpace,
+} from "three"
+import { Plane } from "@/mini3d"
+import { DiffuseShader } from "../DiffuseShader.js"
+import { Reflector } from "../Reflector.js"
+
 /**
- * 地图材质系统模块
+ * 地图材质与环境特效模块
+ *
+ * 负责地图周围的环境装饰和特效材质，包括：
+ * - 底图高光和背景光圈
+ * - 旋转边框装饰
+ * - 网格扩散波纹
+ * - 地面镜面反射
+ * - 相机水印
+ *
+ * 所有特效对象都保存在共享状态中，
+ * 由动画模块在入场动画中统一控制显示时机。
+ *
+ * @author LJK
+ * @version 1.1.0
  */
 export class MapMaterials {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
   constructor(state, eventBus) {
     this.state = state
     this.eventBus = eventBus
   }
 
+  /**
+   * 创建底图背景和背景光圈
+   *
+   * - 底图：200x200的高光贴图平面，加法混合
+   * - 背景光圈：250x250的光圈平面，入场动画时旋转
+   *
+   * @param {Object} options - 配置参数
+   * @param {number} options.opacity - 底图透明度，默认1
+   * @param {number} options.quanOpacity - 背景光圈透明度，默认1
+   */
+  createFloor(options = {}) {
+    let { opacity, quanOpacity } = Object.assign({ opacity: 1, quanOpacity: 1 }, options)
+    let geometry = new PlaneGeometry(200, 200)
+    const texture = this.state.assets.instance.getResource("gaoguang1")
+    texture.colorSpace = SRGBColorSpace
+    texture.wrapS = RepeatWrapping
+    texture.wrapT = RepeatWrapping
+    texture.repeat.set(1, 1)
+    let material = new MeshBasicMaterial({
+      map: texture,
+      opacity,
+      transparent: true,
+      blending: AdditiveBlending,
+    })
+    let mesh = new Mesh(geometry, material)
+    mesh.rotateX(-Math.PI / 2)
+    mesh.position.set(0, 0.05, 0)
+    this.state.scene.add(mesh)
+
+    // ============ 背景光圈 ============
+    const quanTexture = this.state.assets.instance.getResource("quan")
+    let quan = new Mesh(
+      new PlaneGeometry(250, 250),
+      new MeshBasicMaterial({
+        map: quanTexture,
+        opacity: quanOpacity,
+        transparent: true,
+        blending: AdditiveBlending,
+        depthTest: false,
+      })
+    )
+    quan.rotateX(-Math.PI / 2)
+    quan.position.set(0, this.state.depth + 2.05, 0)
+    this.state.quan = quan
+    this.state.scene.add(quan)
+
+    this.eventBus.emit('materials:floorCreated', { quan })
+  }
+
+  /**
+   * 创建网格扩散波纹
+   *
+   * 两层网格平面叠加，使用DiffuseShader从地图中心向外扩散，
+   * 在入场动画地图侧面显示完成后创建。
+   *
+   * @param {Object} options - 配置参数
+   * @param {string|number} options.color - 网格颜色，默认 0x00ffff
+   * @param {string|number} options.diffuseColor - 扩散颜色，默认 0x079fe6
+   * @param {number} options.diffuseSpeed - 扩散速度，默认30
+   * @param {number} options.opacity - 网格透明度，默认0.5（第二层为0.1）
+   */
+  createGridRipple(options = {}) {
+    let defaultOptions = { color: 0x00ffff, diffuseColor: 0x079fe6, diffuseSpeed: 30, opacity: 0.5 }
+    let { color, diffuseColor, diffuseSpeed, opacity } = Object.assign(defaultOptions, options)
+    let geometry = new PlaneGeometry(300, 300)
+    const texture = this.state.assets.instance.getResource("grid")
+    const alphaMap = this.state.assets.instance.getResource("gridBlack")
+    texture.wrapS = texture.wrapT = alphaMap.wrapS = alphaMap.wrapT = RepeatWrapping
+    texture.repeat.set(40, 40)
+    alphaMap.repeat.set(40, 40)
+    let material = new MeshBasicMaterial({
+      map: texture,
+      color,
+      transparent: true,
+      opacity,
+      alphaMap: alphaMap,
+      blending: AdditiveBlending,
+    })
+
+    let mesh = new Mesh(geometry, material)
+    mesh.rotateX(-Math.PI / 2)
+    let [x, y] = this.state.geoProjection(this.state.pointCenter)
+    mesh.position.set(x, -y, 0.01)
+    const mesh2 = mesh.clone()
+    mesh2.material = material.clone()
+    mesh2.material.opacity = opacity / 5
+    this.state.scene.add(mesh, mesh2)
+    this.state.gridRippleShader = new DiffuseShader({
+      material,
+      time: this.state.time,
+      size: 300,
+      diffuseColor,
+      diffuseSpeed,
+      diffuseWidth: 20,
+      diffuseDir: 2.0,
+    })
+    this.state.gridRipple = [mesh, mesh2]
+
+    this.eventBus.emit('materials:gridRippleCreated', { meshes: this.state.gridRipple })
+  }
+
+  /**
+   * 创建地面镜面反射
+   *
+   * 使用Reflector实时反射场景，默认隐藏，
+   * 由页面的"倒影"开关控制显示。
+   *
+   * @param {Object} options - 配置参数
+   * @param {boolean} options.visible - 是否直接显示，默认false
+   * @param {string|number} options.color - 反射颜色，默认 0xb5b5b5
+   * @param {number} options.opacity - 透明度，默认0.2
+   */
+  createMirror(options = {}) {
+    let { visible, color, opacity } = Object.assign({ visible: false, color: 0xb5b5b5, opacity: 0.2 }, options)
+    const geometry = new PlaneGeometry(200, 200)
+    const groundMirror = new Reflector(geometry, {
+      clipBias: 0.003,
+      textureWidth: this.state.sizes.width,
+      textureHeight: this.state.sizes.height,
+      color,
+      multisample: 1,
+    })
+    groundMirror.material.transparent = true
+    groundMirror.material.opacity = opacity
+    groundMirror.position.y = -0.01
+    groundMirror.rotateX(-Math.PI / 2)
+    groundMirror.visible = visible
+    this.state.mirror = groundMirror
+    this.state.scene.add(groundMirror)
+
+    this.eventBus.emit('materials:mirrorCreated', { mirror: groundMirror })
+  }
+
+  /**
+   * 创建旋转边框装饰
+   *
+   * 两个反向旋转的边框平面，初始缩放为0，
+   * 入场动画中依次放大显示。
+   *
+   * @param {Object} options - 配置参数
+   * @param {string|number} options.color - 边框颜色，默认 0x48afff
+   * @param {number} options.speed - 旋转速度倍数，默认1，负数反向
+   */
+  createRotateBorder(options = {}) {
+    let { color, speed } = Object.assign({ color: 0x48afff, speed: 1 }, options)
+    let max = 100
+    let rotationBorder1 = this.state.assets.instance.getResource("rotationBorder1")
+    let rotationBorder2 = this.state.assets.instance.getResource("rotationBorder2")
+    let plane01 = new Plane(this.state, {
+      width: max * 1.178,
+      needRotate: true,
+      rotateSpeed: 0.001 * speed,
+      material: new MeshBasicMaterial({
+        map: rotationBorder1,
+        color,
+        transparent: true,
+        opacity: 0.2,
+        depthWrite: false,
+        blending: AdditiveBlending,
+      }),
+      position: new Vector3(0, 0.07, 0),
+    })
+    plane01.instance.renderOrder = 6
+    plane01.instance.scale.set(0, 0, 0)
+    plane01.setParent(this.state.scene)
+
+    let plane02 = new Plane(this.state, {
+      width: max * 1.116,
+      needRotate: true,
+      rotateSpeed: -0.004 * speed,
+      material: new MeshBasicMaterial({
+        map: rotationBorder2,
+        color,
+        transparent: true,
+        opacity: 0.4,
+        depthWrite: false,
+        blending: AdditiveBlending,
+      }),
+      position: new Vector3(0, 0.06, 0),
+    })
+    plane02.instance.renderOrder = 6
+    plane02.instance.scale.set(0, 0, 0)
+    plane02.setParent(this.state.scene)
+
+    this.state.rotateBorder1 = plane01.instance
+    this.state.rotateBorder2 = plane02.instance
+
+    this.eventBus.emit('materials:rotateBorderCreated', {
+      borders: [plane01.instance, plane02.instance],
+    })
+  }
+
+  /**
+   * 创建相机水印
+   *
+   * 水印平面挂在相机下，始终覆盖在画面最前方。
+   *
+   * @param {Texture} texture - 水印贴图，默认读取资源 "watermark"
+   * @returns {Mesh|null} 水印网格，没有贴图时返回null
+   */
+  createWatermark(texture) {
+    let watermark = texture || this.state.assets.instance.getResource("watermark")
+    if (!watermark) {
+      console.warn('[MapMaterials] 未找到水印贴图，跳过创建水印')
+      return null
+    }
+    watermark.wrapS = RepeatWrapping
+    watermark.wrapT = RepeatWrapping
+    watermark.repeat.set(50, 50)
+    watermark.rotation = Math.PI / 5
+    let geometry = new PlaneGeometry(100, 100, 1)
+    let material = new MeshBasicMaterial({
+      map: watermark,
+      transparent: true,
+      opacity: 0.15,
+    })
+    let mesh = new Mesh(geometry, material)
+    mesh.position.x -= 10
+    mesh.position.y -= 10
+    mesh.position.z -= 10
+    mesh.renderOrder = 999
+    this.state.camera.instance.add(mesh)
+    this.state.watermark = mesh
+    return mesh
+  }
+
+  /**
+   * 销毁材质与环境特效
+   */
   destroy() {
+    // 镜面反射持有独立的渲染目标，需要手动释放
+    this.state.mirror && this.state.mirror.dispose()
+    this.state.mirror = null
+
+    // 水印挂在相机下，不会随场景一起清理
+    if (this.state.watermark) {
+      this.state.watermark.removeFromParent()
+      this.state.watermark.geometry.dispose()
+      this.state.watermark.material.dispose()
+      this.state.watermark = null
+    }
+
+    this.state.quan = null
+    this.state.gridRipple = null
+    this.state.gridRippleShader = null
+    this.state.rotateBorder1 = null
+    this.state.rotateBorder2 = null
+
     console.log('[MapMaterials] 系统已销毁')
   }
-} 
\ No newline at end of file
+}
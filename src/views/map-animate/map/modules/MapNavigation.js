@@ -1,4 +1,7 @@
-import { ChildMap } from "../../map-china-child.js"
+import gsap from "gsap"
+import { ChildMap, ChildTownMap } from "../../map-china-child.js"
+import { createBoundaryProvider, loadBoundary, regionFromFeature } from "../boundaryProvider.js"
+import { isAbortError } from "../loaderQueue.js"
 
 /**
  * 地图导航系统模块
@@ -8,9 +11,16 @@ import { ChildMap } from "../../map-china-child.js"
  * - 地图数据获取和管理
  * - 场景可见性控制
  * - 历史记录和返回功能
+ * - 按区划代码直接跳转（地址栏深链接、浏览器前进后退）
+ * - 面包屑导航数据，点击任一上级直接跳回
+ * - 下钻数据经由资源加载队列请求（最高优先级），切换层级时取消未完成的请求
+ * - 用户为村镇级选择的数据（ChildTownMap.askForTownData）随历史记录保存，返回该级时不再重新请求
+ * 
+ * 层级变化（子地图加载完成或回到全国，相机过渡结束时）发射 nav:change 事件 { adcode, level, name }，
+ * 根级的 adcode 为null、level 为 china。
  * 
  * 导航特性：
- * - 支持国家→省→市的多层级钻取
+ * - 支持国家→省→市→区县→村镇的多层级钻取
  * - 基于历史记录栈的导航机制
  * - 智能的场景切换和资源管理
  * - 完整的加载状态和错误处理
@@ -28,23 +38,68 @@ export class MapNavigation {
     this.state = state
     this.eventBus = eventBus
     
-    // 监听加载子地图事件
+    // 边界数据提供者：优先使用共享状态中注入的实例，否则使用默认的本地+远程链
+    this.boundaryProvider = state.boundaryProvider || createBoundaryProvider()
+    this.state.boundaryProvider = this.boundaryProvider
+    
+    // navigateTo 指定的相机视角，在下一次层级过渡时代替默认的推进动画
+    this.pendingView = null
+    
+    // 用户选择过的村镇数据：区县adcode -> GeoJSON，navigateTo 重建历史记录时使用
+    this.townData = new Map()
+    
+    // 监听下钻事件（由交互模块在点击省份时发射）
     this.eventBus.on('map:loadChildMap', (userData) => {
-      this.loadChildMap(userData)
+      this.drillDown(userData)
     })
   }
 
   /**
-   * 加载子地图（省市级地图）
+   * 下钻一级
    * 
-   * 当用户点击省份时，加载该省份的详细地图（市县级），
-   * 实现多层级地图导航功能。这是地图钻取功能的核心方法。
+   * 将被点击区域压入历史记录（以区划代码为标签）并加载其下一级地图。
+   * 数据加载失败时撤销这条历史记录，停留在当前层级。
+   * 直接传入的数据保存在历史记录的 mapData 中，前进后退或跳转回这一级时复用。
    * 
-   * @param {Object} userData - 省份的用户数据对象
+   * @param {Object} userData - 被点击区域的用户数据对象
+   * @param {Object|string} mapData - 可选，直接使用的GeoJSON数据（如用户选择的村镇数据）
+   */
+  drillDown(userData, mapData) {
+    this.pendingView = null
+    mapData && this.townData.set(String(userData.adcode), mapData)
+    let entry = mapData ? this.withTownData(userData) : userData
+    this.state.history.push(entry, String(userData.adcode))
+    this.loadChildMap(entry, mapData, () => {
+      if (this.state.history.present === entry) {
+        this.state.history.undo()
+      }
+    })
+  }
+
+  /**
+   * 附加用户为该区县选择过的村镇数据（见 drillDown），没有时原样返回
+   * @param {Object} userData - 区域的用户数据
+   * @returns {Object} 带 mapData 的副本，不修改区域网格上的 userData
+   */
+  withTownData(userData) {
+    let mapData = this.townData.get(String(userData.adcode))
+    return mapData ? Object.assign({}, userData, { mapData }) : userData
+  }
+
+  /**
+   * 加载子地图（省/市/区县/村镇级地图）
+   * 
+   * 当用户点击某个区域时，加载该区域的下一级地图，
+   * 实现多层级地图导航功能。每一级都复用该方法。
+   * 
+   * @param {Object} userData - 被点击区域的用户数据对象
    * @param {string|number} userData.adcode - 行政区划代码
    * @param {Array} userData.center - 地理中心坐标 [经度, 纬度]
    * @param {Array} userData.centroid - 几何中心坐标 [经度, 纬度]
-   * @param {number} userData.childrenNum - 子级区域数量
+   * @param {number} userData.childrenNum - 子级区域数量，为0时加载村镇级地图
+   * @param {Object|string} mapData - 可选，直接使用的GeoJSON数据（如用户选择的村镇数据文件）
+   * @param {Function} onError - 可选，数据加载或子地图创建失败时的回调，用于恢复历史记录；
+   *   创建失败时原来的子地图已经销毁，回调把历史记录移到别的层级后重新显示该层级
    * 
    * 功能流程：
    * 1. 显示加载提示
@@ -52,22 +107,27 @@ export class MapNavigation {
    * 3. 创建子地图实例
    * 4. 隐藏主地图
    * 5. 更新UI状态
-   * 6. 重置相机控制
+   * 6. 播放层级切换过渡
    */
-  loadChildMap(userData) {
+  loadChildMap(userData, mapData, onError) {
     console.log('[MapNavigation] 开始加载子地图:', userData.name)
     
     // ============ 显示加载状态 ============
     this.state.toastLoading && this.state.toastLoading.show() // 显示加载提示，提升用户体验
     
+    // 记录本次加载序号，连续点击或加载中返回时丢弃过期结果，并取消上一次未完成的请求
+    let loadId = ++this.state.childMapLoadId
+    this.cancelLoads()
+    
     // 发射加载开始事件
     this.eventBus.emit('navigation:loadStart', {
       userData,
       timestamp: Date.now()
     })
     
-    // ============ 异步获取子地图数据 ============
-    this.getChildMapData(userData, (data) => {
+    const onData = (data) => {
+      if (loadId !== this.state.childMapLoadId) return
+      
       try {
         // ============ 更新UI控制元素 ============
         // 显示返回按钮，允许用户返回上级地图
@@ -83,7 +143,9 @@ export class MapNavigation {
         }
         
         // ============ 创建新的子地图实例 ============
-        this.state.childMap = new ChildMap(this.state, {
+        // 区县没有子级时，加载的是村镇级地图；子地图以地图实例为父级
+        let ChildMapClass = userData.childrenNum ? ChildMap : ChildTownMap
+        this.state.childMap = new ChildMapClass(this.state.world, {
           adcode: userData.adcode,               // 行政区划代码
           center: userData.center,               // 地理中心坐标
           centroid: userData.centroid,           // 几何中心坐标
@@ -100,9 +162,17 @@ export class MapNavigation {
         this.setMainMapVisible(false) // 隐藏主地图
         this.state.toastLoading && this.state.toastLoading.hide() // 隐藏加载提示
 
-        // ============ 重置相机和更新状态 ============
-        this.state.camera.controls.reset()  // 重置相机控制器到默认状态
+        // ============ 过渡动画和更新状态 ============
+        // 相机到位后再通知层级变化，此时读取的相机视角是最终视角
+        this.playLevelTransition(this.state.childMap, () => {
+          this.eventBus.emitNavigation('change', {
+            adcode: userData.adcode,
+            level: this.state.currentLevel,
+            name: userData.name
+          })
+        })
         this.state.currentScene = "childScene" // 更新当前场景标识
+        this.state.currentLevel = userData.level || "district" // 村镇级地图所在的区县
         this.state.setEnable && this.state.setEnable(false) // 禁用某些UI控件
         
         // 发射加载完成事件
@@ -126,59 +196,97 @@ export class MapNavigation {
           error: error.message,
           timestamp: Date.now()
         })
+        
+        // ============ 恢复到原来的层级 ============
+        // 旧的子地图已经销毁，丢弃创建了一半的子地图；
+        // 调用方恢复历史记录后重新显示所在的一级（全国时恢复主地图的显示）
+        if (this.state.childMap) {
+          this.state.childMap.destroy()
+          this.state.childMap = null
+        }
+        onError && onError(error)
+        this.state.history.present !== userData && this.showHistoryPresent()
       }
-    })
+    }
+    
+    // ============ 异步获取子地图数据 ============
+    if (mapData) {
+      onData(mapData)
+    } else {
+      this.getChildMapData(userData, onData, (error) => {
+        if (loadId !== this.state.childMapLoadId) return
+        onError && onError(error)
+      })
+    }
+  }
+
+  /**
+   * 层级切换过渡
+   * 
+   * 每一级（包括返回中国地图）都使用相同的相机和标签过渡：
+   * 相机从稍远处推进到 home 书签视角，子地图从平面升起、标签淡入。
+   * navigateTo 指定了相机视角时直接切换到该视角。
+   * 
+   * @param {ChildMap} childMap - 目标子地图，返回主地图时为空
+   * @param {Function} onComplete - 可选，相机到位后的回调，过渡被新的过渡打断时不调用
+   */
+  playLevelTransition(childMap, onComplete) {
+    let position = this.state.camera.instance.position
+    gsap.killTweensOf(position)
+    if (this.pendingView) {
+      this.state.camera.setView(this.pendingView)
+      this.pendingView = null
+      onComplete && onComplete()
+    } else {
+      // 回到 home 书签视角，再从稍远处推进
+      this.state.camera.restoreBookmark("home")
+      gsap.from(position, {
+        duration: 1,
+        x: position.x * 1.3,
+        y: position.y * 1.3,
+        z: position.z * 1.3,
+        ease: "circ.out",
+        onComplete,
+      })
+    }
+    childMap && childMap.show()
   }
 
   /**
    * 获取子地图数据
    * 
-   * 从阿里云DataV地理数据服务获取指定行政区域的GeoJSON数据。
-   * 根据区域是否有子级，选择不同的数据端点。
+   * 通过边界数据提供者（boundaryProvider）获取指定行政区域的GeoJSON数据，
+   * 默认先读取本地 assets/json 目录，失败后再请求远程服务。
+   * 请求以最高优先级经由资源加载队列发出，已在预加载的区域直接复用该请求。
+   * 加载失败时隐藏加载提示并向用户展示错误信息，同时发射 data:loadError 事件；
+   * 被 cancelLoads 取消时不提示，也不调用回调。
    * 
    * @param {Object} userData - 省份的用户数据对象
    * @param {string|number} userData.adcode - 行政区划代码
    * @param {number} userData.childrenNum - 子级区域数量
    * @param {Function} callback - 数据获取成功后的回调函数
+   * @param {Function} errorCallback - 数据获取失败后的回调函数
    * 
    * 数据源说明：
    * - _full.json: 包含该区域及其所有子级区域的完整数据
-   * - .json: 仅包含该区域边界的基础数据
+   * - .json: 仅包含该区域边界的基础数据（childrenNum 为 0 时使用）
    */
-  getChildMapData(userData, callback) {
-    // ============ 构建数据请求URL ============
-    // 默认获取包含子级区域的完整数据
-    let url = `https://geo.datav.aliyun.com/areas_v3/bound/${userData.adcode}_full.json`
-
-    // 如果该区域没有子级（如直辖市的区县），则获取基础边界数据
-    if (userData.childrenNum === 0) {
-      url = `https://geo.datav.aliyun.com/areas_v3/bound/${userData.adcode}.json`
-    }
-    
-    console.log('[MapNavigation] 请求地图数据:', url)
+  getChildMapData(userData, callback, errorCallback) {
+    console.log('[MapNavigation] 请求地图数据:', userData.adcode)
     
     // 发射数据获取开始事件
     this.eventBus.emit('data:loadStart', {
-      url,
       adcode: userData.adcode,
       timestamp: Date.now()
     })
     
-    // ============ 发起数据请求 ============
-    fetch(url)
-        .then((res) => {
-          if (!res.ok) {
-            throw new Error(`HTTP ${res.status}: ${res.statusText}`)
-          }
-          // 将响应转换为文本格式（GeoJSON字符串）
-          return res.text()
-        })
+    // ============ 通过数据提供者获取 ============
+    this.requestBoundary(userData)
         .then((res) => {
           console.log('[MapNavigation] 地图数据获取成功')
           
           // 发射数据获取成功事件
           this.eventBus.emit('data:loadSuccess', {
-            url,
             adcode: userData.adcode,
             dataSize: res.length,
             timestamp: Date.now()
@@ -188,24 +296,50 @@ export class MapNavigation {
           callback && callback(res)
         })
         .catch((error) => {
-          console.error('[MapNavigation] 获取地图数据失败:', error)
+          // 下钻被新的导航取消，由新的导航负责加载提示
+          if (isAbortError(error)) return
+          
+          // 隐藏加载提示，并把错误展示给用户
+          this.state.toastLoading && this.state.toastLoading.hide()
+          this.state.toastLoading && this.state.toastLoading.message(`${userData.name || userData.adcode} 地图数据加载失败`)
           
           // 发射数据获取错误事件
           this.eventBus.emit('data:loadError', {
-            url,
+            userData,
             adcode: userData.adcode,
-            error: error.message,
+            error,
+            attempts: error.attempts || [],
             timestamp: Date.now()
           })
           
-          // 隐藏加载提示
-          this.state.toastLoading && this.state.toastLoading.hide()
-          
-          // 这里可以显示错误提示给用户
-          // 或者执行重试逻辑
+          errorCallback && errorCallback(error)
         })
   }
 
+  /**
+   * 请求区域边界数据
+   * 经由资源模块的加载队列（state.loader）以最高优先级请求，同时取消进行中的预加载腾出并发数；
+   * 没有加载队列时直接请求数据提供者
+   * 
+   * @param {Object} userData - 区域的用户数据
+   * @returns {Promise<string>} GeoJSON字符串
+   */
+  requestBoundary(userData) {
+    let loader = this.state.loader
+    if (!loader) return this.boundaryProvider.getBoundary(userData)
+    let promise = loadBoundary(loader, this.boundaryProvider, userData, { priority: "high", group: "navigation" })
+    // 先加入再取消预加载，正在预加载的同一区域不会被中止
+    loader.cancel("prefetch")
+    return promise
+  }
+
+  /**
+   * 取消进行中的导航数据请求（层级切换后旧的请求已无用）
+   */
+  cancelLoads() {
+    this.state.loader && this.state.loader.cancel("navigation")
+  }
+
   /**
    * 设置主地图可见性
    * 
@@ -285,8 +419,11 @@ export class MapNavigation {
    */
   goBack() {
     console.log('[MapNavigation] 执行返回操作')
+    this.pendingView = null
     
     // ============ 执行历史记录回退 ============
+    // 每次只回退一级
+    let restore = this.createHistoryRestore()
     this.state.history.undo() // 撤销到上一个历史状态
     
     // 发射导航返回事件
@@ -295,14 +432,153 @@ export class MapNavigation {
       timestamp: Date.now()
     })
     
+    this.showHistoryPresent(restore)
+    
+    console.log('[MapNavigation] 返回操作完成')
+  }
+
+  /**
+   * 跳转到历史记录中的某一级，用于浏览器的前进后退
+   * @param {number} index - 历史记录索引，0为全国
+   * @returns {boolean} 索引是否有效
+   */
+  goToHistory(index) {
+    let restore = this.createHistoryRestore()
+    if (!this.state.history.gotoState(index)) return false
+    this.showHistoryPresent(restore)
+    return true
+  }
+
+  /**
+   * 记录当前的历史记录，返回恢复函数，用于目标层级加载失败时回到原来的位置
+   * @returns {Function}
+   */
+  createHistoryRestore() {
+    let history = this.state.history
+    let snapshot = history.toJSON()
+    return () => history.load(snapshot)
+  }
+
+  /**
+   * 面包屑导航：从全国到当前所在一级的各级区划
+   *
+   * 跳转到其中的上级时调用 goToHistory(index)，中间层级的子地图由 loadChildMap 销毁，
+   * 相机播放与下钻相同的层级过渡。
+   *
+   * @returns {Array<{index: number, name: string, adcode: string|null, level: string, current: boolean}>}
+   *   index 为历史记录索引，全国的 adcode 为null、level 为 china
+   */
+  getBreadcrumbs() {
+    let history = this.state.history
+    let current = history.getIndex()
+    return [...history.past, history.present].map((userData, index) => ({
+      index,
+      name: userData.name,
+      adcode: index ? String(userData.adcode) : null,
+      level: index ? userData.level || "district" : "china",
+      current: index === current,
+    }))
+  }
+
+  /**
+   * 按区划代码跳转，用于打开深链接和浏览器前进后退
+   * 
+   * 区划已在历史记录中时直接跳转到那一级；否则从省级开始逐级查找上级区划
+   * （直辖市等没有地级的区划自动跳过这一级），以全国加查找到的各级重建历史记录，
+   * 返回时逐级回到上级。
+   * 
+   * @param {string|number|null} adcode - 区划代码，为空时回到全国
+   * @param {Object} options - 配置参数
+   * @param {Object} options.view - 到达后的相机视角 { position, target, fov }，默认播放层级过渡
+   * @returns {Promise<boolean>} 是否找到区划（子地图数据的加载结果见 navigation:loadComplete / data:loadError）
+   */
+  async navigateTo(adcode, options = {}) {
+    let history = this.state.history
+    let index = adcode ? history.indexOfLabel(String(adcode)) : 0
+
+    if (index === history.getIndex()) {
+      // 已在该级，只切换视角
+      options.view && this.state.camera.setView(options.view)
+      return true
+    }
+    if (index >= 0) {
+      this.pendingView = options.view || null
+      return this.goToHistory(index)
+    }
+
+    // 查找期间用户又切换了层级时放弃本次跳转
+    let loadId = this.state.childMapLoadId
+    let path
+    try {
+      path = await this.resolveRegionPath(adcode)
+    } catch (error) {
+      if (isAbortError(error)) return false
+      console.warn('[MapNavigation] 区划跳转失败:', error.message)
+      this.state.toastLoading && this.state.toastLoading.message(`未找到区划 ${adcode}`)
+      return false
+    }
+    if (loadId !== this.state.childMapLoadId) return false
+
+    // ============ 以全国加各级区划重建历史记录 ============
+    // push 会丢弃当前位置之后的记录；用户选择过村镇数据的区县沿用该数据
+    let restore = this.createHistoryRestore()
+    history.gotoState(0)
+    path.forEach((userData) => history.push(this.withTownData(userData), String(userData.adcode)))
+    this.pendingView = options.view || null
+    this.showHistoryPresent(restore)
+    return true
+  }
+
+  /**
+   * 查找从省级到目标区划的各级区划数据
+   * 省级取主地图的省份，下级从上级的边界数据中查找
+   * 
+   * @param {string|number} adcode - 目标区划代码
+   * @returns {Promise<Array<Object>>} 各级区划的用户数据（与点击区域时的 userData 相同）
+   * @throws {Error} 区划不存在或边界数据加载失败
+   */
+  async resolveRegionPath(adcode) {
+    let code = String(adcode)
+    // 省、地、县三级代码，直辖市等没有地级时跳过
+    let codes = [...new Set([code.slice(0, 2) + "0000", code.slice(0, 4) + "00", code])]
+    let region = this.state.eventElement
+      .map((mesh) => mesh.parent.userData)
+      .find((userData) => String(userData.adcode) === codes[0])
+    if (!region) throw new Error(`未找到省级区划 ${codes[0]}`)
+
+    let path = [region]
+    while (String(region.adcode) !== code) {
+      if (!region.childrenNum) throw new Error(`${region.name} 没有下级区划 ${code}`)
+      let data = await this.requestBoundary(region)
+      let geoJson = typeof data === "string" ? JSON.parse(data) : data
+      let children = geoJson.features.map(regionFromFeature)
+      region = children.find((userData) => String(userData.adcode) === code) ||
+        children.find((userData) => codes.includes(String(userData.adcode)))
+      if (!region) throw new Error(`未找到区划 ${code}`)
+      path.push(region)
+    }
+    return path
+  }
+
+  /**
+   * 显示历史记录当前所在的一级：根级恢复全国地图，其余加载对应的子地图
+   * @param {Function} onError - 可选，子地图加载失败时的回调，用于把历史记录恢复到原来的位置
+   */
+  showHistoryPresent(onError) {
     // ============ 判断是否返回到根级地图 ============
     if (!this.state.history.getIndex()) {
       // 当前处于历史记录的根级（中国地图）
       
       console.log('[MapNavigation] 返回到主地图')
       
+      // 丢弃尚未完成的子地图加载
+      this.state.childMapLoadId++
+      this.cancelLoads()
+      this.state.toastLoading && this.state.toastLoading.hide()
+      
       // ============ 恢复到主场景状态 ============
       this.state.currentScene = "mainScene" // 更新场景标识
+      this.state.currentLevel = "china"
 
       // 隐藏返回按钮（已经在根级，无需再返回）
       if (this.state.returnBtn) {
@@ -318,25 +594,23 @@ export class MapNavigation {
       // ============ 恢复主地图显示 ============
       this.setMainMapVisible(true)              // 显示主地图
       this.setLabelVisible("labelGroup", true) // 显示数据标签
+      this.playLevelTransition(null, () => {    // 与下钻相同的相机过渡
+        this.eventBus.emitNavigation('change', { adcode: null, level: "china", name: this.state.history.present.name })
+      })
       
       // 重新启用UI控件
       this.state.setEnable && this.state.setEnable(true)
       
     } else {
-      // 还不是根级，需要加载上一级的子地图
+      // 还不是根级，需要加载上一级的子地图（数据已缓存，过渡在加载完成后播放）
       
       console.log('[MapNavigation] 返回到上级子地图')
       
       // ============ 获取上级地图数据并加载 ============
+      // 用户选择的村镇数据保存在历史记录中，直接使用，不经由数据提供者
       let userData = this.state.history.present // 获取当前历史状态的数据
-      this.loadChildMap(userData)         // 加载上级子地图
+      this.loadChildMap(userData, userData.mapData, onError) // 加载上级子地图
     }
-
-    // ============ 重置相机控制 ============
-    // 无论返回到哪一级，都重置相机到默认状态
-    this.state.camera.controls.reset()
-    
-    console.log('[MapNavigation] 返回操作完成')
   }
 
   /**
@@ -347,8 +621,8 @@ export class MapNavigation {
     return {
       currentScene: this.state.currentScene,
       historyIndex: this.state.history.getIndex(),
-      historyLength: this.state.history.history.length,
-      canGoBack: this.state.history.getIndex() > 0,
+      historyLength: this.state.history.getLength(),
+      canGoBack: this.state.history.canUndo(),
       currentLevel: this.state.currentLevel,
       hasChildMap: !!this.state.childMap
     }
@@ -366,12 +640,16 @@ export class MapNavigation {
       this.state.childMap = null
     }
     
-    // 清理历史记录
-    this.state.history.clear()
-    this.state.history.push({ name: "中国" })
+    // 清理历史记录，回到根级（中国地图）
+    this.state.history.gotoState(0)
+    this.state.history.clearFuture()
+    this.state.childMapLoadId++
+    this.cancelLoads()
+    this.pendingView = null
     
     // 恢复主场景
     this.state.currentScene = "mainScene"
+    this.state.currentLevel = "china"
     this.setMainMapVisible(true)
     
     // 隐藏返回按钮
@@ -379,8 +657,8 @@ export class MapNavigation {
       this.state.returnBtn.style.display = "none"
     }
     
-    // 重置相机
-    this.state.camera.controls.reset()
+    // 重置相机到 home 书签视角
+    this.state.camera.restoreBookmark("home")
     
     // 发射重置事件
     this.eventBus.emitNavigation('reset', {
@@ -401,6 +679,7 @@ export class MapNavigation {
     
     // 清理事件监听器
     this.eventBus.off('map:loadChildMap')
+    this.townData.clear()
     
     // 恢复UI状态
     if (this.state.returnBtn) {
@@ -0,0 +1,220 @@
+import { buildTrack, sampleTrack, parseTime, formatPlaybackTime, PlaybackClock } from '../playback.js'
+
+/**
+ * 时间序列回放模块
+ *
+ * 加载带时间戳的图层数据（见 playback.js），由 Time 的 tick 驱动共享的回放时钟：
+ * - 播放、暂停、跳转、倍速、循环
+ * - 相邻帧之间的数值线性插值（柱高、散点位置、飞线/流向权重、路径进度等）
+ * - 播放时按 interval 节流应用到图层，过渡时长等于节流间隔，画面连续；跳转时立即应用
+ *
+ * 插值结果通过 'playback:frame' 派发，由 ModularWorld 分发到各图层：
+ * bar | scatter | flyLine | badge → setData，flow → setFlowData，pathLine → setPathLineProgress
+ *
+ * 派发的事件：
+ * - 'playback:frame'：{ time, layers: { 图层: 记录 }, duration } 需要应用的图层数据
+ * - 'playback:change'：回放状态（同 getPlaybackState），时刻或播放状态变化时派发
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class MapPlayback {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
+  constructor(state, eventBus) {
+    this.state = state
+    this.eventBus = eventBus
+
+    // 各图层的时间轨道，未加载时为null
+    this.tracks = null
+    this.clock = null
+    this.options = null
+    // 所有帧的时刻（升序），供时间轴绘制刻度
+    this.frames = []
+    // 距上次应用图层数据的秒数
+    this.sinceApply = 0
+
+    this.onTick = (delta) => {
+      if (!this.clock || !this.clock.playing) return
+      this.sinceApply += delta
+      this.clock.update(delta)
+    }
+  }
+
+  /**
+   * 加载回放数据，替换已有的回放
+   *
+   * @param {Object<string, Array<Object>>} data - 各图层带时间字段的记录，如 { bar: [{ time, adcode, value }] }，
+   *   pathLine 图层的记录为 { time, route, progress }
+   * @param {Object} options - 配置参数
+   * @param {string} options.timeField - 时间字段，默认time；支持数字（时间戳、年份）、日期字符串和Date
+   * @param {number} options.duration - 1倍速下播完全程的秒数，默认20
+   * @param {number} options.rate - 倍速，默认1
+   * @param {boolean} options.loop - 是否循环播放，默认false
+   * @param {boolean} options.autoplay - 加载后是否立即播放，默认false
+   * @param {number} options.interval - 播放时应用图层数据的间隔（秒），默认0.1
+   * @param {boolean} options.interpolate - 是否在帧间插值，默认true
+   * @param {Array<string>} options.fields - 插值字段，默认 value、lng、lat、progress
+   * @returns {Object} 回放状态
+   *
+   * @example
+   * world.loadPlayback({ bar: yearlyRecords }, { timeField: "year", duration: 30, loop: true, autoplay: true })
+   */
+  loadPlayback(data = {}, options = {}) {
+    this.clearPlayback()
+    this.options = Object.assign(
+      { timeField: "time", duration: 20, rate: 1, loop: false, autoplay: false, interval: 0.1, interpolate: true },
+      options
+    )
+
+    let { timeField } = this.options
+    this.tracks = {}
+    Object.keys(data).forEach((layer) => {
+      this.tracks[layer] = buildTrack(data[layer] || [], { timeField })
+    })
+
+    let times = new Set()
+    Object.values(this.tracks).forEach((track) => track.forEach((frame) => times.add(frame.time)))
+    this.frames = [...times].sort((a, b) => a - b)
+    // 有日期字符串、Date或毫秒时间戳时按日期时间显示，否则为年份等序号
+    let isTimestamp = (value) => value instanceof Date || (typeof value === "string" && isNaN(value)) || parseTime(value) > 1e11
+    this.timestamp = Object.keys(data).some((layer) => (data[layer] || []).some((record) => isTimestamp(record[timeField])))
+
+    let { duration, rate, loop } = this.options
+    this.clock = new PlaybackClock({
+      start: this.frames.length ? this.frames[0] : 0,
+      end: this.frames.length ? this.frames[this.frames.length - 1] : 0,
+      duration,
+      rate,
+      loop,
+    })
+    this.clock.on("time", ({ seek }) => this._onTime(seek))
+    this.clock.on("play", () => this._emitChange())
+    this.clock.on("pause", () => this._emitChange())
+    this.state.time.on("tick", this.onTick)
+
+    this._apply(0)
+    this._emitChange()
+    console.log(`[MapPlayback] 回放数据已加载，共 ${this.frames.length} 帧`)
+
+    this.options.autoplay && this.playPlayback()
+    return this.getPlaybackState()
+  }
+
+  /**
+   * 开始播放
+   */
+  playPlayback() {
+    this.clock && this.clock.play()
+  }
+
+  /**
+   * 暂停播放
+   */
+  pausePlayback() {
+    this.clock && this.clock.pause()
+  }
+
+  /**
+   * 跳转到指定时刻
+   * @param {number|string|Date} time - 时刻，格式与数据的时间字段一致
+   */
+  seekPlayback(time) {
+    this.clock && this.clock.seek(parseTime(time))
+  }
+
+  /**
+   * 设置播放倍速
+   * @param {number} rate - 倍速，如0.5、1、2
+   */
+  setPlaybackRate(rate) {
+    if (!this.clock) return
+    this.clock.setRate(rate)
+    this._emitChange()
+  }
+
+  /**
+   * 当前回放状态
+   * @returns {Object|null} { start, end, time, progress, playing, rate, loop, frames, label }，未加载时为null
+   */
+  getPlaybackState() {
+    if (!this.clock) return null
+    let { start, end, rate, loop } = this.clock.options
+    let range = { start, end, timestamp: this.timestamp }
+    return {
+      start,
+      end,
+      time: this.clock.time,
+      progress: this.clock.progress,
+      playing: this.clock.playing,
+      rate,
+      loop,
+      timestamp: this.timestamp,
+      frames: this.frames,
+      label: formatPlaybackTime(this.clock.time, range),
+    }
+  }
+
+  /**
+   * 移除回放，图层保留最后应用的数据
+   */
+  clearPlayback() {
+    if (!this.clock) return
+    this.state.time.off("tick", this.onTick)
+    this.clock.pause()
+    this.clock = null
+    this.tracks = null
+    this.frames = []
+    this.sinceApply = 0
+    this.eventBus.emit("playback:change", null)
+  }
+
+  /**
+   * 时钟时刻变化：跳转立即应用，播放中按间隔节流
+   * @param {boolean} seek - 是否为跳转
+   * @private
+   */
+  _onTime(seek) {
+    let { interval } = this.options
+    let ended = !this.clock.playing
+    if (seek || ended) {
+      this._apply(seek ? 0 : interval)
+    } else if (this.sinceApply >= interval) {
+      this._apply(this.sinceApply)
+    }
+    this._emitChange()
+  }
+
+  /**
+   * 插值出当前时刻各图层的数据并派发
+   * @param {number} duration - 图层过渡时长（秒）
+   * @private
+   */
+  _apply(duration) {
+    this.sinceApply = 0
+    let { fields, interpolate } = this.options
+    let layers = {}
+    Object.keys(this.tracks).forEach((layer) => {
+      layers[layer] = sampleTrack(this.tracks[layer], this.clock.time, { fields, interpolate })
+    })
+    this.eventBus.emit("playback:frame", { time: this.clock.time, layers, duration })
+  }
+
+  /**
+   * @private
+   */
+  _emitChange() {
+    this.eventBus.emit("playback:change", this.getPlaybackState())
+  }
+
+  /**
+   * 销毁模块
+   */
+  destroy() {
+    this.clearPlayback()
+    console.log('[MapPlayback] 模块已销毁')
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * 后期处理联动模块
+ *
+ * 后期处理管线本身由 Mini3d 提供（world.setPostProcessing，见 mini3d/core/PostProcessing.js），
+ * 这里负责把地图内容接入管线：
+ * - 选择性辉光：柱状图、飞线及焦点光圈、流向线、旋转边框、轮廓流动线加入辉光层，
+ *   图层创建或数据更新（新增柱子）后自动补上
+ * - 描边：悬停的区域（主地图省份和子地图区域）以及 setOutlineRegions 选中的区域
+ *
+ * 未开启后期处理时所有操作直接跳过。
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class MapPostProcessing {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
+  constructor(state, eventBus) {
+    this.state = state
+    this.eventBus = eventBus
+
+    // 当前悬停的区域adcode
+    this.hoverAdcode = null
+    // setOutlineRegions 选中的区域adcode
+    this.selectedAdcodes = []
+
+    let onRegionAction = (hovered) => ({ componentType, adcode }) => {
+      if (componentType !== "province" && componentType !== "region") return
+      if (hovered) {
+        this.hoverAdcode = adcode
+      } else if (this.hoverAdcode === adcode) {
+        this.hoverAdcode = null
+      }
+      this._updateOutline()
+    }
+    let onMapChange = () => {
+      this.hoverAdcode = null
+      this._updateOutline()
+    }
+
+    this.listeners = {
+      "visualization:barCreated": () => this.refresh(),
+      "materials:rotateBorderCreated": () => this.refresh(),
+      "animations:strokeAnimateCreated": () => this.refresh(),
+      "animations:flyLineFocusCreated": () => this.refresh(),
+      "flow:created": () => this.refresh(),
+      [eventBus.EVENTS.DATA_UPDATE]: ({ layer }) => (layer === "bar" || layer === "flow") && this.refresh(),
+      "component:activate": onRegionAction(true),
+      "component:reset": onRegionAction(false),
+      "navigation:loadComplete": onMapChange,
+      [eventBus.EVENTS.SCENE_CHANGE]: onMapChange,
+    }
+    eventBus.registerListeners(this.listeners)
+  }
+
+  /**
+   * 当前的后期处理管线，未开启时为null
+   * @returns {PostProcessing|null}
+   */
+  get postProcessing() {
+    return (this.state.world && this.state.world.postProcessing) || null
+  }
+
+  /**
+   * 重新标记辉光对象并更新描边，开启后期处理或图层变化后调用
+   */
+  refresh() {
+    let postProcessing = this.postProcessing
+    if (!postProcessing) return
+
+    let { state } = this
+    let targets = [
+      state.barGroup,
+      state.flyLineGroup && state.flyLineGroup.instance,
+      state.flyLineFocusGroup,
+      state.flowLine && state.flowLine.instance,
+      state.rotateBorder1,
+      state.rotateBorder2,
+      state.strokeLineGroup && state.strokeLineGroup.instance,
+    ]
+    targets.forEach((object) => postProcessing.addBloom(object))
+    this._updateOutline()
+  }
+
+  /**
+   * 给指定区域描边（选中效果），悬停描边不受影响
+   * @param {Array<string|number>} adcodes - 区域adcode，传空数组清除
+   *
+   * @example
+   * world.setOutlineRegions([440000, 450000])
+   */
+  setOutlineRegions(adcodes = []) {
+    this.selectedAdcodes = [...adcodes]
+    this._updateOutline()
+  }
+
+  /**
+   * 在当前显示的地图上查找悬停和选中的区域组，交给描边效果
+   * @private
+   */
+  _updateOutline() {
+    let postProcessing = this.postProcessing
+    if (!postProcessing) return
+
+    let map = this.state.currentScene === "childScene"
+      ? this.state.childMap && this.state.childMap.map
+      : this.state.provinceMesh
+    let adcodes = new Set(this.selectedAdcodes.map(String))
+    this.hoverAdcode !== null && adcodes.add(String(this.hoverAdcode))
+
+    let regions = map && adcodes.size
+      ? map.mapGroup.children.filter((group) => adcodes.has(String(group.userData.adcode)))
+      : []
+    postProcessing.setOutline(regions)
+  }
+
+  /**
+   * 销毁模块
+   */
+  destroy() {
+    this.eventBus.unregisterListeners(this.listeners)
+    this.postProcessing && this.postProcessing.setOutline([])
+    this.hoverAdcode = null
+    this.selectedAdcodes = []
+  }
+}
@@ -1,7 +1,4 @@
 import {
-  Texture,
-  TextureLoader,
-  CompressedTextureLoader,
   DataTexture,
   WebGLRenderer,
   WebGLRenderTarget,
@@ -11,16 +8,18 @@ import {
   NearestFilter,
   RGBAFormat,
 } from "three"
-
-import { FileLoader } from "three"
+import { LoaderQueue, LOAD_PRIORITY } from "../loaderQueue.js"
+import { loadBoundary, regionFromFeature } from "../boundaryProvider.js"
 
 /**
  * 地图资源管理模块
  * 
  * 负责管理地图中的所有资源，包括：
- * - 纹理资源优化和缓存
+ * - 纹理资源优化和缓存：数据统一缓存在 mini3d Resource（state.assets.instance）中，与启动清单共用，
+ *   本模块对自己加载的资源持有一次引用，超过 cacheExpiry 未访问时释放
  * - JSON数据文件管理
- * - 异步资源加载队列
+ * - 异步资源加载队列：优先级、并发限制、请求去重、失败退避重试、按分组取消（见 loaderQueue.js）
+ * - 邻近区域预加载：层级变化后预加载可下钻区域 preloadDistance 级以内的边界数据，悬停的区域提前加载
  * - 资源使用统计和监控
  * - 动态资源释放和回收
  * - 纹理压缩和格式转换
@@ -29,9 +28,13 @@ import { FileLoader } from "three"
  * 资源类型：
  * - 纹理贴图：PNG、JPG格式的纹理文件
  * - JSON数据：地图数据、路径数据、配置文件
- * - 压缩纹理：DXT、ETC、ASTC等压缩格式
+ * - 压缩纹理：KTX2（Basis Universal），由 Resource 按显卡支持转码为 BC、ETC、ASTC 等格式
  * - 程序纹理：动态生成的纹理数据
  * 
+ * 加载分组：
+ * - navigation：下钻数据（最高优先级），切换层级时由导航模块取消
+ * - prefetch：邻近区域预加载（最低优先级），层级变化或开始下钻时取消
+ * 
  * 性能优化：
  * - 纹理缓存和复用机制
  * - 智能预加载策略
@@ -53,9 +56,7 @@ export class MapResource {
     this.eventBus = eventBus
     
     // ============ 资源缓存系统 ============
-    this.textureCache = new Map()        // 纹理缓存
-    this.dataCache = new Map()           // 数据缓存
-    this.loadingQueue = new Map()        // 加载队列
+    this.retained = new Map()            // 本模块持有引用的资源：名称 -> 最后访问时间
     this.resourceStats = new Map()       // 资源统计
     
     // ============ 资源配置 ============
@@ -63,16 +64,17 @@ export class MapResource {
       maxCacheSize: 256 * 1024 * 1024,   // 最大缓存大小（256MB）
       textureQuality: 'high',             // 纹理质量：low | medium | high
       enableCompression: true,            // 启用纹理压缩
-      preloadDistance: 2,                 // 预加载距离层级
+      preloadDistance: 2,                 // 预加载距离层级，0表示不预加载
+      maxPrefetchLoads: 40,               // 每次预加载的最大区域数
       maxConcurrentLoads: 6,              // 最大并发加载数
       enableLOD: true,                    // 启用LOD系统
       cacheExpiry: 30 * 60 * 1000,       // 缓存过期时间（30分钟）
     }
     
-    // ============ 加载器实例 ============
-    this.textureLoader = new TextureLoader()
-    this.fileLoader = new FileLoader()
-    this.compressedTextureLoader = new CompressedTextureLoader()
+    // ============ 加载队列 ============
+    // 共享给导航模块（state.loader），下钻和预加载同一区域时共用一次请求
+    this.queue = new LoaderQueue({ concurrency: this.config.maxConcurrentLoads })
+    this.state.loader = this.queue
     
     // ============ 性能监控 ============
     this.performanceMetrics = {
@@ -100,96 +102,88 @@ export class MapResource {
       high: { scale: 1.0, quality: 1.0 },
     }
     
+    // ============ 邻近区域预加载 ============
+    this.listeners = {
+      'map:provinceCreated': () => this.prefetchRegions(),
+      [eventBus.EVENTS.NAVIGATION_CHANGE]: () => this.prefetchRegions(),
+      'map:hover': ({ province, action }) => {
+        action === 'enter' && this.state.currentScene === 'mainScene' && this.prefetchRegion(province, 'low')
+      },
+      'map:regionHover': ({ region, action }) => action === 'enter' && this.prefetchRegion(region, 'low'),
+    }
+    eventBus.registerListeners(this.listeners)
+    
     console.log('[MapResource] 资源管理模块初始化完成')
   }
 
   /**
    * 智能资源获取
    * 
-   * 提供统一的资源获取接口，支持缓存、预加载和性能优化。
-   * 根据资源类型和使用场景，自动选择最优的加载策略。
+   * 从统一资源缓存（mini3d Resource）获取已加载的资源，
+   * 记录命中统计，本模块持有的资源刷新访问时间。
    * 
-   * @param {string} name - 资源名称
-   * @param {Object} options - 加载选项
-   * @returns {Promise|any} 资源对象或Promise
-   * 
-   * 功能特点：
-   * - 缓存优先策略，提高访问速度
-   * - 自动类型检测和格式转换
-   * - 异步加载支持，避免阻塞
-   * - 错误处理和重试机制
-   * - 使用统计和性能监控
+   * @param {string} name - 资源名称（或加载时的地址）
+   * @returns {any} 资源对象，未加载时返回null
    */
-  getResource(name, options = {}) {
+  getResource(name) {
     const startTime = performance.now()
+    const store = this.getStore()
     
     // ============ 缓存查找 ============
-    // 优先从缓存中获取资源
-    if (this.textureCache.has(name)) {
+    if (store && store.has(name)) {
+      const resource = store.getResource(name)
+      const type = resource.isTexture ? 'texture' : 'data'
       this.performanceMetrics.cacheHits++
-      this.updateResourceStats(name, 'hit')
+      this.updateResourceStats(name, 'hit', { type })
+      this.retained.has(name) && this.retained.set(name, Date.now())
       
-      const resource = this.textureCache.get(name)
       console.log(`[MapResource] 缓存命中: ${name}`)
       
       // 发射缓存命中事件
       this.eventBus.emit('resource:cacheHit', { 
         name, 
-        type: 'texture',
+        type,
         loadTime: performance.now() - startTime
       })
       
       return resource
     }
     
-    if (this.dataCache.has(name)) {
-      this.performanceMetrics.cacheHits++
-      this.updateResourceStats(name, 'hit')
-      
-      const resource = this.dataCache.get(name)
-      console.log(`[MapResource] 数据缓存命中: ${name}`)
-      
-      this.eventBus.emit('resource:cacheHit', { 
-        name, 
-        type: 'data',
-        loadTime: performance.now() - startTime
-      })
-      
-      return resource
-    }
-    
-    // ============ 缓存未命中，委托给原始资源管理器 ============
+    // ============ 资源未找到 ============
     this.performanceMetrics.cacheMisses++
     this.updateResourceStats(name, 'miss')
-    
-    console.log(`[MapResource] 缓存未命中，从原始资源管理器获取: ${name}`)
-    
-    // 通过原始资源管理器获取资源
-    if (this.state.assets && this.state.assets.instance) {
-      const resource = this.state.assets.instance.getResource(name)
-      
-      if (resource) {
-        // 将资源添加到缓存
-        this.addToCache(name, resource, options)
-        
-        // 发射资源获取事件
-        this.eventBus.emit('resource:loaded', {
-          name,
-          type: this.detectResourceType(resource),
-          loadTime: performance.now() - startTime,
-          fromCache: false
-        })
-        
-        return resource
-      }
-    }
-    
-    // ============ 资源未找到 ============
     console.warn(`[MapResource] 资源未找到: ${name}`)
     this.eventBus.emit('resource:notFound', { name })
     return null
   }
 
+  /**
+   * 统一资源管理器（mini3d Resource），资源系统初始化前为空
+   * @returns {Resource|null}
+   */
+  getStore() {
+    const instance = this.state.assets && this.state.assets.instance
+    return instance && instance.load ? instance : null
+  }
+
+  /**
+   * 本模块持有资源的引用（每个资源只持有一次），由 cleanExpiredCache 到期释放
+   * @param {string} name - 资源名称
+   */
+  holdResource(name) {
+    const store = this.getStore()
+    if (!this.retained.has(name)) {
+      store.retain(name)
+    }
+    this.retained.set(name, Date.now())
+    
+    // 超过缓存上限只提示，由 cleanExpiredCache 回收
+    const { size } = store.getStats()
+    if (size > this.config.maxCacheSize) {
+      console.warn(`[MapResource] 缓存超过上限: ${(size / 1024 / 1024).toFixed(1)}MB`)
+      this.eventBus.emit('resource:cacheFull', { name, size })
+    }
+  }
   /**
    * 批量预加载资源
    * 
@@ -198,6 +192,9 @@ export class MapResource {
    * 
    * @param {Array} resourceNames - 资源名称列表
    * @param {Object} options - 预加载选项
+   * @param {string|number} options.priority - 队列优先级，默认 normal
+   * @param {number} options.timeout - 单次尝试超时（毫秒）
+   * @param {number} options.retryCount - 最多尝试次数
    * @returns {Promise} 预加载完成Promise
    * 
    * 预加载策略：
@@ -211,25 +208,14 @@ export class MapResource {
     
     const {
       priority = 'normal',        // 加载优先级
-      concurrent = this.config.maxConcurrentLoads, // 并发数量
       timeout = 10000,            // 超时时间
       retryCount = 3,             // 重试次数
     } = options
     
     const startTime = performance.now()
-    const loadPromises = []
     
-    // ============ 分批并发加载 ============
-    for (let i = 0; i < resourceNames.length; i += concurrent) {
-      const batch = resourceNames.slice(i, i + concurrent)
-      const batchPromises = batch.map(name => this.loadResourceAsync(name, { timeout, retryCount }))
-      
-      try {
-        await Promise.allSettled(batchPromises)
-      } catch (error) {
-        console.warn(`[MapResource] 批次加载出现错误:`, error)
-      }
-    }
+    // ============ 经由加载队列并发加载（并发数见 maxConcurrentLoads） ============
+    await Promise.allSettled(resourceNames.map(name => this.loadResourceAsync(name, { timeout, retryCount, priority })))
     
     const totalTime = performance.now() - startTime
     console.log(`[MapResource] 预加载完成，耗时: ${totalTime.toFixed(2)}ms`)
@@ -245,44 +231,170 @@ export class MapResource {
   /**
    * 异步加载单个资源
    * 
+   * 资源未就绪时按退避间隔重试，同名资源的并发请求共用一次加载。
+   * 
    * @param {string} name - 资源名称
    * @param {Object} options - 加载选项
+   * @param {number} options.timeout - 单次尝试超时（毫秒），默认5000
+   * @param {number} options.retryCount - 最多尝试次数，默认3
+   * @param {string|number} options.priority - 队列优先级，默认 normal
    * @returns {Promise} 加载Promise
    */
-  async loadResourceAsync(name, options = {}) {
-    return new Promise((resolve, reject) => {
-      const { timeout = 5000, retryCount = 3 } = options
-      let attempts = 0
-      
-      const loadWithRetry = () => {
-        attempts++
-        
-        try {
-          const resource = this.getResource(name)
-          if (resource) {
-            resolve(resource)
-          } else if (attempts < retryCount) {
-            console.log(`[MapResource] 重试加载资源: ${name} (${attempts}/${retryCount})`)
-            setTimeout(loadWithRetry, 1000 * attempts) // 递增延迟
-          } else {
-            reject(new Error(`Failed to load resource: ${name} after ${retryCount} attempts`))
-          }
-        } catch (error) {
-          if (attempts < retryCount) {
-            setTimeout(loadWithRetry, 1000 * attempts)
-          } else {
-            reject(error)
-          }
-        }
-      }
-      
-      // 设置超时
-      setTimeout(() => {
-        reject(new Error(`Resource load timeout: ${name}`))
-      }, timeout)
-      
-      loadWithRetry()
-    })
+  loadResourceAsync(name, options = {}) {
+    const { timeout = 5000, retryCount = 3, priority = 'normal' } = options
+    return this.load(`asset:${name}`, () => {
+      const resource = this.getResource(name)
+      if (!resource) throw new Error(`Failed to load resource: ${name}`)
+      return resource
+    }, { priority, timeout, retries: retryCount - 1 })
+  }
+
+  /**
+   * 经由加载队列加载
+   * 
+   * @param {string} key - 资源标识，相同标识的并发请求共用一次加载
+   * @param {Function} loader - 加载函数 (signal) => Promise，signal 应传给 fetch
+   * @param {Object} options - 请求参数 { priority, group, signal, retries, timeout }，见 LoaderQueue.add
+   * @returns {Promise} 加载结果
+   */
+  load(key, loader, options) {
+    return this.queue.add(key, loader, options)
+  }
+
+  /**
+   * 加载JSON文件，经由统一资源缓存，同一地址只加载一次
+   * 
+   * @param {string} url - 文件地址
+   * @param {Object} options - 队列请求参数，同 load
+   * @returns {Promise<Object>} 解析后的数据
+   */
+  loadJSON(url, options = {}) {
+    return this.loadToStore({ type: 'JSON', path: url }, options)
+  }
+  /**
+   * 加载纹理，经由统一资源缓存，同一地址只加载一次
+   * 
+   * .ktx2 地址按KTX2压缩纹理加载，失败时改用 options.fallback 指定的原图
+   * 
+   * @param {string} url - 图片地址
+   * @param {Object} options - 队列请求参数，同 load
+   * @param {string} options.fallback - KTX2加载失败时使用的图片地址
+   * @returns {Promise<Texture>} 纹理
+   */
+  loadTexture(url, options = {}) {
+    const { fallback, ...loadOptions } = options
+    const type = /\.ktx2$/i.test(url) ? 'KTX2' : 'Texture'
+    // 名称用原地址，改用 fallback 后仍能按原地址取到纹理
+    return this.loadToStore({ type, name: url, path: url, fallback }, loadOptions)
+  }
+
+  /**
+   * 经由加载队列把资源加载到统一资源缓存，完成后本模块持有引用
+   * 取消只放弃等待，已开始的加载完成后仍留在缓存中
+   * 
+   * @param {Object} item - 资源项 { type, path }，见 Resource.load
+   * @param {Object} options - 队列请求参数，同 load
+   * @returns {Promise<any>} 资源数据
+   */
+  loadToStore(item, options) {
+    const store = this.getStore()
+    if (!store) {
+      return Promise.reject(new Error('资源系统未初始化'))
+    }
+    if (store.has(item.path)) {
+      this.holdResource(item.path)
+      return Promise.resolve(this.getResource(item.path))
+    }
+    const startTime = performance.now()
+    return this.load(`${item.type}:${item.path}`, (signal) => store.load(item, { retain: false, signal }), options)
+      .then((data) => {
+        this.holdResource(item.path)
+        this.performanceMetrics.loadedResources++
+        this.performanceMetrics.totalLoadTime += performance.now() - startTime
+        this.eventBus.emit('resource:loaded', {
+          name: item.path,
+          type: data.isTexture ? 'texture' : 'data',
+          loadTime: performance.now() - startTime,
+          fromCache: false
+        })
+        return data
+      })
+  }
+  /**
+   * 取消加载请求
+   * @param {string} group - 分组名（navigation、prefetch 或自定义），不传则取消全部
+   * @returns {number} 取消的请求数
+   */
+  cancelLoads(group) {
+    return this.queue.cancel(group)
+  }
+
+  /**
+   * 预加载当前层级的邻近区域
+   * 
+   * 取消上一次的预加载，从当前显示的区域（全国时为各省份，子地图时为其下级区域）出发，
+   * 逐级加载可下钻区域的边界数据，深度不超过 preloadDistance，总数不超过 maxPrefetchLoads。
+   * 越深的区域优先级越低，下钻请求到来时预加载让出并发数。
+   */
+  prefetchRegions() {
+    this.queue.cancel('prefetch')
+    let { preloadDistance, maxPrefetchLoads } = this.config
+    if (!preloadDistance || !this.state.boundaryProvider) return
+    
+    let count = 0
+    const prefetch = (regions, depth) => {
+      regions.forEach((region) => {
+        if (count >= maxPrefetchLoads || !this.isDrillable(region)) return
+        count++
+        this.prefetchRegion(region, LOAD_PRIORITY.prefetch - depth + 1)
+          .then((data) => {
+            if (depth >= preloadDistance) return
+            let geoJson = typeof data === 'string' ? JSON.parse(data) : data
+            prefetch(geoJson.features.map(regionFromFeature), depth + 1)
+          })
+          .catch(() => {})
+      })
+    }
+    prefetch(this.getVisibleRegions(), 1)
+  }
+
+  /**
+   * 预加载单个区域的边界数据
+   * @param {Object} region - 区域数据 { adcode, childrenNum }
+   * @param {string|number} priority - 队列优先级，默认 prefetch
+   * @returns {Promise<string>} GeoJSON字符串，不可下钻的区域返回 null
+   */
+  prefetchRegion(region, priority = 'prefetch') {
+    let provider = this.state.boundaryProvider
+    if (!region || !provider || !this.isDrillable(region)) return Promise.resolve(null)
+    let promise = loadBoundary(this.queue, provider, region, { priority, group: 'prefetch' })
+    // 悬停等单独的预加载失败不需要处理，真正下钻时会重新请求并提示
+    promise.catch(() => {})
+    return promise
+  }
+
+  /**
+   * 区域是否可以下钻（有下级区域，或数据提供者持有该区划的数据）
+   * @param {Object} region - 区域数据
+   * @returns {boolean}
+   */
+  isDrillable(region) {
+    let provider = this.state.boundaryProvider
+    return region.childrenNum > 0 || !!(provider && provider.has(region.adcode))
+  }
+
+  /**
+   * 当前层级显示的区域
+   * @returns {Array<Object>} 区域数据（与点击区域时的 userData 相同）
+   */
+  getVisibleRegions() {
+    let { childMap, currentScene, eventElement } = this.state
+    if (currentScene === 'mainScene') {
+      let regions = new Map()
+      eventElement.forEach((mesh) => regions.set(mesh.parent.userData.adcode, mesh.parent.userData))
+      return Array.from(regions.values())
+    }
+    return childMap ? childMap.areaData.map(regionFromFeature) : []
   }
 
   /**
@@ -337,9 +449,13 @@ export class MapResource {
     texture.minFilter = filter
     texture.needsUpdate = true
     
-    // 添加到缓存
+    // 添加到统一资源缓存，由本模块持有
     const textureName = `procedural_${type}_${width}x${height}_${Date.now()}`
-    this.addToCache(textureName, texture, { type: this.resourceTypes.PROCEDURAL_TEXTURE })
+    const store = this.getStore()
+    if (store) {
+      store.add(textureName, texture)
+      this.retained.set(textureName, Date.now())
+    }
     
     // 发射纹理创建事件
     this.eventBus.emit('resource:proceduralTextureCreated', {
@@ -579,6 +695,11 @@ export class MapResource {
       texture.minFilter = NearestFilter
       texture.generateMipmaps = false
     }
+
+    // 压缩纹理不能在GPU上生成mipmap，使用文件自带的
+    if (texture.isCompressedTexture) {
+      texture.generateMipmaps = false
+    }
     
     // 发射纹理优化事件
     this.eventBus.emit('resource:textureOptimized', {
@@ -591,113 +712,6 @@ export class MapResource {
     return texture
   }
 
-  /**
-   * 添加资源到缓存
-   * @param {string} name - 资源名称
-   * @param {any} resource - 资源对象
-   * @param {Object} options - 缓存选项
-   */
-  addToCache(name, resource, options = {}) {
-    const resourceType = this.detectResourceType(resource)
-    const cacheMap = resourceType === 'texture' ? this.textureCache : this.dataCache
-    
-    // 检查缓存大小限制
-    if (this.checkCacheSize(resource)) {
-      cacheMap.set(name, resource)
-      
-      // 更新统计信息
-      this.updateResourceStats(name, 'cache', {
-        type: resourceType,
-        size: this.estimateResourceSize(resource),
-        timestamp: Date.now()
-      })
-      
-      console.log(`[MapResource] 资源已缓存: ${name} (${resourceType})`)
-    } else {
-      console.warn(`[MapResource] 缓存已满，无法缓存资源: ${name}`)
-      this.eventBus.emit('resource:cacheFull', { name, type: resourceType })
-    }
-  }
-
-  /**
-   * 检测资源类型
-   * @param {any} resource - 资源对象
-   * @returns {string} 资源类型
-   */
-  detectResourceType(resource) {
-    if (resource instanceof Texture) return 'texture'
-    if (typeof resource === 'string' && this.isJSONString(resource)) return 'json'
-    if (typeof resource === 'object') return 'data'
-    return 'unknown'
-  }
-
-  /**
-   * 检查是否为JSON字符串
-   * @param {string} str - 字符串
-   * @returns {boolean} 是否为JSON
-   */
-  isJSONString(str) {
-    try {
-      JSON.parse(str)
-      return true
-    } catch {
-      return false
-    }
-  }
-
-  /**
-   * 检查缓存大小
-   * @param {any} resource - 资源对象
-   * @returns {boolean} 是否可以缓存
-   */
-  checkCacheSize(resource) {
-    const resourceSize = this.estimateResourceSize(resource)
-    const currentCacheSize = this.calculateCurrentCacheSize()
-    
-    return (currentCacheSize + resourceSize) <= this.config.maxCacheSize
-  }
-
-  /**
-   * 估算资源大小
-   * @param {any} resource - 资源对象
-   * @returns {number} 估算大小（字节）
-   */
-  estimateResourceSize(resource) {
-    if (resource instanceof Texture && resource.image) {
-      const width = resource.image.width || 256
-      const height = resource.image.height || 256
-      return width * height * 4 // RGBA
-    }
-    
-    if (typeof resource === 'string') {
-      return resource.length * 2 // UTF-16
-    }
-    
-    if (typeof resource === 'object') {
-      return JSON.stringify(resource).length * 2
-    }
-    
-    return 1024 // 默认1KB
-  }
-
-  /**
-   * 计算当前缓存大小
-   * @returns {number} 缓存大小（字节）
-   */
-  calculateCurrentCacheSize() {
-    let totalSize = 0
-    
-    this.textureCache.forEach(texture => {
-      totalSize += this.estimateResourceSize(texture)
-    })
-    
-    this.dataCache.forEach(data => {
-      totalSize += this.estimateResourceSize(data)
-    })
-    
-    return totalSize
-  }
-
   /**
    * 更新资源统计
    * @param {string} name - 资源名称
@@ -721,6 +735,7 @@ export class MapResource {
     switch (action) {
       case 'hit':
         stats.hits++
+        stats.type = data.type || stats.type
         stats.lastAccess = Date.now()
         break
       case 'miss':
@@ -739,63 +754,53 @@ export class MapResource {
   /**
    * 清理过期缓存
    * 
-   * 根据使用频率和时间，清理不活跃的缓存资源。
-   * 释放内存空间，保持系统性能。
+   * 释放本模块持有、超过 cacheExpiry 未访问的资源引用，
+   * 没有其他引用的资源由 Resource 释放GPU内存。
    */
   cleanExpiredCache() {
     const now = Date.now()
+    const store = this.getStore()
     const expiredResources = []
     
-    // ============ 检查纹理缓存 ============
-    this.textureCache.forEach((texture, name) => {
-      const stats = this.resourceStats.get(name)
-      if (stats && (now - stats.lastAccess) > this.config.cacheExpiry) {
-        expiredResources.push({ name, type: 'texture', cache: this.textureCache })
+    // ============ 检查本模块持有的资源 ============
+    this.retained.forEach((lastAccess, name) => {
+      if ((now - lastAccess) > this.config.cacheExpiry) {
+        expiredResources.push(name)
       }
     })
     
-    // ============ 检查数据缓存 ============
-    this.dataCache.forEach((data, name) => {
-      const stats = this.resourceStats.get(name)
-      if (stats && (now - stats.lastAccess) > this.config.cacheExpiry) {
-        expiredResources.push({ name, type: 'data', cache: this.dataCache })
-      }
-    })
-    
-    // ============ 清理过期资源 ============
-    expiredResources.forEach(({ name, type, cache }) => {
-      const resource = cache.get(name)
-      if (resource && resource.dispose) {
-        resource.dispose()
-      }
-      cache.delete(name)
+    // ============ 释放过期资源 ============
+    expiredResources.forEach((name) => {
+      this.retained.delete(name)
       this.resourceStats.delete(name)
-      console.log(`[MapResource] 清理过期缓存: ${name} (${type})`)
+      store && store.release(name)
+      console.log(`[MapResource] 清理过期缓存: ${name}`)
     })
     
     if (expiredResources.length > 0) {
       this.eventBus.emit('resource:cacheCleared', {
         count: expiredResources.length,
-        types: [...new Set(expiredResources.map(r => r.type))]
+        names: expiredResources
       })
     }
     
     console.log(`[MapResource] 缓存清理完成，清理了 ${expiredResources.length} 个过期资源`)
   }
-
   /**
    * 获取性能统计信息
    * @returns {Object} 性能指标
    */
   getPerformanceMetrics() {
-    const cacheSize = this.calculateCurrentCacheSize()
+    const store = this.getStore()
+    const { size: cacheSize = 0, count: cacheCount = 0 } = store ? store.getStats() : {}
     const hitRate = this.performanceMetrics.cacheHits / 
                    (this.performanceMetrics.cacheHits + this.performanceMetrics.cacheMisses) * 100
     
     return {
       ...this.performanceMetrics,
+      queue: this.queue.getStats(),
       cacheSize,
-      cacheCount: this.textureCache.size + this.dataCache.size,
+      cacheCount,
       hitRate: isNaN(hitRate) ? 0 : hitRate.toFixed(2),
       averageLoadTime: this.performanceMetrics.totalLoadTime / 
                       Math.max(this.performanceMetrics.loadedResources, 1),
@@ -807,6 +812,7 @@ export class MapResource {
    * @returns {Object} 资源使用报告
    */
   getResourceReport() {
+    const store = this.getStore()
     const textureStats = []
     const dataStats = []
     
@@ -827,9 +833,8 @@ export class MapResource {
       dataStats: dataStats.slice(0, 10),
       totalResources: this.resourceStats.size,
       cacheUtilization: {
-        texture: this.textureCache.size,
-        data: this.dataCache.size,
-        total: this.textureCache.size + this.dataCache.size
+        retained: this.retained.size,
+        total: store ? store.getStats().count : 0
       }
     }
   }
@@ -840,16 +845,11 @@ export class MapResource {
   clearAllCache() {
     console.log('[MapResource] 清理所有缓存')
     
-    // ============ 清理纹理缓存 ============
-    this.textureCache.forEach(texture => {
-      if (texture && texture.dispose) {
-        texture.dispose()
-      }
-    })
-    this.textureCache.clear()
-    
-    // ============ 清理数据缓存 ============
-    this.dataCache.clear()
+    // ============ 释放本模块持有的资源 ============
+    // 启动清单等其他引用方的资源不受影响
+    const store = this.getStore()
+    this.retained.forEach((lastAccess, name) => store && store.release(name))
+    this.retained.clear()
     
     // ============ 清理统计信息 ============
     this.resourceStats.clear()
@@ -874,6 +874,7 @@ export class MapResource {
    */
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig }
+    this.queue.setConcurrency(this.config.maxConcurrentLoads)
     console.log('[MapResource] 配置已更新:', newConfig)
     
     this.eventBus.emit('resource:configUpdated', { config: this.config })
@@ -889,13 +890,12 @@ export class MapResource {
     // ============ 清理所有缓存 ============
     this.clearAllCache()
     
-    // ============ 清理加载队列 ============
-    this.loadingQueue.clear()
-    
-    // ============ 清理加载器 ============
-    this.textureLoader = null
-    this.fileLoader = null
-    this.compressedTextureLoader = null
+    // ============ 取消加载队列中的请求 ============
+    this.eventBus.unregisterListeners(this.listeners)
+    this.queue.cancel()
+    if (this.state.loader === this.queue) {
+      this.state.loader = null
+    }
     
     // ============ 发射销毁事件 ============
     this.eventBus.emit('resource:destroyed')
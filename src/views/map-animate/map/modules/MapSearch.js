@@ -0,0 +1,175 @@
+import { Box3, Vector3, MathUtils } from 'three'
+import { DataLoader } from '@/utils/DataLoader'
+import provincesData from '../provincesData.js'
+import { DEFAULT_TOWN_FILES } from '../boundaryProvider.js'
+import { RegionSearchIndex } from '../regionSearch.js'
+
+/**
+ * 区划搜索模块
+ *
+ * 维护区划搜索索引（见 ../regionSearch.js）并在当前地图中定位区划：
+ * - 省份：provincesData 中的名称和区划代码
+ * - 市、区县：每次加载子地图时索引其GeoJSON属性
+ * - 乡镇、村：第一次搜索时读取默认村镇数据文件（DataLoader），村名取自 DataLoader 内置数据，
+ *   挂到同名乡镇下
+ *
+ * 进入上级地图由 ModularWorld.focusRegion 通过导航模块完成，
+ * 本模块只负责搜索、在当前地图中飞到区划（flyToRegion）。
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class MapSearch {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
+  constructor(state, eventBus) {
+    this.state = state
+    this.eventBus = eventBus
+
+    this.index = new RegionSearchIndex()
+    provincesData.forEach(({ adcode, name }) => this.index.add({ adcode, name, level: 'province', parent: null }))
+    // 村镇数据的加载Promise，第一次搜索时创建
+    this.townIndexLoading = null
+
+    // 子地图加载完成后索引其中的区域
+    this.onLoadComplete = ({ userData, childMap }) => {
+      let level = userData.childrenNum ? undefined : 'town'
+      this.addSearchRegions(childMap.options.mapData, userData.adcode, { level })
+    }
+    this.eventBus.on('navigation:loadComplete', this.onLoadComplete)
+  }
+
+  /**
+   * 搜索区划，第一次调用时开始在后台加载村镇数据，加载完成后发射 search:indexUpdate 事件
+   * @param {string} query - 名称、拼音首字母或区划代码
+   * @param {Object} options - { limit } 最多返回的数量，默认10
+   * @returns {Array<Object>} [{ id, adcode, name, level, parent, context }]，见 RegionSearchIndex.search
+   */
+  searchRegions(query, options) {
+    this.loadTownIndex()
+    return this.index.search(query, options)
+  }
+
+  /**
+   * 按 id 获取索引中的区划
+   * @param {string|number} id - 区划代码，村为 "<乡镇代码>/<村名>"
+   * @returns {Object|undefined}
+   */
+  getSearchRegion(id) {
+    return this.index.get(id)
+  }
+
+  /**
+   * 把GeoJSON中的区域加入搜索索引
+   * @param {Object|string} geoJson - GeoJSON数据或文本
+   * @param {string|number|null} parent - 这些区域所在地图的区划代码，全国为null
+   * @param {Object} options - { level } 属性中没有 level 时使用的级别
+   */
+  addSearchRegions(geoJson, parent, options) {
+    try {
+      this.index.addFeatures(geoJson, parent, options)
+    } catch (error) {
+      console.warn('[MapSearch] 无法索引区划数据:', error.message)
+    }
+  }
+
+  /**
+   * 加载默认村镇数据文件中的乡镇和内置数据中的村，只加载一次
+   * 文件中的省、市、区县名称一并加入索引，作为搜索结果的上级说明
+   * @returns {Promise<void>}
+   */
+  loadTownIndex() {
+    if (this.townIndexLoading) return this.townIndexLoading
+    this.townIndexLoading = Promise.all(
+      Object.keys(DEFAULT_TOWN_FILES).map((adcode) =>
+        DataLoader.loadLocalData(DEFAULT_TOWN_FILES[adcode]).then(
+          (geoJson) => this._addTowns(adcode, geoJson),
+          (error) => console.warn(`[MapSearch] 村镇数据加载失败: ${adcode}`, error.message)
+        )
+      )
+    ).then(() => {
+      this.eventBus.emit('search:indexUpdate', { size: this.index.regions.size })
+    })
+    return this.townIndexLoading
+  }
+
+  /**
+   * 在当前地图（全国或子地图）中查找区划的区域组
+   * @param {string|number} adcode - 区划代码
+   * @returns {Group|null}
+   */
+  findRegionGroup(adcode) {
+    let { childMap, eventElement } = this.state
+    if (childMap) return childMap.map.regionGroups.get(String(adcode)) || null
+    let mesh = eventElement.find((element) => element.parent && element.parent.userData.adcode == adcode)
+    return mesh ? mesh.parent : null
+  }
+
+  /**
+   * 相机飞到当前地图中的区划，距离按区域大小计算
+   * @param {string|number} adcode - 区划代码
+   * @param {Object} options - 配置参数
+   * @param {number} options.polar - 与竖直方向的夹角（度），默认35
+   * @param {number} options.duration - 飞行时长（秒），默认1.5
+   * @returns {Promise<boolean>} 是否到达（区划不在当前地图中或被用户打断时为false）
+   */
+  flyToRegion(adcode, options = {}) {
+    let { polar = 35, duration = 1.5 } = options
+    let group = this.findRegionGroup(adcode)
+    if (!group) {
+      console.warn(`[MapSearch] 当前地图中没有区划: ${adcode}`)
+      return Promise.resolve(false)
+    }
+    let box = new Box3().setFromObject(group)
+    let target = box.getCenter(new Vector3())
+    let size = box.getSize(new Vector3())
+    let distance = Math.max(size.x, size.z, 4) * 1.6
+    let angle = MathUtils.degToRad(polar)
+    let position = target.clone().add(new Vector3(0, Math.cos(angle) * distance, Math.sin(angle) * distance))
+    return this.state.camera.flyTo(
+      { position: position.toArray(), target: target.toArray() },
+      { duration, ease: 'easeInOut' }
+    )
+  }
+
+  /**
+   * 索引一个区县的乡镇，以及内置数据中同名乡镇的村
+   * @param {string} adcode - 区县代码
+   * @param {Object} geoJson - 乡镇GeoJSON
+   * @private
+   */
+  _addTowns(adcode, geoJson) {
+    let towns = this.index.addFeatures(geoJson, adcode, { level: 'town' })
+
+    // 文件属性中的省、市、区县名称
+    let { province, city, country } = (geoJson.features[0] && geoJson.features[0].properties) || {}
+    let provinceCode = adcode.slice(0, 2) + '0000'
+    let cityCode = adcode.slice(0, 4) + '00'
+    const addParent = (region) => region.name && !this.index.get(region.adcode) && this.index.add(region)
+    addParent({ adcode: provinceCode, name: province, level: 'province', parent: null })
+    addParent({ adcode: cityCode, name: city, level: 'city', parent: provinceCode })
+    addParent({ adcode, name: country, level: 'district', parent: cityCode })
+
+    // 内置数据的村，定位到同名乡镇
+    DataLoader.getBuiltinTownData().features.forEach(({ properties }) => {
+      let town = towns.find((item) => item.name === properties.name)
+      if (!town || !String(properties.adcode).startsWith(adcode)) return
+      let context = `${this.index.getContext(town)} ${town.name}`.trim()
+      ;(properties.villages || []).forEach(({ name }) => {
+        this.index.add({ id: `${town.id}/${name}`, adcode: town.adcode, name, level: 'village', parent: adcode, context })
+      })
+    })
+  }
+
+  /**
+   * 销毁搜索模块
+   */
+  destroy() {
+    this.eventBus.off('navigation:loadComplete', this.onLoadComplete)
+    this.index.clear()
+    console.log('[MapSearch] 区划搜索模块已销毁')
+  }
+}
@@ -0,0 +1,217 @@
+import gsap from "gsap"
+import {
+  getTheme as findTheme,
+  getThemeNames,
+  registerTheme as addTheme,
+  resolveTheme,
+  getLabelCssVariables,
+  tweenColor,
+  LABEL_CSS_VARIABLES,
+} from "../themes.js"
+
+/**
+ * 主题模块
+ *
+ * 运行时切换整套配色（主题定义见 themes.js），颜色在 duration 内平滑过渡：
+ * - 场景背景、雾效、灯光
+ * - 主地图和子地图（含村镇级）的顶面、侧面渐变、边界线、点标记
+ * - 旋转边框、网格波纹、粒子、散点、飞线、飞线焦点、轮廓流动线
+ * - 标签、标牌、图例等HTML元素：写入 :root 上的 --map-label-* CSS变量
+ *
+ * 柱状图颜色由 MapVisualization 监听 'theme:change' 自行过渡；
+ * 分级设色着色过的区域保持色带颜色。
+ * 新创建的地图、子地图、柱子直接读取 state.theme，切换后无需额外处理。
+ *
+ * 派发的事件：
+ * - 'theme:change'：{ theme, duration } 主题已切换
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class MapTheme {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
+  constructor(state, eventBus) {
+    this.state = state
+    this.eventBus = eventBus
+
+    // 是否调用过 setTheme；未调用时保留场景配置中各图层自己的颜色
+    this.applied = false
+
+    this.listeners = {
+      // 网格波纹在地图入场动画完成后才创建
+      "materials:gridRippleCreated": () => this.applied && this._applyLayers(this.state.theme, 0),
+    }
+    eventBus.registerListeners(this.listeners)
+  }
+
+  /**
+   * 切换主题
+   * @param {string|Object} theme - 已注册的主题名称，或主题对象（未写出的颜色继承 extends 指定的主题）
+   * @param {Object} options - 配置参数
+   * @param {number} options.duration - 过渡时长（秒），默认1，0为立即生效
+   * @returns {Object} 完整主题
+   * @throws {Error} 主题未注册
+   *
+   * @example
+   * world.setTheme("light")
+   * world.setTheme({ extends: "high-contrast", map: { line: "#ff6600" } }, { duration: 0 })
+   */
+  setTheme(theme, options = {}) {
+    let { duration } = Object.assign({ duration: 1 }, options)
+    let resolved = typeof theme === "string" ? findTheme(theme) : resolveTheme(theme)
+    if (!resolved) {
+      throw new Error(`[MapTheme] 未注册的主题 "${theme}"，可选：${getThemeNames().join("、")}`)
+    }
+
+    this.state.theme = resolved
+    this.applied = true
+
+    this._applyEnvironment(resolved, duration)
+    this._applyMap(this.state.provinceMesh, resolved, duration)
+    this._applyChildMap(this.state.childMap, resolved, duration)
+    this._applyLayers(resolved, duration)
+    this._applyLabels(resolved, duration)
+
+    this.eventBus.emit("theme:change", { theme: resolved, duration })
+    console.log(`[MapTheme] 切换主题: ${resolved.name || "custom"}`)
+    return resolved
+  }
+
+  /**
+   * 当前主题
+   * @returns {Object}
+   */
+  getTheme() {
+    return this.state.theme
+  }
+
+  /**
+   * 注册自定义主题，见 themes.js registerTheme
+   * @param {string} name - 主题名称
+   * @param {Object} theme - 主题
+   * @returns {Object} 完整主题
+   */
+  registerTheme(name, theme) {
+    return addTheme(name, theme)
+  }
+
+  /**
+   * 已注册的主题名称
+   * @returns {Array<string>}
+   */
+  getThemeNames() {
+    return getThemeNames()
+  }
+
+  // ============ 场景环境 ============
+
+  _applyEnvironment(theme, duration) {
+    let { scene } = this.state
+    scene.background && scene.background.isColor && tweenColor(scene.background, theme.background, duration)
+    scene.fog && tweenColor(scene.fog.color, theme.fog, duration)
+
+    this.state.lights.forEach((light) => {
+      let type = light.isAmbientLight ? "ambient" : light.isDirectionalLight ? "directional" : "point"
+      theme.lights[type] && tweenColor(light.color, theme.lights[type], duration)
+    })
+  }
+
+  // ============ 地图 ============
+
+  /**
+   * 地图顶面颜色，跳过分级设色着色过的材质
+   * @param {ExtrudeMap} map - 主地图或子地图
+   */
+  _applyMap(map, theme, duration) {
+    if (!map) return
+    let materials = new Set()
+    map.mapGroup.traverse((obj) => {
+      // 只处理区域网格（顶面/侧面材质数组），跳过热力图等贴在顶面上的叠加层
+      if (obj.isMesh && Array.isArray(obj.material)) materials.add(obj.material[0])
+    })
+    materials.forEach((material) => {
+      material.userData.choropleth || tweenColor(material.color, theme.map.top, duration)
+    })
+
+    // 侧面渐变uniform所有地图共享
+    let sideUniforms = this.state.mapSideUniforms
+    if (sideUniforms) {
+      let [sideColor1, sideColor2] = theme.map.side
+      tweenColor(sideUniforms.uColor1.value, sideColor1, duration)
+      tweenColor(sideUniforms.uColor2.value, sideColor2, duration)
+    }
+  }
+
+  /**
+   * 子地图：顶面、边界线、点标记
+   * @param {ChildMap} childMap - 子地图实例
+   */
+  _applyChildMap(childMap, theme, duration) {
+    if (!childMap || !childMap.map) return
+    this._applyMap(childMap.map, theme, duration)
+    childMap.mapLineMaterial && tweenColor(childMap.mapLineMaterial.color, theme.map.line, duration)
+    childMap.pointDefaultMaterial && tweenColor(childMap.pointDefaultMaterial.color, theme.map.point, duration)
+    childMap.pointHoverMaterial && tweenColor(childMap.pointHoverMaterial.color, theme.map.pointHover, duration)
+  }
+
+  // ============ 图层 ============
+
+  /**
+   * 各图层材质颜色，未创建的图层跳过
+   */
+  _applyLayers(theme, duration) {
+    let { state } = this
+    let targets = []
+    let add = (material, color) => material && targets.push([material.color, color])
+
+    add(state.provinceLineMaterial, theme.map.line)
+    state.strokeLineGroup && add(state.strokeLineGroup.options.material, theme.map.stroke)
+    state.rotateBorder1 && add(state.rotateBorder1.material, theme.rotateBorder)
+    state.rotateBorder2 && add(state.rotateBorder2.material, theme.rotateBorder)
+    state.particles && state.particles.instance && add(state.particles.instance.material, theme.particles)
+    state.gridRipple && state.gridRipple.forEach((mesh) => add(mesh.material, theme.grid))
+    state.gridRippleShader && targets.push([state.gridRippleShader.color, theme.gridDiffuse])
+    state.flyLineFocusGroup && state.flyLineFocusGroup.children.forEach((mesh) => add(mesh.material, theme.flyLineFocus))
+    state.allFlyLine.forEach((flyLine) => add(flyLine.options.material, theme.flyLine))
+    state.allScatter.forEach((sprite) => add(sprite.material, theme.scatter))
+
+    // 共享材质只过渡一次
+    let seen = new Set()
+    targets.forEach(([color, value]) => {
+      if (seen.has(color)) return
+      seen.add(color)
+      tweenColor(color, value, duration)
+    })
+  }
+
+  // ============ 标签 ============
+
+  /**
+   * 标签样式通过CSS变量生效，见 map.vue 中的 :root 默认值
+   */
+  _applyLabels(theme, duration) {
+    let root = document.documentElement
+    let variables = getLabelCssVariables(theme)
+    gsap.killTweensOf(root)
+    if (duration) {
+      gsap.to(root, Object.assign({ duration, ease: "power1.inOut" }, variables))
+    } else {
+      gsap.set(root, variables)
+    }
+  }
+
+  /**
+   * 销毁模块，移除写入的CSS变量
+   */
+  destroy() {
+    this.eventBus.unregisterListeners(this.listeners)
+    let root = document.documentElement
+    gsap.killTweensOf(root)
+    Object.values(LABEL_CSS_VARIABLES).forEach((name) => root.style.removeProperty(name))
+    console.log('[MapTheme] 模块已销毁')
+  }
+}
@@ -0,0 +1,238 @@
+import { Raycaster, Vector2 } from 'three'
+import { TooltipManager } from '../tooltip.js'
+
+/**
+ * 提示框模块
+ *
+ * 统一管理各图层的悬停提示框和点击固定的信息面板（见 ../tooltip.js），
+ * 图层通过 registerTooltip 注册模板后才显示提示：
+ * - province：主地图省份，来自 map:hover / map:click
+ * - region、town：子地图区域和村镇级地图的村镇，来自 map:regionHover / map:regionClick
+ * - bar、scatter：柱状图和散点，本模块按鼠标位置拾取
+ * - flow：流向线，来自 flow:hover / flow:click，由流向模块注册
+ *
+ * 模板收到的属性为要素的GeoJSON属性或图层数据记录。
+ * 多个图层同时悬停时（如柱子下面的省份）显示最后进入的，离开后恢复前一个。
+ * 切换地图层级时关闭全部提示框和信息面板。
+ *
+ * 其他模块可以通过事件总线注册：
+ * - 'tooltip:register'：{ layer, template, options }
+ * - 'tooltip:unregister'：{ layer }
+ *
+ * 派发的事件：
+ * - 'tooltip:pin'：{ layer, properties } 固定了信息面板
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class MapTooltip {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
+  constructor(state, eventBus) {
+    this.state = state
+    this.eventBus = eventBus
+
+    this.tooltips = new TooltipManager()
+    // 悬停中的要素，后进入的在后面 [{ layer, key, properties, anchor }]
+    this.hovers = []
+    // 本模块拾取的图层（柱状图、散点）当前悬停的对象
+    this.pickedObject = null
+    this.raycaster = new Raycaster()
+    this.pointer = new Vector2()
+    this.pointerMoved = false
+
+    this.onMouseMove = (event) => {
+      this.tooltips.move(event.clientX, event.clientY)
+      this.pointerMoved = true
+    }
+    // 捕获阶段处理，先于交互管理器：固定了柱子、散点的信息面板时不再点击下面的省份（不下钻）
+    this.onMouseDown = () => {
+      let picked = this.pickedObject
+      if (picked && this._pin(picked.layer, picked.properties, picked.anchor)) this.state.clicked = true
+    }
+    window.addEventListener('mousemove', this.onMouseMove)
+    window.addEventListener('mousedown', this.onMouseDown, true)
+
+    let onMapChange = () => this.closeTooltips()
+    this.listeners = {
+      'map:hover': ({ province, target, action }) => {
+        if (!this.state.mainSceneGroup.visible && action === 'enter') return
+        let properties = this._getProvinceProperties(province)
+        this._hover('province', province.adcode, properties, target.parent, action === 'enter')
+      },
+      'map:click': ({ province, target }) => {
+        this.state.mainSceneGroup.visible && this._pin('province', this._getProvinceProperties(province), target.parent)
+      },
+      'map:regionHover': ({ region, target, town, action }) => {
+        this._hover(town ? 'town' : 'region', region.adcode, region, target, action === 'enter')
+      },
+      'map:regionClick': ({ region, target, town }) => this._pin(town ? 'town' : 'region', region, target),
+      'flow:hover': ({ flow, action }) => this._hover('flow', flow, flow, null, action === 'enter'),
+      'flow:click': ({ flow }) => this._pin('flow', flow, null),
+      'tooltip:register': ({ layer, template, options }) => this.registerTooltip(layer, template, options),
+      'tooltip:unregister': ({ layer }) => this.unregisterTooltip(layer),
+      'navigation:loadComplete': onMapChange,
+      [eventBus.EVENTS.NAVIGATION_CHANGE]: onMapChange,
+      [eventBus.EVENTS.SCENE_CHANGE]: onMapChange,
+    }
+    eventBus.registerListeners(this.listeners)
+  }
+
+  /**
+   * 注册图层的提示框模板，已注册的替换
+   * @param {string} layer - 图层名：province | region | town | bar | scatter | flow，或自定义图层
+   * @param {string|Function|Object} template - HTML字符串（{{字段}}）、(properties, layer) => HTML 或 Vue组件，默认显示名称和常见数值
+   * @param {Object} options - 配置参数
+   * @param {string} options.follow - 定位方式 cursor（跟随鼠标，默认）| anchor（固定在对象上方）
+   * @param {boolean} options.pin - 点击时是否固定为信息面板，默认true
+   * @param {Array<number>} options.offset - 相对鼠标（锚点）的偏移 [x, y]
+   *
+   * @example
+   * world.registerTooltip("bar", "<div class=\"map-tooltip-title\">{{name}}</div>{{value}} 万人", { follow: "anchor" })
+   * world.registerTooltip("town", TownInfoCard) // Vue组件，props: { properties, layer }
+   */
+  registerTooltip(layer, template, options) {
+    this.tooltips.options.camera = this.state.camera
+    this.tooltips.options.canvas = this.state.canvas
+    this.tooltips.register(layer, template, options)
+  }
+
+  /**
+   * 取消注册图层的提示框，关闭该图层的提示框和信息面板
+   * @param {string} layer - 图层名
+   */
+  unregisterTooltip(layer) {
+    this.tooltips.unregister(layer)
+    this.hovers = this.hovers.filter((hover) => hover.layer !== layer)
+  }
+
+  /**
+   * 在自定义图层或指定位置显示信息面板
+   * @param {string} layer - 已注册的图层名
+   * @param {Object} properties - 要素属性
+   * @param {Object} position - { x, y } 屏幕坐标，或 { anchor } 3D对象、世界坐标
+   * @returns {boolean} 是否已显示
+   */
+  pinTooltip(layer, properties, position) {
+    return !!this.tooltips.pin(layer, properties, position)
+  }
+
+  /**
+   * 关闭全部提示框和信息面板
+   */
+  closeTooltips() {
+    this.hovers = []
+    this.pickedObject = null
+    this.tooltips.closeAll()
+  }
+
+  /**
+   * 每帧更新：拾取柱状图和散点，重新定位锚定的提示框
+   */
+  update() {
+    if (this.pointerMoved) {
+      this.pointerMoved = false
+      this._pickObjects()
+    }
+    this.tooltips.update()
+  }
+
+  /**
+   * 悬停进入或离开，显示最后进入的要素
+   * @param {string} layer - 图层名
+   * @param {*} key - 要素标识
+   * @param {Object} properties - 要素属性
+   * @param {Object3D|null} anchor - 锚定的对象
+   * @param {boolean} enter - 是否为进入
+   * @private
+   */
+  _hover(layer, key, properties, anchor, enter) {
+    if (!this.tooltips.has(layer)) return
+    let top = this.hovers[this.hovers.length - 1]
+    this.hovers = this.hovers.filter((hover) => hover.layer !== layer || hover.key !== key)
+    enter && this.hovers.push({ layer, key, properties, anchor })
+
+    let next = this.hovers[this.hovers.length - 1]
+    if (next === top) return
+    next ? this.tooltips.show(next.layer, next.properties, { anchor: next.anchor }) : this.tooltips.hide()
+  }
+
+  /**
+   * 固定信息面板
+   * @returns {boolean} 是否已固定
+   * @private
+   */
+  _pin(layer, properties, anchor) {
+    if (!this.tooltips.pin(layer, properties, { anchor })) return false
+    this.hovers = this.hovers.filter((hover) => hover.layer !== layer)
+    this.eventBus.emit('tooltip:pin', { layer, properties })
+    return true
+  }
+
+  /**
+   * 按鼠标位置拾取柱状图和散点（只在注册了对应图层、主场景显示时）
+   * @private
+   */
+  _pickObjects() {
+    let { camera, canvas, mainSceneGroup, layerData } = this.state
+    let candidates = []
+    if (camera && canvas && mainSceneGroup && mainSceneGroup.visible) {
+      this.tooltips.has('bar') && candidates.push(...this.state.allBar)
+      this.tooltips.has('scatter') && this.state.scatterGroup && this.state.scatterGroup.visible && candidates.push(...this.state.allScatter)
+    }
+
+    let object = null
+    if (candidates.length) {
+      let rect = canvas.getBoundingClientRect()
+      let [x, y] = this.tooltips.mouse
+      this.pointer.set(((x - rect.left) / rect.width) * 2 - 1, -((y - rect.top) / rect.height) * 2 + 1)
+      this.raycaster.setFromCamera(this.pointer, camera.instance)
+      let hit = this.raycaster.intersectObjects(candidates, false)[0]
+      object = hit ? hit.object : null
+    }
+
+    let previous = this.pickedObject
+    if ((previous && previous.object) === object) return
+    previous && this._hover(previous.layer, previous.key, previous.properties, previous.anchor, false)
+    this.pickedObject = null
+    if (!object) return
+
+    let isBar = this.state.allBar.includes(object)
+    let layer = isBar ? 'bar' : 'scatter'
+    let key = isBar ? object.userData.adcode : object.userData.key
+    let properties = layerData[layer].get(key)
+    if (!properties) return
+    this.pickedObject = { object, layer, key, properties, anchor: object }
+    this._hover(layer, key, properties, object, true)
+  }
+
+  /**
+   * 省份的GeoJSON属性，加上网格上的名称、区划代码和柱状图数据中的数值
+   * @private
+   */
+  _getProvinceProperties(province) {
+    let map = this.state.provinceMesh
+    let region = map && map.coordinates[province.index]
+    let record = this.state.layerData.bar.get(province.adcode)
+    return Object.assign({}, region && region.properties, record && { value: record.value }, {
+      name: province.name,
+      adcode: province.adcode,
+    })
+  }
+
+  /**
+   * 销毁模块
+   */
+  destroy() {
+    this.eventBus.unregisterListeners(this.listeners)
+    window.removeEventListener('mousemove', this.onMouseMove)
+    window.removeEventListener('mousedown', this.onMouseDown, true)
+    this.tooltips.destroy()
+    this.hovers = []
+    this.pickedObject = null
+    console.log('[MapTooltip] 提示框模块已销毁')
+  }
+}
@@ -0,0 +1,232 @@
+import { Vector3, Spherical, MathUtils } from 'three'
+import { CameraTour } from '@/mini3d'
+
+/**
+ * 相机书签与巡游模块
+ *
+ * 在 mini3d Camera 的视角书签和 CameraTour 之上提供地图相关的部分：
+ * - 视角可以用地理坐标描述：{ lng, lat, distance, polar, azimuth, fov }，换算为世界坐标的相机位置和目标点
+ * - 场景配置的 camera.bookmarks 和入场动画的起点（start）、终点（home）保存为书签
+ * - 巡游到站后执行的动作：label（显示标签）由本模块处理，
+ *   highlight、outline、theme 等涉及其他模块的动作由 ModularWorld 通过 registerTourAction 注册
+ *
+ * 地理视角：目标点为该经纬度处的地图顶面，相机在目标点的球面上，
+ * polar 为与竖直方向的夹角（度），azimuth 为绕竖直轴的方位角（度，0为从正南看向北）。
+ *
+ * 派发的事件：
+ * - 'tour:step'：{ index, step } 开始前往某一站
+ * - 'tour:change'：巡游状态（同 getTourState），移除巡游时为null
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class MapTour {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
+  constructor(state, eventBus) {
+    this.state = state
+    this.eventBus = eventBus
+
+    this.tour = null
+    // 动作类型 -> 处理函数，加载巡游时交给 CameraTour
+    this.actions = new Map()
+    this.actions.set("label", (action) => this._showLabel(action))
+  }
+
+  // ============ 视角书签 ============
+
+  /**
+   * 把视角换算为世界坐标，书签名称和世界坐标视角原样返回
+   * @param {Object|string} view - 视角、地理视角或书签名称
+   * @returns {Object|string}
+   */
+  resolveView(view) {
+    if (typeof view === "string" || view.lng === undefined || view.lat === undefined) return view
+    let { lng, lat, distance = 60, polar = 35, azimuth = 0, fov } = view
+    let [x, y] = this.state.geoProjection([lng, lat])
+    // 主场景组绕X轴旋转了-90°，地图平面的 (x, -y, depth) 对应世界坐标 (x, depth, y)
+    let target = new Vector3(x, this.state.depth, y)
+    let offset = new Vector3().setFromSpherical(
+      new Spherical(distance, MathUtils.degToRad(polar), MathUtils.degToRad(azimuth))
+    )
+    let resolved = { position: target.clone().add(offset).toArray(), target: target.toArray() }
+    fov !== undefined && (resolved.fov = fov)
+    return resolved
+  }
+
+  /**
+   * 保存相机书签
+   * @param {string} name - 书签名称
+   * @param {Object} view - 视角或地理视角，默认为当前视角
+   * @returns {Object} 保存的书签
+   *
+   * @example
+   * world.saveCameraBookmark("east", { lng: 120.5, lat: 31, distance: 50, polar: 40 })
+   */
+  saveCameraBookmark(name, view) {
+    let camera = this.state.camera
+    return view ? camera.saveBookmark(name, this.resolveView(view)) : camera.saveBookmark(name)
+  }
+
+  /**
+   * 批量保存相机书签
+   * @param {Object<string, Object>} bookmarks - { 名称: 视角或地理视角 }
+   */
+  setCameraBookmarks(bookmarks = {}) {
+    Object.keys(bookmarks).forEach((name) => this.saveCameraBookmark(name, bookmarks[name]))
+  }
+
+  /**
+   * 全部相机书签（世界坐标）
+   * @returns {Array<Object>}
+   */
+  getCameraBookmarks() {
+    return this.state.camera.getBookmarks()
+  }
+
+  /**
+   * 删除相机书签
+   * @param {string} name - 书签名称
+   */
+  removeCameraBookmark(name) {
+    this.state.camera.removeBookmark(name)
+  }
+
+  /**
+   * 相机飞行到视角
+   * @param {Object|string} view - 视角、地理视角或书签名称
+   * @param {Object} options - { duration, ease, interruptible }，见 Camera.flyTo
+   * @returns {Promise<boolean>} 是否到达
+   */
+  flyToView(view, options) {
+    return this.state.camera.flyTo(this.resolveView(view), options)
+  }
+
+  // ============ 巡游 ============
+
+  /**
+   * 加载巡游，替换已有的巡游
+   *
+   * @param {Object} options - 配置参数
+   * @param {Array<Object>} options.steps - 站点 [{ view, name, duration, ease, dwell, actions }]，
+   *   view 为视角、地理视角或书签名称，actions 如 [{ type: "highlight", adcode }, { type: "label", text, lng, lat }]
+   * @param {boolean} options.loop - 是否循环，默认true
+   * @param {boolean} options.autoplay - 加载后是否立即播放，默认false
+   * @param {number} options.idleResume - 用户操作中断后空闲多少秒自动继续，默认0不自动继续
+   * @returns {Object} 巡游状态
+   *
+   * @example
+   * world.loadTour({
+   *   steps: [
+   *     { view: "home", dwell: 4 },
+   *     { view: { lng: 121.47, lat: 31.23, distance: 40 }, name: "上海", actions: [{ type: "highlight", adcode: 310000 }] },
+   *   ],
+   *   autoplay: true,
+   *   idleResume: 30,
+   * })
+   */
+  loadTour(options = {}) {
+    this.clearTour()
+    let { steps = [], loop = true, autoplay = false, idleResume = 0 } = options
+    let resolvedSteps = steps.map((step) => Object.assign({}, step, { view: this.resolveView(step.view) }))
+
+    let tour = new CameraTour(this.state, {
+      steps: resolvedSteps,
+      loop,
+      idleResume,
+      actions: Object.fromEntries(this.actions),
+    })
+    tour.on("step", (data) => this.eventBus.emit("tour:step", data))
+    tour.on("change", (state) => this.eventBus.emit("tour:change", state))
+    this.tour = tour
+    console.log(`[MapTour] 巡游已加载，共 ${resolvedSteps.length} 站`)
+
+    autoplay ? tour.play() : this.eventBus.emit("tour:change", tour.getState())
+    return tour.getState()
+  }
+
+  /**
+   * 注册巡游动作，已加载的巡游同时生效
+   * @param {string} type - 动作类型
+   * @param {Function} handler - (action, step) => 撤销函数（可选），离站时调用
+   */
+  registerTourAction(type, handler) {
+    this.actions.set(type, handler)
+    this.tour && this.tour.registerAction(type, handler)
+  }
+
+  playTour() {
+    this.tour && this.tour.play()
+  }
+
+  pauseTour() {
+    this.tour && this.tour.pause()
+  }
+
+  stopTour() {
+    this.tour && this.tour.stop()
+  }
+
+  nextTourStep() {
+    this.tour && this.tour.next()
+  }
+
+  previousTourStep() {
+    this.tour && this.tour.previous()
+  }
+
+  /**
+   * 前往指定站
+   * @param {number} index - 站序号
+   */
+  gotoTourStep(index) {
+    this.tour && this.tour.goto(index)
+  }
+
+  /**
+   * 当前巡游状态
+   * @returns {Object|null} { playing, index, total, phase, name, interrupted }，未加载时为null
+   */
+  getTourState() {
+    return this.tour ? this.tour.getState() : null
+  }
+
+  /**
+   * 移除巡游，撤销当前站的动作
+   */
+  clearTour() {
+    if (!this.tour) return
+    this.tour.destroy()
+    this.tour = null
+    this.eventBus.emit("tour:change", null)
+  }
+
+  /**
+   * label 动作：在经纬度处显示标签，离站时移除
+   * @param {Object} action - { text, lng, lat, height }，height 为离地图顶面的高度，默认2
+   * @returns {Function} 撤销函数
+   * @private
+   */
+  _showLabel({ text = "", lng, lat, height = 2 }) {
+    let { label3d, mainSceneGroup } = this.state
+    let [x, y] = this.state.geoProjection([lng, lat])
+    let label = label3d.create("", "tour-label", true)
+    label.init(text, new Vector3(x, -y, this.state.depth + height))
+    label3d.setLabelStyle(label, 0.06, "x")
+    mainSceneGroup.add(label)
+    // 从父对象移除时 CSS3DObject 会清理自己的DOM元素
+    return () => label.removeFromParent()
+  }
+
+  /**
+   * 销毁模块
+   */
+  destroy() {
+    this.clearTour()
+    this.actions.clear()
+    console.log('[MapTour] 模块已销毁')
+  }
+}
@@ -0,0 +1,459 @@
+import { Vector3 } from 'three'
+import { MovingObjects } from '@/mini3d'
+import { parseTime, PlaybackClock } from '../playback.js'
+
+// 只由模块使用、不传给 MovingObjects 的配置项
+const MODULE_OPTIONS = [
+  "data", "timeField", "clock", "delay", "duration", "loop", "icon",
+  "label", "follow", "followDistance", "followSpeed",
+]
+
+/**
+ * 移动对象跟踪模块
+ *
+ * 在主地图上显示按 GPS 定位点移动的车辆、船舶等（见 mini3d MovingObjects）：
+ * - 定位点之间按时间插值位置，指定 route 的对象沿运输路径（pathLine 图层）移动并朝向路径方向
+ * - 图标（默认箭头，或已加载的纹理资源）或通过 Resource 加载的 glTF 模型
+ * - 尾迹和名称标签
+ * - 点击对象选中，相机平滑跟随选中的对象
+ *
+ * 时钟（options.clock）：
+ * - realtime：当前时间减去 delay 秒，配合 setTrackingData(records, { merge: true }) 推送实时定位
+ * - playback：跟随时间序列回放（MapPlayback）的当前时刻
+ * - replay：模块自己的循环时钟，duration 秒播完全部定位点的时间范围
+ *
+ * 派发的事件：
+ * - 'tracking:created'：{ movingObjects } 移动对象已创建
+ * - 'tracking:select'：{ object } 选中对象（object 为合并后的对象信息）
+ * - 'tracking:follow'：{ id } 相机开始跟随对象，停止跟随时 id 为null
+ * - DATA_UPDATE：{ layer: "tracking", added, updated, removed, records }
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class MapTracking {
+  /**
+   * 构造函数
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   */
+  constructor(state, eventBus) {
+    this.state = state
+    this.eventBus = eventBus
+
+    // 当前配置，null表示未创建
+    this.options = null
+    // 当前全部定位记录（时间已解析为数值）
+    this.records = []
+    // replay 时钟
+    this.clock = null
+    // 回放模块的当前时刻，未加载回放时为null
+    this.playbackTime = null
+    // 每次创建递增，丢弃过期的异步模型加载结果
+    this.createId = 0
+    // 已加载的模型模板，键为模型路径
+    this.models = new Map()
+    // 对象id -> 名称标签
+    this.labels = new Map()
+    this.labelsVisible = true
+    this.pickObjects = []
+    this.boundPicks = new WeakSet()
+    this.selectedId = null
+    this.followId = null
+    // 跟随开始后是否已拉近到 followDistance
+    this.followZoomed = false
+    this.followTarget = new Vector3()
+    this.followOffset = new Vector3()
+
+    this.onTick = (delta) => this._update(delta)
+
+    let onMapChange = () => this.unfollowTrackingObject()
+    this.listeners = {
+      "playback:change": (playback) => {
+        this.playbackTime = playback ? playback.time : null
+      },
+      "navigation:loadComplete": onMapChange,
+      [eventBus.EVENTS.SCENE_CHANGE]: onMapChange,
+    }
+    eventBus.registerListeners(this.listeners)
+  }
+
+  /**
+   * 创建或替换移动对象
+   *
+   * @param {Object} options - 配置参数，另支持 MovingObjects 的 size、color、trail、trailLength、snapDistance 等
+   * @param {Array<Object>} options.data - 定位记录 [{ id, time, lng, lat, route, name, color }]，
+   *   route 为运输路径的序号，name 显示在标签上
+   * @param {string} options.timeField - 时间字段，默认time；支持数字、日期字符串和Date
+   * @param {string} options.clock - 时钟：realtime（默认）、playback 或 replay
+   * @param {number} options.delay - realtime 时钟滞后当前时间的秒数，定位延迟到达时避免停在最后一个点
+   * @param {number} options.duration - replay 时钟播完全程的秒数，默认30
+   * @param {boolean} options.loop - replay 时钟是否循环，默认true
+   * @param {string} options.model - glTF 模型路径，通过 Resource 加载，加载失败时使用图标
+   * @param {string} options.icon - 图标纹理的资源名（需已由 Resource 加载），默认为箭头
+   * @param {boolean} options.label - 是否显示名称标签，默认true
+   * @param {boolean} options.follow - 点击选中后相机是否跟随，默认true
+   * @param {number} options.followDistance - 跟随开始时相机拉近到的距离，默认不改变距离
+   * @param {number} options.followSpeed - 相机跟随的平滑系数，越大越紧，默认4
+   * @returns {Promise<MovingObjects|null>} 被新的创建或移除打断时为null
+   *
+   * @example
+   * world.createTracking({
+   *   data: [
+   *     { id: "truck-1", time: "2024-05-01T08:00", lng: 116.41, lat: 39.9, route: 0, name: "京A-12345" },
+   *     { id: "truck-1", time: "2024-05-01T12:00", lng: 117.15, lat: 35.29, route: 0 },
+   *   ],
+   *   clock: "replay",
+   *   duration: 40,
+   * })
+   */
+  async createTracking(options = {}) {
+    this.removeTracking()
+    let createId = this.createId
+    let moduleOptions = Object.assign(
+      {
+        data: [],
+        timeField: "time",
+        clock: "realtime",
+        delay: 0,
+        duration: 30,
+        loop: true,
+        label: true,
+        follow: true,
+        followSpeed: 4,
+      },
+      options
+    )
+
+    let model = null
+    if (moduleOptions.model) {
+      try {
+        model = await this._loadModel(moduleOptions.model)
+      } catch (error) {
+        console.warn(`[MapTracking] 模型 ${moduleOptions.model} 加载失败，使用图标:`, error)
+      }
+      // 加载期间被重新创建或移除
+      if (createId !== this.createId) return null
+    }
+
+    let layerOptions = Object.assign({}, moduleOptions)
+    MODULE_OPTIONS.forEach((key) => delete layerOptions[key])
+    layerOptions.model = model
+    layerOptions.texture = moduleOptions.icon ? this.state.assets.instance.getResource(moduleOptions.icon) : null
+    // 运输路径未创建时按直线插值
+    layerOptions.routes = this.state.pathLineGroup ? this.state.pathLineGroup.curves : []
+
+    this.options = moduleOptions
+    let movingObjects = new MovingObjects(this.state, layerOptions)
+    movingObjects.setParent(this.state.mainSceneGroup)
+    movingObjects.instance.position.z = this.state.depth + 0.5
+    this.state.movingObjects = movingObjects
+
+    if (moduleOptions.clock === "replay") {
+      this.clock = new PlaybackClock({ duration: moduleOptions.duration, loop: moduleOptions.loop })
+    }
+    this.setTrackingData(moduleOptions.data)
+    this.clock && this.clock.play()
+    this.state.time.on("tick", this.onTick)
+
+    this.eventBus.emit("tracking:created", { movingObjects })
+    console.log(`[MapTracking] 移动对象已创建，共 ${movingObjects.objects.size} 个`)
+    return movingObjects
+  }
+
+  /**
+   * 更新定位记录
+   * @param {Array<Object>} records - 定位记录
+   * @param {Object} options - 配置参数
+   * @param {boolean} options.merge - 是否追加到现有记录（同一对象同一时刻的记录覆盖），默认整体替换
+   *
+   * @example
+   * // 推送实时定位
+   * world.setTrackingData([{ id: "truck-1", time: Date.now(), lng: 116.9, lat: 36.6 }], { merge: true })
+   */
+  setTrackingData(records = [], options = {}) {
+    let movingObjects = this.state.movingObjects
+    if (!movingObjects) {
+      console.warn('[MapTracking] 移动对象未创建，请先调用 createTracking')
+      return
+    }
+
+    let { timeField } = this.options
+    let parsed = []
+    records.forEach((record) => {
+      let time = parseTime(record[timeField])
+      if (record.id === undefined || !Number.isFinite(time) || !Number.isFinite(record.lng) || !Number.isFinite(record.lat)) {
+        console.warn(`[MapTracking] 忽略无效的定位记录:`, record)
+        return
+      }
+      parsed.push(Object.assign({}, record, { time }))
+    })
+
+    let fixes = new Map()
+    let key = (record) => `${record.id}@${record.time}`
+    options.merge && this.records.forEach((record) => fixes.set(key(record), record))
+    parsed.forEach((record) => fixes.set(key(record), record))
+    let data = [...fixes.values()]
+
+    let previous = new Set(movingObjects.objects.keys())
+    let ids = [...new Set(data.map((record) => String(record.id)))]
+    let removed = [...previous].filter((id) => !ids.includes(id))
+    // 组件移除对象时不会清理子级标签的DOM元素，先移除标签
+    removed.forEach((id) => this._removeLabel(id))
+
+    movingObjects.setData(data)
+    // 组件按 maxFixes 截断后保留的记录
+    this.records = [...movingObjects.objects.values()].flatMap((object) => object.records)
+    this._updateClockRange()
+    this._syncPickObjects()
+    this._syncLabels()
+
+    this.selectedId !== null && !movingObjects.getObject(this.selectedId) && (this.selectedId = null)
+    this.followId !== null && !movingObjects.getObject(this.followId) && this.unfollowTrackingObject()
+
+    this.eventBus.emit(this.eventBus.EVENTS.DATA_UPDATE, {
+      layer: "tracking",
+      added: ids.filter((id) => !previous.has(id)),
+      updated: ids.filter((id) => previous.has(id)),
+      removed,
+      records: data,
+    })
+  }
+
+  /**
+   * 选中对象，配置了 follow 时相机开始跟随
+   * @param {string} id - 对象id
+   */
+  selectTrackingObject(id) {
+    let object = this.state.movingObjects && this.state.movingObjects.getObject(id)
+    if (!object) return
+    this.selectedId = object.id
+    this._syncLabels()
+    this.eventBus.emit("tracking:select", { object: object.record })
+    this.options.follow && this.followTrackingObject(object.id)
+  }
+
+  /**
+   * 相机跟随对象：相机与目标点的相对位置保持不变，目标点平滑移动到对象位置
+   * @param {string} id - 对象id
+   */
+  followTrackingObject(id) {
+    let object = this.state.movingObjects && this.state.movingObjects.getObject(id)
+    if (!object) return
+    this.followId = object.id
+    this.followZoomed = !this.options.followDistance
+    this.eventBus.emit("tracking:follow", { id: object.id })
+  }
+
+  /**
+   * 停止相机跟随
+   */
+  unfollowTrackingObject() {
+    if (this.followId === null) return
+    this.followId = null
+    this.eventBus.emit("tracking:follow", { id: null })
+  }
+
+  /**
+   * 移除移动对象
+   */
+  removeTracking() {
+    this.createId++
+    this.unfollowTrackingObject()
+    this.selectedId = null
+    this.state.time.off("tick", this.onTick)
+    this._unregisterPickObjects()
+    Array.from(this.labels.keys()).forEach((id) => this._removeLabel(id))
+    this.clock = null
+    this.records = []
+    this.state.movingObjects && this.state.movingObjects.destroy()
+    this.state.movingObjects = null
+    this.options = null
+  }
+
+  /**
+   * 通过 Resource 加载 glTF 模型，同一路径只加载一次，模块销毁时释放引用
+   * @param {string} path - 模型路径
+   * @returns {Promise<Object3D>}
+   * @private
+   */
+  _loadModel(path) {
+    if (!this.models.has(path)) {
+      let loading = this.state.assets.instance
+        .load({ type: "GLTF", path })
+        .then((gltf) => gltf.scene)
+      // 失败后允许重新加载
+      loading.catch(() => this.models.delete(path))
+      this.models.set(path, loading)
+    }
+    return this.models.get(path)
+  }
+
+  /**
+   * 每帧按时钟时刻更新对象，并让相机跟随
+   * @param {number} delta - 帧间时间差（秒）
+   * @private
+   */
+  _update(delta) {
+    let movingObjects = this.state.movingObjects
+    let { clock, delay } = this.options
+    let time = null
+    if (clock === "replay") {
+      this.clock.update(delta)
+      time = this.clock.time
+    } else if (clock === "playback") {
+      time = this.playbackTime
+    } else {
+      time = Date.now() - delay * 1000
+    }
+    time !== null && movingObjects.update(time)
+
+    // 标签是 CSS3D 元素，不随主场景组隐藏，需要单独切换
+    let active = this._isActive()
+    if (active !== this.labelsVisible) {
+      this.labelsVisible = active
+      this.labels.forEach((label) => (active ? label.show() : label.hide()))
+    }
+
+    this.followId !== null && this._follow(delta)
+  }
+
+  /**
+   * replay 时钟的范围随定位记录更新
+   * @private
+   */
+  _updateClockRange() {
+    if (!this.clock) return
+    let times = this.records.map((record) => record.time)
+    this.clock.options.start = times.length ? Math.min(...times) : 0
+    this.clock.options.end = times.length ? Math.max(...times) : 0
+    this.clock.time = Math.min(Math.max(this.clock.time, this.clock.options.start), this.clock.options.end)
+  }
+
+  /**
+   * 相机目标点向对象位置平滑移动，相机同步平移
+   * @param {number} delta - 帧间时间差（秒）
+   * @private
+   */
+  _follow(delta) {
+    let object = this.state.movingObjects.getObject(this.followId)
+    if (!object || !this._isActive()) {
+      this.unfollowTrackingObject()
+      return
+    }
+
+    let { instance, controls } = this.state.camera
+    let factor = Math.min(1, delta * this.options.followSpeed)
+    object.group.getWorldPosition(this.followTarget)
+    let move = this.followTarget.sub(controls.target).multiplyScalar(factor)
+    controls.target.add(move)
+    instance.position.add(move)
+
+    if (!this.followZoomed) {
+      let offset = this.followOffset.subVectors(instance.position, controls.target)
+      let distance = offset.length()
+      let { followDistance } = this.options
+      offset.setLength(distance + (followDistance - distance) * factor)
+      instance.position.copy(controls.target).add(offset)
+      // 拉近完成后交还给用户缩放
+      this.followZoomed = Math.abs(distance - followDistance) < followDistance * 0.01
+    }
+  }
+
+  /**
+   * 为对象创建名称标签，更新已有标签的内容和选中状态
+   * @private
+   */
+  _syncLabels() {
+    if (!this.options.label || !this.state.label3d) return
+    this.state.movingObjects.objects.forEach((object, id) => {
+      let label = this.labels.get(id)
+      if (!label) {
+        label = this.state.label3d.create("", "tracking-label", true)
+        label.init("", new Vector3(0, 0, this.state.movingObjects.options.size))
+        this.state.label3d.setLabelStyle(label, 0.05, "x")
+        object.group.add(label)
+        this.labelsVisible || label.hide()
+        this.labels.set(id, label)
+      }
+      let name = object.record.name !== undefined ? object.record.name : id
+      label.element.innerHTML !== String(name) && (label.element.innerHTML = name)
+      label.element.classList.toggle("is-selected", id === this.selectedId)
+    })
+  }
+
+  /**
+   * 移除对象的标签
+   * @param {string} id - 对象id
+   * @private
+   */
+  _removeLabel(id) {
+    let label = this.labels.get(id)
+    if (!label) return
+    // 从父对象移除时 CSS3DObject 会清理自己的DOM元素
+    label.removeFromParent()
+    this.labels.delete(id)
+  }
+
+  /**
+   * 把当前的拾取球体同步到交互管理器，新球体绑定悬停和点击事件
+   * @private
+   */
+  _syncPickObjects() {
+    let { interactionManager, movingObjects } = this.state
+    if (!interactionManager || !movingObjects) return
+
+    this._unregisterPickObjects()
+    this.pickObjects = movingObjects.pickObjects.slice()
+    this.pickObjects.forEach((pick) => {
+      interactionManager.add(pick)
+      if (this.boundPicks.has(pick)) return
+      this.boundPicks.add(pick)
+      pick.addEventListener("mouseover", () => {
+        this._isActive() && (document.body.style.cursor = "pointer")
+      })
+      pick.addEventListener("mouseout", () => {
+        document.body.style.cursor = "default"
+      })
+      pick.addEventListener("mousedown", () => {
+        if (!this._isActive()) return
+        let id = pick.userData.objectId
+        // 再次点击跟随中的对象停止跟随
+        id === this.followId ? this.unfollowTrackingObject() : this.selectTrackingObject(id)
+      })
+    })
+  }
+
+  /**
+   * 从交互管理器中移除拾取球体
+   * @private
+   */
+  _unregisterPickObjects() {
+    let { interactionManager } = this.state
+    interactionManager && this.pickObjects.forEach((pick) => interactionManager.remove(pick))
+    this.pickObjects = []
+  }
+
+  /**
+   * 移动对象当前是否可交互：主场景显示中且移动对象可见
+   * @returns {boolean}
+   * @private
+   */
+  _isActive() {
+    let { movingObjects, mainSceneGroup } = this.state
+    return !!(movingObjects && movingObjects.instance.visible && mainSceneGroup && mainSceneGroup.visible)
+  }
+
+  /**
+   * 销毁模块
+   */
+  destroy() {
+    this.eventBus.unregisterListeners(this.listeners)
+    this.removeTracking()
+    // 加载中的模型在完成后释放，失败的没有引用
+    let store = this.state.assets && this.state.assets.instance
+    this.models.forEach((loading, path) => loading.then(() => store.release(path), () => {}))
+    this.models.clear()
+    console.log('[MapTracking] 模块已销毁')
+  }
+}
@@ -11,90 +11,80 @@ import {
   SpriteMaterial,
   Sprite,
   PointsMaterial,
-  NearestFilter
+  NearestFilter,
+  SRGBColorSpace,
+  Color
 } from 'three'
-import { DiffuseShader } from '../DiffuseShader.js'
-import { FlyLine, PathLine, Particles } from '@/mini3d'
+import gsap from 'gsap'
+import { FlyLine, Particles, GradientShader } from '@/mini3d'
 import provincesData from '../provincesData.js'
 import scatterData from '../scatter.js'
 import badgesData from '../badgesData.js'
+import { tweenColor } from '../themes.js'
 import labelArrow from '@/assets/texture/label-arrow.png'
-import { gsap } from 'gsap'
 
 // 数据排序工具函数
 function sortByValue(data) {
   return data.sort((a, b) => b.value - a.value)
 }
 
+// 从数组中移除指定元素（原地修改，其他模块持有的是同一个数组）
+function removeItem(array, item) {
+  let index = array.indexOf(item)
+  index > -1 && array.splice(index, 1)
+}
+
+// ============ 柱状图参数 ============
+const BAR_FACTOR = 7                      // 缩放因子，影响柱子粗细
+const BAR_MAX_HEIGHT = 4.0 * BAR_FACTOR   // 最大柱子高度
+
 /**
  * 地图数据可视化管理器
  * 
  * 专门负责地图上的各种数据可视化组件，包括：
  * - 3D柱状图系统
  * - 散点图系统  
- * - 飞线动画系统
- * - 路径动画系统
+ * - 飞线系统
  * - 光圈特效系统
  * - 标签系统
  * - 粒子系统
  * 
- * 所有组件都支持与地图的交互联动效果
+ * 组件对象统一保存在共享状态中，交互联动由 MapInteraction 负责，
+ * 路径、轮廓和飞线焦点等动画组件由 MapAnimations 负责。
+ *
+ * 数据绑定：
+ * 通过 setData(layer, records) 按adcode推送新数据，柱状图、散点图、飞线和标牌
+ * 在原有对象上过渡到新数值，不重建场景。更新后发射 'data:update' 事件。
+ *
+ * 柱子和辉光颜色取自当前主题（前三名 bar.top，其他 bar.normal），
+ * 'theme:change' 时过渡到新主题颜色。
  */
 export class MapVisualization {
   /**
    * 构造函数
-   * @param {SharedState} sharedState - 共享状态实例
+   * @param {SharedState} state - 共享状态实例
    * @param {ModuleEventBus} eventBus - 事件总线实例
    */
-  constructor(sharedState, eventBus) {
-    this.sharedState = sharedState
+  constructor(state, eventBus) {
+    this.state = state
     this.eventBus = eventBus
-    
-    // 数据可视化组件存储数组
-    this.allBar = []                    // 所有柱状图网格
-    this.allBarMaterial = []            // 所有柱状图材质
-    this.allGuangquan = []              // 所有光圈装饰
-    this.allProvinceLabel = []          // 所有数据标签
-    this.allProvinceNameLabel = []      // 所有省份名称标签
-    
-    // 组件组容器
-    this.barGroup = null
-    this.scatterGroup = null
-    this.flyLineGroup = null
-    this.flyLineFocusGroup = null
-    this.pathLineGroup = null
-    this.particles = null
-    
-    // 绑定事件监听
-    this._bindEvents()
-  }
 
-  /**
-   * 绑定事件监听器
-   * 监听地图交互事件，实现组件联动效果
-   * @private
-   */
-  _bindEvents() {
-    // 监听省份悬停事件，实现组件联动上移
-    this.eventBus.on('province:hover', (data) => {
-      this.setBarMove(data.adcode, 'up')
-      this.setGQMove(data.adcode, 'up')
-      this.setLabelMove(data.adcode, 'up')
-      this.setScatterMove(data.adcode, 'up')
-    })
-    
-    // 监听省份离开事件，实现组件联动下移
-    this.eventBus.on('province:leave', (data) => {
-      this.setBarMove(data.adcode, 'down')
-      this.setGQMove(data.adcode, 'down')
-      this.setLabelMove(data.adcode, 'down')
-      this.setScatterMove(data.adcode, 'down')
-    })
-    
-    // 监听场景切换事件
-    this.eventBus.on('scene:switch', (data) => {
-      this.setMainMapVisible(data.visible)
-    })
+    // 柱状图渐变着色器，按adcode索引，排名变化时修改颜色
+    this.barGradients = new Map()
+    // 光圈的旋转回调，移除光圈时需要注销
+    this.quanTicks = new Map()
+    // 标签数字的过渡动画，按元素索引
+    this.numberTweens = new WeakMap()
+    // 散点共享材质
+    this.scatterMaterial = null
+    // 已创建的数据图层，以及图层创建前推送的数据
+    this.readyLayers = new Set()
+    this.pendingData = {}
+
+    this.listeners = {
+      "theme:change": ({ duration }) => this._applyBarTheme(duration),
+    }
+    eventBus.registerListeners(this.listeners)
   }
 
   /**
@@ -106,96 +96,131 @@ export class MapVisualization {
    * - 配套的光圈装饰和辉光效果
    * - 数据标签和省份名称标签
    * - 入场动画效果
+   *
+   * @param {Object} options - 配置参数
+   * @param {Array<Object>} options.data - 柱状图数据 [{ name, adcode, centroid, value }]，默认内置省份数据
    */
-  createBar() {
-    const self = this
-    
+  createBar(options = {}) {
     // 对省份数据按数值降序排序
-    let data = sortByValue(provincesData)
+    let data = sortByValue(options.data ? [...options.data] : provincesData)
     
-    // 创建柱状图容器组
+    // 创建柱状图容器组，并添加到主场景
     const barGroup = new Group()
-    this.barGroup = barGroup
+    this.state.barGroup = barGroup
+    this.state.mainSceneGroup.add(barGroup)
 
-    // 柱状图尺寸计算参数
-    const factor = 7                    // 缩放因子，影响柱子粗细
-    const height = 4.0 * factor         // 最大柱子高度
-    const max = data[0].value           // 获取最大数据值
+    const max = data[0].value // 获取最大数据值
 
     // 遍历数据创建柱状图
     data.map((item, index) => {
-      // 计算柱子高度（基于数据值比例）
-      let geoHeight = height * (item.value / max)
-      
-      // 创建柱状图材质
-      let material = new MeshBasicMaterial({
-        color: 0xffffff,      // 白色基础色
-        transparent: true,    // 启用透明度
-        opacity: 0,          // 初始完全透明（用于入场动画）
-        depthTest: false,    // 禁用深度测试
-        fog: false,          // 不受雾效果影响
-      })
-      
-      // 应用扩散着色器（前三名金色，其他蓝色）
-      new DiffuseShader(material, {
-        uColor1: index < 3 ? 0xfbdf88 : 0x50bbfe,  // 起始颜色
-        uColor2: index < 3 ? 0xfbdf88 : 0x50bbfe,  // 结束颜色
-        size: geoHeight,                           // 渐变高度
-        dir: "y",                                  // Y轴方向渐变
-      })
-      
-      // 创建柱状图几何体
-      const geo = new BoxGeometry(
-        0.05 * factor,  // X轴尺寸
-        0.05 * factor,  // Y轴尺寸
-        geoHeight       // Z轴尺寸（高度）
-      )
-      // 将几何体向上平移，使底部与地面对齐
-      geo.translate(0, 0, geoHeight / 2)
-      
-      // 创建柱状图网格
-      const mesh = new Mesh(geo, material)
-      mesh.renderOrder = 22 // 设置渲染顺序
-      
-      // 地理坐标投影和定位
-      let [x, y] = this.sharedState.geoProjection(item.centroid)
-      mesh.position.set(x, -y, this.sharedState.depth + 0.46)
-      mesh.scale.set(1, 1, 0) // 初始Z轴缩放为0（用于入场动画）
-      
-      // 设置用户数据
-      mesh.userData.name = item.name
-      mesh.userData.adcode = item.adcode
-      mesh.userData.position = [x, -y, this.sharedState.depth + 0.46]
-
-      // 创建光圈装饰效果
-      let guangQuan = this.createQuan()
-      guangQuan.position.set(x, -y, this.sharedState.depth + 0.46)
-      guangQuan.userData.name = item.name
-      guangQuan.userData.adcode = item.adcode
-      guangQuan.userData.position = [x, -y, this.sharedState.depth + 0.46]
-      this.sharedState.gqGroup.add(guangQuan)
-      
-      // 创建辉光效果
-      let hg = this.createHUIGUANG(geoHeight, index < 3 ? 0xfffef4 : 0x77fbf5)
-      mesh.add(...hg) // 将辉光效果添加到柱状图
+      this._createBarItem(item, index, max)
+      this.state.layerData.bar.set(item.adcode, item)
+    })
 
-      // 添加到柱状图组
-      barGroup.add(mesh)
-      
-      // 创建数据标签和省份名称标签
-      let barLabel = this._createDataLabel(item, index, new Vector3(x, -y, this.sharedState.depth + 0.9 + geoHeight))
-      let nameLabel = this._createNameLabel(item, index, new Vector3(x, -y - 1.5, this.sharedState.depth + 0.4))
-      
-      // 存储到管理数组
-      this.allBar.push(mesh)
-      this.allBarMaterial.push(material)
-      this.allGuangquan.push(guangQuan)
-      this.allProvinceLabel.push(barLabel)
-      this.allProvinceNameLabel.push(nameLabel)
+    this.eventBus.emit('visualization:barCreated', { count: data.length })
+    this._markLayerReady("bar")
+  }
+
+  /**
+   * 创建单个柱子及其光圈、辉光和标签
+   *
+   * 几何体为单位高度，柱子高度由Z轴缩放控制（userData.height），
+   * 数据更新时只需过渡缩放值，辉光作为子对象随柱子一起伸缩。
+   *
+   * @param {Object} item - 省份数据 { name, adcode, centroid, value }
+   * @param {number} index - 排名索引
+   * @param {number} max - 当前最大数据值
+   * @returns {Object} { bar, material, guangQuan, barLabel, nameLabel }
+   * @private
+   */
+  _createBarItem(item, index, max) {
+    // 计算柱子高度（基于数据值比例）
+    let geoHeight = this._getBarHeight(item.value, max)
+    let isTop = index < 3
+    
+    // 创建柱状图材质
+    let material = new MeshBasicMaterial({
+      color: 0xffffff,      // 白色基础色
+      transparent: true,    // 启用透明度
+      opacity: 0,          // 初始完全透明（用于入场动画）
+      depthTest: false,    // 禁用深度测试
+      fog: false,          // 不受雾效果影响
+    })
+    
+    // 应用渐变着色器（前三名与其他柱子使用不同的主题颜色）
+    let colors = this._getBarColors(isTop)
+    let gradient = new GradientShader(material, {
+      uColor1: colors.bar,                                // 起始颜色
+      uColor2: colors.bar,                                // 结束颜色
+      size: 1,                                            // 渐变高度（单位几何体）
+      dir: "y",                                           // Y轴方向渐变
     })
+    this.barGradients.set(item.adcode, gradient)
+    
+    // 创建单位高度的柱状图几何体
+    const geo = new BoxGeometry(
+      0.05 * BAR_FACTOR,  // X轴尺寸
+      0.05 * BAR_FACTOR,  // Y轴尺寸
+      1                   // Z轴尺寸（高度由缩放控制）
+    )
+    // 将几何体向上平移，使底部与地面对齐
+    geo.translate(0, 0, 0.5)
+    
+    // 创建柱状图网格
+    const mesh = new Mesh(geo, material)
+    mesh.renderOrder = 22 // 设置渲染顺序
+    
+    // 地理坐标投影和定位
+    let [x, y] = this.state.geoProjection(item.centroid)
+    let top = this._getTopZ(item.adcode)
+    mesh.position.set(x, -y, top + 0.46)
+    mesh.scale.set(1, 1, 0) // 初始Z轴缩放为0（用于入场动画）
+    
+    // 设置用户数据
+    mesh.userData.name = item.name
+    mesh.userData.adcode = item.adcode
+    mesh.userData.height = geoHeight
+    mesh.userData.rank = index
+    mesh.userData.position = [x, -y, top + 0.46]
+
+    // 创建光圈装饰效果
+    let guangQuan = this.createQuan()
+    guangQuan.position.set(x, -y, top + 0.46)
+    guangQuan.userData.name = item.name
+    guangQuan.userData.adcode = item.adcode
+    guangQuan.userData.position = [x, -y, top + 0.46]
+    this.state.gqGroup.add(guangQuan)
+    
+    // 创建辉光效果
+    let hg = this.createHUIGUANG(1, colors.glow)
+    mesh.add(...hg) // 将辉光效果添加到柱状图
 
-    // 将柱状图组添加到主场景
-    this.sharedState.mainSceneGroup.add(barGroup)
+    // 添加到柱状图组
+    this.state.barGroup.add(mesh)
+    
+    // 创建数据标签和省份名称标签
+    let barLabel = this._createDataLabel(item, index, new Vector3(x, -y, top + 0.9 + geoHeight))
+    let nameLabel = this._createNameLabel(item, index, new Vector3(x, -y - 1.5, top + 0.4))
+    
+    // 存储到管理数组
+    this.state.allBar.push(mesh)
+    this.state.allBarMaterial.push(material)
+    this.state.allGuangquan.push(guangQuan)
+    this.state.allProvinceLabel.push(barLabel)
+    this.state.allProvinceNameLabel.push(nameLabel)
+
+    return { bar: mesh, material, guangQuan, barLabel, nameLabel }
+  }
+
+  /**
+   * 根据数据值计算柱子高度
+   * @param {number} value - 数据值
+   * @param {number} max - 最大数据值
+   * @returns {number} 柱子高度
+   * @private
+   */
+  _getBarHeight(value, max) {
+    return max > 0 ? BAR_MAX_HEIGHT * (Math.max(value, 0) / max) : 0
   }
 
   /**
@@ -207,7 +232,8 @@ export class MapVisualization {
   createHUIGUANG(h, color) {
     let geometry = new PlaneGeometry(1.5, h)
     geometry.translate(0, h / 2, 0)
-    const texture = this.sharedState.assets.instance.getResource("huiguang")
+    const texture = this.state.assets.instance.getResource("huiguang")
+    texture.colorSpace = SRGBColorSpace
     texture.wrapS = RepeatWrapping
     texture.wrapT = RepeatWrapping
     
@@ -238,8 +264,8 @@ export class MapVisualization {
    * @returns {Group} 光圈组对象
    */
   createQuan() {
-    const guangquan1 = this.sharedState.assets.instance.getResource("guangquan1")
-    const guangquan2 = this.sharedState.assets.instance.getResource("guangquan2")
+    const guangquan1 = this.state.assets.instance.getResource("guangquan1")
+    const guangquan2 = this.state.assets.instance.getResource("guangquan2")
     let geometry = new PlaneGeometry(2, 2)
 
     let material1 = new MeshBasicMaterial({
@@ -276,80 +302,16 @@ export class MapVisualization {
     const quanGroup = new Group()
     quanGroup.add(mesh1, mesh2)
 
-    // 添加旋转动画
-    this.sharedState.time.on("tick", (delta) => {
+    // 添加旋转动画，保存回调以便移除光圈时注销
+    const onTick = (delta) => {
       mesh1.rotation.z += delta * 2
-    })
+    }
+    this.state.time.on("tick", onTick)
+    this.quanTicks.set(quanGroup, onTick)
     
     return quanGroup
   }
 
-  /**
-   * 设置柱状图联动移动效果
-   * @param {string|number} adcode - 省份的行政区划代码
-   * @param {string} type - 移动类型，"up"为上移，"down"为下移
-   */
-  setBarMove(adcode, type = "up") {
-    this.allBar.map((barGroup) => {
-      if (barGroup.userData.adcode === adcode) {
-        gsap.to(barGroup.position, {
-          duration: 0.3,
-          z: type === "up" ? 
-             barGroup.userData.position[2] + this.sharedState.depth / 2 + 0.3 : 
-             barGroup.userData.position[2],
-        })
-      }
-    })
-  }
-
-  /**
-   * 设置光圈联动移动效果
-   * @param {string|number} adcode - 省份的行政区划代码
-   * @param {string} type - 移动类型，"up"为上移，"down"为下移
-   */
-  setGQMove(adcode, type = "up") {
-    // 处理普通省份光圈
-    this.allGuangquan.map((group) => {
-      if (group.userData.adcode === adcode) {
-        gsap.to(group.position, {
-          duration: 0.3,
-          z: type === "up" ? 
-             group.userData.position[2] + this.sharedState.depth / 2 + 0.3 : 
-             group.userData.position[2],
-        })
-      }
-    })
-    
-    // 处理飞线焦点光圈（特殊情况）
-    if (this.flyLineFocusGroup && this.flyLineFocusGroup.userData.adcode === adcode) {
-      gsap.to(this.flyLineFocusGroup.position, {
-        duration: 0.3,
-        y: type === "up"
-            ? this.flyLineFocusGroup.userData.position[1] + this.sharedState.depth / 2 + 0.3
-            : this.flyLineFocusGroup.userData.position[1],
-      })
-    }
-  }
-
-  /**
-   * 设置标签联动移动效果
-   * @param {string|number} adcode - 省份的行政区划代码
-   * @param {string} type - 移动类型，"up"为上移，"down"为下移
-   */
-  setLabelMove(adcode, type = "up") {
-    // 合并所有类型的标签数组，统一处理
-    [...this.allProvinceLabel, ...this.allProvinceNameLabel].map((label) => {
-      if (label.userData.adcode === adcode) {
-        gsap.to(label.position, {
-          duration: 0.3,
-          z: type === "up" ? 
-             label.userData.position[2] + this.sharedState.depth / 2 + 0.3 : 
-             label.userData.position[2],
-        })
-      }
-    })
-  }
-
   /**
    * 创建数据标签（人口数值和排名）
    * @param {Object} data - 省份数据
@@ -359,7 +321,7 @@ export class MapVisualization {
    * @private
    */
   _createDataLabel(data, index, position) {
-    let label = this.sharedState.label3d.create("", "provinces-label-style02", true)
+    let label = this.state.label3d.create("", "provinces-label-style02", true)
     
     label.init(
         `<div class="provinces-label-style02 ${index < 3 ? "yellow" : ""}">
@@ -371,8 +333,10 @@ export class MapVisualization {
         position
     )
     
-    this.sharedState.label3d.setLabelStyle(label, 0.05, "x")
-    label.setParent(this.sharedState.labelGroup)
+    this.state.label3d.setLabelStyle(label, 0.05, "x")
+    label.setParent(this.state.labelGroup)
+    // 数据更新时新增的标签与所在标签组的显示状态保持一致
+    this.state.labelGroup.visible || label.hide()
     label.userData.adcode = data.adcode
     label.userData.position = [position.x, position.y, position.z]
     return label
@@ -387,15 +351,16 @@ export class MapVisualization {
    * @private
    */
   _createNameLabel(data, index, position) {
-    let label = this.sharedState.label3d.create("", "provinces-name-label", true)
+    let label = this.state.label3d.create("", "provinces-name-label", true)
     
     label.init(
         `<div class="provinces-name-label"><div class="provinces-name-label-wrap">${data.name}</div></div>`,
         position
     )
     
-    this.sharedState.label3d.setLabelStyle(label, 0.08, "x")
-    label.setParent(this.sharedState.provinceNameGroup)
+    this.state.label3d.setLabelStyle(label, 0.08, "x")
+    label.setParent(this.state.provinceNameGroup)
+    this.state.provinceNameGroup.visible || label.hide()
     label.userData.adcode = data.adcode
     label.userData.position = [position.x, position.y, position.z]
     return label
@@ -406,61 +371,80 @@ export class MapVisualization {
    * 
    * 根据城市数据创建散点图可视化，使用Sprite实现始终面向相机的2D图像
    * 支持基于数据值的大小缩放和交互联动效果
+   *
+   * @param {Object} options - 配置参数
+   * @param {Array<Object>} options.data - 散点数据 [{ adcode, lng, lat, value }]，默认内置城市数据
+   * @param {string|number} options.color - 散点颜色，默认 0xffff00
    */
-  createScatter() {
-    this.scatterGroup = new Group()
-    this.scatterGroup.visible = false
-    this.sharedState.mainSceneGroup.add(this.scatterGroup)
+  createScatter(options = {}) {
+    let { data, color } = Object.assign({ data: scatterData, color: 0xffff00 }, options)
+    const scatterGroup = new Group()
+    scatterGroup.visible = false
+    this.state.scatterGroup = scatterGroup
+    this.state.mainSceneGroup.add(scatterGroup)
 
-    // 创建散点材质
-    const texture = this.sharedState.assets.instance.getResource("arrow")
-    const material = new SpriteMaterial({
+    // 创建散点材质（所有散点共享）
+    const texture = this.state.assets.instance.getResource("arrow")
+    this.scatterMaterial = new SpriteMaterial({
       map: texture,
-      color: 0xffff00,
+      color,
       transparent: true,
       depthTest: false,
     })
 
     // 获取排序后的散点数据
-    let scatterAllData = sortByValue(scatterData)
+    let scatterAllData = sortByValue([...data])
     let max = scatterAllData[0].value
     
     scatterAllData.map((data) => {
-      const sprite = new Sprite(material)
-      sprite.renderOrder = 23
+      let key = this._getRecordKey("scatter", data)
+      let sprite = this._createScatterItem(data, key)
       
       // 基于数据值计算缩放比例
-      let scale = 2 + (data.value / max) * 1
+      let scale = this._getScatterScale(data.value, max)
       sprite.scale.set(scale, scale, scale)
       
-      // 地理坐标投影
-      let [x, y] = this.sharedState.geoProjection([data.lng, data.lat])
-      sprite.position.set(x, -y, this.sharedState.depth + 0.41)
-      
-      // 设置用户数据
-      sprite.userData.adcode = data.adcode
-      sprite.userData.position = [x, -y, this.sharedState.depth + 0.41]
-      
-      this.scatterGroup.add(sprite)
+      this.state.layerData.scatter.set(key, data)
     })
+    this._markLayerReady("scatter")
   }
 
   /**
-   * 设置散点图联动移动效果
-   * @param {string|number} adcode - 省份的行政区划代码
-   * @param {string} type - 移动类型，"up"为上移，"down"为下移
+   * 创建单个散点
+   * @param {Object} data - 散点数据 { adcode, lng, lat, value }
+   * @param {string} key - 散点的数据键
+   * @returns {Sprite} 散点精灵，初始缩放为0
+   * @private
    */
-  setScatterMove(adcode, type = "up") {
-    this.scatterGroup.children.map((sprite) => {
-      if (sprite.userData.adcode === adcode) {
-        gsap.to(sprite.position, {
-          duration: 0.3,
-          z: type === "up" ? 
-             sprite.userData.position[2] + this.sharedState.depth / 2 + 0.3 : 
-             sprite.userData.position[2],
-        })
-      }
-    })
+  _createScatterItem(data, key) {
+    const sprite = new Sprite(this.scatterMaterial)
+    sprite.renderOrder = 23
+    sprite.scale.set(0, 0, 0)
+    
+    // 地理坐标投影
+    let [x, y] = this.state.geoProjection([data.lng, data.lat])
+    let top = this._getTopZ(data.adcode)
+    sprite.position.set(x, -y, top + 0.41)
+    
+    // 设置用户数据
+    sprite.userData.key = key
+    sprite.userData.adcode = data.adcode
+    sprite.userData.position = [x, -y, top + 0.41]
+    
+    this.state.scatterGroup.add(sprite)
+    this.state.allScatter.push(sprite)
+    return sprite
+  }
+
+  /**
+   * 根据数据值计算散点缩放比例
+   * @param {number} value - 数据值
+   * @param {number} max - 最大数据值
+   * @returns {number} 缩放比例（2~3）
+   * @private
+   */
+  _getScatterScale(value, max) {
+    return 2 + (max > 0 ? Math.max(value, 0) / max : 0) * 1
   }
 
   /**
@@ -468,24 +452,29 @@ export class MapVisualization {
    * 
    * 创建从各省份指向中心点（北京）的动态飞线效果
    * 支持纹理动画和加法混合的视觉效果
+   *
+   * @param {Object} options - 配置参数
+   * @param {Array<Object>} options.data - 飞线起点数据 [{ adcode, centroid }]，默认内置省份数据
+   * @param {string|number} options.color - 飞线颜色，默认 0xfbdf88
    */
-  createFlyLine() {
+  createFlyLine(options = {}) {
+    let { data, color } = Object.assign({ data: provincesData, color: 0xfbdf88 }, options)
     // 配置飞线纹理
-    const texture = this.sharedState.assets.instance.getResource("flyLine")
+    const texture = this.state.assets.instance.getResource("flyLine")
     texture.wrapS = texture.wrapT = RepeatWrapping
     texture.generateMipmaps = false
     texture.magFilter = NearestFilter
     texture.repeat.set(0.5, 1)
     
     // 创建飞线组件
-    let flyLine = new FlyLine(this.sharedState, {
-      centerPoint: this.sharedState.flyLineCenter,
-      data: provincesData,
+    let flyLine = new FlyLine(this.state, {
+      centerPoint: this.state.flyLineCenter,
+      data,
       texture: texture,
       material: new MeshBasicMaterial({
         map: texture,
         alphaMap: texture,
-        color: 0xfbdf88,
+        color,
         transparent: true,
         fog: false,
         depthTest: false,
@@ -493,133 +482,15 @@ export class MapVisualization {
       }),
     })
     
-    flyLine.setParent(this.sharedState.mainSceneGroup)
+    flyLine.setParent(this.state.mainSceneGroup)
     flyLine.visible = false
-    flyLine.instance.position.z = this.sharedState.depth + 0.4
-
-    this.flyLineGroup = flyLine
-    this.createFlyLineFocus()
-  }
-
-  /**
-   * 创建飞线焦点效果
-   * 
-   * 在飞线中心点（北京）创建脉冲光圈效果
-   * 使用双层光圈和错时动画实现视觉冲击力
-   */
-  createFlyLineFocus() {
-    this.flyLineFocusGroup = new Group()
-    this.flyLineFocusGroup.visible = false
-
-    // 设置焦点位置（北京）
-    let [x, y] = this.sharedState.geoProjection(this.sharedState.flyLineCenter)
-    this.flyLineFocusGroup.position.set(x, -y, this.sharedState.depth + 0.47)
-    this.flyLineFocusGroup.userData.name = "北京市"
-    this.flyLineFocusGroup.userData.adcode = 110000
-    this.flyLineFocusGroup.userData.position = [x, -y, this.sharedState.depth + 0.47]
-    
-    this.sharedState.mainSceneGroup.add(this.flyLineFocusGroup)
-    
-    // 创建双层光圈效果
-    const flyLineFocus = this.sharedState.assets.instance.getResource("guangquan1")
-    const geometry = new PlaneGeometry(5, 5)
-    const material = new MeshBasicMaterial({
-      color: 0xfbdf88,
-      map: flyLineFocus,
-      alphaMap: flyLineFocus,
-      transparent: true,
-      fog: false,
-      depthTest: false,
-      blending: AdditiveBlending,
-    })
-    
-    const mesh = new Mesh(geometry, material)
-    mesh.renderOrder = 30
-    mesh.scale.set(0, 0, 0)
-    
-    const mesh2 = mesh.clone()
-    mesh2.material = material.clone()
-    this.flyLineFocusGroup.add(mesh, mesh2)
-    
-    // 第一层光圈动画
-    gsap.to(mesh.material, {
-      opacity: 0,
-      repeat: -1,
-      yoyo: false,
-      duration: 1,
-    })
-    gsap.to(mesh.scale, {
-      x: 2, y: 2, z: 2,
-      repeat: -1,
-      yoyo: false,
-      duration: 1,
-    })
-    
-    // 第二层光圈动画（延迟0.5秒）
-    gsap.to(mesh2.material, {
-      delay: 0.5,
-      opacity: 0,
-      repeat: -1,
-      yoyo: false,
-      duration: 1,
-    })
-    gsap.to(mesh2.scale, {
-      delay: 0.5,
-      x: 2, y: 2, z: 2,
-      repeat: -1,
-      yoyo: false,
-      duration: 1,
-    })
-  }
+    flyLine.instance.position.z = this.state.depth + 0.4
 
-  /**
-   * 创建路径动画
-   * 
-   * 基于运输路径数据创建动态路径动画效果
-   * 使用PathLine组件实现纹理流动动画
-   */
-  createPathAnimate() {
-    // 配置路径纹理
-    const texture = this.sharedState.assets.instance.getResource("pathLine")
-    texture.wrapS = texture.wrapT = RepeatWrapping
-    texture.repeat.set(8, 1)
-    
-    // 获取运输路径数据
-    let transportPath = this.sharedState.assets.instance.getResource("transportPath")
-    transportPath = JSON.parse(transportPath)
-    
-    // 数据格式转换
-    for (let i = 0; i < transportPath.features.length; i++) {
-      const element = transportPath.features[i]
-      element.geometry.coordinates = [[element.geometry.coordinates]]
-    }
-    
-    let data = transportPath.features.map((path) => {
-      return { geometry: path.geometry }
-    })
-    
-    // 创建路径线组件
-    let pathLine = new PathLine(this.sharedState, {
-      data: data,
-      texture: texture,
-      renderOrder: 21,
-      speed: 0.5,
-      material: new MeshBasicMaterial({
-        map: texture,
-        color: 0xffffff,
-        transparent: true,
-        fog: false,
-        opacity: 1,
-        depthTest: false,
-        blending: AdditiveBlending,
-      }),
-    })
-    
-    pathLine.setParent(this.sharedState.mainSceneGroup)
-    pathLine.visible = false
-    pathLine.instance.position.z = this.sharedState.depth + 0.42
+    this.state.flyLineGroup = flyLine
+    this.state.allFlyLine.push(flyLine)
 
-    this.pathLineGroup = pathLine
+    data.map((item) => this.state.layerData.flyLine.set(item.adcode, item))
+    this._markLayerReady("flyLine")
   }
 
   /**
@@ -627,19 +498,26 @@ export class MapVisualization {
    * 
    * 创建上升的粒子效果，增强场景的动态感
    * 支持自定义粒子数量、范围和材质
+   *
+   * @param {Object} options - 配置参数
+   * @param {number} options.num - 粒子数量，默认10
+   * @param {string|number} options.color - 粒子颜色，默认 0x00eeee
+   * @param {number} options.opacity - 透明度，默认0.3
+   * @param {number} options.speed - 上升速度，默认0.1
    */
-  createParticles() {
-    this.particles = new Particles(this.sharedState, {
-      num: 10,        // 粒子数量
+  createParticles(options = {}) {
+    let { num, color, opacity, speed } = Object.assign({ num: 10, color: 0x00eeee, opacity: 0.3, speed: 0.1 }, options)
+    const particles = new Particles(this.state, {
+      num,            // 粒子数量
       range: 200,     // 范围
       dir: "up",      // 上升方向
-      speed: 0.1,     // 移动速度
+      speed,          // 移动速度
       material: new PointsMaterial({
         map: Particles.createTexture(),
         size: 10,
-        color: 0x00eeee,
+        color,
         transparent: true,
-        opacity: 0.3,
+        opacity,
         depthTest: false,
         depthWrite: false,
         vertexColors: true,
@@ -648,13 +526,14 @@ export class MapVisualization {
       }),
     })
     
-    this.particles.instance.position.set(0, 0, 0)
-    this.particles.instance.rotation.x = -Math.PI / 2
-    this.particles.setParent(this.sharedState.scene)
+    particles.instance.position.set(0, 0, 0)
+    particles.instance.rotation.x = -Math.PI / 2
+    particles.setParent(this.state.scene)
     
     // 初始状态：停用和隐藏
-    this.particles.enable = false
-    this.particles.instance.visible = false
+    particles.enable = false
+    particles.instance.visible = false
+    this.state.particles = particles
   }
 
   /**
@@ -662,15 +541,32 @@ export class MapVisualization {
    * 
    * 创建显示工资信息的标牌标签
    * 使用CSS3D渲染实现丰富的HTML内容
+   *
+   * @param {Object} options - 配置参数
+   * @param {Array<Object>} options.data - 标牌数据 [{ adcode, value, geometry }]，默认内置数据
    */
-  createBadgeLabel() {
-    const self = this
-    this.sharedState.badgeGroup.visible = false
+  createBadgeLabel(options = {}) {
+    this.state.badgeGroup.visible = false
     
-    badgesData.map((data) => {
-      const [x, y] = this.sharedState.geoProjection(data.geometry.coordinates)
-      this._createBadgeLabel(data, new Vector3(x, -y, this.sharedState.depth + 0.92))
+    let records = options.data || badgesData
+    records.map((data) => {
+      this._createBadgeItem(data)
+      this.state.layerData.badge.set(data.adcode, data)
     })
+    this._markLayerReady("badge")
+  }
+
+  /**
+   * 按标牌数据的坐标创建标牌，并登记到标牌数组
+   * @param {Object} data - 标牌数据 { adcode, value, geometry }
+   * @returns {Object} 3D标签对象
+   * @private
+   */
+  _createBadgeItem(data) {
+    const [x, y] = this.state.geoProjection(data.geometry.coordinates)
+    let label = this._createBadgeLabel(data, new Vector3(x, -y, this._getTopZ(data.adcode) + 0.92))
+    this.state.allBadgeLabel.push(label)
+    return label
   }
 
   /**
@@ -681,7 +577,7 @@ export class MapVisualization {
    * @private
    */
   _createBadgeLabel(data, position) {
-    let label = this.sharedState.label3d.create("", "badges-label", true)
+    let label = this.state.label3d.create("", "badges-label", true)
     
     label.init(
         `<div class="badges-label-wrap">
@@ -691,133 +587,489 @@ export class MapVisualization {
         position
     )
     
-    this.sharedState.label3d.setLabelStyle(label, 0.1, "x")
-    label.setParent(this.sharedState.badgeGroup)
+    this.state.label3d.setLabelStyle(label, 0.1, "x")
+    label.setParent(this.state.badgeGroup)
     label.hide()
     label.userData.adcode = data.adcode
     label.userData.position = [position.x, position.y, position.z]
     return label
   }
 
+  // ============ 数据绑定 ============
+
+  /**
+   * 推送图层数据
+   *
+   * 按记录的键（柱状图、标牌为adcode，散点为id或adcode+经纬度）与现有对象匹配：
+   * - 已有的对象过渡到新数值（柱高、辉光、标签位置和数字）
+   * - 新的键创建对象并播放出现动画
+   * - 不在数据中的键移除对象（merge为true时保留）
+   * 柱状图会按新数值重新排名，前三名切换为金色。
+   * 图层尚未创建时先缓存数据，创建完成后自动应用。
+   *
+   * @param {string} layer - 图层名称：bar | scatter | flyLine | badge
+   * @param {Array<Object>} records - 数据记录，至少包含adcode和value（飞线的value可省略），
+   *   新增的柱状图和飞线可提供centroid（省级可省略），散点需提供lng、lat，标牌需提供geometry或coordinates
+   * @param {Object} options - 更新选项
+   * @param {boolean} options.merge - 是否只更新/新增传入的记录，默认false（整体替换）
+   * @param {number} options.duration - 过渡动画时长（秒），默认1
+   * @returns {Object|null} 变化详情 { layer, added, updated, removed, records }，图层未创建时返回null
+   *
+   * @example
+   * world.setData("bar", [{ adcode: 510000, value: 8400 }, { adcode: 440000, value: 12700 }])
+   * world.setData("scatter", [{ id: "cd", adcode: 510000, lng: 104.06, lat: 30.67, value: 50 }], { merge: true })
+   */
+  setData(layer, records = [], options = {}) {
+    const handlers = {
+      bar: this._applyBarData,
+      scatter: this._applyScatterData,
+      flyLine: this._applyFlyLineData,
+      badge: this._applyBadgeData,
+    }
+    if (!handlers[layer]) {
+      console.warn(`[MapVisualization] 未知的数据图层: ${layer}`)
+      return null
+    }
+    if (!this.readyLayers.has(layer)) {
+      // 资源加载完成前推送的数据，等图层创建后再应用（只保留最后一次）
+      this.pendingData[layer] = { records, options }
+      return null
+    }
+
+    let { merge = false, duration = 1 } = options
+    let current = this.state.layerData[layer]
+    let next = new Map(merge ? current : [])
+
+    records.forEach((record) => {
+      let key = this._getRecordKey(layer, record)
+      let item = this._normalizeRecord(layer, record, current.get(key))
+      if (!item) {
+        console.warn(`[MapVisualization] 忽略无效的${layer}数据:`, record)
+        return
+      }
+      next.set(key, item)
+    })
+
+    // 计算变化
+    let change = { layer, added: [], updated: [], removed: [] }
+    next.forEach((item, key) => {
+      current.has(key) ? change.updated.push(key) : change.added.push(key)
+    })
+    current.forEach((item, key) => {
+      next.has(key) || change.removed.push(key)
+    })
+
+    handlers[layer].call(this, next, change, duration)
+
+    // 保存最新数据（保持同一个Map实例）
+    current.clear()
+    next.forEach((item, key) => current.set(key, item))
+    change.records = [...current.values()]
+
+    this.eventBus.emit(this.eventBus.EVENTS.DATA_UPDATE, change)
+    return change
+  }
+
+  /**
+   * 获取图层当前的数据
+   * @param {string} layer - 图层名称：bar | scatter | flyLine | badge
+   * @returns {Array<Object>} 数据记录
+   */
+  getData(layer) {
+    let records = this.state.layerData[layer]
+    return records ? [...records.values()] : []
+  }
+
+  /**
+   * 标记图层已创建，并应用创建前缓存的数据
+   * @param {string} layer - 图层名称
+   * @private
+   */
+  _markLayerReady(layer) {
+    this.readyLayers.add(layer)
+    let pending = this.pendingData[layer]
+    if (pending) {
+      delete this.pendingData[layer]
+      this.setData(layer, pending.records, pending.options)
+    }
+  }
+
+  /**
+   * 区域顶面的高度，按数值挤出时各省份不同
+   * @param {string|number} adcode - 行政区划代码
+   * @returns {number}
+   * @private
+   */
+  _getTopZ(adcode) {
+    return this.state.provinceMesh ? this.state.provinceMesh.getHeight(adcode) : this.state.depth
+  }
+
   /**
-   * 设置标签可见性
-   * @param {string} labelGroup - 标签组名称
-   * @param {boolean} bool - 可见性状态
+   * 获取数据记录的键
+   * @param {string} layer - 图层名称
+   * @param {Object} record - 数据记录
+   * @returns {string|number} 记录键
+   * @private
    */
-  setLabelVisible(labelGroup = "labelGroup", bool) {
-    this.sharedState[labelGroup].visible = bool
-    this.sharedState[labelGroup].children.map((label) => {
-      bool ? label.show() : label.hide()
+  _getRecordKey(layer, record) {
+    let adcode = this._normalizeAdcode(record.adcode)
+    if (layer === "scatter") {
+      // 同一区划下可能有多个散点，优先使用id区分
+      return record.id !== undefined ? record.id : `${adcode}_${record.lng}_${record.lat}`
+    }
+    return adcode
+  }
+
+  /**
+   * 区划代码统一为数字，与地图GeoJSON中的adcode一致
+   * @param {string|number} adcode - 行政区划代码
+   * @returns {string|number}
+   * @private
+   */
+  _normalizeAdcode(adcode) {
+    return adcode !== "" && !isNaN(adcode) ? Number(adcode) : adcode
+  }
+
+  /**
+   * 合并已有记录并校验必需字段
+   * @param {string} layer - 图层名称
+   * @param {Object} record - 新的数据记录
+   * @param {Object} previous - 该键已有的记录
+   * @returns {Object|null} 完整的记录，无效时返回null
+   * @private
+   */
+  _normalizeRecord(layer, record, previous) {
+    let item = Object.assign({}, previous, record)
+    item.adcode = this._normalizeAdcode(item.adcode)
+    if (item.adcode === undefined) return null
+    if (layer !== "flyLine" || item.value !== undefined) {
+      item.value = Number(item.value)
+      if (!Number.isFinite(item.value)) return null
+    }
+
+    if ((layer === "bar" || layer === "flyLine") && !item.centroid) {
+      // 省级区划可以从内置省份数据中补全名称和中心点
+      let province = provincesData.find((n) => n.adcode === item.adcode)
+      if (!province) return null
+      item = Object.assign({ name: province.name, centroid: province.centroid }, item)
+    }
+    if (layer === "scatter" && !(Number.isFinite(item.lng) && Number.isFinite(item.lat))) {
+      return null
+    }
+    if (layer === "badge" && !item.geometry) {
+      if (!Array.isArray(item.coordinates)) return null
+      item.geometry = { type: "Point", coordinates: item.coordinates }
+    }
+    return item
+  }
+
+  /**
+   * 应用柱状图数据：更新高度和标签，重新排名，增删柱子
+   * @param {Map} records - 最新的全部记录
+   * @param {Object} change - 变化详情
+   * @param {number} duration - 过渡时长
+   * @private
+   */
+  _applyBarData(records, change, duration) {
+    change.removed.forEach((adcode) => this._removeBarItem(adcode, duration))
+
+    let data = sortByValue([...records.values()])
+    let max = data.length ? data[0].value : 0
+
+    data.map((item, index) => {
+      if (change.added.includes(item.adcode)) {
+        this._playBarEnter(this._createBarItem(item, index, max), item, duration)
+      } else {
+        this._updateBarItem(item, index, max, duration)
+      }
     })
+
+    // 组件数组按新排名重排，入场动画等逻辑依赖排名顺序
+    let rank = new Map(data.map((item, index) => [item.adcode, index]))
+    let byRank = (a, b) => rank.get(a.userData.adcode) - rank.get(b.userData.adcode)
+    ;["allBar", "allGuangquan", "allProvinceLabel", "allProvinceNameLabel"].forEach((name) => {
+      this.state[name].sort(byRank)
+    })
+    this.state.allBarMaterial.length = 0
+    this.state.allBarMaterial.push(...this.state.allBar.map((bar) => bar.material))
   }
 
   /**
-   * 创建轮廓线动画
-   * 
-   * 基于中国地图轮廓数据创建流动的边界线效果
-   * 使用PathLine组件实现边界的动态视觉效果
+   * 查找某个区划的柱子及其附属对象
+   * @param {string|number} adcode - 行政区划代码
+   * @returns {Object} { bar, guangQuan, barLabel, nameLabel }
+   * @private
    */
-  createStorke() {
-    // 配置轮廓纹理
-    const texture = this.sharedState.assets.instance.getResource("pathLine2")
-    texture.wrapS = texture.wrapT = RepeatWrapping
-    texture.repeat.set(1, 1)
-    
-    // 获取中国轮廓数据
-    let mapJsonData = this.sharedState.assets.instance.getResource("chinaStorke")
-    mapJsonData = JSON.parse(mapJsonData)
+  _getBarParts(adcode) {
+    let find = (array) => array.find((n) => n.userData.adcode === adcode)
+    return {
+      bar: find(this.state.allBar),
+      guangQuan: find(this.state.allGuangquan),
+      barLabel: find(this.state.allProvinceLabel),
+      nameLabel: find(this.state.allProvinceNameLabel),
+    }
+  }
 
-    // 数据格式转换
-    let data = mapJsonData.features.map((path) => {
-      return { geometry: path.geometry }
+  /**
+   * 过渡已有柱子的高度、标签和排名
+   * @private
+   */
+  _updateBarItem(item, index, max, duration) {
+    let { bar, barLabel, nameLabel } = this._getBarParts(item.adcode)
+    if (!bar) return
+    let height = this._getBarHeight(item.value, max)
+    bar.userData.height = height
+    gsap.to(bar.scale, { duration, z: height, ease: "power2.out", overwrite: "auto" })
+
+    if (barLabel) {
+      // 同步更新悬停联动使用的基准位置
+      let z = this._getTopZ(item.adcode) + 0.9 + height
+      barLabel.userData.position[2] = z
+      gsap.to(barLabel.position, { duration, z, ease: "power2.out", overwrite: "auto" })
+      this._tweenNumber(barLabel.element.querySelector(".number .value"), item.value, duration)
+    }
+    if (nameLabel && item.name) {
+      nameLabel.element.querySelector(".provinces-name-label-wrap").innerText = item.name
+    }
+    this._setBarRank(item.adcode, index)
+  }
+
+  /**
+   * 设置柱子的排名：排名数字、前三名的金色柱子/辉光/标签
+   * @param {string|number} adcode - 行政区划代码
+   * @param {number} index - 排名索引
+   * @private
+   */
+  _setBarRank(adcode, index) {
+    let { bar, barLabel } = this._getBarParts(adcode)
+    let isTop = index < 3
+    let colors = this._getBarColors(isTop)
+    this.barGradients.get(adcode)?.setColor(colors.bar)
+    if (bar) {
+      bar.userData.rank = index
+      // 三个辉光面共享同一个材质
+      bar.children[0] && bar.children[0].material.color.setHex(colors.glow)
+    }
+    if (barLabel) {
+      barLabel.element.querySelector(".provinces-label-style02").classList.toggle("yellow", isTop)
+      barLabel.element.querySelector(".no").innerText = index + 1
+    }
+  }
+
+  /**
+   * 当前主题下柱子和辉光的颜色
+   * @param {boolean} isTop - 是否为前三名
+   * @returns {Object} { bar, glow }，十六进制数值（GradientShader.setColor 需要）
+   * @private
+   */
+  _getBarColors(isTop) {
+    let { top, normal, glowTop, glowNormal } = this.state.theme.bar
+    return {
+      bar: new Color(isTop ? top : normal).getHex(),
+      glow: new Color(isTop ? glowTop : glowNormal).getHex(),
+    }
+  }
+
+  /**
+   * 柱子和辉光过渡到当前主题颜色
+   * @param {number} duration - 过渡时长（秒）
+   * @private
+   */
+  _applyBarTheme(duration) {
+    this.state.allBar.forEach((bar) => {
+      let colors = this._getBarColors(bar.userData.rank < 3)
+      let gradient = this.barGradients.get(bar.userData.adcode)
+      if (gradient) {
+        let color = new Color(gradient.config.uColor1)
+        tweenColor(color, colors.bar, duration, () => gradient.setColor(color.getHex()))
+      }
+      bar.children[0] && tweenColor(bar.children[0].material.color, colors.glow, duration)
     })
+  }
 
-    // 创建轮廓线组件
-    let pathLine = new PathLine(this.sharedState, {
-      data: data,
-      texture: texture,
-      renderOrder: 21,
-      speed: 0.2,
-      radius: 0.2,
-      segments: 256 * 10,
-      radialSegments: 4,
-      material: new MeshBasicMaterial({
-        color: 0x2bc4dc,
-        map: texture,
-        alphaMap: texture,
-        fog: false,
-        transparent: true,
-        opacity: 1,
-        blending: AdditiveBlending,
-      }),
+  /**
+   * 新增柱子的出现动画，与入场动画效果一致
+   * @private
+   */
+  _playBarEnter({ bar, material, guangQuan, barLabel, nameLabel }, item, duration) {
+    gsap.to(bar.scale, { duration, z: bar.userData.height, ease: "circ.out" })
+    gsap.to(material, { duration: duration / 2, opacity: 1, ease: "circ.out" })
+    guangQuan.children.map((mesh) => {
+      gsap.to(mesh.scale, { duration: duration / 2, x: 1, y: 1, z: 1, ease: "circ.out" })
     })
-    
-    pathLine.setParent(this.sharedState.mainSceneGroup)
-    pathLine.instance.position.z = this.sharedState.depth + 0.38
-    
-    this.strokeGroup = pathLine
+    ;[
+      barLabel.element.querySelector(".provinces-label-style02-wrap"),
+      nameLabel.element.querySelector(".provinces-name-label-wrap"),
+    ].map((element) => {
+      gsap.to(element, { duration: duration / 2, translateY: 0, opacity: 1, ease: "circ.out" })
+    })
+    let number = barLabel.element.querySelector(".number .value")
+    number.innerText = 0
+    this._tweenNumber(number, item.value, duration / 2)
   }
 
   /**
-   * 设置主地图组件可见性
-   * @param {boolean} bool - 可见性状态
+   * 移除柱子及其光圈、辉光和标签
+   * @param {string|number} adcode - 行政区划代码
+   * @param {number} duration - 消失动画时长
+   * @private
    */
-  setMainMapVisible(bool) {
-    // 控制各个可视化组件的显示/隐藏
-    if (this.barGroup) this.barGroup.visible = bool
-    if (this.scatterGroup) this.scatterGroup.visible = bool
-    if (this.flyLineGroup) this.flyLineGroup.visible = bool
-    if (this.flyLineFocusGroup) this.flyLineFocusGroup.visible = bool
-    if (this.pathLineGroup) this.pathLineGroup.visible = bool
-    if (this.strokeGroup) this.strokeGroup.visible = bool
-    if (this.particles) this.particles.instance.visible = bool
-    
-    // 隐藏时需要额外处理标签组
-    if (bool === false) {
-      this.setLabelVisible("provinceNameGroup", bool)
-      this.setLabelVisible("labelGroup", bool)
-      this.setLabelVisible("badgeGroup", bool)
+  _removeBarItem(adcode, duration) {
+    let { bar, guangQuan, barLabel, nameLabel } = this._getBarParts(adcode)
+    if (!bar) return
+
+    removeItem(this.state.allBar, bar)
+    removeItem(this.state.allBarMaterial, bar.material)
+    removeItem(this.state.allGuangquan, guangQuan)
+    removeItem(this.state.allProvinceLabel, barLabel)
+    removeItem(this.state.allProvinceNameLabel, nameLabel)
+    this.barGradients.delete(adcode)
+
+    gsap.to(bar.scale, {
+      duration: duration / 2,
+      z: 0,
+      overwrite: "auto",
+      onComplete: () => {
+        bar.removeFromParent()
+        bar.geometry.dispose()
+        bar.material.dispose()
+        // 辉光面共享几何体和材质
+        bar.children[0].geometry.dispose()
+        bar.children[0].material.dispose()
+      },
+    })
+    if (guangQuan) {
+      this.state.time.off("tick", this.quanTicks.get(guangQuan))
+      this.quanTicks.delete(guangQuan)
+      guangQuan.removeFromParent()
+      guangQuan.children.map((mesh) => mesh.material.dispose())
     }
+    // CSS3D对象移出场景时会同时移除DOM元素
+    barLabel && barLabel.removeFromParent()
+    nameLabel && nameLabel.removeFromParent()
+  }
+
+  /**
+   * 应用散点数据：按新的最大值缩放，增删散点
+   * @private
+   */
+  _applyScatterData(records, change, duration) {
+    change.removed.forEach((key) => {
+      let sprite = this.state.allScatter.find((n) => n.userData.key === key)
+      if (!sprite) return
+      removeItem(this.state.allScatter, sprite)
+      gsap.to(sprite.scale, {
+        duration: duration / 2,
+        x: 0, y: 0, z: 0,
+        overwrite: "auto",
+        onComplete: () => sprite.removeFromParent(),
+      })
+    })
+
+    let max = Math.max(0, ...[...records.values()].map((item) => item.value))
+    records.forEach((item, key) => {
+      let sprite = change.added.includes(key)
+        ? this._createScatterItem(item, key)
+        : this.state.allScatter.find((n) => n.userData.key === key)
+      if (!sprite) return
+      let scale = this._getScatterScale(item.value, max)
+      gsap.to(sprite.scale, { duration, x: scale, y: scale, z: scale, ease: "power2.out", overwrite: "auto" })
+    })
+  }
+
+  /**
+   * 应用飞线数据：增删从中心点出发的飞线
+   * @private
+   */
+  _applyFlyLineData(records) {
+    this.state.flyLineGroup.setData([...records.values()])
+  }
+
+  /**
+   * 应用标牌数据：更新数值，增删标牌
+   * @private
+   */
+  _applyBadgeData(records, change, duration) {
+    change.removed.forEach((adcode) => {
+      let label = this.state.allBadgeLabel.find((n) => n.userData.adcode === adcode)
+      if (!label) return
+      removeItem(this.state.allBadgeLabel, label)
+      label.removeFromParent()
+    })
+
+    records.forEach((item, adcode) => {
+      if (change.added.includes(adcode)) {
+        let label = this._createBadgeItem(item)
+        this.state.badgeGroup.visible && label.show()
+        return
+      }
+      let label = this.state.allBadgeLabel.find((n) => n.userData.adcode === adcode)
+      label && this._tweenNumber(label.element.querySelector(".badges-label-wrap span"), item.value, duration, "元")
+    })
+  }
+
+  /**
+   * 标签数字从当前值过渡到新值
+   * @param {HTMLElement} element - 显示数字的元素
+   * @param {number} value - 目标值
+   * @param {number} duration - 过渡时长
+   * @param {string} unit - 数字后的单位
+   * @private
+   */
+  _tweenNumber(element, value, duration, unit = "") {
+    if (!element) return
+    // 保留与目标值相同的小数位数
+    let digits = (String(value).split(".")[1] || "").length
+    let counter = { value: parseFloat(element.innerText) || 0 }
+    // 数据推送频繁时，停止该元素上一次未完成的过渡
+    this.numberTweens.get(element)?.kill()
+    this.numberTweens.set(element, gsap.to(counter, {
+      duration,
+      value,
+      onUpdate: () => {
+        element.innerText = counter.value.toFixed(digits) + unit
+      },
+    }))
   }
 
   /**
    * 销毁数据可视化系统
-   * 清理所有相关资源和事件监听器
+   * 清理所有相关资源
    */
   destroy() {
-    // 移除事件监听
-    this.eventBus.off('province:hover')
-    this.eventBus.off('province:leave')
-    this.eventBus.off('scene:switch')
-    
+    this.eventBus.unregisterListeners(this.listeners)
+
     // 销毁组件
-    if (this.flyLineGroup && this.flyLineGroup.destroy) {
-      this.flyLineGroup.destroy()
+    if (this.state.flyLineGroup && this.state.flyLineGroup.destroy) {
+      this.state.flyLineGroup.destroy()
     }
-    if (this.pathLineGroup && this.pathLineGroup.destroy) {
-      this.pathLineGroup.destroy()
-    }
-    if (this.strokeGroup && this.strokeGroup.destroy) {
-      this.strokeGroup.destroy()
-    }
-    if (this.particles && this.particles.destroy) {
-      this.particles.destroy()
+    if (this.state.particles && this.state.particles.destroy) {
+      this.state.particles.destroy()
     }
     
+    // 注销光圈旋转回调
+    this.quanTicks.forEach((onTick) => this.state.time.off("tick", onTick))
+    this.quanTicks.clear()
+    this.barGradients.clear()
+    this.readyLayers.clear()
+    this.pendingData = {}
+    
     // 清理数组
-    this.allBar = []
-    this.allBarMaterial = []
-    this.allGuangquan = []
-    this.allProvinceLabel = []
-    this.allProvinceNameLabel = []
+    this.state.allBar.length = 0
+    this.state.allBarMaterial.length = 0
+    this.state.allGuangquan.length = 0
+    this.state.allProvinceLabel.length = 0
+    this.state.allProvinceNameLabel.length = 0
+    this.state.allScatter.length = 0
+    this.state.allFlyLine.length = 0
+    this.state.allBadgeLabel.length = 0
     
     // 清理组件引用
-    this.barGroup = null
-    this.scatterGroup = null
-    this.flyLineGroup = null
-    this.flyLineFocusGroup = null
-    this.pathLineGroup = null
-    this.strokeGroup = null
-    this.particles = null
+    this.state.barGroup = null
+    this.state.scatterGroup = null
+    this.state.flyLineGroup = null
+    this.state.particles = null
+
+    console.log('[MapVisualization] 数据可视化系统已销毁')
   }
 }
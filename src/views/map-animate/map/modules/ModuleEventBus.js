@@ -1,4 +1,4 @@
-import { EventEmitter } from "@/mini3d"
+import { EventEmitter } from "../../../../mini3d/utils/EventEmitter.js"
 
 /**
  * 模块间事件通信总线
@@ -59,6 +59,7 @@ export class ModuleEventBus extends EventEmitter {
       NAVIGATION_FORWARD: 'nav:forward', // 导航前进事件
       NAVIGATION_BACK: 'nav:back',       // 导航后退事件
       NAVIGATION_RESET: 'nav:reset',     // 导航重置事件
+      NAVIGATION_CHANGE: 'nav:change',   // 层级变化事件（子地图加载完成或回到全国）
     }
   }
   
@@ -157,22 +158,44 @@ export class ModuleEventBus extends EventEmitter {
   
   /**
    * 创建带命名空间的事件发射器
+   * 事件名加上 `${namespace}:` 前缀，记录通过它注册的监听器，clear() 一次移除（模块卸载时）
    * @param {string} namespace - 命名空间
-   * @returns {Object} 带命名空间的事件方法
+   * @returns {Object} 带命名空间的事件方法 { namespace, emit, on, off, once, clear }
    */
   createNamespace(namespace) {
+    // [事件名, 处理函数, 实际注册的函数]
+    let listeners = []
+    let add = (eventName, handler, listener) => {
+      listeners.push([eventName, handler, listener])
+      this.on(`${namespace}:${eventName}`, listener)
+    }
+    let remove = (eventName, handler) => {
+      listeners = listeners.filter(([name, fn, listener]) => {
+        if (name !== eventName || fn !== handler) return true
+        this.off(`${namespace}:${eventName}`, listener)
+        return false
+      })
+    }
     return {
+      namespace,
       emit: (eventName, data) => {
         this.emit(`${namespace}:${eventName}`, data)
       },
       on: (eventName, handler) => {
-        this.on(`${namespace}:${eventName}`, handler)
+        add(eventName, handler, handler)
       },
       off: (eventName, handler) => {
-        this.off(`${namespace}:${eventName}`, handler)
+        remove(eventName, handler)
       },
       once: (eventName, handler) => {
-        this.once(`${namespace}:${eventName}`, handler)
+        add(eventName, handler, (...args) => {
+          remove(eventName, handler)
+          handler(...args)
+        })
+      },
+      clear: () => {
+        listeners.forEach(([eventName, , listener]) => this.off(`${namespace}:${eventName}`, listener))
+        listeners = []
       }
     }
   }
@@ -183,10 +206,10 @@ export class ModuleEventBus extends EventEmitter {
    */
   getListenerStats() {
     const stats = {}
-    const events = this.eventNames()
+    const events = Array.from(this.events.keys())
     
     events.forEach(eventName => {
-      stats[eventName] = this.listenerCount(eventName)
+      stats[eventName] = this.events.get(eventName).size
     })
     
     return {
@@ -201,6 +224,6 @@ export class ModuleEventBus extends EventEmitter {
    * 用于组件销毁时避免内存泄漏
    */
   cleanup() {
-    this.removeAllListeners()
+    this.events.clear()
   }
 } 
\ No newline at end of file
@@ -0,0 +1,393 @@
+/**
+ * 模块注册表
+ *
+ * 按声明的依赖加载、卸载地图模块，内置模块和第三方模块（如天气叠加层）使用同一套声明，
+ * 第三方模块不需要修改模块管理器：
+ * - dependsOn：依赖的模块名，加载前先加载依赖，按拓扑顺序初始化，缺少依赖或循环依赖时报错
+ * - provides：绑定到管理器上的方法，数组 ['setWeather'] 或 { 管理器方法名: 模块方法名 }
+ * - lazy：延迟加载，第一次调用其提供的方法（返回Promise）或 load 时才创建
+ * - init()：模块可以有异步的 init 方法，依赖它的模块等它完成后再创建，超时视为加载失败
+ * - 卸载 / 重新加载：运行时销毁模块并解绑其方法，依赖它的模块一并处理（配合 Vite 热更新）
+ * - builtin：内置模块，由 createBuiltins 按拓扑顺序同步创建（管理器构造完即可调用其方法），
+ *   不能延迟加载、不能依赖第三方模块，运行时不能卸载，只在 unloadAll({ builtin: true }) 时销毁
+ *
+ * 模块的构造参数为 (state, eventBus, context)，context 为
+ * { name, events, getModule }，events 是 eventBus.createNamespace(name) 创建的命名空间事件，
+ * 模块卸载时自动移除通过它注册的监听器；直接在 eventBus 上注册的监听器需要模块在 destroy 中移除。
+ *
+ * 派发的事件（eventBus）：
+ * - 'manager:moduleLoaded'：{ name, loadTime }
+ * - 'manager:moduleUnloaded'：{ name }
+ * - 'manager:moduleReloaded'：{ name, modules } modules 为一并重新加载的模块
+ *
+ * @example
+ * registry.register('weather', WeatherOverlay, { dependsOn: ['core'], provides: ['setWeather'] })
+ * await registry.load('weather')
+ * target.setWeather({ type: 'rain' })
+ *
+ * @author LJK
+ * @version 1.0.0
+ */
+export class ModuleRegistry {
+  /**
+   * @param {SharedState} state - 共享状态管理器
+   * @param {ModuleEventBus} eventBus - 事件总线
+   * @param {Object} options - 配置参数
+   * @param {Object} options.modules - 已加载的模块实例 { 名称: 实例 }，与管理器共用
+   * @param {Object} options.status - 模块状态 { 名称: registered | loading | loaded | error | unloaded }，与管理器共用
+   * @param {Object} options.target - 绑定 provides 方法的对象（模块管理器）
+   * @param {Function} options.wrap - 生成绑定方法 (name, method) => Function，默认直接调用模块方法
+   * @param {number} options.timeout - init 的超时时间（毫秒），默认10000
+   * @param {Function} options.onError - unloadAll 中销毁出错时的回调 (error, name)
+   */
+  constructor(state, eventBus, options = {}) {
+    this.state = state
+    this.eventBus = eventBus
+    this.options = Object.assign(
+      {
+        modules: {},
+        status: {},
+        target: null,
+        wrap: null,
+        timeout: 10000,
+        onError: (error, name) => console.error(`[ModuleRegistry] 销毁模块 ${name} 时出错:`, error),
+      },
+      options
+    )
+    this.modules = this.options.modules
+    this.status = this.options.status
+
+    // 名称 -> { name, Class, dependsOn, provides, lazy, builtin }，按注册顺序
+    this.definitions = new Map()
+    // 管理器方法名 -> 模块名
+    this.providers = new Map()
+    // 名称 -> 加载中的Promise
+    this.loading = new Map()
+    // 名称 -> 命名空间事件
+    this.namespaces = new Map()
+  }
+
+  /**
+   * 注册模块，不加载
+   * @param {string} name - 模块名
+   * @param {Function} Class - 模块类，构造参数 (state, eventBus, context)
+   * @param {Object} options - 配置参数
+   * @param {Array<string>} options.dependsOn - 依赖的模块名
+   * @param {Array<string>|Object} options.provides - 绑定到管理器上的方法
+   * @param {boolean} options.lazy - 是否延迟加载
+   * @param {boolean} options.builtin - 是否为内置模块，见 createBuiltins
+   */
+  register(name, Class, options = {}) {
+    if (typeof Class !== 'function') throw new Error(`模块 ${name} 不是有效的类`)
+    let previous = this.definitions.get(name)
+    if (previous && this.modules[name]) throw new Error(`模块 ${name} 已加载，请使用 reload 替换`)
+
+    let { dependsOn = [], provides = [], lazy = false, builtin = false } = options
+    if (builtin && lazy) throw new Error(`内置模块 ${name} 不能延迟加载`)
+    let definition = { name, Class, dependsOn: [].concat(dependsOn), provides: normalizeProvides(provides), lazy, builtin }
+    Object.keys(definition.provides).forEach((method) => {
+      let provider = this.providers.get(method)
+      let target = this.options.target
+      if ((provider && provider !== name) || (!provider && target && method in target)) {
+        throw new Error(`模块 ${name} 提供的方法 ${method} 已被${provider ? `模块 ${provider} ` : '管理器'}占用`)
+      }
+    })
+
+    if (previous) {
+      this._unbindProvides(previous)
+      Object.keys(previous.provides).forEach((method) => this.providers.delete(method))
+    }
+    this.definitions.set(name, definition)
+    Object.keys(definition.provides).forEach((method) => this.providers.set(method, name))
+    this.status[name] = 'registered'
+    lazy && this._bindProvides(definition)
+  }
+
+  /**
+   * 按拓扑顺序同步创建全部内置模块并绑定其方法，已创建的跳过
+   * 内置模块的 init 不等待，需要异步初始化的模块应作为第三方模块注册
+   * @throws {Error} 内置模块依赖了第三方模块、依赖未注册或存在循环依赖
+   */
+  createBuiltins() {
+    let builtins = [...this.definitions.values()].filter((definition) => definition.builtin)
+    builtins.forEach(({ name, dependsOn }) => {
+      let dependency = dependsOn.find((key) => this.definitions.has(key) && !this.definitions.get(key).builtin)
+      if (dependency) throw new Error(`内置模块 ${name} 不能依赖第三方模块 ${dependency}`)
+    })
+    this.resolveOrder(builtins.map(({ name }) => name)).forEach((name) => {
+      if (this.modules[name]) return
+      let definition = this.definitions.get(name)
+      let startTime = Date.now()
+      let { instance, events } = this._construct(definition)
+      this._finishLoad(definition, instance, events, startTime)
+    })
+  }
+
+  /**
+   * @param {string} name - 模块名
+   * @returns {boolean} 是否已注册
+   */
+  has(name) {
+    return this.definitions.has(name)
+  }
+
+  /**
+   * 直接或间接依赖某个模块的模块，按注册顺序
+   * @param {string} name - 模块名
+   * @returns {Array<string>}
+   */
+  getDependents(name) {
+    let result = new Set()
+    let visit = (target) => {
+      this.definitions.forEach((definition) => {
+        if (definition.dependsOn.includes(target) && !result.has(definition.name)) {
+          result.add(definition.name)
+          visit(definition.name)
+        }
+      })
+    }
+    visit(name)
+    return [...this.definitions.keys()].filter((key) => result.has(key))
+  }
+
+  /**
+   * 拓扑排序：依赖在前，没有依赖关系的按注册顺序
+   * @param {Array<string>} names - 要排序的模块，默认全部；结果中包含它们的依赖
+   * @returns {Array<string>}
+   * @throws {Error} 依赖的模块未注册或存在循环依赖
+   */
+  resolveOrder(names = [...this.definitions.keys()]) {
+    let order = []
+    let visiting = []
+    let visit = (name, from) => {
+      if (order.includes(name)) return
+      let definition = this.definitions.get(name)
+      if (!definition) throw new Error(from ? `模块 ${from} 依赖的模块 ${name} 未注册` : `模块 ${name} 未注册`)
+      if (visiting.includes(name)) {
+        throw new Error(`模块循环依赖：${[...visiting.slice(visiting.indexOf(name)), name].join(' → ')}`)
+      }
+      visiting.push(name)
+      definition.dependsOn.forEach((dependency) => visit(dependency, name))
+      visiting.pop()
+      order.push(name)
+    }
+    names.forEach((name) => visit(name))
+    return order
+  }
+
+  /**
+   * 加载模块及其依赖，已加载的直接返回
+   * @param {string} name - 模块名
+   * @returns {Promise<Object>} 模块实例
+   */
+  load(name) {
+    if (this.modules[name]) return Promise.resolve(this.modules[name])
+    if (this.loading.has(name)) return this.loading.get(name)
+
+    let promise = (async () => {
+      let definition = this.definitions.get(name)
+      // 先检查整条依赖链，缺少依赖或循环依赖时不创建任何模块
+      this.resolveOrder([name])
+      for (const dependency of definition.dependsOn) {
+        await this.load(dependency)
+      }
+      return this._create(definition)
+    })()
+    this.loading.set(name, promise)
+    let done = () => this.loading.delete(name)
+    promise.then(done, done)
+    return promise
+  }
+
+  /**
+   * 按拓扑顺序依次加载全部非延迟模块
+   * @returns {Promise<void>}
+   */
+  async loadAll() {
+    for (const name of this.resolveOrder()) {
+      this.definitions.get(name).lazy || (await this.load(name))
+    }
+  }
+
+  /**
+   * 卸载模块：销毁实例、移除命名空间监听器、解绑方法（延迟模块恢复为按需加载）
+   * @param {string} name - 模块名
+   * @param {Object} options - 配置参数
+   * @param {boolean} options.cascade - 是否一并卸载依赖它的模块，默认false（有已加载的依赖方时报错）
+   * @returns {Array<string>} 卸载的模块，按卸载顺序
+   */
+  unload(name, options = {}) {
+    let definition = this.definitions.get(name)
+    if (!definition) throw new Error(`模块 ${name} 未注册`)
+    if (definition.builtin) throw new Error(`内置模块 ${name} 不能卸载`)
+    if (this.loading.has(name)) throw new Error(`模块 ${name} 正在加载`)
+
+    let dependents = this.getDependents(name).filter((dependent) => this.modules[dependent])
+    if (dependents.length && !options.cascade) {
+      throw new Error(`模块 ${name} 被 ${dependents.join('、')} 依赖，不能单独卸载`)
+    }
+    let builtin = dependents.find((dependent) => this.definitions.get(dependent).builtin)
+    if (builtin) throw new Error(`模块 ${name} 被内置模块 ${builtin} 依赖，不能卸载`)
+
+    let names = this.resolveOrder([name, ...dependents]).filter((key) => key === name || dependents.includes(key)).reverse()
+    names.filter((key) => this.modules[key]).forEach((key) => this._destroy(this.definitions.get(key)))
+    return names
+  }
+
+  /**
+   * 重新加载模块，依赖它的已加载模块一并重新加载
+   * @param {string} name - 模块名
+   * @param {Function} Class - 新的模块类（热更新后的版本），默认使用原来的类
+   * @returns {Promise<Object>} 新的模块实例
+   */
+  async reload(name, Class) {
+    let unloaded = this.modules[name] ? this.unload(name, { cascade: true }) : [name]
+    Class && (this.definitions.get(name).Class = Class)
+    for (const key of this.resolveOrder(unloaded).filter((key) => unloaded.includes(key))) {
+      await this.load(key)
+    }
+    this.eventBus.emit('manager:moduleReloaded', { name, modules: unloaded })
+    return this.modules[name]
+  }
+
+  /**
+   * 按依赖的逆序卸载全部模块，销毁出错的继续卸载其余模块
+   * @param {Object} options - 配置参数
+   * @param {boolean} options.builtin - 是否一并销毁内置模块（管理器销毁时），默认false
+   */
+  unloadAll(options = {}) {
+    this.resolveOrder()
+      .reverse()
+      .forEach((name) => {
+        let definition = this.definitions.get(name)
+        if ((definition.builtin && !options.builtin) || !this.modules[name]) return
+        try {
+          this._destroy(definition)
+        } catch (error) {
+          this.options.onError(error, name)
+        }
+      })
+  }
+
+  /**
+   * 创建模块实例并等待 init 完成
+   * @private
+   */
+  async _create(definition) {
+    let { name } = definition
+    let startTime = Date.now()
+    let { instance, events } = this._construct(definition)
+    if (typeof instance.init === 'function') {
+      try {
+        await withTimeout(instance.init(), this.options.timeout, `模块 ${name} 初始化超时（${this.options.timeout}ms）`)
+      } catch (error) {
+        this.status[name] = 'error'
+        events.clear()
+        typeof instance.destroy === 'function' && instance.destroy()
+        throw error
+      }
+    }
+    this._finishLoad(definition, instance, events, startTime)
+    return instance
+  }
+
+  /**
+   * 创建模块实例和它的命名空间事件，构造出错时移除已注册的监听器
+   * @private
+   */
+  _construct(definition) {
+    let { name, Class } = definition
+    this.status[name] = 'loading'
+    let events = this.eventBus.createNamespace(name)
+    let context = { name, events, getModule: (key) => this.modules[key] }
+    try {
+      return { instance: new Class(this.state, this.eventBus, context), events }
+    } catch (error) {
+      this.status[name] = 'error'
+      events.clear()
+      throw error
+    }
+  }
+
+  /**
+   * 登记创建完成的模块并绑定其方法
+   * @private
+   */
+  _finishLoad(definition, instance, events, startTime) {
+    let { name } = definition
+    this.modules[name] = instance
+    this.namespaces.set(name, events)
+    this.status[name] = 'loaded'
+    this._bindProvides(definition)
+    this.eventBus.emit('manager:moduleLoaded', { name, loadTime: Date.now() - startTime })
+  }
+
+  /**
+   * 销毁已加载的模块
+   * @private
+   */
+  _destroy(definition) {
+    let { name } = definition
+    let instance = this.modules[name]
+    delete this.modules[name]
+    this.status[name] = 'unloaded'
+    this.namespaces.get(name).clear()
+    this.namespaces.delete(name)
+    definition.lazy ? this._bindProvides(definition) : this._unbindProvides(definition)
+    typeof instance.destroy === 'function' && instance.destroy()
+    this.eventBus.emit('manager:moduleUnloaded', { name })
+  }
+
+  /**
+   * 把模块提供的方法绑定到管理器；未加载的延迟模块绑定为先加载再调用（返回Promise）
+   * @private
+   */
+  _bindProvides(definition) {
+    let { target, wrap } = this.options
+    if (!target) return
+    let { name, provides } = definition
+    Object.keys(provides).forEach((alias) => {
+      let method = provides[alias]
+      if (!this.modules[name]) {
+        target[alias] = (...args) => this.load(name).then(() => target[alias](...args))
+      } else {
+        target[alias] = wrap ? wrap(name, method) : (...args) => this.modules[name][method](...args)
+      }
+    })
+  }
+
+  /**
+   * @private
+   */
+  _unbindProvides(definition) {
+    let { target } = this.options
+    target && Object.keys(definition.provides).forEach((alias) => delete target[alias])
+  }
+}
+
+/**
+ * provides 统一为 { 管理器方法名: 模块方法名 }
+ * @param {Array<string>|Object} provides
+ * @returns {Object}
+ */
+function normalizeProvides(provides) {
+  if (!Array.isArray(provides)) return Object.assign({}, provides)
+  let result = {}
+  provides.forEach((method) => (result[method] = method))
+  return result
+}
+
+/**
+ * 等待Promise，超时则失败
+ * @param {*} value - Promise或普通值
+ * @param {number} timeout - 超时时间（毫秒）
+ * @param {string} message - 超时的错误信息
+ * @returns {Promise}
+ */
+function withTimeout(value, timeout, message) {
+  let timer = null
+  let expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeout)
+  })
+  return Promise.race([Promise.resolve(value), expired]).finally(() => clearTimeout(timer))
+}
@@ -12,6 +12,8 @@
  * @author LJK
  * @version 1.0.0
  */
+import { getTheme, DEFAULT_THEME } from "../themes.js"
+
 export class SharedState {
   constructor() {
     // ============ 地图基础配置 ============
@@ -19,6 +21,8 @@ export class SharedState {
     this.flyLineCenter = [116.41995, 40.18994]  // 飞线中心坐标（北京）
     this.depth = 5                              // 地图挤出深度
     this.pointCenter = [108.55, 34.32]          // 地图中心点坐标
+    this.sceneConfig = null                     // 当前场景配置，见 sceneConfig.js
+    this.theme = getTheme(DEFAULT_THEME)        // 当前主题，见 themes.js
     
     // ============ 场景状态管理 ============
     this.currentScene = "mainScene"  // 当前场景：mainScene | childScene
@@ -26,7 +30,7 @@ export class SharedState {
     
     // ============ 地图数据状态 ============
     this.mapData = null              // 当前地图的GeoJSON数据
-    this.currentLevel = 'china'      // 当前地图层级：china | province | city
+    this.currentLevel = 'china'      // 当前区划级别：china | province | city | district（村镇级地图为其所在区县）
     this.selectedProvince = null     // 当前选中的省份信息
     this.selectedAdcode = null       // 当前选中的行政区划代码
     
@@ -44,6 +48,8 @@ export class SharedState {
     this.focusMapGroup = null        // 聚焦地图组
     this.focusMapSideMaterial = null // 地图侧面材质
     this.provinceLineMaterial = null // 省份轮廓线材质
+    this.focusMapTopMaterial = null  // 地图顶面材质
+    this.eventElement = []           // 可交互的省份网格
     
     // ============ 可视化组件数组 ============
     this.allBar = []                 // 所有柱状图对象
@@ -55,6 +61,25 @@ export class SharedState {
     this.allFlyLine = []             // 所有飞线对象
     this.allBadgeLabel = []          // 所有标牌标签
     
+    // ============ 图层数据 ============
+    // 各数据图层当前的记录，键为adcode（散点为id或adcode+经纬度）
+    this.layerData = {
+      bar: new Map(),                // 柱状图数据
+      scatter: new Map(),            // 散点图数据
+      flyLine: new Map(),            // 飞线数据
+      badge: new Map(),              // 标牌数据
+    }
+    
+    // ============ 可视化组件组 ============
+    this.barGroup = null             // 柱状图组
+    this.scatterGroup = null         // 散点图组
+    this.flyLineGroup = null         // 飞线组件
+    this.flyLineFocusGroup = null    // 飞线焦点光圈组
+    this.flowLine = null             // OD流向线组件
+    this.movingObjects = null        // 移动对象组件（车辆、船舶跟踪）
+    this.pathLineGroup = null        // 路径流动组件
+    this.strokeLineGroup = null      // 轮廓流动组件
+    
     // ============ 特效组件 ============
     this.quan = null                 // 背景光圈
     this.rotateBorder1 = null        // 旋转边框1
@@ -62,6 +87,10 @@ export class SharedState {
     this.particles = null            // 粒子系统
     this.mirror = null               // 镜面反射
     this.gridRipple = null           // 网格波纹
+    this.watermark = null            // 相机水印
+    this.lights = []                 // 场景配置创建的灯光
+    this.gridRippleShader = null     // 网格波纹扩散着色器
+    this.mapSideUniforms = null      // 地图侧面渐变颜色uniform（所有侧面材质共享）
     
     // ============ 外部组件引用 ============
     this.toastLoading = null         // 加载提示组件
@@ -69,7 +98,10 @@ export class SharedState {
     this.history = null              // 历史记录管理器
     this.assets = null               // 资源管理器
     this.childMap = null             // 子地图实例
+    this.boundaryProvider = null     // 下钻边界数据提供者
+    this.loader = null               // 资源加载队列（由资源模块创建，见 loaderQueue.js）
     this.interactionManager = null   // 交互管理器
+    this.childMapLoadId = 0          // 子地图加载序号，用于丢弃过期的加载结果
     
     // ============ DOM元素引用 ============
     this.returnBtn = null            // 返回按钮DOM元素
@@ -83,6 +115,7 @@ export class SharedState {
     this.camera = null               // 相机对象
     this.renderer = null             // 渲染器对象
     this.debug = null                // 调试工具
+    this.world = null                // 地图实例（子地图的父级）
   }
   
   /**
@@ -96,6 +129,7 @@ export class SharedState {
     this.camera = mini3dInstance.camera
     this.renderer = mini3dInstance.renderer
     this.debug = mini3dInstance.debug
+    this.world = mini3dInstance
     this.canvas = mini3dInstance.canvas
     
     // 注入Mini3d的其他组件
@@ -127,6 +161,10 @@ export class SharedState {
       this.setEnable = config.setEnable
     }
     
+    if (config.boundaryProvider) {
+      this.boundaryProvider = config.boundaryProvider
+    }
+    
     console.log('[SharedState] 初始化完成')
     console.log('- assets:', this.assets ? '✓' : '✗')
     console.log('- time:', this.time ? '✓' : '✗')
@@ -154,6 +192,9 @@ export class SharedState {
     this.allScatter.length = 0
     this.allFlyLine.length = 0
     this.allBadgeLabel.length = 0
+    
+    // 清空图层数据
+    Object.values(this.layerData).forEach((records) => records.clear())
   }
   
   /**
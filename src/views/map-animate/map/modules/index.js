@@ -14,6 +14,22 @@
  * - MapMaterials: 材质系统模块，管理着色器和特效
  * - MapAnimations: 动画系统模块，处理各种动画效果
  * - MapResource: 资源管理模块，处理纹理和模型加载
+ * - MapChoropleth: 分级设色模块，按数值给区域着色并显示图例
+ * - MapExtrusion: 按数值挤出模块，区域高度与数值成正比（3D棱柱图）
+ * - MapHeatmap: 热力图模块，点数据的GPU密度图，裁剪到地图轮廓
+ * - MapTheme: 主题模块，运行时切换整套配色（见 ../themes.js）
+ * - MapPostProcessing: 后期处理联动模块，辉光对象和区域描边
+ * - MapFlow: OD流向模块，多对多起讫点流向线和悬停高亮
+ * - MapPlayback: 时间序列回放模块，共享回放时钟和帧间插值（见 ../playback.js）
+ * - MapTracking: 移动对象跟踪模块，按定位点插值移动的车辆、船舶，尾迹、标签和相机跟随
+ * - MapTour: 相机书签与巡游模块，地理坐标视角、按书签巡游和到站动作
+ * - MapSearch: 区划搜索模块，名称、拼音首字母和区划代码的搜索索引，相机飞到区划（见 ../regionSearch.js）
+ * - MapTooltip: 提示框模块，各图层按模板显示悬停提示框和点击固定的信息面板（见 ../tooltip.js）
+ * - MapInspector: 调试检查器模块，调试模式下在调试面板中显示场景树、共享状态、时间线和图层参数
+ * - ModuleRegistry: 模块注册表，按声明的依赖创建内置模块、加载第三方模块，第三方模块支持延迟加载、卸载和重新加载
+ * 
+ * 模块管理器按场景配置（见 ../sceneConfig.js）设置环境并创建图层。
+ * 第三方模块（如天气叠加层）通过 registerModule 或配置中的 modules 注册，不需要修改模块管理器。
  * 
  * @author LJK
  * @version 1.0.0
@@ -22,6 +38,7 @@
 // ============ 基础架构模块 ============
 export { SharedState } from './SharedState.js'
 export { ModuleEventBus } from './ModuleEventBus.js'
+export { ModuleRegistry } from './ModuleRegistry.js'
 
 // ============ 核心功能模块 ============
 export { MapCore } from './MapCore.js'
@@ -29,8 +46,10 @@ export { MapInteraction } from './MapInteraction.js'
 export { MapNavigation } from './MapNavigation.js'
 
 // 内部导入，用于模块管理器
+import { Fog, Color, AmbientLight, DirectionalLight, PointLight } from 'three'
 import { SharedState } from './SharedState.js'
 import { ModuleEventBus } from './ModuleEventBus.js'
+import { ModuleRegistry } from './ModuleRegistry.js'
 import { MapCore } from './MapCore.js'
 import { MapInteraction } from './MapInteraction.js'
 import { MapNavigation } from './MapNavigation.js'
@@ -38,24 +57,125 @@ import { MapMaterials } from './MapMaterials.js'
 import { MapAnimations } from './MapAnimations.js'
 import { MapResource } from './MapResource.js'
 import { MapVisualization } from './MapVisualization.js'
+import { MapChoropleth } from './MapChoropleth.js'
+import { MapExtrusion } from './MapExtrusion.js'
+import { MapHeatmap } from './MapHeatmap.js'
+import { MapTheme } from './MapTheme.js'
+import { MapPostProcessing } from './MapPostProcessing.js'
+import { MapFlow } from './MapFlow.js'
+import { MapPlayback } from './MapPlayback.js'
+import { MapTracking } from './MapTracking.js'
+import { MapTour } from './MapTour.js'
+import { MapSearch } from './MapSearch.js'
+import { MapTooltip } from './MapTooltip.js'
+import { MapInspector } from './MapInspector.js'
 
 // ============ 功能扩展模块 ============
 export { MapMaterials } from './MapMaterials.js'
 export { MapAnimations } from './MapAnimations.js'
 export { MapResource } from './MapResource.js'
 export { MapVisualization } from './MapVisualization.js'
+export { MapChoropleth } from './MapChoropleth.js'
+export { MapExtrusion } from './MapExtrusion.js'
+export { MapHeatmap } from './MapHeatmap.js'
+export { MapTheme } from './MapTheme.js'
+export { MapPostProcessing } from './MapPostProcessing.js'
+export { MapFlow } from './MapFlow.js'
+export { MapPlayback } from './MapPlayback.js'
+export { MapTracking } from './MapTracking.js'
+export { MapTour } from './MapTour.js'
+export { MapSearch } from './MapSearch.js'
+export { MapTooltip } from './MapTooltip.js'
+export { MapInspector } from './MapInspector.js'
+
+/**
+ * 内置模块：依赖（dependsOn）和绑定到管理器上的方法（provides）
+ * 按依赖的拓扑顺序创建，没有依赖关系的按这里的顺序；销毁时逆序。
+ * provides 为对象时键是管理器方法名，值是模块方法名
+ */
+const BUILTIN_MODULES = [
+  {
+    name: 'resource',
+    Class: MapResource,
+    provides: ['getResource', 'preloadResources', 'createProceduralTexture', 'optimizeTexture', 'cleanExpiredCache', 'loadJSON', 'loadTexture', 'cancelLoads'],
+  },
+  { name: 'core', Class: MapCore, provides: ['createModel', 'createProvince', 'createProvinceMaterial', 'calcUv2'] },
+  { name: 'interaction', Class: MapInteraction, dependsOn: ['core'], provides: ['addEvent', 'highlightProvince'] },
+  {
+    name: 'navigation',
+    Class: MapNavigation,
+    // 下钻数据经由资源模块的加载队列
+    dependsOn: ['core', 'interaction', 'resource'],
+    provides: ['drillDown', 'loadChildMap', 'goBack', 'goToHistory', 'navigateTo', 'getBreadcrumbs', 'setMainMapVisible', 'setLabelVisible'],
+  },
+  { name: 'materials', Class: MapMaterials, dependsOn: ['core'], provides: ['createFloor', 'createRotateBorder', 'createGridRipple', 'createMirror', 'createWatermark'] },
+  {
+    name: 'visualization',
+    Class: MapVisualization,
+    dependsOn: ['core'],
+    provides: ['createBar', 'createHUIGUANG', 'createQuan', 'createScatter', 'createFlyLine', 'createParticles', 'createBadgeLabel', 'setData', 'getData'],
+  },
+  {
+    name: 'animations',
+    Class: MapAnimations,
+    // 入场动画和聚焦飞线使用地图、柱状图、标签和旋转边框
+    dependsOn: ['core', 'materials', 'visualization'],
+    provides: ['createPathAnimate', 'createStorke', 'createFlyLineFocus', 'setPathLineProgress', 'playEntranceAnimation'],
+  },
+  { name: 'choropleth', Class: MapChoropleth, dependsOn: ['core', 'navigation'], provides: ['setChoropleth', 'clearChoropleth'] },
+  { name: 'extrusion', Class: MapExtrusion, dependsOn: ['core', 'navigation', 'visualization'], provides: ['setExtrusion', 'clearExtrusion'] },
+  {
+    name: 'heatmap',
+    Class: MapHeatmap,
+    dependsOn: ['core', 'navigation'],
+    provides: ['createHeatmap', 'setHeatmapSlice', 'playHeatmap', 'pauseHeatmap', 'setHeatmapOptions', 'removeHeatmap'],
+  },
+  { name: 'theme', Class: MapTheme, dependsOn: ['core', 'materials', 'visualization', 'animations'], provides: ['setTheme', 'getTheme', 'registerTheme', 'getThemeNames'] },
+  {
+    name: 'postProcessing',
+    Class: MapPostProcessing,
+    dependsOn: ['core', 'navigation'],
+    provides: { refreshPostProcessing: 'refresh', setOutlineRegions: 'setOutlineRegions' },
+  },
+  { name: 'flow', Class: MapFlow, dependsOn: ['core'], provides: ['createFlowLine', 'setFlowData', 'removeFlowLine'] },
+  {
+    name: 'playback',
+    Class: MapPlayback,
+    provides: ['loadPlayback', 'playPlayback', 'pausePlayback', 'seekPlayback', 'setPlaybackRate', 'getPlaybackState', 'clearPlayback'],
+  },
+  {
+    name: 'tracking',
+    Class: MapTracking,
+    // 沿运输路径移动的对象使用 pathLine 图层的曲线
+    dependsOn: ['core', 'animations', 'playback'],
+    provides: ['createTracking', 'setTrackingData', 'selectTrackingObject', 'followTrackingObject', 'unfollowTrackingObject', 'removeTracking'],
+  },
+  {
+    name: 'tour',
+    Class: MapTour,
+    provides: [
+      'saveCameraBookmark', 'setCameraBookmarks', 'getCameraBookmarks', 'removeCameraBookmark', 'flyToView', 'loadTour', 'registerTourAction',
+      'playTour', 'pauseTour', 'stopTour', 'nextTourStep', 'previousTourStep', 'gotoTourStep', 'getTourState', 'clearTour',
+    ],
+  },
+  { name: 'search', Class: MapSearch, dependsOn: ['navigation'], provides: ['searchRegions', 'getSearchRegion', 'addSearchRegions', 'flyToRegion'] },
+  { name: 'tooltip', Class: MapTooltip, dependsOn: ['interaction', 'visualization', 'flow'], provides: ['registerTooltip', 'unregisterTooltip', 'pinTooltip', 'closeTooltips'] },
+  { name: 'inspector', Class: MapInspector },
+]
 
 /**
  * 模块管理器类
  * 
  * 负责协调和管理所有地图模块的生命周期，
  * 提供统一的初始化、更新和销毁接口。
+ * 内置模块和第三方模块都由模块注册表按依赖创建，模块提供的方法绑定到管理器上。
  */
 export class MapModuleManager {
   /**
    * 构造函数
    * @param {Object} mini3dInstance - Mini3d实例
    * @param {Object} config - 配置参数
+   * @param {Array<Object>} config.modules - 第三方模块 [{ name, Class, dependsOn, provides, lazy }]，见 registerModule
    */
   constructor(mini3dInstance, config = {}) {
     // ============ 初始化基础架构 ============
@@ -66,51 +186,239 @@ export class MapModuleManager {
     this.state.init(mini3dInstance, config)
     
     // ============ 初始化功能模块 ============
-    this.modules = {
-      core: new MapCore(this.state, this.eventBus),
-      interaction: new MapInteraction(this.state, this.eventBus),
-      navigation: new MapNavigation(this.state, this.eventBus),
-      materials: new MapMaterials(this.state, this.eventBus),
-      animations: new MapAnimations(this.state, this.eventBus),
-      resource: new MapResource(this.state, this.eventBus),
-      visualization: new MapVisualization(this.state, this.eventBus),
-    }
+    // 内置模块同步创建，构造完成后即可调用其方法
+    this.modules = {}
+    this.registry = new ModuleRegistry(this.state, this.eventBus, { modules: this.modules, target: this })
+    BUILTIN_MODULES.forEach((module) => this.registry.register(module.name, module.Class, Object.assign({ builtin: true }, module)))
+    this.registry.createBuiltins()
     
-    // ============ 绑定方法到实例 ============
-    // 将模块方法暴露到管理器实例上，方便外部调用
-    this.createModel = this.modules.core.createModel.bind(this.modules.core)
-    this.createProvince = this.modules.core.createProvince.bind(this.modules.core)
-    this.addEvent = this.modules.interaction.addEvent.bind(this.modules.interaction)
-    this.goBack = this.modules.navigation.goBack.bind(this.modules.navigation)
-    
-    // 材质系统方法绑定 - 只绑定存在的方法
-    this.createHUIGUANG = this.modules.materials.createHUIGUANG?.bind(this.modules.materials)
-    this.createQuan = this.modules.materials.createQuan?.bind(this.modules.materials)
-    
-    // 安全的方法绑定 - 使用可选链操作符防止 undefined 错误
-    // 动画系统方法绑定
-    this.createPathAnimate = this.modules.animations.createPathAnimate?.bind(this.modules.animations)
-    this.createStorke = this.modules.animations.createStorke?.bind(this.modules.animations)
-    this.createFlyLineFocus = this.modules.animations.createFlyLineFocus?.bind(this.modules.animations)
-    this.playEntranceAnimation = this.modules.animations.playEntranceAnimation?.bind(this.modules.animations)
-    
-    // 资源管理系统方法绑定
-    this.getResource = this.modules.resource.getResource?.bind(this.modules.resource)
-    this.preloadResources = this.modules.resource.preloadResources?.bind(this.modules.resource)
-    this.createProceduralTexture = this.modules.resource.createProceduralTexture?.bind(this.modules.resource)
-    this.optimizeTexture = this.modules.resource.optimizeTexture?.bind(this.modules.resource)
-    this.cleanExpiredCache = this.modules.resource.cleanExpiredCache?.bind(this.modules.resource)
-    
-    // 数据可视化系统方法绑定
-    this.createBar = this.modules.visualization.createBar?.bind(this.modules.visualization)
-    this.createScatter = this.modules.visualization.createScatter?.bind(this.modules.visualization)
-    this.createFlyLine = this.modules.visualization.createFlyLine?.bind(this.modules.visualization)
-    this.createBadgeLabel = this.modules.visualization.createBadgeLabel?.bind(this.modules.visualization)
-    this.setLabelVisible = this.modules.visualization.setLabelVisible?.bind(this.modules.visualization)
+    // ============ 第三方模块 ============
+    // 第三方模块按依赖顺序异步加载
+    let plugins = config.modules || []
+    plugins.forEach((module) => this.registry.register(module.name, module.Class, Object.assign({}, module, { builtin: false })))
+    // 第三方模块全部加载后 resolve，加载失败的模块不影响其他模块
+    this.ready = this.registry.loadAll().catch((error) => {
+      console.error('[MapModuleManager] 第三方模块加载失败:', error)
+    })
     
     console.log('[MapModuleManager] 模块管理器初始化完成')
   }
   
+  // ============ 模块注册 ============
+  
+  /**
+   * 注册第三方模块，按依赖顺序加载并把 provides 中的方法绑定到管理器上
+   * @param {string} name - 模块名称
+   * @param {Function} Class - 模块类，构造参数 (state, eventBus, context)，可以有异步的 init 方法；
+   *   context 为 { name, events, getModule }，events 是该模块的命名空间事件（事件名加 `${name}:` 前缀），卸载时自动移除监听器
+   * @param {Object} options - 配置参数
+   * @param {Array<string>} options.dependsOn - 依赖的模块名称，内置模块：core、interaction、navigation、materials、
+   *   animations、resource、visualization、choropleth、extrusion、heatmap、theme、postProcessing、flow、playback、
+   *   tracking、tour、search、tooltip、inspector
+   * @param {Array<string>|Object} options.provides - 绑定到管理器上的方法，数组或 { 管理器方法名: 模块方法名 }
+   * @param {boolean} options.lazy - 是否延迟到第一次调用其方法（返回Promise）或 loadModule 时再加载
+   * @returns {Promise<Object|null>} 模块实例，延迟加载的为null
+   * @throws {Error} 模块已加载，或提供的方法名已被占用
+   *
+   * @example
+   * await manager.registerModule('weather', WeatherOverlay, { dependsOn: ['core', 'resource'], provides: ['setWeather'] })
+   * manager.setWeather({ type: 'rain' })
+   */
+  registerModule(name, Class, options = {}) {
+    // 与 config.modules 一样，第三方模块不能声明为内置模块
+    this.registry.register(name, Class, Object.assign({}, options, { builtin: false }))
+    return this.ready.then(() => (options.lazy ? null : this.registry.load(name)))
+  }
+  
+  /**
+   * 加载已注册的模块（及其依赖）
+   * @param {string} name - 模块名称
+   * @returns {Promise<Object>} 模块实例
+   */
+  loadModule(name) {
+    return this.registry.load(name)
+  }
+  
+  /**
+   * 卸载第三方模块，内置模块不能卸载
+   * @param {string} name - 模块名称
+   * @param {Object} options - 配置参数
+   * @param {boolean} options.cascade - 是否一并卸载依赖它的模块，默认false（有依赖它的已加载模块时报错）
+   * @returns {Array<string>} 卸载的模块
+   */
+  unloadModule(name, options) {
+    return this.registry.unload(name, options)
+  }
+  
+  /**
+   * 重新加载第三方模块，依赖它的模块一并重新加载
+   * @param {string} name - 模块名称
+   * @param {Function} Class - 新的模块类，默认使用原来的类
+   * @returns {Promise<Object>} 新的模块实例
+   *
+   * @example
+   * // Vite 热更新
+   * import.meta.hot.accept('./WeatherOverlay.js', (module) => manager.reloadModule('weather', module.WeatherOverlay))
+   */
+  reloadModule(name, Class) {
+    return this.registry.reload(name, Class)
+  }
+  
+  /**
+   * 应用场景配置的环境部分：飞线中心、背景、雾效、相机和灯光
+   * 在资源加载前调用，图层由 buildScene 创建
+   * 配置了主题时，主题颜色覆盖背景、雾效和灯光颜色，之后创建的地图也使用主题颜色
+   * 入场动画的起点和终点保存为相机书签 start、home，与 camera.bookmarks 一起供导航和巡游使用
+   * @param {Object} scene - 已校验的完整场景配置，见 resolveSceneConfig
+   */
+  applyEnvironment(scene) {
+    let { projection, environment, camera, lights } = scene
+    let { background, fog } = environment
+    this.state.sceneConfig = scene
+    this.state.flyLineCenter = projection.flyLineCenter
+    
+    // ============ 背景和雾效 ============
+    this.state.scene.background = background === null ? null : new Color(background)
+    this.state.scene.fog = fog ? new Fog(fog.color, fog.near, fog.far) : null
+    
+    // ============ 相机 ============
+    let instance = this.state.camera.instance
+    instance.position.fromArray(camera.position)
+    instance.near = camera.near
+    instance.far = camera.far
+    instance.updateProjectionMatrix()
+    
+    // ============ 相机书签 ============
+    this.saveCameraBookmark('start', { position: camera.position, target: [0, 0, 0] })
+    this.saveCameraBookmark('home', { position: scene.animation.cameraTo, target: [0, 0, 0] })
+    this.setCameraBookmarks(camera.bookmarks)
+    
+    // ============ 灯光 ============
+    this.state.lights.forEach((light) => light.removeFromParent())
+    this.state.lights = lights.map((options) => this._createLight(options))
+    this.state.scene.add(...this.state.lights)
+    
+    // ============ 主题 ============
+    scene.theme && this.setTheme(scene.theme, { duration: 0 })
+  }
+  
+  /**
+   * 按配置创建灯光
+   * 方向光开启阴影时使用半径20、1024x1024的阴影贴图
+   * @param {Object} options - { type, color, intensity, position, distance, castShadow }
+   * @returns {Light}
+   * @private
+   */
+  _createLight(options) {
+    let { type, color = 0xffffff, intensity = 1, position, distance = 0, castShadow = false } = options
+    let light
+    if (type === 'ambient') {
+      light = new AmbientLight(color, intensity)
+    } else if (type === 'directional') {
+      light = new DirectionalLight(color, intensity)
+      light.castShadow = castShadow
+      light.shadow.radius = 20
+      light.shadow.mapSize.width = 1024
+      light.shadow.mapSize.height = 1024
+    } else {
+      light = new PointLight(color, intensity, distance, 1)
+    }
+    position && light.position.fromArray(position)
+    return light
+  }
+  
+  /**
+   * 按场景配置创建图层并播放入场动画
+   * 
+   * 场景层级结构需要先创建好，顺序与原先写死的构建流程一致：
+   * 环境装饰 → 核心地图 → 数据可视化 → 流动动画 → 分析图层 → 入场动画，
+   * 镜面反射和网格波纹在入场动画显示出地图侧面后创建。
+   * 
+   * @param {Object} scene - 已校验的完整场景配置，见 resolveSceneConfig
+   * @returns {gsap.core.Timeline} 入场时间线
+   */
+  buildScene(scene) {
+    let { layers, data, animation } = scene
+    let enabled = (name) => layers[name] && layers[name].enabled
+    // 图层参数去掉开关，静态数据并入 data 参数
+    let options = (name) => {
+      let layerOptions = Object.assign({}, layers[name])
+      delete layerOptions.enabled
+      data[name] && (layerOptions.data = data[name])
+      return layerOptions
+    }
+    
+    // ============ 环境装饰 ============
+    enabled('floor') && this.createFloor(options('floor'))
+    enabled('rotateBorder') && this.createRotateBorder(options('rotateBorder'))
+    
+    // ============ 核心地图 ============
+    this.createModel()
+    
+    // ============ 数据可视化 ============
+    enabled('bar') && this.createBar(options('bar'))
+    enabled('particles') && this.createParticles(options('particles'))
+    enabled('flyLine') && this.createFlyLine(options('flyLine'))
+    enabled('flyLineFocus') && this.createFlyLineFocus()
+    enabled('scatter') && this.createScatter(options('scatter'))
+    enabled('badge') && this.createBadgeLabel(options('badge'))
+    
+    // ============ 流动动画 ============
+    enabled('pathLine') && this.createPathAnimate()
+    enabled('stroke') && this.createStorke()
+    
+    // ============ 分析图层 ============
+    enabled('choropleth') && this.setChoropleth(options('choropleth'))
+    enabled('extrusion') && this.setExtrusion(options('extrusion'))
+    enabled('heatmap') && this.createHeatmap(options('heatmap'))
+    
+    // ============ 主题 ============
+    // 图层按各自配置的颜色创建，配置了主题时统一换成主题颜色
+    scene.theme && this.setTheme(scene.theme, { duration: 0 })
+    
+    // ============ 提示框 ============
+    // true 使用默认模板，字符串为模板
+    Object.keys(scene.tooltips).forEach((layer) => {
+      let tooltip = scene.tooltips[layer]
+      if (tooltip === false) return
+      let tooltipOptions = Object.assign({}, typeof tooltip === 'object' ? tooltip : null)
+      let template = typeof tooltip === 'string' ? tooltip : tooltipOptions.template
+      delete tooltipOptions.template
+      this.registerTooltip(layer, template, tooltipOptions)
+    })
+    
+    // ============ 后期处理 ============
+    // 飞线等没有创建事件的图层在这里统一加入辉光层
+    this.refreshPostProcessing()
+    
+    // ============ 地图显示后的地面特效 ============
+    this.eventBus.once('animations:mapRevealed', () => {
+      enabled('mirror') && this.createMirror(options('mirror'))
+      enabled('gridRipple') && this.createGridRipple(options('gridRipple'))
+      enabled('flow') && this.createFlowLine(options('flow'))
+      // 沿运输路径移动的对象需要 pathLine 图层的曲线，此时已创建
+      enabled('tracking') && this.createTracking(options('tracking'))
+    })
+    
+    // ============ 入场动画 ============
+    // 关闭入场动画时直接跳到结束状态，各组件的显示回调照常执行
+    let timeline = this.playEntranceAnimation({ view: 'home' })
+    
+    // ============ 时间序列回放 ============
+    // 回放会改写图层数据，等入场动画结束后再加载
+    if (scene.playback) {
+      let playbackOptions = Object.assign({}, scene.playback)
+      delete playbackOptions.data
+      timeline.call(() => this.loadPlayback(scene.playback.data, playbackOptions))
+    }
+    
+    // ============ 相机巡游 ============
+    // 巡游接管相机，同样等入场动画结束
+    scene.tour && timeline.call(() => this.loadTour(scene.tour))
+    animation.entrance ? timeline.timeScale(animation.timeScale) : timeline.progress(1)
+    return timeline
+  }
+  
   /**
    * 获取共享状态
    * @returns {SharedState} 共享状态实例
@@ -168,20 +476,8 @@ export class MapModuleManager {
   destroy() {
     console.log('[MapModuleManager] 开始销毁所有模块')
     
-    // 按照依赖关系逆序销毁模块
-    const destroyOrder = ['navigation', 'interaction', 'visualization', 'animations', 'materials', 'resource', 'core']
-    
-    destroyOrder.forEach(moduleName => {
-      const module = this.modules[moduleName]
-      if (module && module.destroy && typeof module.destroy === 'function') {
-        try {
-          module.destroy()
-          console.log(`[MapModuleManager] ${moduleName} 模块已销毁`)
-        } catch (error) {
-          console.error(`[MapModuleManager] 销毁 ${moduleName} 模块时出错:`, error)
-        }
-      }
-    })
+    // 按依赖关系逆序销毁模块，第三方模块依赖内置模块，先销毁
+    this.registry.unloadAll({ builtin: true })
     
     // 清理事件总线
     this.eventBus.cleanup()
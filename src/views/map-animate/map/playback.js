@@ -0,0 +1,238 @@
+/**
+ * 时间序列回放工具
+ *
+ * 把带时间戳的记录整理为各图层的时间轨道，按任意时刻插值出当时的图层数据，
+ * 配合回放时钟（PlaybackClock）实现播放、暂停、拖动和倍速。
+ * 不依赖场景对象，地图模块（MapPlayback）负责驱动时钟并把插值结果应用到图层。
+ *
+ * 轨道约定：
+ * - 同一时刻的记录组成一帧，帧按时间升序排列
+ * - 记录按键（id、adcode、route，流向为起讫点）在相邻两帧间匹配，数值字段线性插值
+ * - 只在前一帧出现的记录保持前一帧的值，到下一帧时刻消失；只在后一帧出现的记录到该帧时刻出现
+ * - 第一帧之前取第一帧，最后一帧之后取最后一帧
+ *
+ * @example
+ * const track = buildTrack(records, { timeField: "year" })
+ * sampleTrack(track, 2019.5) // 2019和2020两帧之间的插值记录
+ */
+
+import { EventEmitter } from "@/mini3d"
+
+/** 默认参与插值的数值字段 */
+export const PLAYBACK_FIELDS = ["value", "lng", "lat", "progress"]
+
+/**
+ * 解析时间：数字原样使用（时间戳或年份等序号），字符串和Date转为毫秒时间戳
+ * @param {number|string|Date} value - 时间
+ * @returns {number} 无法解析时为NaN
+ */
+export function parseTime(value) {
+  if (typeof value === "number") return value
+  if (value instanceof Date) return value.getTime()
+  if (typeof value === "string" && value.trim() !== "" && !isNaN(value)) return Number(value)
+  return Date.parse(value)
+}
+
+/**
+ * 记录的默认键
+ * @param {Object} record - 数据记录
+ * @returns {string}
+ */
+export function getPlaybackKey(record) {
+  let key = record.id !== undefined ? record.id : record.adcode !== undefined ? record.adcode : record.route
+  if (key !== undefined) return String(key)
+  if (Array.isArray(record.from) && Array.isArray(record.to)) return `${record.from.join(",")}-${record.to.join(",")}`
+  return `${record.lng},${record.lat}`
+}
+
+/**
+ * 按时间整理成轨道
+ * @param {Array<Object>} records - 带时间字段的记录
+ * @param {Object} options - 配置参数
+ * @param {string} options.timeField - 时间字段，默认time
+ * @param {Function} options.getKey - 记录的键，默认 getPlaybackKey
+ * @returns {Array<{time: number, records: Map}>} 升序的帧
+ */
+export function buildTrack(records, options = {}) {
+  let { timeField = "time", getKey = getPlaybackKey } = options
+  let frames = new Map()
+  records.forEach((record) => {
+    let time = parseTime(record[timeField])
+    if (!Number.isFinite(time)) {
+      console.warn(`[playback] 忽略时间无效的记录:`, record)
+      return
+    }
+    frames.has(time) || frames.set(time, new Map())
+    frames.get(time).set(getKey(record), record)
+  })
+  return [...frames.keys()].sort((a, b) => a - b).map((time) => ({ time, records: frames.get(time) }))
+}
+
+/**
+ * 两条记录按比例插值，只处理两边都是有限数值的字段
+ * @param {Object} from - 前一帧的记录
+ * @param {Object} to - 后一帧的记录
+ * @param {number} t - 比例（0-1）
+ * @param {Array<string>} fields - 插值字段
+ * @returns {Object}
+ */
+export function interpolateRecord(from, to, t, fields = PLAYBACK_FIELDS) {
+  let record = Object.assign({}, from)
+  fields.forEach((field) => {
+    let a = from[field]
+    let b = to[field]
+    if (Number.isFinite(a) && Number.isFinite(b)) record[field] = a + (b - a) * t
+  })
+  return record
+}
+
+/**
+ * 取轨道在指定时刻的记录
+ * @param {Array<{time, records}>} track - buildTrack 生成的轨道
+ * @param {number} time - 时刻
+ * @param {Object} options - 配置参数
+ * @param {Array<string>} options.fields - 插值字段，默认 PLAYBACK_FIELDS
+ * @param {boolean} options.interpolate - 是否插值，false时取当前帧，默认true
+ * @returns {Array<Object>}
+ */
+export function sampleTrack(track, time, options = {}) {
+  let { fields = PLAYBACK_FIELDS, interpolate = true } = options
+  if (!track.length) return []
+  if (time <= track[0].time) return [...track[0].records.values()]
+  let last = track[track.length - 1]
+  if (time >= last.time) return [...last.records.values()]
+
+  // 二分查找 time 所在的区间 [track[low].time, track[low + 1].time)
+  let low = 0
+  let high = track.length - 1
+  while (high - low > 1) {
+    let middle = (low + high) >> 1
+    track[middle].time <= time ? (low = middle) : (high = middle)
+  }
+  let current = track[low]
+  let next = track[low + 1]
+  if (!interpolate) return [...current.records.values()]
+
+  let t = (time - current.time) / (next.time - current.time)
+  let records = []
+  current.records.forEach((record, key) => {
+    let target = next.records.get(key)
+    records.push(target ? interpolateRecord(record, target, t, fields) : record)
+  })
+  return records
+}
+
+/**
+ * 格式化回放时刻
+ * @param {number} time - 时刻
+ * @param {Object} range - 回放范围
+ * @param {number} range.start - 开始时刻
+ * @param {number} range.end - 结束时刻
+ * @param {boolean} range.timestamp - 是否为毫秒时间戳
+ * @returns {string}
+ */
+export function formatPlaybackTime(time, { start, end, timestamp }) {
+  if (!timestamp) {
+    // 年份等整数序号显示所在的整数，其他保留一位小数
+    return Number.isInteger(start) && Number.isInteger(end) ? String(Math.floor(time)) : String(Math.round(time * 10) / 10)
+  }
+  let date = new Date(time)
+  let pad = (n) => String(n).padStart(2, "0")
+  let day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+  let clock = `${pad(date.getHours())}:${pad(date.getMinutes())}`
+  let dayLength = 24 * 3600 * 1000
+  if (end - start <= dayLength) return `${clock}:${pad(date.getSeconds())}`
+  return end - start <= 31 * dayLength ? `${day.slice(5)} ${clock}` : day
+}
+
+/**
+ * 回放时钟
+ * 由外部每帧调用 update(delta) 推进，数据时间按 duration 秒播完整个范围再乘以倍速
+ *
+ * 派发的事件：
+ * - 'time'：{ time, seek } 时刻变化，seek为true表示跳转
+ * - 'play' / 'pause'：播放状态变化
+ * - 'end'：播放到结尾（不循环时）
+ */
+export class PlaybackClock extends EventEmitter {
+  /**
+   * @param {Object} options - 配置参数
+   * @param {number} options.start - 开始时刻
+   * @param {number} options.end - 结束时刻
+   * @param {number} options.duration - 1倍速下播完全程的秒数，默认20
+   * @param {number} options.rate - 倍速，默认1
+   * @param {boolean} options.loop - 是否循环播放，默认false
+   */
+  constructor(options = {}) {
+    super()
+    this.options = Object.assign({ start: 0, end: 0, duration: 20, rate: 1, loop: false }, options)
+    this.time = this.options.start
+    this.playing = false
+  }
+
+  /**
+   * 当前进度（0-1）
+   * @returns {number}
+   */
+  get progress() {
+    let { start, end } = this.options
+    return end > start ? (this.time - start) / (end - start) : 1
+  }
+
+  play() {
+    if (this.playing) return
+    // 不循环时从结尾再次播放则回到开头
+    if (!this.options.loop && this.time >= this.options.end) this.seek(this.options.start)
+    this.playing = true
+    this.emit("play")
+  }
+
+  pause() {
+    if (!this.playing) return
+    this.playing = false
+    this.emit("pause")
+  }
+
+  /**
+   * 跳转到指定时刻
+   * @param {number} time - 时刻，超出范围时取边界
+   */
+  seek(time) {
+    let { start, end } = this.options
+    this.time = Math.min(Math.max(time, start), end)
+    this.emit("time", { time: this.time, seek: true })
+  }
+
+  /**
+   * 设置倍速
+   * @param {number} rate - 倍速
+   */
+  setRate(rate) {
+    this.options.rate = rate
+  }
+
+  /**
+   * 推进时钟
+   * @param {number} delta - 帧间时间差（秒）
+   */
+  update(delta) {
+    if (!this.playing) return
+    let { start, end, duration, rate, loop } = this.options
+    let span = end - start
+    let time = this.time + (delta * rate * span) / duration
+    if (time >= end) {
+      if (loop && span > 0) {
+        time = start + ((time - start) % span)
+      } else {
+        this.time = end
+        this.playing = false
+        this.emit("time", { time: end, seek: false })
+        this.emit("end")
+        this.emit("pause")
+        return
+      }
+    }
+    this.time = time
+    this.emit("time", { time, seek: false })
+  }
+}
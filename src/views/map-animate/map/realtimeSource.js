@@ -0,0 +1,295 @@
+/**
+ * 实时数据源
+ *
+ * 订阅WebSocket或SSE（Server-Sent Events）推送，把消息解码为按图层划分的数据更新，
+ * 交给地图的 setData 应用，替代写死的静态数据导入。
+ *
+ * 主要功能：
+ * - WebSocketDataSource：订阅 ws:// / wss:// 地址
+ * - EventSourceDataSource：订阅SSE地址（http:// / https://）
+ * - 消息解码：默认支持单图层消息和多图层快照，可通过 decode 选项自定义
+ * - 断线重连：指数退避加随机抖动，连接成功后重置退避
+ * - 数据过期：超过 staleTimeout 没有收到数据或连接断开时派发 stale 事件
+ *
+ * 消息格式（默认解码器）：
+ * - 单图层：{ "layer": "bar", "records": [{ "adcode": 510000, "value": 8400 }], "merge": false }
+ * - 多图层：{ "layers": { "bar": [...], "scatter": [...], "flyLine": [...] } }
+ * - 心跳：{ "type": "heartbeat" }，只用于保持连接，不刷新数据时间
+ *
+ * 派发的事件：
+ * - update：{ layer, records, options } 每个图层一次
+ * - status：{ status } 连接状态变化，idle | connecting | open | reconnecting | closed
+ * - stale：{ stale, lastUpdate } 数据过期状态变化
+ * - reconnect：{ attempt, delay } 即将重连
+ * - error：{ error, message } 连接或解码出错
+ *
+ * @example
+ * // 本地开发：node scripts/mock-realtime-server.js
+ * const source = createRealtimeSource({ url: "ws://localhost:3001/ws" })
+ * world.connectDataSource(source)
+ */
+
+import { EventEmitter } from "@/mini3d"
+
+/** 默认解码器支持的图层 */
+export const REALTIME_LAYERS = ["bar", "scatter", "flyLine", "badge"]
+
+/**
+ * 默认消息解码器
+ * @param {string|Object} message - 原始消息
+ * @returns {Array<{layer: string, records: Array, options: Object}>} 图层更新列表，心跳消息返回空数组
+ */
+export function decodeMessage(message) {
+  let data = typeof message === "string" ? JSON.parse(message) : message
+  if (!data || data.type === "heartbeat") return []
+
+  let options = { merge: !!data.merge }
+  if (data.layer) {
+    return [{ layer: data.layer, records: data.records || [], options }]
+  }
+  let layers = data.layers || {}
+  return REALTIME_LAYERS.filter((layer) => Array.isArray(layers[layer])).map((layer) => ({
+    layer,
+    records: layers[layer],
+    options,
+  }))
+}
+
+/**
+ * 实时数据源基类
+ * 子类只需实现 open() 和 disconnect()，并在连接事件中调用 handleOpen/handleMessage/handleClose
+ */
+export class RealtimeDataSource extends EventEmitter {
+  /**
+   * @param {Object} options - 配置参数
+   * @param {string} options.url - 订阅地址
+   * @param {Function} options.decode - 消息解码函数，默认 decodeMessage
+   * @param {boolean} options.autoReconnect - 断开后是否自动重连，默认true
+   * @param {number} options.retryDelay - 首次重连延迟（毫秒），默认1000
+   * @param {number} options.maxRetryDelay - 最大重连延迟（毫秒），默认30000
+   * @param {number} options.retryFactor - 退避倍数，默认2
+   * @param {number} options.maxRetries - 最大重连次数，默认不限
+   * @param {number} options.staleTimeout - 超过该时间（毫秒）没有新数据视为过期，0表示只在断开时过期，默认15000
+   */
+  constructor(options = {}) {
+    super()
+    let defaultOptions = {
+      url: "",
+      decode: decodeMessage,
+      autoReconnect: true,
+      retryDelay: 1000,
+      maxRetryDelay: 30000,
+      retryFactor: 2,
+      maxRetries: Infinity,
+      staleTimeout: 15000,
+    }
+    this.options = Object.assign({}, defaultOptions, options)
+    this.status = "idle"
+    this.stale = false
+    this.lastUpdate = 0
+    this.retries = 0
+    this.manualClose = false
+    this.retryTimer = null
+    this.staleTimer = null
+  }
+
+  /**
+   * 开始订阅
+   */
+  connect() {
+    this.manualClose = false
+    clearTimeout(this.retryTimer)
+    this.setStatus("connecting")
+    this.open()
+  }
+
+  /**
+   * 停止订阅，不再重连
+   */
+  close() {
+    this.manualClose = true
+    clearTimeout(this.retryTimer)
+    clearTimeout(this.staleTimer)
+    this.disconnect()
+    this.setStatus("closed")
+  }
+
+  /**
+   * 建立连接，由子类实现
+   */
+  open() {
+    throw new Error("RealtimeDataSource 子类需要实现 open")
+  }
+
+  /**
+   * 断开连接并移除监听，由子类实现
+   */
+  disconnect() {}
+
+  /**
+   * 连接成功
+   */
+  handleOpen() {
+    this.retries = 0
+    this.setStatus("open")
+    this.resetStaleTimer()
+  }
+
+  /**
+   * 收到消息：解码后按图层派发 update 事件
+   * @param {string|Object} message - 原始消息
+   */
+  handleMessage(message) {
+    let updates
+    try {
+      updates = this.options.decode(message)
+    } catch (error) {
+      this.emit("error", { error, message })
+      return
+    }
+    if (!updates || !updates.length) return
+
+    this.lastUpdate = Date.now()
+    this.setStale(false)
+    this.resetStaleTimer()
+    updates.forEach((update) => this.emit("update", update))
+  }
+
+  /**
+   * 连接断开：标记数据过期，按退避策略安排重连
+   */
+  handleClose() {
+    this.disconnect()
+    if (this.manualClose) return
+
+    clearTimeout(this.staleTimer)
+    this.setStale(true)
+    if (!this.options.autoReconnect || this.retries >= this.options.maxRetries) {
+      this.setStatus("closed")
+      return
+    }
+    let delay = this.getRetryDelay()
+    this.retries++
+    this.setStatus("reconnecting")
+    this.emit("reconnect", { attempt: this.retries, delay })
+    clearTimeout(this.retryTimer)
+    this.retryTimer = setTimeout(() => this.open(), delay)
+  }
+
+  /**
+   * 计算本次重连延迟：指数退避，叠加±20%抖动避免大量客户端同时重连
+   * @returns {number} 延迟毫秒数
+   */
+  getRetryDelay() {
+    let { retryDelay, retryFactor, maxRetryDelay } = this.options
+    let delay = Math.min(retryDelay * Math.pow(retryFactor, this.retries), maxRetryDelay)
+    return Math.round(delay * (0.8 + Math.random() * 0.4))
+  }
+
+  /**
+   * 重新开始过期计时
+   */
+  resetStaleTimer() {
+    clearTimeout(this.staleTimer)
+    if (this.options.staleTimeout > 0) {
+      this.staleTimer = setTimeout(() => this.setStale(true), this.options.staleTimeout)
+    }
+  }
+
+  /**
+   * 设置数据过期状态，变化时派发 stale 事件
+   * @param {boolean} stale - 是否过期
+   */
+  setStale(stale) {
+    if (this.stale === stale) return
+    this.stale = stale
+    this.emit("stale", { stale, lastUpdate: this.lastUpdate })
+  }
+
+  /**
+   * 设置连接状态，变化时派发 status 事件
+   * @param {string} status - 连接状态
+   */
+  setStatus(status) {
+    if (this.status === status) return
+    this.status = status
+    this.emit("status", { status })
+  }
+}
+
+/**
+ * WebSocket数据源
+ */
+export class WebSocketDataSource extends RealtimeDataSource {
+  /**
+   * @param {Object} options - 配置参数，另支持 protocols（子协议）
+   */
+  constructor(options = {}) {
+    super(options)
+    this.socket = null
+  }
+
+  open() {
+    let socket = new WebSocket(this.options.url, this.options.protocols)
+    socket.onopen = () => this.handleOpen()
+    socket.onmessage = (event) => this.handleMessage(event.data)
+    // error之后浏览器总会再触发close，重连统一在close中处理
+    socket.onerror = (error) => this.emit("error", { error })
+    socket.onclose = () => this.handleClose()
+    this.socket = socket
+  }
+
+  disconnect() {
+    if (!this.socket) return
+    let socket = this.socket
+    socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null
+    socket.readyState < 2 && socket.close()
+    this.socket = null
+  }
+}
+
+/**
+ * SSE数据源
+ * EventSource自带的重连没有退避，这里在出错时关闭它，改用统一的退避重连
+ */
+export class EventSourceDataSource extends RealtimeDataSource {
+  /**
+   * @param {Object} options - 配置参数，另支持 withCredentials 和 eventName（默认message）
+   */
+  constructor(options = {}) {
+    super(Object.assign({ withCredentials: false, eventName: "message" }, options))
+    this.source = null
+    this.onMessage = (event) => this.handleMessage(event.data)
+  }
+
+  open() {
+    let source = new EventSource(this.options.url, { withCredentials: this.options.withCredentials })
+    source.onopen = () => this.handleOpen()
+    source.addEventListener(this.options.eventName, this.onMessage)
+    source.onerror = (error) => {
+      this.emit("error", { error })
+      this.handleClose()
+    }
+    this.source = source
+  }
+
+  disconnect() {
+    if (!this.source) return
+    this.source.onopen = this.source.onerror = null
+    this.source.removeEventListener(this.options.eventName, this.onMessage)
+    this.source.close()
+    this.source = null
+  }
+}
+
+/**
+ * 按地址协议创建数据源：ws:// / wss:// 使用WebSocket，其余使用SSE
+ *
+ * @param {Object} options - 配置参数，见 RealtimeDataSource
+ * @param {string} options.type - 强制指定类型：websocket | sse
+ * @returns {RealtimeDataSource}
+ */
+export function createRealtimeSource(options = {}) {
+  let type = options.type || (/^wss?:\/\//.test(options.url) ? "websocket" : "sse")
+  return type === "websocket" ? new WebSocketDataSource(options) : new EventSourceDataSource(options)
+}
@@ -0,0 +1,209 @@
+/**
+ * 区划搜索索引
+ *
+ * 按名称、拼音首字母和区划代码搜索省、市、区县、乡镇和村，供搜索框自动补全：
+ * - 名称：完全相同、开头相同、包含，例如 "成都"
+ * - 拼音首字母：不区分大小写，例如 "cd" 匹配成都市，"scs" 匹配四川省
+ * - 区划代码：开头相同，例如 "5101"
+ *
+ * 索引中的每个区划记录它所在的地图（parent：显示该区划的上级区划代码，省份为null），
+ * 选中后先进入上级地图，再飞到并高亮该区划。村没有自己的边界，定位到所属的乡镇。
+ *
+ * 拼音首字母用浏览器内置的中文拼音排序（Intl.Collator）计算，不需要拼音字典；
+ * 地名中的常见多音字（重庆、长沙、厦门等）按地名读音修正。
+ */
+
+/** 区划级别，搜索结果相同得分时按此顺序排列 */
+export const REGION_LEVELS = ["province", "city", "district", "town", "village"]
+
+// 每个声母的第一个汉字（拼音排序），汉字的首字母为排在它前面的最后一个边界字对应的字母
+const PINYIN_BOUNDARIES = "阿八嚓哒妸发旮哈讥咔垃妈拏噢妑七呥扨它穵夕丫帀"
+const PINYIN_LETTERS = "ABCDEFGHJKLMNOPQRSTWXYZ"
+
+// 地名中的多音字
+const PLACE_NAME_INITIALS = {
+  重: "C", // 重庆
+  长: "C", // 长沙、长春
+  厦: "X", // 厦门
+  蚌: "B", // 蚌埠
+  朝: "C", // 朝阳
+  亳: "B", // 亳州
+  番: "P", // 番禺
+  六: "L", // 六安、六盘水
+  藏: "Z", // 西藏
+}
+
+let collator = null
+
+/**
+ * 计算拼音首字母，字母和数字原样保留（转为大写），其他字符忽略
+ * @param {string} text - 名称
+ * @returns {string} 大写的首字母，如 "四川省" -> "SCS"
+ */
+export function getPinyinInitials(text = "") {
+  collator = collator || new Intl.Collator("zh-Hans-CN-u-co-pinyin")
+  return [...text]
+    .map((char) => {
+      if (/[a-z0-9]/i.test(char)) return char.toUpperCase()
+      if (PLACE_NAME_INITIALS[char]) return PLACE_NAME_INITIALS[char]
+      if (!/[一-龥]/.test(char)) return ""
+      let letter = ""
+      for (let i = 0; i < PINYIN_BOUNDARIES.length && collator.compare(char, PINYIN_BOUNDARIES[i]) >= 0; i++) {
+        letter = PINYIN_LETTERS[i]
+      }
+      return letter
+    })
+    .join("")
+}
+
+/**
+ * 区划搜索索引
+ *
+ * @example
+ * const index = new RegionSearchIndex()
+ * index.add({ adcode: "510000", name: "四川省", level: "province", parent: null })
+ * index.addFeatures(geoJson, "510000")
+ * index.search("cd") // [{ id: "510100", name: "成都市", context: "四川省", ... }]
+ */
+export class RegionSearchIndex {
+  constructor() {
+    // id -> 区划，id 为区划代码，村为 "<乡镇代码>/<村名>"
+    this.regions = new Map()
+  }
+
+  /**
+   * 添加区划，id 相同的覆盖
+   * @param {Object} region - 区划
+   * @param {string|number} region.adcode - 区划代码（村为所属乡镇的代码）
+   * @param {string} region.name - 名称
+   * @param {string} region.level - 级别，见 REGION_LEVELS
+   * @param {string|number|null} region.parent - 显示该区划的地图（上级区划代码），省份为null
+   * @param {string} region.id - 可选，默认为区划代码
+   * @param {string} region.context - 可选，搜索结果中名称后面的说明，默认为各级上级区划的名称
+   * @returns {Object} 添加的区划
+   */
+  add(region) {
+    let adcode = String(region.adcode)
+    let entry = {
+      id: region.id || adcode,
+      adcode,
+      name: region.name,
+      level: region.level,
+      parent: region.parent === null || region.parent === undefined ? null : String(region.parent),
+      context: region.context,
+      initials: getPinyinInitials(region.name),
+    }
+    this.regions.set(entry.id, entry)
+    return entry
+  }
+
+  /**
+   * 添加GeoJSON中的全部区域，区划代码取 adcode 或 code 属性
+   * 有的村镇数据中区域的代码与所在区县相同，这样的区域以 "<代码>/<名称>" 为 id
+   * @param {Object|string} geoJson - GeoJSON数据或文本
+   * @param {string|number|null} parent - 这些区域所在地图的区划代码，全国为null
+   * @param {Object} options - 配置参数
+   * @param {string} options.level - 属性中没有 level 时使用的级别
+   * @returns {Array<Object>} 添加的区划
+   */
+  addFeatures(geoJson, parent, options = {}) {
+    let data = typeof geoJson === "string" ? JSON.parse(geoJson) : geoJson
+    return (data.features || [])
+      .filter(({ properties }) => properties && properties.name && (properties.adcode ?? properties.code) !== undefined)
+      .map(({ properties }) => {
+        let adcode = String(properties.adcode ?? properties.code)
+        return this.add({
+          id: adcode === String(parent) ? `${adcode}/${properties.name}` : adcode,
+          adcode,
+          name: properties.name,
+          level: properties.level || options.level,
+          parent,
+        })
+      })
+  }
+
+  /**
+   * @param {string|number} id - 区划代码，村为 "<乡镇代码>/<村名>"
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    return this.regions.get(String(id))
+  }
+
+  /**
+   * 各级上级区划的名称，从高到低以空格分隔；上级不在索引中时只返回已知的部分
+   * @param {Object} region - 索引中的区划
+   * @returns {string}
+   */
+  getContext(region) {
+    if (region.context !== undefined) return region.context
+    let names = []
+    let parent = region.parent && this.regions.get(region.parent)
+    while (parent && parent !== region && names.length < REGION_LEVELS.length) {
+      names.unshift(parent.name)
+      parent = parent.parent && this.regions.get(parent.parent)
+    }
+    return names.join(" ")
+  }
+
+  /**
+   * 搜索区划
+   * @param {string} query - 名称、拼音首字母或区划代码
+   * @param {Object} options - 配置参数
+   * @param {number} options.limit - 最多返回的数量，默认10
+   * @returns {Array<Object>} 按匹配程度排序的区划，带 context 说明
+   */
+  search(query, options = {}) {
+    let { limit = 10 } = options
+    let text = String(query || "").trim()
+    if (!text) return []
+    let letters = text.toUpperCase()
+    let digits = /^\d+$/.test(text)
+
+    let matches = []
+    this.regions.forEach((region) => {
+      let score = digits ? this._scoreAdcode(region, text) : this._scoreName(region, text, letters)
+      score < Infinity && matches.push({ region, score })
+    })
+    matches.sort(
+      (a, b) =>
+        a.score - b.score ||
+        REGION_LEVELS.indexOf(a.region.level) - REGION_LEVELS.indexOf(b.region.level) ||
+        a.region.name.length - b.region.name.length ||
+        a.region.id.localeCompare(b.region.id)
+    )
+    return matches.slice(0, limit).map(({ region }) => Object.assign({}, region, { context: this.getContext(region) }))
+  }
+
+  /**
+   * 清空索引
+   */
+  clear() {
+    this.regions.clear()
+  }
+
+  /**
+   * 区划代码的匹配得分，越小越靠前，不匹配为 Infinity；村不参与代码搜索
+   * @private
+   */
+  _scoreAdcode(region, text) {
+    if (region.level === "village") return Infinity
+    if (region.adcode === text) return 0
+    return region.adcode.startsWith(text) ? 1 : Infinity
+  }
+
+  /**
+   * 名称和拼音首字母的匹配得分，越小越靠前，不匹配为 Infinity
+   * @private
+   */
+  _scoreName(region, text, letters) {
+    let { name, initials } = region
+    if (name === text) return 0
+    if (name.startsWith(text)) return 1
+    if (initials === letters) return 1.5
+    if (initials.startsWith(letters)) return 2
+    if (name.includes(text)) return 3
+    if (/^[A-Z]+$/.test(letters) && initials.includes(letters)) return 4
+    return Infinity
+  }
+}
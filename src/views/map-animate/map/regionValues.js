@@ -0,0 +1,48 @@
+/**
+ * 区域数值读取
+ *
+ * 分级设色、按数值挤出等"按区域取值"的功能共用同一套数据来源约定：
+ * - data：直接传入的数据，[{ adcode, value }] 或 { adcode: value }
+ * - layer：setData 维护的图层数据（state.layerData）
+ * - 都不传时读取区域GeoJSON要素的属性（ExtrudeMap.coordinates[index].properties）
+ *
+ * 取值字段由 property 指定，默认 "value"。
+ */
+
+/**
+ * 统一adcode类型，村镇数据中的adcode为字符串
+ * @param {number|string} adcode - 区划代码
+ * @returns {number|string}
+ */
+export function normalizeAdcode(adcode) {
+  return adcode !== "" && !isNaN(adcode) ? Number(adcode) : adcode
+}
+
+/**
+ * 创建区域取值函数
+ *
+ * @param {SharedState} state - 共享状态，读取图层数据
+ * @param {Object} options - 数据来源
+ * @param {Array<Object>|Object} options.data - 直接传入的数据
+ * @param {string} options.layer - 图层名称，如 "bar"
+ * @param {string} options.property - 取值字段，默认 "value"
+ * @returns {Function} (map, userData) => 数值，没有数据时返回undefined
+ */
+export function createValueReader(state, { data, layer, property = "value" } = {}) {
+  if (data) {
+    let entries = Array.isArray(data) ? data.map((record) => [record.adcode, record[property]]) : Object.entries(data)
+    let values = new Map(entries.map(([adcode, value]) => [normalizeAdcode(adcode), value]))
+    return (map, userData) => values.get(normalizeAdcode(userData.adcode))
+  }
+  if (layer) {
+    return (map, userData) => {
+      let records = state.layerData[layer]
+      let record = records && records.get(normalizeAdcode(userData.adcode))
+      return record ? record[property] : undefined
+    }
+  }
+  return (map, userData) => {
+    let region = map.coordinates[userData.index]
+    return region && region.properties ? region.properties[property] : undefined
+  }
+}
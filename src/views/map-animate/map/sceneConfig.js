@@ -0,0 +1,561 @@
+/**
+ * 声明式场景配置
+ *
+ * 用一份JSON描述整个地图大屏，不写代码即可搭建新的大屏：
+ * - projection：投影中心、缩放和飞线中心
+ * - environment：背景色和雾效
+ * - theme：主题名称或主题对象，见 themes.js；设置后覆盖背景、雾效、灯光和各图层的颜色
+ * - postProcessing：后期处理（辉光、描边、抗锯齿、暗角），参数见 mini3d PostProcessing.setOptions
+ * - camera / lights：相机初始位置、视角书签和灯光列表；书签 { 名称: 视角 } 可用世界坐标 { position, target, fov }
+ *   或地理坐标 { lng, lat, distance, polar, azimuth, fov }，另有入场动画的起点 start 和终点 home，见 MapTour
+ * - layers：启用的图层及其参数（颜色、透明度、速度等），分级设色、挤出、热力图、流向线和移动对象的参数与对应方法一致
+ * - data：各数据图层（bar | scatter | flyLine | badge | flow | tracking）的静态数据，不传则使用内置数据；
+ *   tracking 为移动对象的定位记录，参数见 MapTracking.createTracking
+ * - dataSource：实时数据源 { url, type }，见 realtimeSource.js
+ * - playback：时间序列回放 { data: { 图层: 带时间字段的记录 }, timeField, duration, loop, autoplay, ... }，
+ *   入场动画结束后加载，参数见 MapPlayback.loadPlayback
+ * - tour：相机巡游 { steps: [{ view, duration, ease, dwell, actions, name }], loop, autoplay, idleResume }，
+ *   view 为视角或书签名称，actions 为到站动作 highlight | outline | label | theme；入场动画结束后加载，参数见 MapTour.loadTour
+ * - tooltips：各图层的悬停提示框和点击固定的信息面板 { 图层: true | 模板 | { template, follow, pin, offset } }，
+ *   图层为 province | region | town | bar | scatter，模板为带 {{字段}} 的HTML，见 MapTooltip.registerTooltip；
+ *   流向线的提示由 layers.flow.tooltip 控制
+ * - animation：入场动画开关、播放速度和相机终点（即 home 书签）
+ *
+ * 完整的默认配置见 DEFAULT_SCENE，自定义配置只需写出要修改的部分，
+ * 对象逐项合并，数组整体替换；图层可以简写为 true / false。
+ * 配置先按 SCENE_SCHEMA 校验，所有错误带路径一次性列出，由 MapModuleManager 应用。
+ * 页面地址带 ?scene=<名称> 时读取 public/scenes/<名称>.json，示例见 public/scenes/choropleth.json、postprocessing.json、flow.json、playback.json、tracking.json、tour.json。
+ *
+ * @example
+ * new World(canvas, {
+ *   scene: {
+ *     environment: { background: "#000814", fog: false },
+ *     layers: { particles: false, choropleth: { enabled: true, layer: "bar", title: "数值" } },
+ *     animation: { timeScale: 1.5 },
+ *   },
+ * })
+ */
+
+/**
+ * 默认场景：即原先写死在构建流程中的中国地图大屏
+ */
+export const DEFAULT_SCENE = {
+  name: "中国地图大屏",
+  projection: {
+    center: [108.55, 34.32],
+    scale: 120,
+    flyLineCenter: [116.41995, 40.18994],
+  },
+  environment: {
+    background: "#011024",
+    fog: { color: "#011024", near: 1, far: 500 },
+  },
+  camera: {
+    position: [0.00002366776247217723, 225.1025284992283, 0.0002238648924037432],
+    near: 1,
+    far: 10000,
+    bookmarks: {},
+  },
+  lights: [
+    { type: "ambient", color: "#ffffff", intensity: 2 },
+    { type: "directional", color: "#ffffff", intensity: 4, position: [-30, 6, -8], castShadow: true },
+    { type: "point", color: "#1d5e5e", intensity: 160, distance: 10000, position: [-3, 16, -3] },
+    { type: "point", color: "#1d5e5e", intensity: 100, distance: 100, position: [-4, 8, 43] },
+  ],
+  layers: {
+    floor: { enabled: true, opacity: 1, quanOpacity: 1 },
+    rotateBorder: { enabled: true, color: "#48afff", speed: 1 },
+    gridRipple: { enabled: true, color: "#00ffff", diffuseColor: "#079fe6", diffuseSpeed: 30, opacity: 0.5 },
+    mirror: { enabled: true, visible: false, color: "#b5b5b5", opacity: 0.2 },
+    particles: { enabled: true, num: 10, color: "#00eeee", opacity: 0.3, speed: 0.1 },
+    bar: { enabled: true },
+    scatter: { enabled: true, color: "#ffff00" },
+    flyLine: { enabled: true, color: "#fbdf88" },
+    flyLineFocus: { enabled: true },
+    badge: { enabled: true },
+    pathLine: { enabled: true },
+    stroke: { enabled: true },
+    choropleth: { enabled: false },
+    extrusion: { enabled: false },
+    heatmap: { enabled: false },
+    flow: { enabled: false },
+    tracking: { enabled: false },
+  },
+  data: {},
+  dataSource: null,
+  playback: null,
+  tour: null,
+  tooltips: {},
+  theme: null,
+  postProcessing: {
+    enabled: false,
+    bloom: { enabled: true, strength: 1.2, radius: 0.4, threshold: 0 },
+    outline: { enabled: true, visibleEdgeColor: "#2bc4dc", hiddenEdgeColor: "#0b3d4a", edgeStrength: 3 },
+    antialias: "fxaa",
+    vignette: { enabled: true, offset: 1, darkness: 1.1 },
+  },
+  animation: {
+    entrance: true,
+    timeScale: 1,
+    cameraTo: [3.134497983573052, 126.8312346165316, 78.77649752477839],
+  },
+}
+
+// ============ 结构定义 ============
+
+const COLOR = { type: ["string", "number"], format: "color" }
+const OPACITY = { type: "number", minimum: 0, maximum: 1 }
+const LNG_LAT = { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2 }
+const VECTOR3 = { type: "array", items: { type: "number" }, minItems: 3, maxItems: 3 }
+const RECORDS = { type: "array", items: { type: "object", additionalProperties: true } }
+// 相机视角：世界坐标 { position, target, fov } 或地理坐标 { lng, lat, distance, polar, azimuth, fov }
+const CAMERA_VIEW = {
+  type: "object",
+  properties: {
+    position: VECTOR3,
+    target: VECTOR3,
+    fov: { type: "number", minimum: 1, maximum: 179 },
+    lng: { type: "number" },
+    lat: { type: "number" },
+    distance: { type: "number", minimum: 0 },
+    polar: { type: "number", minimum: 0, maximum: 90 },
+    azimuth: { type: "number" },
+  },
+}
+
+/**
+ * 图层结构：可简写为布尔值，对象形式用 enabled 开关
+ * @param {Object} properties - 图层参数
+ * @param {boolean} additionalProperties - 是否允许未列出的参数（透传给模块方法）
+ * @returns {Object}
+ */
+function layerSchema(properties = {}, additionalProperties = false) {
+  return {
+    type: ["boolean", "object"],
+    properties: Object.assign({ enabled: { type: "boolean" } }, properties),
+    additionalProperties,
+  }
+}
+
+/**
+ * 场景配置结构（JSON Schema 子集）
+ * 支持 type、properties、additionalProperties（布尔值或未列出参数的结构）、required、items、enum、
+ * minimum、maximum、minItems、maxItems，以及 format: "color"
+ */
+export const SCENE_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    projection: {
+      type: "object",
+      properties: {
+        center: LNG_LAT,
+        scale: { type: "number", minimum: 1 },
+        flyLineCenter: LNG_LAT,
+      },
+    },
+    environment: {
+      type: "object",
+      properties: {
+        background: { type: ["string", "number", "null"], format: "color" },
+        fog: {
+          type: ["object", "boolean"],
+          properties: {
+            color: COLOR,
+            near: { type: "number", minimum: 0 },
+            far: { type: "number", minimum: 0 },
+          },
+        },
+      },
+    },
+    camera: {
+      type: "object",
+      properties: {
+        position: VECTOR3,
+        near: { type: "number", minimum: 0 },
+        far: { type: "number", minimum: 0 },
+        bookmarks: { type: "object", additionalProperties: CAMERA_VIEW },
+      },
+    },
+    lights: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["type"],
+        properties: {
+          type: { type: "string", enum: ["ambient", "directional", "point"] },
+          color: COLOR,
+          intensity: { type: "number", minimum: 0 },
+          position: VECTOR3,
+          distance: { type: "number", minimum: 0 },
+          castShadow: { type: "boolean" },
+        },
+      },
+    },
+    layers: {
+      type: "object",
+      properties: {
+        floor: layerSchema({ opacity: OPACITY, quanOpacity: OPACITY }),
+        rotateBorder: layerSchema({ color: COLOR, speed: { type: "number" } }),
+        gridRipple: layerSchema({
+          color: COLOR,
+          diffuseColor: COLOR,
+          diffuseSpeed: { type: "number", minimum: 0 },
+          opacity: OPACITY,
+        }),
+        mirror: layerSchema({ visible: { type: "boolean" }, color: COLOR, opacity: OPACITY }),
+        particles: layerSchema({
+          num: { type: "integer", minimum: 0 },
+          color: COLOR,
+          opacity: OPACITY,
+          speed: { type: "number", minimum: 0 },
+        }),
+        bar: layerSchema(),
+        scatter: layerSchema({ color: COLOR }),
+        flyLine: layerSchema({ color: COLOR }),
+        flyLineFocus: layerSchema(),
+        badge: layerSchema(),
+        pathLine: layerSchema(),
+        stroke: layerSchema(),
+        choropleth: layerSchema({}, true),
+        extrusion: layerSchema({}, true),
+        heatmap: layerSchema({}, true),
+        flow: layerSchema({
+          radius: { type: "array", items: { type: "number", minimum: 0 }, minItems: 2, maxItems: 2 },
+          colors: { type: "array", items: COLOR, minItems: 2, maxItems: 2 },
+          opacity: OPACITY,
+          baseOpacity: OPACITY,
+          speed: { type: "number", minimum: 0 },
+          pulseLength: { type: "number", minimum: 0 },
+          tooltip: { type: "boolean" },
+          unit: { type: "string" },
+        }, true),
+        tracking: layerSchema({
+          timeField: { type: "string" },
+          clock: { type: "string", enum: ["realtime", "playback", "replay"] },
+          delay: { type: "number", minimum: 0 },
+          duration: { type: "number", minimum: 0.1 },
+          loop: { type: "boolean" },
+          model: { type: "string" },
+          icon: { type: "string" },
+          size: { type: "number", minimum: 0 },
+          color: COLOR,
+          trail: { type: "boolean" },
+          trailLength: { type: "integer", minimum: 1 },
+          label: { type: "boolean" },
+          follow: { type: "boolean" },
+          followDistance: { type: "number", minimum: 0 },
+        }, true),
+      },
+    },
+    data: {
+      type: "object",
+      properties: { bar: RECORDS, scatter: RECORDS, flyLine: RECORDS, badge: RECORDS, flow: RECORDS, tracking: RECORDS },
+    },
+    dataSource: {
+      type: ["object", "null"],
+      required: ["url"],
+      properties: {
+        url: { type: "string" },
+        type: { type: "string", enum: ["websocket", "sse"] },
+      },
+      additionalProperties: true,
+    },
+    playback: {
+      type: ["object", "null"],
+      required: ["data"],
+      properties: {
+        data: {
+          type: "object",
+          properties: {
+            bar: RECORDS,
+            scatter: RECORDS,
+            flyLine: RECORDS,
+            badge: RECORDS,
+            flow: RECORDS,
+            pathLine: RECORDS,
+          },
+        },
+        timeField: { type: "string" },
+        duration: { type: "number", minimum: 0.1 },
+        rate: { type: "number", minimum: 0 },
+        loop: { type: "boolean" },
+        autoplay: { type: "boolean" },
+        interval: { type: "number", minimum: 0 },
+        interpolate: { type: "boolean" },
+        fields: { type: "array", items: { type: "string" } },
+      },
+    },
+    tour: {
+      type: ["object", "null"],
+      required: ["steps"],
+      properties: {
+        steps: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            required: ["view"],
+            properties: {
+              view: { type: ["string", "object"], properties: CAMERA_VIEW.properties },
+              name: { type: "string" },
+              duration: { type: "number", minimum: 0 },
+              ease: { type: "string", enum: ["linear", "easeIn", "easeOut", "easeInOut"] },
+              dwell: { type: "number", minimum: 0 },
+              actions: {
+                type: "array",
+                items: {
+                  type: "object",
+                  required: ["type"],
+                  properties: { type: { type: "string" } },
+                  additionalProperties: true,
+                },
+              },
+            },
+          },
+        },
+        loop: { type: "boolean" },
+        autoplay: { type: "boolean" },
+        idleResume: { type: "number", minimum: 0 },
+      },
+    },
+    tooltips: {
+      type: "object",
+      additionalProperties: {
+        type: ["boolean", "string", "object"],
+        properties: {
+          template: { type: "string" },
+          follow: { type: "string", enum: ["cursor", "anchor"] },
+          pin: { type: "boolean" },
+          offset: { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2 },
+        },
+      },
+    },
+    postProcessing: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        bloom: layerSchema({
+          strength: { type: "number", minimum: 0 },
+          radius: { type: "number", minimum: 0 },
+          threshold: { type: "number", minimum: 0 },
+        }),
+        outline: layerSchema({
+          visibleEdgeColor: COLOR,
+          hiddenEdgeColor: COLOR,
+          edgeStrength: { type: "number", minimum: 0 },
+          edgeGlow: { type: "number", minimum: 0 },
+          edgeThickness: { type: "number", minimum: 0 },
+          pulsePeriod: { type: "number", minimum: 0 },
+        }),
+        antialias: { type: ["string", "boolean"], enum: ["fxaa", "smaa", false] },
+        vignette: layerSchema({
+          offset: { type: "number", minimum: 0 },
+          darkness: { type: "number", minimum: 0 },
+        }),
+      },
+    },
+    theme: {
+      type: ["string", "object", "null"],
+      properties: { extends: { type: "string" } },
+      additionalProperties: true,
+    },
+    animation: {
+      type: "object",
+      properties: {
+        entrance: { type: "boolean" },
+        timeScale: { type: "number", minimum: 0.01 },
+        cameraTo: VECTOR3,
+      },
+    },
+  },
+}
+
+// ============ 校验 ============
+
+/**
+ * 场景配置错误
+ * errors 为全部校验错误 [{ path, message }]，message 汇总成多行文本便于直接展示
+ */
+export class SceneConfigError extends Error {
+  /**
+   * @param {Array<{path: string, message: string}>} errors - 校验错误
+   */
+  constructor(errors) {
+    super("场景配置有误：\n" + errors.map((error) => `- ${error.path}：${error.message}`).join("\n"))
+    this.name = "SceneConfigError"
+    this.errors = errors
+  }
+}
+
+const COLOR_PATTERN = /^(#([0-9a-f]{3}|[0-9a-f]{6})|(rgb|hsl)a?\(.+\))$/i
+
+/**
+ * 值的类型名，与 schema 的 type 对应
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return "null"
+  if (Array.isArray(value)) return "array"
+  if (typeof value === "number" && Number.isInteger(value)) return "integer"
+  return typeof value
+}
+
+/**
+ * 值的简短描述，用于错误信息
+ * @param {*} value
+ * @returns {string}
+ */
+function describe(value) {
+  let text = JSON.stringify(value)
+  text = text === undefined ? String(value) : text
+  return text.length > 40 ? text.slice(0, 37) + "..." : text
+}
+
+function matchesType(value, type) {
+  let actual = typeOf(value)
+  return actual === type || (type === "number" && actual === "integer")
+}
+
+function joinPath(path, key) {
+  return typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key
+}
+
+/**
+ * 按结构校验一个值，错误追加到 errors
+ * @param {*} value - 待校验的值
+ * @param {Object} schema - 结构定义
+ * @param {string} path - 当前路径
+ * @param {Array} errors - 错误列表
+ */
+function validateValue(value, schema, path, errors) {
+  let types = [].concat(schema.type || [])
+  if (types.length && !types.some((type) => matchesType(value, type))) {
+    errors.push({ path, message: `应为 ${types.join(" 或 ")}，实际为 ${typeOf(value)} ${describe(value)}` })
+    return
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `应为 ${schema.enum.join(" | ")} 之一，实际为 ${describe(value)}` })
+  }
+
+  if (schema.format === "color" && value !== null) {
+    let valid = typeof value === "number" ? value >= 0 && value <= 0xffffff : COLOR_PATTERN.test(value.trim())
+    valid || errors.push({ path, message: `不是有效的颜色 ${describe(value)}，应为 "#rrggbb" 或 rgb()/hsl()` })
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `不能小于 ${schema.minimum}，实际为 ${value}` })
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `不能大于 ${schema.maximum}，实际为 ${value}` })
+    }
+  }
+
+  if (Array.isArray(value)) {
+    let { minItems, maxItems } = schema
+    if ((minItems !== undefined && value.length < minItems) || (maxItems !== undefined && value.length > maxItems)) {
+      let expected = minItems === maxItems ? `${minItems}` : `${minItems || 0}~${maxItems === undefined ? "∞" : maxItems}`
+      errors.push({ path, message: `应包含 ${expected} 个元素，实际为 ${value.length} 个` })
+    }
+    schema.items && value.forEach((item, index) => validateValue(item, schema.items, joinPath(path, index), errors))
+  }
+
+  if (typeOf(value) === "object") {
+    let properties = schema.properties || {}
+    let required = schema.required || []
+    required.forEach((key) => {
+      value[key] === undefined && errors.push({ path: joinPath(path, key), message: "缺少必填项" })
+    })
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        validateValue(value[key], properties[key], joinPath(path, key), errors)
+      } else if (typeOf(schema.additionalProperties) === "object") {
+        validateValue(value[key], schema.additionalProperties, joinPath(path, key), errors)
+      } else if (!schema.additionalProperties) {
+        let known = Object.keys(properties)
+        errors.push({ path: joinPath(path, key), message: `未知的配置项，可选：${known.join("、") || "无"}` })
+      }
+    })
+  }
+}
+
+/**
+ * 校验场景配置
+ * @param {Object} config - 场景配置
+ * @param {Object} schema - 结构定义，默认 SCENE_SCHEMA
+ * @returns {Array<{path: string, message: string}>} 错误列表，为空表示通过
+ */
+export function validateSceneConfig(config, schema = SCENE_SCHEMA) {
+  let errors = []
+  validateValue(config, schema, "scene", errors)
+  return errors
+}
+
+// ============ 合并 ============
+
+function isPlainObject(value) {
+  return typeOf(value) === "object"
+}
+
+/**
+ * 深度合并：对象逐项合并，数组和其他值整体替换，undefined 跳过
+ * @param {Object} target - 目标对象（会被修改）
+ * @param {Object} source - 来源对象
+ * @returns {Object} target
+ */
+function mergeConfig(target, source) {
+  Object.keys(source || {}).forEach((key) => {
+    let value = source[key]
+    if (value === undefined) return
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeConfig(target[key], value)
+    } else {
+      target[key] = isPlainObject(value) || Array.isArray(value) ? JSON.parse(JSON.stringify(value)) : value
+    }
+  })
+  return target
+}
+
+/**
+ * 图层简写 true / false 展开为 { enabled }，对象形式未写 enabled 时视为启用
+ * @param {Object} layers - 图层配置
+ * @returns {Object}
+ */
+function expandLayers(layers = {}) {
+  let expanded = {}
+  Object.keys(layers).forEach((name) => {
+    let layer = layers[name]
+    expanded[name] = typeof layer === "boolean" ? { enabled: layer } : Object.assign({ enabled: true }, layer)
+  })
+  return expanded
+}
+
+/**
+ * 校验并与默认场景合并，得到完整的场景配置
+ *
+ * @param {Object|string} config - 自定义场景配置，可以是JSON文本
+ * @param {Object} base - 合并在默认场景和自定义配置之间的值（如旧版构造参数 geoProjectionCenter）
+ * @returns {Object} 完整的场景配置
+ * @throws {SceneConfigError} 配置不是有效的JSON或校验失败
+ */
+export function resolveSceneConfig(config = {}, base = {}) {
+  if (typeof config === "string") {
+    try {
+      config = JSON.parse(config)
+    } catch (error) {
+      throw new SceneConfigError([{ path: "scene", message: `不是有效的JSON（${error.message}）` }])
+    }
+  }
+  config = config || {}
+
+  let errors = validateSceneConfig(config)
+  if (errors.length) throw new SceneConfigError(errors)
+
+  let scene = JSON.parse(JSON.stringify(DEFAULT_SCENE))
+  mergeConfig(scene, base)
+  mergeConfig(scene, Object.assign({}, config, { layers: expandLayers(config.layers) }))
+  return scene
+}
@@ -0,0 +1,333 @@
+/**
+ * 地图主题注册表
+ *
+ * 主题集中描述整个地图场景的配色，替代散落在各模块中的颜色常量：
+ * - background / fog：场景背景和雾效颜色
+ * - lights：环境光、方向光、点光源颜色
+ * - map：区域顶面、悬停发光、侧面渐变、边界线、轮廓流动线、子地图点标记
+ * - bar：柱状图及辉光（前三名 / 其他）
+ * - scatter、flyLine、flyLineFocus、particles、rotateBorder、grid、gridDiffuse：各图层颜色
+ * - label：CSS3D标签、标牌、图例等HTML元素的颜色，以CSS变量（--map-label-*）生效
+ * - town：村镇地图页面（town-map-animate）覆盖的颜色，结构与主题相同，见 resolveTownTheme
+ *   另有村镇页面专用的 map.emissive（顶面自发光）、map.selected（选中发光）、floor（底部网格）、rotateBorderInner（内圈边框）
+ *
+ * 内置 dark-tech（默认）、light、high-contrast 三套主题。
+ * 自定义主题通过 registerTheme 注册，只需写出要修改的颜色，其余继承 extends 指定的主题（默认 dark-tech）。
+ *
+ * @example
+ * registerTheme("corporate", {
+ *   extends: "light",
+ *   map: { top: "#dfe8f5", line: "#c8102e" },
+ *   bar: { top: "#c8102e", normal: "#003a70" },
+ * })
+ * world.setTheme("corporate", { duration: 1.5 })
+ */
+
+import { Color } from "three"
+import gsap from "gsap"
+
+/** 默认主题名称 */
+export const DEFAULT_THEME = "dark-tech"
+
+/**
+ * 标签颜色与CSS变量的对应关系，样式见 map.vue
+ */
+export const LABEL_CSS_VARIABLES = {
+  text: "--map-label-text",               // 数值、标牌等正文
+  name: "--map-label-name",               // 区域名称
+  title: "--map-label-title",             // 信息框、图例标题
+  accent: "--map-label-accent",           // 排名序号
+  highlight: "--map-label-highlight",     // 前三名排名序号
+  shadow: "--map-label-shadow",           // 文字阴影
+  panel: "--map-label-panel",             // 信息框、图例背景
+  border: "--map-label-border",           // 图例、按钮边框
+  badge: "--map-label-badge",             // 标牌背景
+  badgeBorder: "--map-label-badge-border", // 标牌边框
+  badgeCorner: "--map-label-badge-corner", // 标牌角标
+  badgeValue: "--map-label-badge-value",  // 标牌数值
+}
+
+const PRESETS = {
+  // 深色科技风：原有配色
+  "dark-tech": {
+    name: "dark-tech",
+    background: "#011024",
+    fog: "#011024",
+    lights: { ambient: "#ffffff", directional: "#ffffff", point: "#1d5e5e" },
+    map: {
+      top: "#061e47",
+      hover: "#0b112d",
+      side: ["#30b3ff", "#30b3ff"],
+      line: "#2bc4dc",
+      stroke: "#2bc4dc",
+      point: "#ffffff",
+      pointHover: "#00ffff",
+    },
+    bar: { top: "#fbdf88", normal: "#50bbfe", glowTop: "#fffef4", glowNormal: "#77fbf5" },
+    scatter: "#ffff00",
+    flyLine: "#fbdf88",
+    flyLineFocus: "#fbdf88",
+    particles: "#00eeee",
+    rotateBorder: "#48afff",
+    grid: "#00ffff",
+    gridDiffuse: "#079fe6",
+    label: {
+      text: "#ffffff",
+      name: "#5fc6dc",
+      title: "#a3dcde",
+      accent: "#7efbf6",
+      highlight: "#fef99e",
+      shadow: "#000000",
+      panel: "rgba(0, 0, 0, 0.5)",
+      border: "#2bc4dc",
+      badge: "#0e1937",
+      badgeBorder: "#1e7491",
+      badgeCorner: "#6cfffe",
+      badgeValue: "#ffe70b",
+    },
+    town: {
+      background: "#0e1a2a",
+      fog: "#0e1a2a",
+      lights: { point: "#2bc4dc" },
+      map: {
+        top: "#061e47",
+        emissive: "#0a1929",
+        hover: "#0b112d",
+        selected: "#2bc4dc",
+        side: ["#0d2951", "#0d2951"],
+        line: "#2bc4dc",
+      },
+      floor: "#061e47",
+      rotateBorder: "#2bc4dc",
+      rotateBorderInner: "#0e81fb",
+      label: { name: "#2bc4dc", panel: "rgba(1, 16, 36, 0.9)", border: "#2bc4dc" },
+    },
+  },
+
+  // 浅色：适合投影和打印
+  light: {
+    name: "light",
+    background: "#eef3f8",
+    fog: "#eef3f8",
+    lights: { ambient: "#ffffff", directional: "#ffffff", point: "#9ec9ff" },
+    map: {
+      top: "#c9dcf0",
+      hover: "#2c5a94",
+      side: ["#5b8fd6", "#8fb8ea"],
+      line: "#2f6fb8",
+      stroke: "#2f6fb8",
+      point: "#2f6fb8",
+      pointHover: "#e8590c",
+    },
+    bar: { top: "#f08c00", normal: "#1c7ed6", glowTop: "#ffd8a8", glowNormal: "#a5d8ff" },
+    scatter: "#e8590c",
+    flyLine: "#f08c00",
+    flyLineFocus: "#f08c00",
+    particles: "#74c0fc",
+    rotateBorder: "#1c7ed6",
+    grid: "#74c0fc",
+    gridDiffuse: "#1c7ed6",
+    label: {
+      text: "#1d2b3a",
+      name: "#1c4f8a",
+      title: "#34597f",
+      accent: "#1c7ed6",
+      highlight: "#d9480f",
+      shadow: "#ffffff",
+      panel: "rgba(255, 255, 255, 0.8)",
+      border: "#1c7ed6",
+      badge: "#ffffff",
+      badgeBorder: "#74c0fc",
+      badgeCorner: "#1c7ed6",
+      badgeValue: "#d9480f",
+    },
+    town: {
+      background: "#eef3f8",
+      fog: "#eef3f8",
+      lights: { point: "#9ec9ff" },
+      map: {
+        top: "#c9dcf0",
+        emissive: "#000000",
+        hover: "#2c5a94",
+        selected: "#1c7ed6",
+        side: ["#8fb8ea", "#8fb8ea"],
+        line: "#2f6fb8",
+      },
+      floor: "#5b8fd6",
+      rotateBorder: "#1c7ed6",
+      rotateBorderInner: "#74c0fc",
+      label: { name: "#1c4f8a", panel: "rgba(255, 255, 255, 0.9)", border: "#1c7ed6" },
+    },
+  },
+
+  // 高对比度：纯黑背景，黄/青/白强调色
+  "high-contrast": {
+    name: "high-contrast",
+    background: "#000000",
+    fog: "#000000",
+    lights: { ambient: "#ffffff", directional: "#ffffff", point: "#ffffff" },
+    map: {
+      top: "#1a1a1a",
+      hover: "#444400",
+      side: ["#ffffff", "#ffffff"],
+      line: "#ffff00",
+      stroke: "#ffff00",
+      point: "#ffffff",
+      pointHover: "#ffff00",
+    },
+    bar: { top: "#ffff00", normal: "#00ffff", glowTop: "#ffffff", glowNormal: "#ffffff" },
+    scatter: "#ff00ff",
+    flyLine: "#ffff00",
+    flyLineFocus: "#ffff00",
+    particles: "#ffffff",
+    rotateBorder: "#ffffff",
+    grid: "#ffffff",
+    gridDiffuse: "#ffff00",
+    label: {
+      text: "#ffffff",
+      name: "#ffff00",
+      title: "#ffffff",
+      accent: "#00ffff",
+      highlight: "#ffff00",
+      shadow: "#000000",
+      panel: "rgba(0, 0, 0, 0.9)",
+      border: "#ffff00",
+      badge: "#000000",
+      badgeBorder: "#ffffff",
+      badgeCorner: "#ffff00",
+      badgeValue: "#ffff00",
+    },
+    town: {
+      background: "#000000",
+      fog: "#000000",
+      lights: { point: "#ffffff" },
+      map: {
+        top: "#1a1a1a",
+        emissive: "#000000",
+        hover: "#444400",
+        selected: "#ffff00",
+        side: ["#ffffff", "#ffffff"],
+        line: "#ffff00",
+      },
+      floor: "#ffffff",
+      rotateBorder: "#ffffff",
+      rotateBorderInner: "#ffff00",
+      label: { name: "#ffff00", panel: "rgba(0, 0, 0, 0.9)", border: "#ffff00" },
+    },
+  },
+}
+
+// 已注册的主题（含内置主题），值为合并后的完整主题
+const registry = new Map()
+
+/**
+ * 深度合并主题：对象逐项合并，数组和颜色值整体替换
+ * @param {Object} target - 目标主题（会被修改）
+ * @param {Object} source - 来源主题
+ * @returns {Object} target
+ */
+function mergeTheme(target, source) {
+  Object.keys(source).forEach((key) => {
+    let value = source[key]
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      target[key] = mergeTheme(Object.assign({}, target[key]), value)
+    } else if (value !== undefined) {
+      target[key] = Array.isArray(value) ? [...value] : value
+    }
+  })
+  return target
+}
+
+/**
+ * 把部分主题补全为完整主题
+ * @param {Object} theme - 主题，extends 指定继承的主题，默认 dark-tech
+ * @returns {Object} 完整主题
+ * @throws {Error} 继承的主题未注册
+ */
+export function resolveTheme(theme = {}) {
+  let baseName = theme.extends || DEFAULT_THEME
+  let base = registry.get(baseName)
+  if (!base) {
+    throw new Error(`主题继承的 "${baseName}" 未注册，可选：${getThemeNames().join("、")}`)
+  }
+  let resolved = mergeTheme(mergeTheme({}, base), theme)
+  delete resolved.extends
+  return resolved
+}
+
+/**
+ * 注册主题，同名主题会被覆盖
+ * @param {string} name - 主题名称
+ * @param {Object} theme - 主题，可只写出与 extends 主题不同的颜色
+ * @returns {Object} 完整主题
+ */
+export function registerTheme(name, theme) {
+  let resolved = resolveTheme(Object.assign({}, theme, { name }))
+  registry.set(name, resolved)
+  return resolved
+}
+
+/**
+ * 获取已注册的主题
+ * @param {string} name - 主题名称
+ * @returns {Object|null}
+ */
+export function getTheme(name) {
+  return registry.get(name) || null
+}
+
+/**
+ * 已注册的主题名称
+ * @returns {Array<string>}
+ */
+export function getThemeNames() {
+  return [...registry.keys()]
+}
+
+/**
+ * 村镇地图页面使用的主题：town 中的颜色覆盖主题中的同名颜色
+ * 自定义主题不写 town 时沿用 extends 主题的村镇颜色
+ * @param {Object} theme - 完整主题
+ * @returns {Object} 完整主题，不含 town
+ */
+export function resolveTownTheme(theme) {
+  let resolved = mergeTheme(mergeTheme({}, theme), theme.town || {})
+  delete resolved.town
+  return resolved
+}
+
+/**
+ * 主题对应的标签CSS变量
+ * @param {Object} theme - 完整主题
+ * @returns {Object} { "--map-label-text": "#ffffff", ... }
+ */
+export function getLabelCssVariables(theme) {
+  let variables = {}
+  Object.keys(LABEL_CSS_VARIABLES).forEach((key) => {
+    theme.label[key] !== undefined && (variables[LABEL_CSS_VARIABLES[key]] = theme.label[key])
+  })
+  return variables
+}
+
+/**
+ * 把Three.js颜色过渡到目标颜色
+ * @param {Color} color - 要修改的颜色对象
+ * @param {string|number} value - 目标颜色
+ * @param {number} duration - 过渡时长（秒），0 为立即生效
+ * @param {Function} onUpdate - 每帧回调，用于同步到不直接引用该颜色的对象
+ * @returns {gsap.core.Tween|null}
+ */
+export function tweenColor(color, value, duration = 0, onUpdate) {
+  let target = new Color(value)
+  gsap.killTweensOf(color)
+  if (!duration) {
+    color.copy(target)
+    onUpdate && onUpdate()
+    return null
+  }
+  return gsap.to(color, { r: target.r, g: target.g, b: target.b, duration, ease: "power1.inOut", onUpdate })
+}
+
+// 内置主题按顺序注册，dark-tech 必须最先注册（其他主题默认继承它）
+registry.set(DEFAULT_THEME, PRESETS[DEFAULT_THEME])
+Object.keys(PRESETS).forEach((name) => name !== DEFAULT_THEME && registerTheme(name, PRESETS[name]))
@@ -0,0 +1,350 @@
+import { createApp } from "vue"
+import { Box3, Vector3 } from "three"
+
+/**
+ * 提示框与信息面板
+ *
+ * 各图层（省份、区域、村镇、柱状图、散点、流向线等）按图层名注册模板，
+ * 悬停时显示提示框，点击时固定为信息面板，样式见页面中的 .map-tooltip
+ *
+ * 模板支持：
+ * - HTML字符串：{{字段}} 替换为属性值（转义），支持 a.b 形式的嵌套字段
+ * - 函数：(properties, layer) => HTML
+ * - Vue组件：以 { properties, layer } 为props挂载
+ *
+ * 定位：
+ * - cursor：跟随鼠标
+ * - anchor：固定在3D对象的顶部中心（或指定的点），每帧随相机重新投影，转到相机背后时隐藏
+ * - 超出窗口时翻到鼠标（锚点）另一侧，并限制在窗口内
+ *
+ * @example
+ * const tooltips = new TooltipManager({ camera })
+ * tooltips.register("town", "<div class=\"map-tooltip-title\">{{name}}</div>人口：{{population}}")
+ * tooltips.show("town", mesh.userData.townData, { x: event.clientX, y: event.clientY })
+ * tooltips.pin("town", mesh.userData.townData, { anchor: mesh })
+ */
+
+// 默认模板中显示的属性
+const DEFAULT_FIELDS = [
+  ["value", "数值", ""],
+  ["population", "人口", ""],
+  ["area", "面积", "km²"],
+  ["gdp", "GDP", "亿元"],
+]
+
+/**
+ * 转义HTML
+ * @param {*} value - 任意值
+ * @returns {string}
+ */
+export function escapeHTML(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+}
+
+/**
+ * 格式化数值，非数值原样返回
+ * @param {*} value - 属性值
+ * @returns {string}
+ */
+function formatValue(value) {
+  return typeof value === "number" ? value.toLocaleString("zh-CN", { maximumFractionDigits: 2 }) : String(value)
+}
+
+/**
+ * 默认模板：标题为名称，下方为常见的数值属性和区划代码
+ * @param {Object} properties - 要素属性
+ * @returns {string} HTML
+ */
+export function defaultTemplate(properties) {
+  let title = properties.name || properties.adcode || ""
+  let rows = DEFAULT_FIELDS.filter(([key]) => properties[key] !== undefined && properties[key] !== null).map(
+    ([key, label, unit]) =>
+      `<div>${label}：<span class="map-tooltip-value">${escapeHTML(formatValue(properties[key]))}${unit}</span></div>`
+  )
+  properties.name && properties.adcode && rows.push(`<div class="map-tooltip-note">${escapeHTML(properties.adcode)}</div>`)
+  return `<div class="map-tooltip-title">${escapeHTML(title)}</div>${rows.join("")}`
+}
+
+/**
+ * 流向线的默认模板：标题为 name 或“起点 → 终点”，下方为权重
+ * @param {Object} flow - 流向记录
+ * @param {string} unit - 权重单位
+ * @returns {string} HTML
+ */
+export function flowTemplate(flow, unit = "") {
+  let title = flow.name || `${flow.fromName || flow.from.join(",")} → ${flow.toName || flow.to.join(",")}`
+  return `
+    <div class="map-tooltip-title">${escapeHTML(title)}</div>
+    <div>流量：<span class="map-tooltip-value">${escapeHTML(formatValue(Number(flow.value)))}${escapeHTML(unit)}</span></div>
+  `
+}
+
+/**
+ * 要素的标识，用于判断两次固定的是否为同一要素
+ * @param {Object} properties - 要素属性
+ * @returns {*}
+ */
+function getFeatureKey(properties) {
+  return properties.id ?? properties.adcode ?? properties.key ?? properties.name ?? properties
+}
+
+/**
+ * 用属性填充模板字符串中的 {{字段}}
+ * @param {string} template - 模板
+ * @param {Object} properties - 要素属性
+ * @returns {string} HTML
+ */
+export function renderTemplate(template, properties) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    let value = path.split(".").reduce((object, key) => (object === null || object === undefined ? undefined : object[key]), properties)
+    return value === undefined || value === null ? "" : escapeHTML(formatValue(value))
+  })
+}
+
+export class TooltipManager {
+  /**
+   * @param {Object} options - 配置参数
+   * @param {HTMLElement} options.container - 提示框的父元素，默认document.body
+   * @param {Object} options.camera - three相机，或带 instance 的 mini3d 相机，anchor 定位时需要
+   * @param {HTMLCanvasElement} options.canvas - 渲染画布，默认整个窗口
+   * @param {string} options.className - 附加在 .map-tooltip 上的类名，用于区分不同页面的样式
+   * @param {Array<number>} options.offset - 相对鼠标（锚点）的偏移 [x, y]
+   * @param {number} options.margin - 与窗口边缘的最小距离
+   */
+  constructor(options = {}) {
+    this.options = Object.assign(
+      { container: document.body, camera: null, canvas: null, className: "", offset: [16, 16], margin: 8 },
+      options
+    )
+    // 图层名 -> { template, follow, pin, offset }
+    this.layers = new Map()
+    // 悬停提示框
+    this.hoverPanel = null
+    // 固定的信息面板
+    this.pinned = []
+    this.mouse = [0, 0]
+  }
+
+  /**
+   * 注册图层的模板
+   * @param {string} layer - 图层名
+   * @param {string|Function|Object} template - HTML字符串、(properties, layer) => HTML 或 Vue组件，默认 defaultTemplate
+   * @param {Object} options - 配置参数
+   * @param {string} options.follow - 定位方式 cursor | anchor，默认cursor
+   * @param {boolean} options.pin - 点击时是否固定为信息面板，默认true
+   * @param {Array<number>} options.offset - 相对鼠标（锚点）的偏移，默认使用全局配置
+   */
+  register(layer, template = defaultTemplate, options = {}) {
+    this.unregister(layer)
+    this.layers.set(layer, Object.assign({ follow: "cursor", pin: true, offset: this.options.offset }, options, { template }))
+  }
+
+  /**
+   * 取消注册，并关闭该图层的提示框和信息面板
+   * @param {string} layer - 图层名
+   */
+  unregister(layer) {
+    if (!this.layers.has(layer)) return
+    this.hoverPanel && this.hoverPanel.layer === layer && this.hide()
+    this.pinned.filter((panel) => panel.layer === layer).forEach((panel) => this.close(panel))
+    this.layers.delete(layer)
+  }
+
+  /**
+   * @param {string} layer - 图层名
+   * @returns {boolean} 图层是否注册了模板
+   */
+  has(layer) {
+    return this.layers.has(layer)
+  }
+
+  /**
+   * 显示悬停提示框（替换当前的提示框）
+   * @param {string} layer - 图层名
+   * @param {Object} properties - 要素属性
+   * @param {Object} position - 位置 { x, y } 鼠标坐标，anchor 为3D对象或世界坐标（follow 为 anchor 时使用）
+   * @returns {Object|null} 提示框，图层未注册时为null
+   */
+  show(layer, properties, position = {}) {
+    this.hide()
+    this.hoverPanel = this._createPanel(layer, properties, position, false)
+    return this.hoverPanel
+  }
+
+  /**
+   * 提示框跟随鼠标
+   * @param {number} x - 鼠标 clientX
+   * @param {number} y - 鼠标 clientY
+   */
+  move(x, y) {
+    this.mouse = [x, y]
+    let panel = this.hoverPanel
+    panel && !panel.anchor && this._place(panel, x, y)
+  }
+
+  /**
+   * 隐藏悬停提示框
+   */
+  hide() {
+    this.hoverPanel && this._removePanel(this.hoverPanel)
+    this.hoverPanel = null
+  }
+
+  /**
+   * 固定信息面板，同一图层同一要素只保留一个
+   * @param {string} layer - 图层名
+   * @param {Object} properties - 要素属性
+   * @param {Object} position - 同 show
+   * @returns {Object|null} 信息面板，图层未注册或不允许固定时为null
+   */
+  pin(layer, properties, position = {}) {
+    let config = this.layers.get(layer)
+    if (!config || !config.pin) return null
+    let key = getFeatureKey(properties)
+    this.pinned.filter((panel) => panel.layer === layer && getFeatureKey(panel.properties) === key).forEach((panel) => this.close(panel))
+    this.hoverPanel && this.hoverPanel.layer === layer && this.hide()
+    let panel = this._createPanel(layer, properties, position, true)
+    this.pinned.push(panel)
+    return panel
+  }
+
+  /**
+   * 关闭信息面板
+   * @param {Object} panel - pin 返回的面板
+   */
+  close(panel) {
+    let index = this.pinned.indexOf(panel)
+    if (index < 0) return
+    this.pinned.splice(index, 1)
+    this._removePanel(panel)
+  }
+
+  /**
+   * 关闭提示框和全部信息面板
+   */
+  closeAll() {
+    this.hide()
+    this.pinned.slice().forEach((panel) => this.close(panel))
+  }
+
+  /**
+   * 按相机重新计算锚定的提示框和信息面板的位置，每帧调用
+   */
+  update() {
+    let panels = this.hoverPanel ? [this.hoverPanel, ...this.pinned] : this.pinned
+    panels.forEach((panel) => panel.anchor && this._placeAtAnchor(panel))
+  }
+
+  /**
+   * 销毁，移除全部DOM
+   */
+  destroy() {
+    this.closeAll()
+    this.layers.clear()
+  }
+
+  /**
+   * 创建提示框或信息面板并定位
+   * @private
+   */
+  _createPanel(layer, properties, position, pinned) {
+    let config = this.layers.get(layer)
+    if (!config) return null
+
+    let element = document.createElement("div")
+    element.className = ["map-tooltip", this.options.className, pinned ? "is-pinned" : ""].filter(Boolean).join(" ")
+    let body = document.createElement("div")
+    body.className = "map-tooltip-body"
+    element.appendChild(body)
+
+    let panel = { layer, properties, element, app: null, anchor: null, offset: config.offset, position: [0, 0] }
+    let { template } = config
+    if (typeof template === "string") {
+      body.innerHTML = renderTemplate(template, properties)
+    } else if (typeof template === "function") {
+      body.innerHTML = template(properties, layer)
+    } else {
+      panel.app = createApp(template, { properties, layer })
+      panel.app.mount(body)
+    }
+
+    if (pinned) {
+      let close = document.createElement("span")
+      close.className = "map-tooltip-close"
+      close.textContent = "×"
+      close.addEventListener("click", () => this.close(panel))
+      element.appendChild(close)
+    }
+    this.options.container.appendChild(element)
+
+    if (config.follow === "anchor" && position.anchor) {
+      panel.anchor = position.anchor
+      this._placeAtAnchor(panel)
+    } else {
+      let { x = this.mouse[0], y = this.mouse[1] } = position
+      this._place(panel, x, y)
+    }
+    return panel
+  }
+
+  /**
+   * @private
+   */
+  _removePanel(panel) {
+    panel.app && panel.app.unmount()
+    panel.element.parentNode && panel.element.parentNode.removeChild(panel.element)
+  }
+
+  /**
+   * 定位到屏幕坐标的右下方，超出窗口时翻到另一侧并限制在窗口内
+   * @param {Object} panel - 提示框
+   * @param {number} x - clientX
+   * @param {number} y - clientY
+   * @private
+   */
+  _place(panel, x, y) {
+    let { element, offset } = panel
+    let { margin } = this.options
+    let [offsetX, offsetY] = offset
+    let { width, height } = element.getBoundingClientRect()
+    let left = x + offsetX + width + margin > window.innerWidth ? x - offsetX - width : x + offsetX
+    let top = y + offsetY + height + margin > window.innerHeight ? y - offsetY - height : y + offsetY
+    left = Math.max(margin, Math.min(left, window.innerWidth - width - margin))
+    top = Math.max(margin, Math.min(top, window.innerHeight - height - margin))
+    element.style.left = `${left}px`
+    element.style.top = `${top}px`
+    panel.position = [x, y]
+  }
+
+  /**
+   * 把锚点投影到屏幕上定位，锚点在相机背后时隐藏
+   * @private
+   */
+  _placeAtAnchor(panel) {
+    let camera = this.options.camera && (this.options.camera.instance || this.options.camera)
+    if (!camera) return
+    let point = panel.anchor.isObject3D ? this._getObjectTop(panel.anchor) : panel.anchor.clone()
+    point.project(camera)
+    let visible = point.z < 1 && (!panel.anchor.isObject3D || panel.anchor.visible)
+    panel.element.style.display = visible ? "" : "none"
+    if (!visible) return
+
+    let canvas = this.options.canvas
+    let rect = canvas ? canvas.getBoundingClientRect() : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight }
+    let x = rect.left + ((point.x + 1) / 2) * rect.width
+    let y = rect.top + ((1 - point.y) / 2) * rect.height
+    this._place(panel, x, y)
+  }
+
+  /**
+   * 3D对象包围盒的顶部中心（世界坐标，Y轴向上）
+   * @private
+   */
+  _getObjectTop(object) {
+    let box = new Box3().setFromObject(object)
+    if (box.isEmpty()) return object.getWorldPosition(new Vector3())
+    let point = box.getCenter(new Vector3())
+    point.y = box.max.y
+    return point
+  }
+}
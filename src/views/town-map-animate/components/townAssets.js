@@ -2,38 +2,37 @@
  * 资源管理类
  * 负责加载和管理3D地图需要的所有资源
  * 包括纹理贴图、JSON数据文件等
+ *
+ * 资源清单交给 mini3d 的 Resource 加载，清单格式与地图页面的 Assets（MAP_MANIFEST）相同。
  */
-import { TextureLoader } from "three"
-import { GeoJSONLoader } from "three"
-import { TownSharedState } from "./town-shared-state"
-import { TownModuleEventBus } from "./town-module-event-bus"
-import { TownMap } from "./town-map/TestOriginCode/test_town-map-renderer"
-import { TownChildMap } from "./town-child"
-import { TownLabelManager } from "./town-label-manager"
-import { TownLabel } from "./town-label"
-import { TownLabelRenderer } from "./town-label-renderer"
-import { TownCore } from "./town-core"
-import { TownMapRenderer } from "./town-map-renderer"
-import { TownInteraction } from "./town-interaction"
-import { TownNavigation } from "./town-navigation"
-import { TownVisualization } from "./town-visualization"
-import { TownMaterials } from "./town-materials"
-import { TownAnimations } from "./town-animations"
-import { TownResource } from "./town-resource"
-import { TownMapModuleManager } from "./town-map-module-manager"
-
+import { Resource } from "@/mini3d"
 
 export class TownAssets {
   constructor(state, eventBus) {
     this.state = state
     this.eventBus = eventBus
-    this.assets = {}    
+    this.instance = new Resource()
+    this.assets = {}
+  }
+
+  /**
+   * 加载资源清单
+   * @param {Object|Array} manifest - 资源清单 { baseUrl, items }，见 Resource.loadManifest
+   * @returns {Promise<Object>} 资源名称 -> 资源数据
+   */
+  loadAssets(manifest = { items: [] }) {
+    return this.instance.loadManifest(manifest).then((items) => {
+      this.assets = {}
+      items.forEach((item) => item.name && (this.assets[item.name] = item.data))
+      return this.assets
+    })
   }
-  loadAssets() {
-    // 加载资源
-    this.assets = {
-      texture: null,
-      geoJSON: null
-    }
+
+  /**
+   * 销毁资源管理器，释放所有资源
+   */
+  destroy() {
+    this.instance.destroy()
+    this.assets = {}
   }
-}
\ No newline at end of file
+}
@@ -26,13 +26,45 @@ import { TownMap } from "./test_town-map-renderer"
 import { InteractionManager } from "three.interactive"
 import gsap from "gsap"
 import { DataLoader } from "@/utils/DataLoader"
-import { TownChildMap } from './town-child'
-import { TownAssets } from './town-assets'
-import { ExtrudeMap } from './town-extrudeMap'
-import { initAssets } from './town-assets'
-import { createTownMap, updateTownMap } from './test_town-map-renderer'
-import { createLabels, updateLabels } from './town-label'
-import { TownChild } from './town-child'
+import { TooltipManager, escapeHTML } from "@/views/map-animate/map/tooltip"
+import { ModuleEventBus } from "@/views/map-animate/map/modules/ModuleEventBus"
+import { MapChoropleth } from "@/views/map-animate/map/modules/MapChoropleth"
+import {
+  getTheme,
+  getThemeNames,
+  resolveTheme,
+  resolveTownTheme,
+  tweenColor,
+  DEFAULT_THEME,
+} from "@/views/map-animate/map/themes"
+
+// 人口，千人为单位
+const formatPopulation = (town) => (town.population ? (town.population / 1000).toFixed(1) + 'k' : '未知')
+
+// 悬停提示框
+const townHoverTemplate = (town) => `
+  <div class="map-tooltip-title">${escapeHTML(town.name || '未知区域')}</div>
+  <div class="map-tooltip-item"><span class="label">人口:</span><span class="map-tooltip-value">${formatPopulation(town)}</span></div>
+  <div class="map-tooltip-item"><span class="label">面积:</span><span class="map-tooltip-value">${escapeHTML(town.area || '未知')}km²</span></div>
+  ${town.gdp ? `<div class="map-tooltip-item"><span class="label">GDP:</span><span class="map-tooltip-value">${escapeHTML(town.gdp)}亿元</span></div>` : ''}
+`
+
+// 选中村镇后固定在村镇上方的详细信息面板
+const townDetailTemplate = (town) => `
+  <div class="map-tooltip-title">${escapeHTML(town.name)}</div>
+  <div class="town-detail-grid">
+    <div class="town-detail-card">
+      <h3>人口信息</h3>
+      <p>总人口: ${formatPopulation(town)}</p>
+      <p>人口密度: ${town.area ? Math.round(town.population / town.area) : '未知'}/km²</p>
+    </div>
+    <div class="town-detail-card">
+      <h3>地理信息</h3>
+      <p>面积: ${escapeHTML(town.area || '未知')}km²</p>
+      <p>坐标: ${town.center ? escapeHTML(town.center.join(', ')) : '未知'}</p>
+    </div>
+  </div>
+`
 
 export function someUtil() {
   // 公共工具函数
@@ -73,9 +105,12 @@ export class TownWorld extends Mini3d {
       scale: config.geoProjectionScale || 50000
     }
     
+    // 配色，见 map-animate/map/themes.js 中各主题的 town
+    this.theme = resolveTownTheme(getTheme(DEFAULT_THEME))
+    
     // 场景基础设置（优化雾效和背景色）
-    this.scene.fog = new Fog(0x0e1a2a, 100, 4000)
-    this.scene.background = new Color(0x0e1a2a)
+    this.scene.fog = new Fog(this.theme.fog, 100, 4000)
+    this.scene.background = new Color(this.theme.background)
     
     // 相机设置（更高更远）
     this.camera.instance.position.set(0, 120, 120)
@@ -104,6 +139,18 @@ export class TownWorld extends Mini3d {
     this.hoveredObjects = []
     this.currentHoveredMesh = null
     
+    // 悬停提示框和详细信息面板，样式见 test_town-map.vue 中的 .town-tooltip
+    this.tooltips = new TooltipManager({ camera: this.camera, canvas: this.canvas, className: 'town-tooltip' })
+    this.tooltips.register('town', townHoverTemplate, { pin: false })
+    this.tooltips.register('townDetail', townDetailTemplate, { follow: 'anchor' })
+    this.onTooltipMouseMove = (event) => this.tooltips.move(event.clientX, event.clientY)
+    window.addEventListener('mousemove', this.onTooltipMouseMove)
+    
+    // 分级设色，复用主地图的 MapChoropleth 模块，村镇地图作为它的"主地图"
+    this.eventBus = new ModuleEventBus()
+    this.mapState = { currentScene: 'mainScene', provinceMesh: null, childMap: null, layerData: {} }
+    this.choropleth = new MapChoropleth(this.mapState, this.eventBus)
+    
     // 初始化CSS2D渲染器
     this.initCSS2DRenderer()
     
@@ -120,26 +167,10 @@ export class TownWorld extends Mini3d {
     this.currentGeoData = null
     this.townLabels = [] // 存储村镇标签
     this.selectedTownMesh = null // 当前选中的村镇
-    this.townMap = null
-    this.labels = null
-    this.child = null
-  }
-
-  async init() {
-    await initAssets()
-    this.townMap = await createTownMap(this.options)
-    this.labels = createLabels(this.townMap)
-    this.child = new TownChild(this.townMap, this.labels)
-    // ...初始化相机、渲染器、事件等
-  }
-
-  update() {
-    updateTownMap(this.townMap)
-    updateLabels(this.labels)
-    // ...动画、交互等
+    
+    // 初始主题，村镇地图加载完成后按 this.theme 创建
+    config.theme && this.setTheme(config.theme, { duration: 0 })
   }
-
-
   
   // 初始化CSS2D渲染器
   initCSS2DRenderer() {
@@ -168,17 +199,19 @@ export class TownWorld extends Mini3d {
       if (this.css2DRenderer && this.camera && this.scene) {
         this.css2DRenderer.render(this.scene, this.camera.instance)
       }
+      // 详细信息面板跟随村镇
+      this.tooltips.update()
     })
   }
 
   // 初始化环境光照（增强亮度和范围）
   initEnvironment() {
     // 环境光（更亮）
-    const ambientLight = new AmbientLight(0xffffff, 5.5)
+    const ambientLight = new AmbientLight(this.theme.lights.ambient, 5.5)
     this.scene.add(ambientLight)
     
     // 主方向光（更亮更白）
-    const directionalLight = new DirectionalLight(0xffffff, 10)
+    const directionalLight = new DirectionalLight(this.theme.lights.directional, 10)
     directionalLight.position.set(-60, 30, -30)
     directionalLight.castShadow = true
     directionalLight.shadow.radius = 30
@@ -187,9 +220,12 @@ export class TownWorld extends Mini3d {
     this.scene.add(directionalLight)
     
     // 只保留一个蓝色点光源，亮度适中
-    const pointLight1 = new PointLight(0x2bc4dc, 120, 4000)
+    const pointLight1 = new PointLight(this.theme.lights.point, 120, 4000)
     pointLight1.position.set(0, 60, 0)
     this.scene.add(pointLight1)
+    
+    // 切换主题时过渡灯光颜色
+    this.lights = [ambientLight, directionalLight, pointLight1]
   }
 
   // 添加交互事件
@@ -204,8 +240,7 @@ export class TownWorld extends Mini3d {
     this.townMeshes.forEach(townMesh => {
       townMesh.traverse(child => {
         if (child.isMesh) {
-          // 保存原始材质颜色
-          child.userData.originalEmissive = child.material[0].emissive.getHex()
+          // 保存原始材质参数，发光颜色恢复为当前主题的 map.emissive
           child.userData.originalEmissiveIntensity = child.material[0].emissiveIntensity
           child.userData.originalRenderOrder = child.renderOrder
           child.userData.townData = townMesh.userData.townData
@@ -316,7 +351,7 @@ export class TownWorld extends Mini3d {
         })
         
         // 发光颜色变化
-        const targetColor = new Color(0x0b112d)
+        const targetColor = new Color(this.theme.map.hover)
         gsap.to(obj.material[0].emissive, {
           duration: 0.3,
           r: targetColor.r,
@@ -396,12 +431,12 @@ export class TownWorld extends Mini3d {
         })
         
         // 恢复发光颜色
-        const originalEmissive = obj.userData.originalEmissive || 0x000000
+        const originalEmissive = new Color(this.theme.map.emissive)
         gsap.to(obj.material[0].emissive, {
           duration: 0.3,
-          r: ((originalEmissive >> 16) & 255) / 255,
-          g: ((originalEmissive >> 8) & 255) / 255,
-          b: (originalEmissive & 255) / 255,
+          r: originalEmissive.r,
+          g: originalEmissive.g,
+          b: originalEmissive.b,
           ease: "power2.out"
         })
         
@@ -417,112 +452,12 @@ export class TownWorld extends Mini3d {
   showHoverInfo(mesh) {
     const townData = mesh.userData.townData
     if (!townData) return
-    
-    // 如果已经存在信息元素，先移除
-    this.hideHoverInfo()
-    
-    // 创建信息面板
-    const infoPanel = document.createElement('div')
-    infoPanel.className = 'town-hover-info'
-    infoPanel.innerHTML = `
-      <div class="info-title">${townData.name || '未知区域'}</div>
-      <div class="info-content">
-        <div class="info-item">
-          <span class="label">人口:</span>
-          <span class="value">${townData.population ? (townData.population / 1000).toFixed(1) + 'k' : '未知'}</span>
-        </div>
-        <div class="info-item">
-          <span class="label">面积:</span>
-          <span class="value">${townData.area || '未知'}km²</span>
-        </div>
-        ${townData.gdp ? `
-        <div class="info-item">
-          <span class="label">GDP:</span>
-          <span class="value">${townData.gdp}亿元</span>
-        </div>
-        ` : ''}
-      </div>
-    `
-    
-    // 添加样式
-    infoPanel.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      background: rgba(1, 16, 36, 0.95);
-      border: 1px solid #2bc4dc;
-      border-radius: 8px;
-      padding: 15px;
-      color: #fff;
-      font-size: 14px;
-      z-index: 1000;
-      backdrop-filter: blur(10px);
-      box-shadow: 0 4px 20px rgba(43, 196, 220, 0.3);
-      min-width: 200px;
-      animation: fadeInUp 0.3s ease-out;
-    `
-    
-    // 添加CSS动画
-    if (!document.querySelector('#hover-info-styles')) {
-      const style = document.createElement('style')
-      style.id = 'hover-info-styles'
-      style.textContent = `
-        @keyframes fadeInUp {
-          from {
-            opacity: 0;
-            transform: translateY(10px);
-          }
-          to {
-            opacity: 1;
-            transform: translateY(0);
-          }
-        }
-        
-        .town-hover-info .info-title {
-          color: #2bc4dc;
-          font-weight: bold;
-          font-size: 16px;
-          margin-bottom: 10px;
-          text-shadow: 0 0 8px rgba(43, 196, 220, 0.5);
-        }
-        
-        .town-hover-info .info-item {
-          display: flex;
-          justify-content: space-between;
-          margin-bottom: 6px;
-          padding: 4px 0;
-          border-bottom: 1px solid rgba(43, 196, 220, 0.1);
-        }
-        
-        .town-hover-info .info-item:last-child {
-          border-bottom: none;
-          margin-bottom: 0;
-        }
-        
-        .town-hover-info .label {
-          color: #aaa;
-          font-size: 12px;
-        }
-        
-        .town-hover-info .value {
-          color: #fff;
-          font-weight: bold;
-          font-size: 12px;
-        }
-      `
-      document.head.appendChild(style)
-    }
-    
-    document.body.appendChild(infoPanel)
-    this.currentInfoPanel = infoPanel
+    this.tooltips.show('town', townData)
   }
 
   // 隐藏悬停信息
   hideHoverInfo() {
-    if (this.currentInfoPanel) {
-      this.currentInfoPanel.remove()
-      this.currentInfoPanel = null
-    }
+    this.tooltips.hide()
   }
 
   // 网格点击处理 - 单独显示该村镇地图
@@ -607,7 +542,7 @@ export class TownWorld extends Mini3d {
           ease: "power2.out"
         }, 0.2)
         
-        const targetColor = new Color(0x2bc4dc)
+        const targetColor = new Color(this.theme.map.selected)
         tl.to(obj.material[0].emissive, {
           duration: 0.8,
           r: targetColor.r,
@@ -647,7 +582,7 @@ export class TownWorld extends Mini3d {
     
     // 显示详细信息面板
     tl.call(() => {
-      this.showDetailPanel(mesh.userData.townData)
+      this.showDetailPanel(mesh)
     }, null, 1.0)
   }
 
@@ -658,10 +593,7 @@ export class TownWorld extends Mini3d {
     this.selectedTownMesh = null
     
     // 隐藏详细信息面板
-    const existingPanel = document.querySelector('.town-detail-panel')
-    if (existingPanel) {
-      existingPanel.remove()
-    }
+    this.tooltips.closeAll()
     
     // 创建恢复动画
     const tl = gsap.timeline()
@@ -689,12 +621,12 @@ export class TownWorld extends Mini3d {
             delay: 0.1 * index
           }, 0)
           
-          const originalEmissive = obj.userData.originalEmissive || 0x0a1929
+          const originalEmissive = new Color(this.theme.map.emissive)
           tl.to(obj.material[0].emissive, {
             duration: 0.8,
-            r: ((originalEmissive >> 16) & 255) / 255,
-            g: ((originalEmissive >> 8) & 255) / 255,
-            b: (originalEmissive & 255) / 255,
+            r: originalEmissive.r,
+            g: originalEmissive.g,
+            b: originalEmissive.b,
             ease: "power2.out",
             delay: 0.1 * index
           }, 0)
@@ -719,41 +651,14 @@ export class TownWorld extends Mini3d {
   }
 
   // 显示详细信息面板
-  showDetailPanel(townData) {
+  showDetailPanel(mesh) {
+    const townData = mesh.userData.townData
     console.log(`显示详细信息: ${townData.name}`)
     
-    // 创建详细信息面板
-    const detailPanel = document.createElement('div')
-    detailPanel.className = 'town-detail-panel'
-    detailPanel.innerHTML = `
-      <div class="panel-header">
-        <h2>${townData.name}</h2>
-        <button class="close-btn" onclick="this.parentElement.parentElement.remove()">×</button>
-      </div>
-      <div class="panel-content">
-        <div class="info-grid">
-          <div class="info-card">
-            <h3>人口信息</h3>
-            <p>总人口: ${townData.population ? (townData.population / 1000).toFixed(1) + 'k' : '未知'}</p>
-            <p>人口密度: ${townData.area ? Math.round(townData.population / townData.area) : '未知'}/km²</p>
-          </div>
-          <div class="info-card">
-            <h3>地理信息</h3>
-            <p>面积: ${townData.area || '未知'}km²</p>
-            <p>坐标: ${townData.center ? townData.center.join(', ') : '未知'}</p>
-          </div>
-        </div>
-      </div>
-    `
-    
-    // 添加样式
-    this.addDetailPanelStyles()
-    
-    // 添加到页面
-    document.body.appendChild(detailPanel)
+    const panel = this.tooltips.pin('townDetail', townData, { anchor: mesh })
     
     // 入场动画
-    gsap.from(detailPanel, {
+    gsap.from(panel.element, {
       duration: 0.5,
       scale: 0.8,
       opacity: 0,
@@ -761,95 +666,6 @@ export class TownWorld extends Mini3d {
     })
   }
 
-  // 添加详细信息面板样式
-  addDetailPanelStyles() {
-    if (!document.querySelector('#detail-panel-styles')) {
-      const style = document.createElement('style')
-      style.id = 'detail-panel-styles'
-      style.textContent = `
-        .town-detail-panel {
-          position: fixed;
-          top: 50%;
-          left: 50%;
-          transform: translate(-50%, -50%);
-          background: rgba(1, 16, 36, 0.95);
-          border: 2px solid #2bc4dc;
-          border-radius: 12px;
-          padding: 0;
-          color: #fff;
-          z-index: 1000;
-          backdrop-filter: blur(20px);
-          box-shadow: 0 8px 32px rgba(43, 196, 220, 0.3);
-          min-width: 500px;
-          max-width: 80vw;
-          max-height: 80vh;
-          overflow: hidden;
-        }
-        
-        .panel-header {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          padding: 20px;
-          border-bottom: 1px solid rgba(43, 196, 220, 0.3);
-          background: rgba(43, 196, 220, 0.1);
-        }
-        
-        .panel-header h2 {
-          margin: 0;
-          color: #2bc4dc;
-          font-size: 24px;
-          text-shadow: 0 0 10px rgba(43, 196, 220, 0.5);
-        }
-        
-        .close-btn {
-          background: none;
-          border: none;
-          color: #2bc4dc;
-          font-size: 24px;
-          cursor: pointer;
-          padding: 5px 10px;
-          border-radius: 4px;
-          transition: all 0.3s;
-        }
-        
-        .close-btn:hover {
-          background: rgba(43, 196, 220, 0.2);
-        }
-        
-        .panel-content {
-          padding: 20px;
-        }
-        
-        .info-grid {
-          display: grid;
-          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-          gap: 15px;
-        }
-        
-        .info-card {
-          background: rgba(43, 196, 220, 0.1);
-          border: 1px solid rgba(43, 196, 220, 0.3);
-          border-radius: 8px;
-          padding: 15px;
-        }
-        
-        .info-card h3 {
-          margin: 0 0 10px 0;
-          color: #2bc4dc;
-          font-size: 16px;
-        }
-        
-        .info-card p {
-          margin: 5px 0;
-          color: #ccc;
-          font-size: 14px;
-        }
-      `
-      document.head.appendChild(style)
-    }
-  }
-
   // 加载村镇数据
   async loadTownData() {
     try {
@@ -908,23 +724,23 @@ export class TownWorld extends Mini3d {
       data: geoData,
       depth: 1.8,
       topMaterial: new MeshStandardMaterial({
-        color: 0x061e47,
+        color: this.theme.map.top,
         transparent: true,
         opacity: 0.9,
         metalness: 0.2,
         roughness: 0.8,
-        emissive: new Color(0x0a1929),
+        emissive: new Color(this.theme.map.emissive),
         emissiveIntensity: 0.1
       }),
       sideMaterial: new MeshStandardMaterial({
-        color: 0x0d2951,
+        color: this.theme.map.side[0],
         transparent: true,
         opacity: 0.9,
         metalness: 0.1,
         roughness: 0.9
       }),
       lineMaterial: new LineBasicMaterial({
-        color: 0x2bc4dc,
+        color: this.theme.map.line,
         transparent: true,
         opacity: 0.9,
         linewidth: 2
@@ -938,6 +754,10 @@ export class TownWorld extends Mini3d {
     this.townMapRenderer.setParent(this.townGroup)
     this.townMeshes = this.townMapRenderer.getTownMeshes()
     
+    // 新地图沿用当前的分级设色配置
+    this.mapState.provinceMesh = this.townMapRenderer
+    this.choropleth.options && this.choropleth.apply(this.townMapRenderer)
+    
     // 添加交互事件
     this.addInteractionEvents()
     
@@ -961,17 +781,18 @@ export class TownWorld extends Mini3d {
         const labelDiv = document.createElement('div')
         labelDiv.className = 'town-label'
         labelDiv.textContent = townData.name
+        // 阴影使用 currentColor，随文字颜色一起切换主题
         labelDiv.style.cssText = `
-          color: #2bc4dc;
+          color: ${this.theme.label.name};
           font-size: 14px;
           font-weight: bold;
-          background: rgba(1, 16, 36, 0.9);
+          background: ${this.theme.label.panel};
           padding: 4px 8px;
           border-radius: 4px;
-          border: 1px solid #2bc4dc;
+          border: 1px solid ${this.theme.label.border};
           white-space: nowrap;
-          text-shadow: 0 0 4px rgba(43, 196, 220, 0.5);
-          box-shadow: 0 2px 8px rgba(43, 196, 220, 0.3);
+          text-shadow: 0 0 4px currentColor;
+          box-shadow: 0 2px 8px currentColor;
           pointer-events: none;
           user-select: none;
         `
@@ -1063,7 +884,7 @@ export class TownWorld extends Mini3d {
     
     const floorGeometry = new PlaneGeometry(200, 200, 32, 32)
     const floorMaterial = new MeshStandardMaterial({
-      color: 0x061e47,
+      color: this.theme.floor,
       transparent: true,
       opacity: 0.3,
       wireframe: true
@@ -1093,7 +914,7 @@ export class TownWorld extends Mini3d {
     // 外圈边框
     const outerBorderGeometry = new PlaneGeometry(60, 60, 1, 1)
     const outerBorderMaterial = new MeshBasicMaterial({
-      color: 0x2bc4dc,
+      color: this.theme.rotateBorder,
       transparent: true,
       opacity: 0.2,
       wireframe: true
@@ -1106,7 +927,7 @@ export class TownWorld extends Mini3d {
     // 内圈边框
     const innerBorderGeometry = new PlaneGeometry(40, 40, 1, 1)
     const innerBorderMaterial = new MeshBasicMaterial({
-      color: 0x0e81fb,
+      color: this.theme.rotateBorderInner,
       transparent: true,
       opacity: 0.3,
       wireframe: true
@@ -1277,6 +1098,88 @@ export class TownWorld extends Mini3d {
     console.log('更新地图投影参数:', this.projectionConfig)
   }
 
+  /**
+   * 按村镇属性分级设色，参数见 MapChoropleth.setChoropleth
+   * @param {Object} options - 配置参数
+   * @returns {Object|null} 色带
+   *
+   * @example
+   * townWorld.setChoropleth({ property: 'population', method: 'jenks', classes: 4, title: '人口', unit: '人' })
+   */
+  setChoropleth(options) {
+    return this.choropleth.setChoropleth(options)
+  }
+
+  // 关闭分级设色，恢复村镇原有颜色
+  clearChoropleth() {
+    this.choropleth.clearChoropleth()
+  }
+
+  /**
+   * 切换主题，颜色在 duration 内平滑过渡
+   * 使用主题中的 town 颜色（见 map-animate/map/themes.js resolveTownTheme），分级设色着色过的顶面保持色带颜色
+   * @param {string|Object} theme - 已注册的主题名称，或主题对象（未写出的颜色继承 extends 指定的主题）
+   * @param {Object} options - 配置参数
+   * @param {number} options.duration - 过渡时长（秒），默认1，0为立即生效
+   * @returns {Object} 村镇页面使用的完整主题
+   * @throws {Error} 主题未注册
+   *
+   * @example
+   * townWorld.setTheme('light')
+   */
+  setTheme(theme, options = {}) {
+    const { duration } = Object.assign({ duration: 1 }, options)
+    const resolved = typeof theme === 'string' ? getTheme(theme) : resolveTheme(theme)
+    if (!resolved) {
+      throw new Error(`[TownWorld] 未注册的主题 "${theme}"，可选：${getThemeNames().join('、')}`)
+    }
+    this.theme = resolveTownTheme(resolved)
+    const { map, label } = this.theme
+    
+    // 场景环境
+    tweenColor(this.scene.background, this.theme.background, duration)
+    tweenColor(this.scene.fog.color, this.theme.fog, duration)
+    this.lights.forEach(light => {
+      const type = light.isAmbientLight ? 'ambient' : light.isDirectionalLight ? 'directional' : 'point'
+      tweenColor(light.color, this.theme.lights[type], duration)
+    })
+    
+    // 村镇顶面、侧面、边界线；悬停和选中的村镇保持高亮发光，恢复时读取新主题
+    const highlighted = [this.currentHoveredMesh, this.selectedTownMesh]
+    this.townMeshes.forEach(townMesh => {
+      townMesh.traverse(obj => {
+        if (obj.isMesh && Array.isArray(obj.material)) {
+          const [top, side] = obj.material
+          top.userData.choropleth || tweenColor(top.color, map.top, duration)
+          highlighted.includes(obj) || tweenColor(top.emissive, map.emissive, duration)
+          tweenColor(side.color, map.side[0], duration)
+        } else if (obj.isLine) {
+          tweenColor(obj.material.color, map.line, duration)
+        }
+      })
+    })
+    
+    // 底部网格和旋转边框
+    this.floor && tweenColor(this.floor.material.color, this.theme.floor, duration)
+    if (this.rotateBorder) {
+      const [outerBorder, innerBorder] = this.rotateBorder.children
+      tweenColor(outerBorder.material.color, this.theme.rotateBorder, duration)
+      tweenColor(innerBorder.material.color, this.theme.rotateBorderInner, duration)
+    }
+    
+    // 村镇名称标签
+    const labelStyle = { color: label.name, backgroundColor: label.panel, borderColor: label.border }
+    this.townLabels.forEach(townLabel => {
+      gsap.killTweensOf(townLabel.element, 'color,backgroundColor,borderColor')
+      duration ? gsap.to(townLabel.element, Object.assign({ duration, ease: 'power1.inOut' }, labelStyle)) : gsap.set(townLabel.element, labelStyle)
+    })
+    
+    // 分级设色记录的原始颜色同步为新主题的顶面颜色
+    this.eventBus.emit('theme:change', { theme: this.theme, duration })
+    console.log(`[TownWorld] 切换主题: ${resolved.name || 'custom'}`)
+    return this.theme
+  }
+
   // 加载数据并创建地图（供外部调用）
   loadDataAndCreateMap(geoData) {
     try {
@@ -1319,8 +1222,13 @@ export class TownWorld extends Mini3d {
 
   // 销毁方法
   destroy() {
-    // 清理悬停信息面板
-    this.hideHoverInfo()
+    // 清理悬停信息和详细信息面板
+    window.removeEventListener('mousemove', this.onTooltipMouseMove)
+    this.tooltips.destroy()
+    
+    // 清理分级设色和图例
+    this.choropleth.destroy()
+    this.eventBus.cleanup()
     
     // 清理村镇标签
     this.clearTownLabels()
@@ -56,7 +56,9 @@ export class TownMap {
         population,
         area,
         gdp,
-        childrenNum
+        childrenNum,
+        // 完整的要素属性，分级设色按 property 读取（见 map-animate/map/regionValues.js）
+        properties: feature.properties
       })
       
       // 创建村镇组
@@ -86,14 +88,7 @@ export class TownMap {
         this.config.sideMaterial.clone()
       ]
       
-      // 根据人口数量调整颜色
-      if (population) {
-        const intensity = Math.min(population / 35000, 1) // 最大3.5万人
-        const hue = 0.6 - intensity * 0.4 // 从蓝色到红色
-        materials[0].color.setHSL(hue, 0.8, 0.6)
-        materials[1].color.setHSL(hue, 0.8, 0.4)
-      }
-      
+      // 颜色来自主题，按人口等属性着色见 TownWorld.setChoropleth
       // 处理几何体
       feature.geometry.coordinates.forEach((multiPolygon) => {
         multiPolygon.forEach((polygon) => {
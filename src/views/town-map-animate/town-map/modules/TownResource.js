@@ -1,10 +1,13 @@
-import { TextureLoader } from 'three'
+import { Resource } from '@/mini3d'
 
 /**
  * 村镇资源管理模块
  * 
  * 负责村镇资源的加载、管理
  * 包括贴图、GeoJSON等
+ * 
+ * 资源经由 mini3d 的 Resource 加载：共享状态中已有资源管理器（state.assets.instance）时
+ * 与其共用缓存，否则自己创建一个。本模块对加载的每个资源持有一次引用，clearAssets 时释放。
  */
 export class TownResource {
   /**
@@ -15,6 +18,11 @@ export class TownResource {
   constructor(state, eventBus) {
     this.state = state
     this.eventBus = eventBus
+    let shared = state.assets && state.assets.instance
+    this.ownsResource = !(shared instanceof Resource)
+    this.resource = this.ownsResource ? new Resource() : shared
+    // 本模块持有引用的资源路径
+    this.loaded = new Set()
   }
 
   /**
@@ -25,6 +33,7 @@ export class TownResource {
     const texture = await this.loadTexture('textures/town.png')
     // 加载GeoJSON
     const geoJSON = await this.loadGeoJSON('data/town.geojson')
+    return { texture, geoJSON }
   }
 
   /**
@@ -32,7 +41,7 @@ export class TownResource {
    */
   async loadTexture(url) {
     // 加载贴图
-    const texture = await new TextureLoader().load(url)
+    const texture = await this.load({ type: 'Texture', path: url })
     // 设置贴图
     this.state.texture = texture
     return texture
@@ -43,17 +52,32 @@ export class TownResource {
    */
   async loadGeoJSON(url) {
     // 加载GeoJSON
-    const geoJSON = await new GeoJSONLoader().load(url)
+    const geoJSON = await this.load({ type: 'GeoJSON', path: url })
     // 设置GeoJSON
     this.state.geoJSON = geoJSON
     return geoJSON
   }
 
+  /**
+   * 加载资源，同一路径只持有一次引用
+   * @param {Object} item - 资源项 { type, path }，见 Resource.load
+   */
+  async load(item) {
+    const data = await this.resource.load(item)
+    if (this.loaded.has(item.path)) {
+      this.resource.release(item.path)
+    }
+    this.loaded.add(item.path)
+    return data
+  }
+
   /**
    * 清理资源
    */
   clearAssets() {
-    // 清理资源
+    // 释放本模块持有的引用
+    this.loaded.forEach((path) => this.resource.release(path))
+    this.loaded.clear()
     this.state.texture = null
     this.state.geoJSON = null
   }
@@ -73,5 +97,11 @@ export class TownResource {
     }
   }
 
-  
+  /**
+   * 销毁模块
+   */
+  destroy() {
+    this.clearAssets()
+    this.ownsResource && this.resource.destroy()
+  }
 }
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * 历史记录管理类单元测试
+ *
+ * 运行：npm test 或 node test-history.js
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { createHistory } from "./src/mini3d/utils/CreateHistory.js"
+
+/**
+ * 依次压入状态
+ * @param {createHistory} history
+ * @param {Array<string>} states - 状态，同时作为标签
+ */
+function pushAll(history, states) {
+  states.forEach((state) => history.push(state, state))
+}
+
+test("push、undo、redo 维护过去、当前和未来的状态", () => {
+  let history = new createHistory()
+  assert.equal(history.present, undefined)
+  assert.equal(history.canUndo(), false)
+
+  pushAll(history, ["a", "b", "c"])
+  assert.deepEqual(history.past, ["a", "b"])
+  assert.equal(history.present, "c")
+  assert.deepEqual(history.future, [])
+  assert.equal(history.getIndex(), 2)
+  assert.equal(history.getLength(), 3)
+
+  assert.equal(history.undo(), true)
+  assert.equal(history.undo(), true)
+  assert.equal(history.undo(), false)
+  assert.equal(history.present, "a")
+  assert.deepEqual(history.future, ["b", "c"])
+
+  assert.equal(history.redo(), true)
+  assert.equal(history.present, "b")
+  assert.equal(history.canUndo(), true)
+  assert.equal(history.canRedo(), true)
+})
+
+test("在中间位置 push 时丢弃原来的未来分支", () => {
+  let history = new createHistory()
+  pushAll(history, ["a", "b", "c"])
+  history.undo()
+  history.undo()
+  history.push("d", "d")
+  assert.deepEqual(history.past, ["a"])
+  assert.equal(history.present, "d")
+  assert.deepEqual(history.future, [])
+  assert.equal(history.canRedo(), false)
+  assert.equal(history.redo(), false)
+})
+
+test("超过 maxSize 时丢弃最早的状态", () => {
+  let history = new createHistory({ maxSize: 3 })
+  pushAll(history, ["a", "b", "c", "d", "e"])
+  assert.deepEqual(history.past, ["c", "d"])
+  assert.equal(history.present, "e")
+  assert.equal(history.getLength(), 3)
+  assert.equal(history.getIndex(), 2)
+
+  assert.throws(() => new createHistory({ maxSize: 0 }), RangeError)
+})
+
+test("gotoState 忽略无效的索引", () => {
+  let history = new createHistory()
+  pushAll(history, ["a", "b", "c"])
+  assert.equal(history.gotoState(0), true)
+  assert.equal(history.present, "a")
+  assert.equal(history.gotoState(3), false)
+  assert.equal(history.gotoState(-1), false)
+  assert.equal(history.gotoState(1.5), false)
+  assert.equal(history.present, "a")
+})
+
+test("按标签跳转，重复的标签取离当前位置最近的", () => {
+  let history = new createHistory()
+  history.push({ name: "中国" }, "china")
+  history.push({ name: "四川省" }, "510000")
+  history.push({ name: "成都市" }, "510100")
+  history.push({ name: "四川省" }, "510000")
+  history.push({ name: "绵阳市" }, "510700")
+
+  assert.equal(history.gotoLabel("china"), true)
+  assert.equal(history.getIndex(), 0)
+  assert.equal(history.getLabel(), "china")
+
+  assert.equal(history.gotoLabel("510000"), true)
+  assert.equal(history.getIndex(), 1)
+  history.gotoState(4)
+  assert.equal(history.indexOfLabel("510000"), 3)
+
+  assert.equal(history.gotoLabel("000000"), false)
+  assert.equal(history.getIndex(), 4)
+})
+
+test("状态变化时派发 change 事件", () => {
+  let history = new createHistory()
+  let events = []
+  history.on("change", (event) => events.push(event))
+
+  pushAll(history, ["a", "b"])
+  history.undo()
+  history.undo() // 不能再撤销，不派发
+  history.redo()
+  history.gotoLabel("a")
+  history.clearFuture()
+  history.clear()
+
+  assert.deepEqual(
+    events.map(({ type }) => type),
+    ["push", "push", "undo", "redo", "goto", "clear", "clear"]
+  )
+  assert.deepEqual(events[2], { type: "undo", index: 0, length: 2, present: "a", canUndo: false, canRedo: true })
+  assert.equal(events[6].present, undefined)
+  assert.equal(events[6].length, 0)
+})
+
+test("序列化为JSON并恢复", () => {
+  let history = new createHistory({ maxSize: 10 })
+  history.push({ name: "中国" }, "china")
+  history.push({ name: "四川省", adcode: 510000 }, "510000")
+  history.push({ name: "成都市", adcode: 510100 }, "510100")
+  history.undo()
+
+  let restored = createHistory.fromJSON(JSON.stringify(history))
+  assert.deepEqual(restored.present, { name: "四川省", adcode: 510000 })
+  assert.deepEqual(restored.past, [{ name: "中国" }])
+  assert.deepEqual(restored.future, [{ name: "成都市", adcode: 510100 }])
+  assert.equal(restored.getLabel(2), "510100")
+  assert.equal(restored.options.maxSize, 10)
+  assert.deepEqual(restored.toJSON(), history.toJSON())
+
+  // 不限数量时 maxSize 序列化为null
+  let unlimited = new createHistory({ maxSize: Infinity })
+  unlimited.push("a")
+  assert.equal(createHistory.fromJSON(unlimited.toJSON()).options.maxSize, Infinity)
+
+  assert.throws(() => createHistory.fromJSON({ index: 0 }), TypeError)
+})
+
+test("load 替换现有状态并派发 change 事件", () => {
+  let history = new createHistory()
+  pushAll(history, ["x", "y"])
+  let types = []
+  history.on("change", ({ type }) => types.push(type))
+
+  history.load({ index: 7, entries: [{ state: "a" }, { state: "b", label: "b" }] })
+  // 索引无效时定位到最后一个状态
+  assert.equal(history.present, "b")
+  assert.deepEqual(history.past, ["a"])
+  assert.deepEqual(types, ["load"])
+})
+
+test("load 按 maxSize 校验并丢弃最早的状态", () => {
+  let history = new createHistory({ maxSize: 3 })
+  let entries = ["a", "b", "c", "d", "e"].map((state) => ({ state, label: state }))
+
+  history.load({ index: 3, entries })
+  assert.deepEqual(history.past, ["c"])
+  assert.equal(history.present, "d")
+  assert.deepEqual(history.future, ["e"])
+  assert.equal(history.getLabel(0), "c")
+
+  // 数据中的 maxSize 优先；当前状态被丢弃时定位到保留的第一个状态
+  history.load({ maxSize: 2, index: 1, entries })
+  assert.equal(history.options.maxSize, 2)
+  assert.equal(history.getIndex(), 0)
+  assert.equal(history.present, "d")
+  assert.deepEqual(history.future, ["e"])
+
+  assert.throws(() => history.load({ maxSize: 0, entries }), RangeError)
+  assert.throws(() => createHistory.fromJSON({ maxSize: -1, entries: [] }), RangeError)
+  // 校验失败时保留原来的状态
+  assert.equal(history.options.maxSize, 2)
+  assert.equal(history.present, "d")
+})
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * 资源加载队列单元测试
+ *
+ * 运行：npm test 或 node test-loader-queue.js
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { LoaderQueue, isAbortError } from "./src/views/map-animate/map/loaderQueue.js"
+
+/**
+ * 创建可以手动完成的加载函数
+ * @param {Array<string>} log - 记录 "start:名称"、"abort:名称"
+ */
+function createLoader(log, name) {
+  let loader = (signal) => {
+    log.push(`start:${name}`)
+    signal.addEventListener("abort", () => log.push(`abort:${name}`))
+    return new Promise((resolve, reject) => {
+      loader.resolve = resolve
+      loader.reject = reject
+    })
+  }
+  return loader
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+test("限制并发数，按优先级开始，同优先级先进先出", async () => {
+  let log = []
+  let queue = new LoaderQueue({ concurrency: 1 })
+  let first = createLoader(log, "first")
+  queue.add("first", first)
+  queue.add("prefetch", createLoader(log, "prefetch"), { priority: "prefetch" })
+  queue.add("a", createLoader(log, "a"))
+  queue.add("b", createLoader(log, "b"))
+  queue.add("high", createLoader(log, "high"), { priority: "high" })
+
+  assert.deepEqual(log, ["start:first"])
+  assert.equal(queue.getStats().pending, 4)
+  first.resolve()
+  await tick()
+  assert.deepEqual(log, ["start:first", "start:high"])
+})
+
+test("同一 key 共用一次加载，后加入的请求提升优先级", async () => {
+  let log = []
+  let queue = new LoaderQueue({ concurrency: 1 })
+  let blocker = createLoader(log, "blocker")
+  let shared = createLoader(log, "shared")
+  queue.add("blocker", blocker)
+  queue.add("other", createLoader(log, "other"))
+  let prefetch = queue.add("shared", shared, { priority: "prefetch" })
+  let navigation = queue.add("shared", createLoader(log, "duplicate"), { priority: "high" })
+
+  blocker.resolve()
+  await tick()
+  assert.deepEqual(log, ["start:blocker", "start:shared"])
+  shared.resolve("geojson")
+  assert.equal(await prefetch, "geojson")
+  assert.equal(await navigation, "geojson")
+  assert.equal(queue.getStats().deduplicated, 1)
+  assert.equal(queue.has("shared"), false)
+})
+
+test("取消分组时只中止没有其他请求方的加载", async () => {
+  let log = []
+  let queue = new LoaderQueue()
+  let shared = createLoader(log, "shared")
+  let prefetch = queue.add("shared", shared, { priority: "prefetch", group: "prefetch" })
+  let navigation = queue.add("shared", shared, { priority: "high", group: "navigation" })
+  let neighbour = queue.add("neighbour", createLoader(log, "neighbour"), { group: "prefetch" })
+
+  assert.equal(queue.cancel("prefetch"), 2)
+  await assert.rejects(prefetch, isAbortError)
+  await assert.rejects(neighbour, isAbortError)
+  assert.deepEqual(log, ["start:shared", "start:neighbour", "abort:neighbour"])
+
+  shared.resolve("geojson")
+  assert.equal(await navigation, "geojson")
+})
+
+test("AbortSignal 中止请求，排队中的加载不再开始", async () => {
+  let log = []
+  let queue = new LoaderQueue({ concurrency: 1 })
+  let blocker = createLoader(log, "blocker")
+  queue.add("blocker", blocker)
+  let controller = new AbortController()
+  let queued = queue.add("queued", createLoader(log, "queued"), { signal: controller.signal })
+
+  controller.abort()
+  await assert.rejects(queued, isAbortError)
+  blocker.resolve()
+  await tick()
+  assert.deepEqual(log, ["start:blocker"])
+  assert.equal(queue.getStats().aborted, 1)
+})
+
+test("失败后指数退避重试，超过次数后报错", async () => {
+  let times = []
+  let queue = new LoaderQueue({ retries: 2, retryDelay: 10 })
+  let result = queue.add("flaky", () => {
+    times.push(Date.now())
+    return times.length < 3 ? Promise.reject(new Error("HTTP 503")) : "ok"
+  })
+  assert.equal(await result, "ok")
+  assert.equal(times.length, 3)
+  assert.ok(times[2] - times[1] >= times[1] - times[0])
+
+  let attempts = 0
+  let failed = queue.add("broken", () => {
+    attempts++
+    throw new Error("HTTP 404")
+  }, { retries: 1 })
+  await assert.rejects(failed, /HTTP 404/)
+  assert.equal(attempts, 2)
+  assert.equal(queue.getStats().retried, 3)
+})
+
+test("单次尝试超时时中止该次加载并重试", async () => {
+  let log = []
+  let attempts = 0
+  let queue = new LoaderQueue({ timeout: 10, retryDelay: 1 })
+  let result = queue.add("slow", (signal) => {
+    attempts++
+    signal.addEventListener("abort", () => log.push(`abort:${attempts}`))
+    return attempts === 1 ? new Promise(() => {}) : "ok"
+  })
+  assert.equal(await result, "ok")
+  assert.deepEqual(log, ["abort:1"])
+
+  let stuck = queue.add("stuck", () => new Promise(() => {}), { retries: 0 })
+  await assert.rejects(stuck, /加载超时/)
+})
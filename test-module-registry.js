@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * 模块注册表单元测试
+ *
+ * 运行：npm test 或 node test-module-registry.js
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { ModuleEventBus } from "./src/views/map-animate/map/modules/ModuleEventBus.js"
+import { ModuleRegistry } from "./src/views/map-animate/map/modules/ModuleRegistry.js"
+
+/**
+ * 创建记录构造和销毁顺序的模块类
+ * @param {Array<string>} log - 记录 "init:名称"、"destroy:名称"
+ * @param {Object} methods - 模块方法
+ */
+function createModule(log, methods = {}) {
+  return class {
+    constructor(state, eventBus, context) {
+      this.context = context
+      log.push(`init:${context.name}`)
+      Object.assign(this, methods)
+    }
+    destroy() {
+      log.push(`destroy:${this.context.name}`)
+    }
+  }
+}
+
+function createRegistry(options = {}) {
+  let target = {}
+  let eventBus = new ModuleEventBus()
+  let registry = new ModuleRegistry({}, eventBus, Object.assign({ target }, options))
+  return { registry, target, eventBus }
+}
+
+test("按依赖拓扑排序加载，没有依赖关系的保持注册顺序", async () => {
+  let log = []
+  let { registry } = createRegistry()
+  registry.register("weather", createModule(log), { dependsOn: ["core", "resource"] })
+  registry.register("core", createModule(log), { dependsOn: ["resource"] })
+  registry.register("resource", createModule(log))
+  registry.register("legend", createModule(log))
+
+  assert.deepEqual(registry.resolveOrder(), ["resource", "core", "weather", "legend"])
+  await registry.loadAll()
+  assert.deepEqual(log, ["init:resource", "init:core", "init:weather", "init:legend"])
+})
+
+test("缺少依赖和循环依赖时报错，不创建模块", async () => {
+  let log = []
+  let { registry } = createRegistry()
+  registry.register("weather", createModule(log), { dependsOn: ["radar"] })
+  await assert.rejects(registry.load("weather"), /依赖的模块 radar 未注册/)
+
+  registry.register("a", createModule(log), { dependsOn: ["b"] })
+  registry.register("b", createModule(log), { dependsOn: ["a"] })
+  assert.throws(() => registry.resolveOrder(["a"]), /a → b → a/)
+  await assert.rejects(registry.load("a"), /循环依赖/)
+  assert.deepEqual(log, [])
+})
+
+test("provides 绑定方法，异步 init 完成后才加载依赖它的模块", async () => {
+  let log = []
+  let { registry, target } = createRegistry()
+  class Slow {
+    async init() {
+      await new Promise((resolve) => setTimeout(resolve, 10))
+      log.push("ready:slow")
+    }
+    getValue() {
+      return 42
+    }
+  }
+  registry.register("slow", Slow, { provides: { value: "getValue" } })
+  registry.register("user", createModule(log), { dependsOn: ["slow"] })
+
+  await registry.load("user")
+  assert.deepEqual(log, ["ready:slow", "init:user"])
+  assert.equal(target.value(), 42)
+  assert.throws(() => registry.register("other", Slow, { provides: ["value"] }), /已被模块 slow 占用/)
+})
+
+test("init 超时视为加载失败", async () => {
+  let { registry, target } = createRegistry({ timeout: 20 })
+  registry.register("stuck", class {
+    init() {
+      return new Promise(() => {})
+    }
+  }, { provides: ["stuck"] })
+
+  await assert.rejects(registry.load("stuck"), /初始化超时/)
+  assert.equal(registry.status.stuck, "error")
+  assert.equal(target.stuck, undefined)
+})
+
+test("延迟加载的模块在第一次调用方法时创建", async () => {
+  let log = []
+  let { registry, target } = createRegistry()
+  registry.register("weather", createModule(log, { setWeather: (type) => `weather:${type}` }), {
+    provides: ["setWeather"],
+    lazy: true,
+  })
+
+  await registry.loadAll()
+  assert.deepEqual(log, [])
+  assert.equal(await target.setWeather("rain"), "weather:rain")
+  assert.deepEqual(log, ["init:weather"])
+  assert.equal(target.setWeather("snow"), "weather:snow")
+
+  registry.unload("weather")
+  assert.ok(target.setWeather("fog") instanceof Promise)
+})
+
+test("卸载时一并处理依赖方，移除命名空间监听器和绑定的方法", async () => {
+  let log = []
+  let { registry, target, eventBus } = createRegistry()
+  registry.register("weather", createModule(log), { provides: ["setWeather"] })
+  registry.register("radar", createModule(log), { dependsOn: ["weather"] })
+  await registry.loadAll()
+
+  let received = []
+  registry.modules.weather.context.events.on("change", (data) => received.push(data))
+  eventBus.emit("weather:change", 1)
+
+  assert.throws(() => registry.unload("weather"), /被 radar 依赖/)
+  assert.deepEqual(registry.unload("weather", { cascade: true }), ["radar", "weather"])
+  assert.deepEqual(log.slice(2), ["destroy:radar", "destroy:weather"])
+  assert.equal(target.setWeather, undefined)
+  assert.equal(registry.modules.weather, undefined)
+
+  eventBus.emit("weather:change", 2)
+  assert.deepEqual(received, [1])
+  assert.equal(eventBus.getListenerStats().totalListeners, 0)
+})
+
+test("命名空间事件：once 只触发一次，off 和 clear 移除通过它注册的监听器", () => {
+  let eventBus = new ModuleEventBus()
+  let events = eventBus.createNamespace("weather")
+  let received = []
+  let onChange = (data) => received.push(`on:${data}`)
+  events.on("change", onChange)
+  events.once("change", (data) => received.push(`once:${data}`))
+  events.on("reset", () => received.push("reset"))
+  eventBus.on("map:hover", () => received.push("hover"))
+
+  events.emit("change", 1)
+  eventBus.emit("weather:change", 2)
+  assert.deepEqual(received, ["on:1", "once:1", "on:2"])
+  assert.deepEqual(eventBus.getListenerStats().eventDetails, { "weather:change": 1, "weather:reset": 1, "map:hover": 1 })
+
+  events.off("change", onChange)
+  events.clear()
+  assert.equal(eventBus.getListenerStats().totalListeners, 1)
+  eventBus.cleanup()
+  assert.deepEqual(eventBus.getListenerStats(), { totalEvents: 0, totalListeners: 0, eventDetails: {} })
+})
+
+test("重新加载时替换模块类，依赖它的已加载模块一并重新创建", async () => {
+  let log = []
+  let { registry, target } = createRegistry()
+  registry.register("weather", createModule(log, { version: () => 1 }), { provides: ["version"] })
+  registry.register("radar", createModule(log), { dependsOn: ["weather"] })
+  await registry.loadAll()
+  log.length = 0
+
+  let instance = await registry.reload("weather", createModule(log, { version: () => 2 }))
+  assert.equal(instance, registry.modules.weather)
+  assert.equal(target.version(), 2)
+  assert.deepEqual(log, ["destroy:radar", "destroy:weather", "init:weather", "init:radar"])
+})
+
+test("内置模块按依赖同步创建，可以被依赖，不能卸载", async () => {
+  let log = []
+  let { registry, target } = createRegistry()
+  registry.register("navigation", createModule(log, { goBack: () => "back" }), { builtin: true, dependsOn: ["core"], provides: ["goBack"] })
+  registry.register("core", createModule(log), { builtin: true })
+  registry.register("weather", class {
+    constructor(state, eventBus, context) {
+      this.core = context.getModule("core")
+    }
+  }, { dependsOn: ["core"] })
+
+  registry.createBuiltins()
+  assert.deepEqual(log, ["init:core", "init:navigation"])
+  assert.equal(target.goBack(), "back")
+  assert.throws(() => registry.register("lazyCore", createModule(log), { builtin: true, lazy: true }), /不能延迟加载/)
+
+  let weather = await registry.load("weather")
+  assert.equal(weather.core, registry.modules.core)
+  assert.throws(() => registry.unload("core"), /内置模块 core 不能卸载/)
+  registry.unloadAll()
+  assert.deepEqual(Object.keys(registry.modules), ["core", "navigation"])
+  registry.unloadAll({ builtin: true })
+  assert.deepEqual(log.slice(2), ["destroy:navigation", "destroy:core"])
+  assert.equal(target.goBack, undefined)
+})
+
+test("内置模块不能依赖第三方模块", () => {
+  let { registry } = createRegistry()
+  registry.register("weather", createModule([]))
+  registry.register("core", createModule([]), { builtin: true, dependsOn: ["weather"] })
+  assert.throws(() => registry.createBuiltins(), /内置模块 core 不能依赖第三方模块 weather/)
+})
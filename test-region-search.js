@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * 区划搜索索引单元测试
+ *
+ * 运行：npm test 或 node test-region-search.js
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { RegionSearchIndex, getPinyinInitials } from "./src/views/map-animate/map/regionSearch.js"
+
+/**
+ * 创建包含几个省市的索引
+ * @returns {RegionSearchIndex}
+ */
+function createIndex() {
+  let index = new RegionSearchIndex()
+  index.add({ adcode: "510000", name: "四川省", level: "province", parent: null })
+  index.add({ adcode: "510100", name: "成都市", level: "city", parent: "510000" })
+  index.add({ adcode: "540000", name: "西藏自治区", level: "province", parent: null })
+  index.add({ adcode: "500000", name: "重庆市", level: "province", parent: null })
+  index.add({ adcode: "430000", name: "湖南省", level: "province", parent: null })
+  index.add({ adcode: "430100", name: "长沙市", level: "city", parent: "430000" })
+  index.add({ adcode: "350200", name: "厦门市", level: "city", parent: "350000" })
+  return index
+}
+
+test("getPinyinInitials 计算大写的拼音首字母，字母和数字原样保留", () => {
+  assert.equal(getPinyinInitials("四川省"), "SCS")
+  assert.equal(getPinyinInitials("成都市"), "CDS")
+  assert.equal(getPinyinInitials("第1村a"), "D1CA")
+  assert.equal(getPinyinInitials("（北京）"), "BJ")
+  assert.equal(getPinyinInitials(), "")
+})
+
+test("getPinyinInitials 按地名读音处理多音字", () => {
+  assert.equal(getPinyinInitials("西藏"), "XZ")
+  assert.equal(getPinyinInitials("重庆"), "CQ")
+  assert.equal(getPinyinInitials("长沙"), "CS")
+  assert.equal(getPinyinInitials("厦门"), "XM")
+  assert.equal(getPinyinInitials("蚌埠"), "BB")
+  assert.equal(getPinyinInitials("六安"), "LA")
+})
+
+test("search 用多音字地名的首字母找到区划", () => {
+  let index = createIndex()
+  assert.equal(index.search("xz")[0].name, "西藏自治区")
+  assert.equal(index.search("XZZZQ")[0].name, "西藏自治区")
+  assert.equal(index.search("cq")[0].name, "重庆市")
+  assert.deepEqual(index.search("xm").map(({ name }) => name), ["厦门市"])
+})
+
+test("search 按名称、首字母和区划代码排序，并附上上级区划名称", () => {
+  let index = createIndex()
+  let results = index.search("cs")
+  assert.deepEqual(results.map(({ name }) => name), ["长沙市", "四川省"])
+  assert.equal(results[0].context, "湖南省")
+  assert.equal(index.search("成都")[0].context, "四川省")
+  assert.deepEqual(index.search("51").map(({ adcode }) => adcode), ["510000", "510100"])
+  assert.deepEqual(index.search("  "), [])
+  assert.deepEqual(index.search("cs", { limit: 1 }).map(({ name }) => name), ["长沙市"])
+})
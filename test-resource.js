@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * 资源管理类单元测试：引用计数缓存、中止和 fallback
+ *
+ * 运行：npm test 或 node test-resource.js
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { Resource } from "./src/mini3d/utils/Resource.js"
+
+/**
+ * 不注册默认的 GLTF/Texture 加载器（Draco解码器预加载需要浏览器环境），只使用测试加载器
+ */
+class TestResource extends Resource {
+  initDefaultLoader() {}
+}
+
+/**
+ * 创建可以手动完成的加载器，资源数据记录是否被释放
+ * @param {Resource} resource
+ * @param {string} type - 资源类型
+ * @returns {{ requests: Array<string>, finish: Function, fail: Function }}
+ */
+function createLoader(resource, type) {
+  let pending = new Map()
+  let loader = {
+    requests: [],
+    finish(path) {
+      let data = { path, disposed: false, dispose() { this.disposed = true } }
+      pending.get(path).onLoad(data)
+      return data
+    },
+    fail(path) {
+      pending.get(path).onError(new Error(`${path} 不存在`))
+    },
+  }
+  resource.registerLoader(type, () => ({
+    load(path, onLoad, onProgress, onError) {
+      loader.requests.push(path)
+      pending.set(path, { onLoad, onError })
+    },
+  }))
+  return loader
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+test("同一路径同时加载两次共用一个请求，各增加一次引用", async () => {
+  let resource = new TestResource()
+  let loader = createLoader(resource, "Fake")
+  let first = resource.load({ type: "Fake", path: "a.bin" })
+  let second = resource.load({ type: "Fake", path: "a.bin" })
+  await tick()
+  assert.deepEqual(loader.requests, ["a.bin"])
+
+  let data = loader.finish("a.bin")
+  assert.equal(await first, data)
+  assert.equal(await second, data)
+  assert.deepEqual(resource.getStats().items.map(({ refs }) => refs), [2])
+
+  // 加载完成后再加载直接使用缓存
+  assert.equal(await resource.load({ type: "Fake", path: "a.bin" }), data)
+  assert.deepEqual(loader.requests, ["a.bin"])
+})
+
+test("retain / release 引用归零时释放资源", async () => {
+  let resource = new TestResource()
+  let loader = createLoader(resource, "Fake")
+  let loading = resource.load({ type: "Fake", path: "a.bin", name: "a" })
+  await tick()
+  let data = loader.finish("a.bin")
+  await loading
+
+  assert.equal(resource.retain("a"), data)
+  resource.release("a")
+  assert.equal(data.disposed, false)
+  resource.release("a.bin")
+  assert.equal(data.disposed, true)
+  assert.equal(resource.has("a"), false)
+  assert.equal(resource.has("a.bin"), false)
+  // 已释放的资源再 release 不报错
+  resource.release("a")
+})
+
+test("所有调用方都中止时，加载完成后释放资源", async () => {
+  let resource = new TestResource()
+  let loader = createLoader(resource, "Fake")
+  let controller = new AbortController()
+  let aborted = resource.load({ type: "Fake", path: "a.bin" }, { signal: controller.signal })
+  await tick()
+  controller.abort()
+  await assert.rejects(aborted, { name: "AbortError" })
+
+  let data = loader.finish("a.bin")
+  await tick()
+  assert.equal(data.disposed, true)
+  assert.equal(resource.has("a.bin"), false)
+  assert.equal(resource.getStats().count, 0)
+})
+
+test("部分调用方中止时，资源由仍在等待的调用方持有", async () => {
+  let resource = new TestResource()
+  let loader = createLoader(resource, "Fake")
+  let controller = new AbortController()
+  let aborted = resource.load({ type: "Fake", path: "a.bin" }, { signal: controller.signal })
+  let waiting = resource.load({ type: "Fake", path: "a.bin" })
+  await tick()
+  controller.abort()
+  await assert.rejects(aborted, { name: "AbortError" })
+
+  let data = loader.finish("a.bin")
+  assert.equal(await waiting, data)
+  await tick()
+  assert.equal(data.disposed, false)
+  assert.deepEqual(resource.getStats().items.map(({ refs }) => refs), [1])
+})
+
+test("加载失败时改用 fallback，名称指向 fallback 的资源", async () => {
+  let resource = new TestResource()
+  let ktx2 = createLoader(resource, "KTX2")
+  let texture = createLoader(resource, "Texture")
+  let loading = resource.load({ type: "KTX2", name: "side", path: "side.ktx2", fallback: "side.png" })
+  await tick()
+  ktx2.fail("side.ktx2")
+  await tick()
+  assert.deepEqual(texture.requests, ["side.png"])
+
+  let data = texture.finish("side.png")
+  assert.equal(await loading, data)
+  assert.equal(resource.getResource("side"), data)
+  // 失败的结果不缓存
+  assert.equal(resource.has("side.ktx2"), false)
+  assert.deepEqual(resource.getStats().items.map(({ key }) => key), ["Texture:side.png"])
+
+  resource.release("side")
+  assert.equal(data.disposed, true)
+})
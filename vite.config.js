@@ -7,7 +7,7 @@ function resolve(url) {
 }
 // https://vitejs.dev/config/
 export default defineConfig({
-  assetsInclude: ["**/*.glb", "**/*.gltf", "**/*.fbx", "**/*.hdr", "**/*.json", "**/*.mp4", "**/*.mov"],
+  assetsInclude: ["**/*.glb", "**/*.gltf", "**/*.fbx", "**/*.hdr", "**/*.ktx2", "**/*.json", "**/*.mp4", "**/*.mov"],
   resolve: {
     alias: {
       "@": resolve("./src"),